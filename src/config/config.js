@@ -1,4 +1,22 @@
 require('dotenv').config();
+const os = require('os');
+const path = require('path');
+
+// Parses "high:6,normal:3,low:1" style settings into an object
+function parseKeyValueList(value, defaults) {
+  if (!value) {
+    return defaults;
+  }
+
+  const parsed = { ...defaults };
+  for (const pair of value.split(',')) {
+    const [key, amount] = pair.split(':').map(part => part.trim());
+    if (key && !isNaN(parseInt(amount))) {
+      parsed[key] = parseInt(amount);
+    }
+  }
+  return parsed;
+}
 
 const config = {
   // Server configuration
@@ -25,6 +43,8 @@ const config = {
   SMTP_USER: process.env.SMTP_USER || 'notifications@company.com',
   SMTP_PASSWORD: process.env.SMTP_PASSWORD || 'smtp_password',
   EMAIL_FROM: process.env.EMAIL_FROM || 'notifications@company.com',
+  // Most addresses one email may go to, across recipient, to, cc and bcc
+  EMAIL_MAX_RECIPIENTS: parseInt(process.env.EMAIL_MAX_RECIPIENTS) || 50,
   
   // SMS service configuration
   TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID || '',
@@ -45,10 +65,50 @@ const config = {
   RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
   RATE_LIMIT_MAX_REQUESTS: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   
+  // Unversioned /api paths are deprecated aliases of /api/v1; these dates go
+  // out in their Deprecation and Sunset headers
+  LEGACY_API_DEPRECATED_AT: process.env.LEGACY_API_DEPRECATED_AT || '2026-10-01T00:00:00Z',
+  LEGACY_API_SUNSET_AT: process.env.LEGACY_API_SUNSET_AT || '2027-04-01T00:00:00Z',
+  
   // Queue configuration
+  // Backend: memory (single process, rebuilt from the database on start),
+  // sqlite (durable, single node) or redis (shared between instances)
+  QUEUE_BACKEND: process.env.QUEUE_BACKEND || (process.env.NODE_ENV === 'test' ? 'memory' : 'sqlite'),
+  QUEUE_REDIS_PREFIX: process.env.QUEUE_REDIS_PREFIX || 'notifications:queue',
   QUEUE_CONCURRENCY: parseInt(process.env.QUEUE_CONCURRENCY) || 5,
+  QUEUE_POLL_INTERVAL: parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000,
   QUEUE_RETRY_ATTEMPTS: parseInt(process.env.QUEUE_RETRY_ATTEMPTS) || 3,
   QUEUE_RETRY_DELAY: parseInt(process.env.QUEUE_RETRY_DELAY) || 5000,
+  QUEUE_RETRY_MAX_DELAY: parseInt(process.env.QUEUE_RETRY_MAX_DELAY) || 5 * 60 * 1000,
+  QUEUE_VISIBILITY_TIMEOUT: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT) || 5 * 60 * 1000,
+  QUEUE_RECOVERY_INTERVAL: parseInt(process.env.QUEUE_RECOVERY_INTERVAL) || 60000,
+  QUEUE_PRIORITY_WEIGHTS: parseKeyValueList(process.env.QUEUE_PRIORITY_WEIGHTS, { high: 6, normal: 3, low: 1 }),
+  QUEUE_AGING_INTERVAL: parseInt(process.env.QUEUE_AGING_INTERVAL) || 60000,
+  SCHEDULER_INTERVAL: parseInt(process.env.SCHEDULER_INTERVAL) || 1000,
+  // How long shutdown waits for in-flight sends before handing them back
+  SHUTDOWN_TIMEOUT: parseInt(process.env.SHUTDOWN_TIMEOUT) || 30000,
+  
+  // Per-provider throughput ("email:5,sms:2"). Channels without a concurrency
+  // entry fall back to QUEUE_CONCURRENCY; rates are sends per second.
+  PROVIDER_CONCURRENCY: parseKeyValueList(process.env.PROVIDER_CONCURRENCY, {}),
+  PROVIDER_RATE_LIMITS: parseKeyValueList(process.env.PROVIDER_RATE_LIMITS, { email: 10, sms: 10, push: 100, webhook: 50 }),
+  
+  // Idempotency keys
+  IDEMPOTENCY_TTL_MS: parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000,
+  // Rows of a bulk job whose errors are kept (the counts are always complete)
+  BULK_JOB_MAX_ERRORS: parseInt(process.env.BULK_JOB_MAX_ERRORS) || 1000,
+  // Where bulk uploads are kept while their job reads them
+  BULK_UPLOAD_DIR: process.env.BULK_UPLOAD_DIR || path.join(os.tmpdir(), 'notification-uploads'),
+  // Language of template variants not filed under a locale, and the zone dates in templates are shown in
+  DEFAULT_LOCALE: process.env.DEFAULT_LOCALE || 'en',
+  TEMPLATE_TIME_ZONE: process.env.TEMPLATE_TIME_ZONE || 'UTC',
+  
+  // Status event stream: how long events stay available for resumption, and
+  // how often idle streams are kept alive
+  STATUS_EVENT_RETENTION_MS: parseInt(process.env.STATUS_EVENT_RETENTION_MS) || 24 * 60 * 60 * 1000,
+  STREAM_HEARTBEAT_INTERVAL: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL) || 15000,
+  // Browser origins besides this service's own that may open WebSocket streams
+  STREAM_ALLOWED_ORIGINS: (process.env.STREAM_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
   
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
@@ -56,7 +116,14 @@ const config = {
   
   // Security
   JWT_SECRET: process.env.JWT_SECRET || 'jwt_secret_key',
-  ENCRYPTION_KEY: process.env.ENCRYPTION_KEY || 'encryption_key_32_characters_long',
+  // Bearer JWTs are only accepted once a real secret has been configured
+  JWT_ENABLED: Boolean(process.env.JWT_SECRET),
+  JWT_ISSUER: process.env.JWT_ISSUER || '',
+  JWT_AUDIENCE: process.env.JWT_AUDIENCE || '',
+  // Bootstrap credential with the admin scope, used to issue the first API keys
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || '',
+  // Encrypts tenants' provider settings, which are refused until it is set
+  ENCRYPTION_KEY: process.env.ENCRYPTION_KEY || '',
   
   // Monitoring
   HEALTH_CHECK_INTERVAL: parseInt(process.env.HEALTH_CHECK_INTERVAL) || 30000,
@@ -114,4 +181,20 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+// Credentials that ship in .env.example or older copies of it. Anyone can read
+// them, so a service started with one would hand out admin access, let
+// callers forge JWTs with any scope, or store tenants' provider credentials
+// under a key anyone has.
+const placeholderCredentials = {
+  ADMIN_API_KEY: ['your-bootstrap-admin-key'],
+  JWT_SECRET: ['your-jwt-secret-key-here', 'jwt_secret_key'],
+  ENCRYPTION_KEY: ['your-32-character-encryption-key', 'encryption_key_32_characters_long']
+};
+
+for (const [envVar, placeholders] of Object.entries(placeholderCredentials)) {
+  if (placeholders.includes(process.env[envVar])) {
+    throw new Error(`Environment variable ${envVar} still holds the placeholder value; set a real secret or leave it empty`);
+  }
+}
+
 module.exports = config;
@@ -0,0 +1,131 @@
+/**
+ * Authenticate every request from its `Authorization: Bearer <credential>`
+ * or `X-API-Key` header. The resolved principal is left on `req.principal`
+ * for requireScope() and the handlers, and the tenant it acts for on
+ * `req.tenant`. The operator picks a tenant with `X-Tenant-Id` (default:
+ * the default tenant); everyone else is bound to their own. Browsers cannot
+ * set headers on an EventSource, so event streams may pass `access_token`
+ * in the query string instead.
+ */
+function authenticate(apiKeyService, tenantService) {
+  return async (req, res, next) => {
+    const queryToken = (req.get('Accept') || '').includes('text/event-stream') ? req.query.access_token : undefined;
+    const { credential, error } = readCredential(req, queryToken);
+
+    if (error) {
+      return unauthorized(res, error);
+    }
+
+    try {
+      const result = await resolveCredential(apiKeyService, tenantService, credential, req.get('X-Tenant-Id'));
+
+      if (result.status === 401) {
+        return unauthorized(res, result.message);
+      }
+
+      if (result.status === 403) {
+        return forbidden(res, result.message);
+      }
+
+      req.principal = result.principal;
+      req.tenant = result.tenant;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// The credential presented on a request (Node's or Express's): { credential } or { error }
+function readCredential(req, queryToken) {
+  const authorization = req.headers.authorization;
+
+  if (authorization) {
+    const [scheme, value] = authorization.split(' ');
+    if (scheme.toLowerCase() !== 'bearer' || !value) {
+      return { error: 'Authorization header must use the Bearer scheme' };
+    }
+    return { credential: value };
+  }
+
+  const credential = req.headers['x-api-key'] || queryToken;
+  if (!credential) {
+    return { error: 'Provide an API key or bearer token' };
+  }
+
+  return { credential };
+}
+
+/**
+ * Resolve a credential, and the tenant it asks to act for, to
+ * { principal, tenant }, or to { status: 401 | 403, message }.
+ */
+async function resolveCredential(apiKeyService, tenantService, credential, requestedTenant) {
+  const { principal, error } = await apiKeyService.authenticate(credential);
+
+  if (error) {
+    return { status: 401, message: error };
+  }
+
+  if (requestedTenant && requestedTenant !== principal.tenantId && !principal.operator) {
+    return { status: 403, message: `This credential cannot act for tenant ${requestedTenant}` };
+  }
+
+  const tenantId = requestedTenant || principal.tenantId;
+  const tenant = await tenantService.getTenant(tenantId);
+  if (!tenant) {
+    return { status: 403, message: `Unknown tenant ${tenantId}` };
+  }
+
+  return { principal, tenant };
+}
+
+function unauthorized(res, message) {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).json({
+    error: 'Unauthorized',
+    message
+  });
+}
+
+function forbidden(res, message) {
+  return res.status(403).json({
+    error: 'Forbidden',
+    message
+  });
+}
+
+// admin passes every scope check
+function hasScope(principal, scope) {
+  const { scopes = [] } = principal || {};
+  return scopes.includes(scope) || scopes.includes('admin');
+}
+
+// Reject principals without `scope`
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.principal, scope)) {
+      return forbidden(res, `This credential lacks the ${scope} scope`);
+    }
+
+    next();
+  };
+}
+
+// Tenant administration is for the ADMIN_API_KEY operator only
+function requireOperator(req, res, next) {
+  if (!req.principal || !req.principal.operator) {
+    return forbidden(res, 'Only the service operator can manage tenants');
+  }
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  readCredential,
+  resolveCredential,
+  hasScope,
+  requireScope,
+  requireOperator
+};
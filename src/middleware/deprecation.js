@@ -0,0 +1,38 @@
+// Paths that name a version, e.g. /v2/notifications, are never the legacy alias
+const VERSION_PREFIX = /^\/v\d+(\/|$)/;
+
+/**
+ * Headers announcing that `successor` replaces the requested path:
+ * Deprecation (RFC 9745) from `deprecatedAt`, Sunset (RFC 8594) at
+ * `sunsetAt`, and a successor-version link.
+ */
+function deprecationHeaders({ successor, deprecatedAt, sunsetAt }) {
+  return {
+    Deprecation: `@${Math.floor(Date.parse(deprecatedAt) / 1000)}`,
+    Sunset: new Date(sunsetAt).toUTCString(),
+    Link: `<${successor}>; rel="successor-version"`
+  };
+}
+
+/**
+ * First middleware of a router that keeps old, unversioned paths working as
+ * aliases of `successorBase` (e.g. /api/notifications -> /api/v1/notifications).
+ * Every response through it carries the deprecation headers. Requests that
+ * name a version leave the router, so an unknown version 404s instead of
+ * being answered as the legacy API.
+ */
+function deprecatedAlias({ successorBase, deprecatedAt, sunsetAt }) {
+  return (req, res, next) => {
+    if (VERSION_PREFIX.test(req.path)) {
+      return next('router');
+    }
+
+    res.set(deprecationHeaders({ successor: `${successorBase}${req.path}`, deprecatedAt, sunsetAt }));
+    next();
+  };
+}
+
+module.exports = {
+  deprecationHeaders,
+  deprecatedAlias
+};
@@ -0,0 +1,71 @@
+const IdempotencyService = require('../services/IdempotencyService');
+
+/**
+ * Honour the Idempotency-Key header on a route. The first response for a key
+ * is stored; repeats of the same request get that response back without the
+ * handler running again, and repeats with a different body get a 409.
+ */
+function idempotency(idempotencyService, routeScope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    // Keys are per tenant and caller, so two clients cannot replay each other's responses
+    const scope = req.principal ? `${req.tenant.id}:${req.principal.id}:${routeScope}` : routeScope;
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!idempotencyService.isValidKey(key)) {
+      return res.status(400).json({
+        error: `Idempotency-Key must be between 1 and ${IdempotencyService.MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    try {
+      const claim = await idempotencyService.begin(scope, key, idempotencyService.hashRequest(req.body));
+
+      if (claim.state === 'replay') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(claim.statusCode).json(claim.response);
+      }
+
+      if (claim.state === 'conflict') {
+        return res.status(409).json({
+          error: 'Idempotency key conflict',
+          message: 'This Idempotency-Key was already used with a different request body'
+        });
+      }
+
+      if (claim.state === 'in_progress') {
+        return res.status(409).json({
+          error: 'Idempotency key conflict',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      // Capture the handler's response and store it before it goes out, so an
+      // immediate retry already sees it. Server errors and 429s release the key
+      // so the client's retry gets a real second attempt.
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const settle = res.statusCode >= 500 || res.statusCode === 429
+          ? idempotencyService.release(scope, key)
+          : idempotencyService.complete(scope, key, res.statusCode, body);
+
+        settle
+          .catch(error => {
+            console.error(`Error storing idempotent response for key ${key}:`, error);
+          })
+          .then(() => json(body));
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = idempotency;
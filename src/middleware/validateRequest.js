@@ -0,0 +1,132 @@
+const { hasScope } = require('./auth');
+const { ERROR_CODES, validateSchema, coerceParameter } = require('../utils/schema');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// '/keys/{id}/rotate' -> /^\/keys\/([^/]+)\/rotate\/?$/ with params ['id']
+function compilePath(template) {
+  const params = [];
+  const source = template
+    .split('/')
+    .map(segment => {
+      const match = /^\{(\w+)\}$/.exec(segment);
+      if (match) {
+        params.push(match[1]);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { pattern: new RegExp(`^${source}/?$`), params };
+}
+
+function compileRoutes(document) {
+  const routes = [];
+
+  for (const [template, item] of Object.entries(document.paths)) {
+    // Paths with their own servers are not served under this version's router
+    if (item.servers) {
+      continue;
+    }
+
+    const { pattern, params } = compilePath(template);
+    for (const method of METHODS) {
+      if (item[method]) {
+        routes.push({ method, pattern, params, operation: item[method] });
+      }
+    }
+  }
+
+  // Literal segments win over parameters, as /dead-letters/requeue over /dead-letters/{id}
+  return routes.sort((a, b) => a.params.length - b.params.length);
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+function resolveParameter(parameter, document) {
+  if (!parameter.$ref) {
+    return parameter;
+  }
+  return document.components.parameters[parameter.$ref.replace('#/components/parameters/', '')];
+}
+
+/**
+ * Reject requests that do not match the OpenAPI document with
+ * 400 { error: 'Validation failed', details }, details being the same
+ * { code, path, message } entries the notification validation reports.
+ * Parameters are reported as e.g. `query.limit`; body fields by their own
+ * path. Routes the document does not describe, and callers lacking the
+ * route's scope or operator rights (the route's own guard answers those), are
+ * passed through untouched.
+ * Mounted at the top of a version's router, after authenticate, so req.path
+ * is relative to the document's server URL as its paths are.
+ */
+function validateRequest(document) {
+  const routes = compileRoutes(document);
+  const { schemas } = document.components;
+
+  return (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+    let match = null;
+    const route = routes.find(candidate => candidate.method === method && (match = candidate.pattern.exec(req.path)));
+
+    if (!route) {
+      return next();
+    }
+
+    const scope = route.operation['x-required-scope'];
+    if (req.principal && ((scope && !hasScope(req.principal, scope)) || (route.operation['x-operator-only'] && !req.principal.operator))) {
+      return next();
+    }
+
+    const sources = {
+      path: Object.fromEntries(route.params.map((name, index) => [name, decodeSegment(match[index + 1])])),
+      query: req.query,
+      header: Object.fromEntries((route.operation.parameters || [])
+        .map(parameter => resolveParameter(parameter, document))
+        .filter(parameter => parameter.in === 'header')
+        .map(({ name }) => [name, req.get(name)]))
+    };
+
+    const details = [];
+
+    for (const parameter of (route.operation.parameters || []).map(entry => resolveParameter(entry, document))) {
+      const raw = sources[parameter.in][parameter.name];
+      const at = `${parameter.in}.${parameter.name}`;
+
+      // An empty value is no value; the handlers treat it the same way
+      if (raw === undefined || raw === '') {
+        if (parameter.required) {
+          details.push({ code: ERROR_CODES.REQUIRED, path: at, message: `${at} is required` });
+        }
+        continue;
+      }
+
+      details.push(...validateSchema(parameter.schema, coerceParameter(parameter.schema, raw, schemas), { schemas, path: at }));
+    }
+
+    // Only JSON bodies are parsed up front; uploads are streamed to their handler
+    const jsonBody = route.operation.requestBody && route.operation.requestBody.content['application/json'];
+    if (jsonBody) {
+      details.push(...validateSchema(jsonBody.schema, req.body === undefined ? {} : req.body, { schemas }));
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = validateRequest;
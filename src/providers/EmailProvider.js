@@ -1,12 +1,34 @@
 const nodemailer = require('nodemailer');
 const config = require('../config/config');
+const { classifyError } = require('../utils/retry');
+const { escapeHtml } = require('../utils/template');
+const { renderContent, safeUrl } = require('../utils/emailContent');
+const { ATTACHMENT_FIELDS } = require('../utils/validation');
+
+// Gmail cuts off messages whose HTML is larger than this
+const HTML_CLIP_BYTES = 102 * 1024;
 
 class EmailProvider {
-  constructor() {
+  // `settings` overrides the service-wide sender and SMTP account for one tenant
+  constructor(settings = {}) {
+    this.settings = settings;
     this.transporter = this.createTransporter();
   }
 
   createTransporter() {
+    const { smtpHost, smtpPort, smtpUser, smtpPassword } = this.settings;
+
+    // A tenant's own SMTP server is used as configured, in every environment
+    if (smtpHost) {
+      const port = smtpPort || 587;
+      return nodemailer.createTransport({
+        host: smtpHost,
+        port,
+        secure: port === 465,
+        ...(smtpUser && { auth: { user: smtpUser, pass: smtpPassword } })
+      });
+    }
+
     if (config.NODE_ENV === 'development' || config.NODE_ENV === 'test') {
       // Use Ethereal for testing in development
       return nodemailer.createTransport({
@@ -36,22 +58,13 @@ class EmailProvider {
   }
 
   async send(notification) {
+    // Recorded with the outcome, so the stored providerResponse shows who the email went to
+    const envelope = this.buildEnvelope(notification);
+
     try {
       console.log(`📧 Sending email notification to ${notification.recipient}`);
 
-      const mailOptions = {
-        from: config.EMAIL_FROM,
-        to: notification.recipient,
-        subject: this.generateSubject(notification),
-        html: this.generateEmailBody(notification),
-        text: notification.message,
-        priority: this.mapPriority(notification.priority)
-      };
-
-      // Add attachments if present
-      if (notification.metadata && notification.metadata.attachments) {
-        mailOptions.attachments = notification.metadata.attachments;
-      }
+      const mailOptions = this.buildMailOptions(notification, envelope);
 
       // Send email
       const info = await this.transporter.sendMail(mailOptions);
@@ -62,6 +75,9 @@ class EmailProvider {
         success: true,
         messageId: info.messageId,
         response: info.response,
+        envelope,
+        accepted: info.accepted,
+        rejected: info.rejected,
         provider: 'email',
         timestamp: new Date().toISOString()
       };
@@ -72,12 +88,90 @@ class EmailProvider {
       return {
         success: false,
         error: error.message,
+        ...classifyError(error),
+        envelope,
         provider: 'email',
         timestamp: new Date().toISOString()
       };
     }
   }
 
+  // Everything handed to the SMTP transport for a notification
+  buildMailOptions(notification, envelope = this.buildEnvelope(notification)) {
+    const mailOptions = {
+      ...envelope,
+      subject: this.generateSubject(notification),
+      html: this.generateEmailBody(notification),
+      text: this.generateTextBody(notification),
+      priority: this.mapPriority(notification.priority)
+    };
+
+    // Add attachments if present, keeping only inline fields so nothing can
+    // make nodemailer read a server path or fetch a URL
+    if (notification.metadata && Array.isArray(notification.metadata.attachments)) {
+      mailOptions.attachments = notification.metadata.attachments.map(attachment => Object.fromEntries(
+        ATTACHMENT_FIELDS
+          .filter(field => attachment && typeof attachment[field] === 'string')
+          .map(field => [field, attachment[field]])
+      ));
+    }
+
+    return mailOptions;
+  }
+
+  // What send() would hand to the transport, without sending; attachments are listed by filename
+  preview(notification) {
+    const { attachments, ...mail } = this.buildMailOptions(notification);
+    const { metadata = {} } = notification;
+    const { unsafeLinks } = metadata.html ? renderContent(metadata.html, 'html') : renderContent(notification.message, metadata.format);
+    const warnings = [];
+
+    if (unsafeLinks.length > 0) {
+      warnings.push(`Links to ${unsafeLinks.join(', ')} are left out; email links must be http(s), mailto or tel`);
+    }
+
+    const htmlBytes = Buffer.byteLength(mail.html);
+    if (htmlBytes > HTML_CLIP_BYTES) {
+      warnings.push(`The HTML part is ${Math.ceil(htmlBytes / 1024)} KB; Gmail clips messages over ${HTML_CLIP_BYTES / 1024} KB`);
+    }
+
+    return {
+      output: {
+        ...mail,
+        ...(attachments && { attachments: attachments.map(attachment => (attachment && attachment.filename) || null) })
+      },
+      warnings
+    };
+  }
+
+  /**
+   * Sender, addresses and headers: the recipient first in To, then metadata's
+   * to, cc, bcc, replyTo and from (which overrides the tenant's or service's
+   * sender), its X- headers, and List-Unsubscribe from unsubscribeUrl.
+   */
+  buildEnvelope(notification) {
+    const { metadata = {} } = notification;
+    const headers = { ...(metadata.headers || {}) };
+    const { unsubscribeUrl } = this.getLinks(metadata);
+
+    if (unsubscribeUrl) {
+      headers['List-Unsubscribe'] = `<${unsubscribeUrl}>`;
+      // RFC 8058 one-click unsubscribe: mail clients POST to the URL, which must be https
+      if (unsubscribeUrl.startsWith('https:')) {
+        headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+      }
+    }
+
+    return {
+      from: metadata.from || this.settings.from || config.EMAIL_FROM,
+      to: [notification.recipient, ...(metadata.to || [])],
+      ...(metadata.cc && metadata.cc.length > 0 && { cc: metadata.cc }),
+      ...(metadata.bcc && metadata.bcc.length > 0 && { bcc: metadata.bcc }),
+      ...(metadata.replyTo && { replyTo: metadata.replyTo }),
+      ...(Object.keys(headers).length > 0 && { headers })
+    };
+  }
+
   generateSubject(notification) {
     if (notification.metadata && notification.metadata.subject) {
       return notification.metadata.subject;
@@ -88,9 +182,19 @@ class EmailProvider {
     return `${priorityPrefix}Notification from ${config.APP_NAME}`;
   }
 
+  // The HTML part: the message rendered from metadata.format (see utils/emailContent)
+  // in the default layout. A template's own HTML replaces the layout; it is
+  // sanitized the same way, since raw {{{ tags }}} can bring in caller markup.
   generateEmailBody(notification) {
     const { message, metadata = {} } = notification;
-    const { title, buttonText, buttonUrl, unsubscribeUrl } = metadata;
+
+    if (metadata.html) {
+      return renderContent(metadata.html, 'html').html;
+    }
+
+    const { title, buttonText } = metadata;
+    const { buttonUrl, unsubscribeUrl } = this.getLinks(metadata);
+    const content = renderContent(message, metadata.format);
 
     return `
       <!DOCTYPE html>
@@ -154,26 +258,26 @@ class EmailProvider {
         </head>
         <body>
           <div class="header">
-            <h1>${title || 'Notification'}</h1>
+            <h1>${escapeHtml(title || 'Notification')}</h1>
           </div>
           <div class="content">
             <div class="message ${notification.priority === 'high' ? 'priority-high' : ''}">
-              <p>${message}</p>
+              ${content.html}
             </div>
             
             ${buttonText && buttonUrl ? `
               <div style="text-align: center;">
-                <a href="${buttonUrl}" class="button">${buttonText}</a>
+                <a href="${escapeHtml(buttonUrl)}" class="button">${escapeHtml(buttonText)}</a>
               </div>
             ` : ''}
             
             <div class="footer">
-              <p>This notification was sent by ${config.APP_NAME}</p>
-              <p>Notification ID: ${notification.id}</p>
+              <p>This notification was sent by ${escapeHtml(config.APP_NAME)}</p>
+              <p>Notification ID: ${escapeHtml(String(notification.id))}</p>
               <p>Sent at: ${new Date().toLocaleString()}</p>
               
               ${unsubscribeUrl ? `
-                <p><a href="${unsubscribeUrl}">Unsubscribe from these notifications</a></p>
+                <p><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe from these notifications</a></p>
               ` : ''}
             </div>
           </div>
@@ -182,6 +286,27 @@ class EmailProvider {
     `;
   }
 
+  // The plaintext alternative, written from the same content as the HTML part
+  generateTextBody(notification) {
+    const { message, metadata = {} } = notification;
+    const { buttonUrl, unsubscribeUrl } = this.getLinks(metadata);
+
+    return [
+      !metadata.html && metadata.title,
+      renderContent(message, metadata.format).text,
+      metadata.buttonText && buttonUrl && `${metadata.buttonText}: ${buttonUrl}`,
+      unsubscribeUrl && `Unsubscribe: ${unsubscribeUrl}`
+    ].filter(Boolean).join('\n\n');
+  }
+
+  // Links from metadata that are safe to put in the email; others are left out
+  getLinks(metadata) {
+    return {
+      buttonUrl: metadata.buttonUrl ? safeUrl(metadata.buttonUrl) : null,
+      unsubscribeUrl: metadata.unsubscribeUrl ? safeUrl(metadata.unsubscribeUrl) : null
+    };
+  }
+
   mapPriority(priority) {
     switch (priority) {
       case 'high':
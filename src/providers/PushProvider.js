@@ -1,12 +1,38 @@
 const admin = require('firebase-admin');
 const config = require('../config/config');
+const { classifyError } = require('../utils/retry');
+
+// FCM rejects messages whose payload is larger than this
+const MAX_PAYLOAD_BYTES = 4096;
 
 class PushProvider {
-  constructor() {
+  // `settings.serviceAccount` (JSON, like FIREBASE_ADMIN_SDK_KEY) gives one
+  // tenant its own Firebase project, initialized as the app named `settings.name`
+  // (or reused, when an app of that name exists)
+  constructor(settings = {}) {
+    this.settings = settings;
     this.firebaseApp = this.initializeFirebase();
   }
 
   initializeFirebase() {
+    const { serviceAccount, name } = this.settings;
+
+    if (serviceAccount) {
+      if (config.NODE_ENV === 'development' || config.NODE_ENV === 'test') {
+        return this.mockFirebaseApp();
+      }
+
+      // The same account under the same name keeps using the app already set up
+      const existing = admin.apps.find(app => app && app.name === name);
+      if (existing) {
+        return existing;
+      }
+
+      return admin.initializeApp({
+        credential: admin.credential.cert(JSON.parse(serviceAccount))
+      }, name);
+    }
+
     if (admin.apps.length === 0) {
       if (config.NODE_ENV === 'development' || config.NODE_ENV === 'test' || !process.env.FIREBASE_ADMIN_SDK_KEY) {
         // Mock Firebase for development/testing
@@ -23,6 +49,14 @@ class PushProvider {
     return admin.app();
   }
 
+  // Release a tenant's own Firebase app once this provider has been replaced;
+  // the service-wide default app lives as long as the process
+  async close() {
+    if (this.settings.serviceAccount && typeof this.firebaseApp.delete === 'function') {
+      await this.firebaseApp.delete();
+    }
+  }
+
   mockFirebaseApp() {
     console.warn('⚠️ Using mock Firebase service for push notifications');
     return {
@@ -42,14 +76,7 @@ class PushProvider {
     try {
       console.log(`📲 Sending push notification to ${notification.recipient}`);
 
-      const message = {
-        notification: {
-          title: notification.metadata?.title || 'New Notification',
-          body: notification.message
-        },
-        token: notification.recipient,
-        data: notification.metadata?.data || {}
-      };
+      const message = this.buildMessage(notification);
 
       const response = await this.firebaseApp.messaging().send(message);
 
@@ -65,11 +92,37 @@ class PushProvider {
       return {
         success: false,
         provider: 'push',
-        error: error.message
+        error: error.message,
+        ...classifyError(error)
       };
     }
   }
 
+  // The FCM message for a notification
+  buildMessage(notification) {
+    return {
+      notification: {
+        title: notification.metadata?.title || 'New Notification',
+        body: notification.message
+      },
+      token: notification.recipient,
+      data: notification.metadata?.data || {}
+    };
+  }
+
+  // What send() would hand to FCM, without sending
+  preview(notification) {
+    const message = this.buildMessage(notification);
+    const bytes = Buffer.byteLength(JSON.stringify({ notification: message.notification, data: message.data }));
+
+    return {
+      output: message,
+      warnings: bytes > MAX_PAYLOAD_BYTES
+        ? [`The payload is ${bytes} bytes; FCM rejects messages over ${MAX_PAYLOAD_BYTES}`]
+        : []
+    };
+  }
+
   async testConnection() {
     try {
       if (!this.firebaseApp) {
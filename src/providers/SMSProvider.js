@@ -1,7 +1,18 @@
 const config = require('../config/config');
+const { PermanentError, classifyError } = require('../utils/retry');
+
+// Longest body sent, as concatenated segments; longer messages are cut
+const MAX_SMS_LENGTH = 1600;
 
 class SMSProvider {
-  constructor() {
+  // `settings` overrides the service-wide sender number and Twilio account for one tenant
+  constructor(settings = {}) {
+    const ownAccount = Boolean(settings.accountSid);
+    
+    this.from = settings.from || config.TWILIO_PHONE_NUMBER;
+    this.accountSid = ownAccount ? settings.accountSid : config.TWILIO_ACCOUNT_SID;
+    this.authToken = ownAccount ? settings.authToken : config.TWILIO_AUTH_TOKEN;
+    
     // In a real implementation, you would initialize Twilio client here
     this.client = this.initializeTwilioClient();
   }
@@ -27,7 +38,7 @@ class SMSProvider {
 
     // Real Twilio client would be initialized here
     // const twilio = require('twilio');
-    // return twilio(config.TWILIO_ACCOUNT_SID, config.TWILIO_AUTH_TOKEN);
+    // return twilio(this.accountSid, this.authToken);
     
     // For demo purposes, return mock client
     return this.createMockClient();
@@ -64,22 +75,10 @@ class SMSProvider {
 
       // Validate phone number format
       if (!this.isValidPhoneNumber(notification.recipient)) {
-        throw new Error('Invalid phone number format');
+        throw new PermanentError('Invalid phone number format', 'INVALID_RECIPIENT');
       }
 
-      // Truncate message if too long (SMS limit is typically 160 characters)
-      const message = this.formatSMSMessage(notification);
-
-      const messageOptions = {
-        body: message,
-        from: config.TWILIO_PHONE_NUMBER,
-        to: notification.recipient
-      };
-
-      // Add media URL if present (MMS)
-      if (notification.metadata && notification.metadata.mediaUrl) {
-        messageOptions.mediaUrl = notification.metadata.mediaUrl;
-      }
+      const messageOptions = this.buildMessageOptions(notification);
 
       // Send SMS
       const result = await this.client.messages.create(messageOptions);
@@ -95,7 +94,7 @@ class SMSProvider {
         deliveryInfo: {
           to: result.to,
           from: result.from,
-          segments: this.calculateSMSSegments(message)
+          segments: this.calculateSMSSegments(messageOptions.body)
         }
       };
 
@@ -105,13 +104,64 @@ class SMSProvider {
       return {
         success: false,
         error: error.message,
+        ...classifyError(error),
         provider: 'sms',
         timestamp: new Date().toISOString()
       };
     }
   }
 
+  // What is handed to Twilio for a notification
+  buildMessageOptions(notification) {
+    const messageOptions = {
+      // Truncate message if too long (SMS limit is typically 160 characters)
+      body: this.formatSMSMessage(notification),
+      from: this.from,
+      to: notification.recipient
+    };
+
+    // Add media URL if present (MMS)
+    if (notification.metadata && notification.metadata.mediaUrl) {
+      messageOptions.mediaUrl = notification.metadata.mediaUrl;
+    }
+
+    return messageOptions;
+  }
+
+  // What send() would hand to Twilio, without sending, with its segment count
+  // and the content issues validateSMSContent() finds in the full text
+  preview(notification) {
+    const messageOptions = this.buildMessageOptions(notification);
+    const fullText = this.composeSMSMessage(notification);
+    const { issues } = this.validateSMSContent(fullText);
+    const truncated = fullText.length > MAX_SMS_LENGTH;
+
+    return {
+      output: {
+        ...messageOptions,
+        characters: messageOptions.body.length,
+        segments: this.calculateSMSSegments(messageOptions.body),
+        truncated
+      },
+      warnings: truncated
+        ? [...issues, `The message is cut from ${fullText.length} to ${MAX_SMS_LENGTH} characters`]
+        : issues
+    };
+  }
+
   formatSMSMessage(notification) {
+    const message = this.composeSMSMessage(notification);
+
+    // Truncate if message is too long
+    if (message.length > MAX_SMS_LENGTH) {
+      return message.substring(0, MAX_SMS_LENGTH - 3) + '...';
+    }
+
+    return message;
+  }
+
+  // The full text before truncation
+  composeSMSMessage(notification) {
     let message = notification.message;
     
     // Add urgency indicator for high priority messages
@@ -124,17 +174,16 @@ class SMSProvider {
       message += `\n\n- ${config.APP_NAME}`;
     }
 
-    // Truncate if message is too long
-    const maxLength = 1600; // Allow for concatenated SMS
-    if (message.length > maxLength) {
-      message = message.substring(0, maxLength - 3) + '...';
-    }
-
     return message;
   }
 
   isValidPhoneNumber(phoneNumber) {
-    // Basic phone number validation (international format)
+    return SMSProvider.isValidPhoneNumber(phoneNumber);
+  }
+
+  // E.164: '+', country code, up to 15 digits in total. Static so request
+  // validation can use it without a provider instance.
+  static isValidPhoneNumber(phoneNumber) {
     const phoneRegex = /^\+[1-9]\d{1,14}$/;
     return phoneRegex.test(phoneNumber);
   }
@@ -176,7 +225,7 @@ class SMSProvider {
   async testConnection() {
     try {
       // In a real implementation, you might send a test message or validate credentials
-      if (!config.TWILIO_ACCOUNT_SID || !config.TWILIO_AUTH_TOKEN) {
+      if (!this.accountSid || !this.authToken) {
         return {
           success: false,
           error: 'Twilio credentials not configured'
@@ -186,7 +235,7 @@ class SMSProvider {
       return {
         success: true,
         message: 'SMS provider connection successful',
-        accountSid: config.TWILIO_ACCOUNT_SID.substring(0, 10) + '...' // Partial SID for security
+        accountSid: this.accountSid.substring(0, 10) + '...' // Partial SID for security
       };
     } catch (error) {
       return {
@@ -218,7 +267,7 @@ class SMSProvider {
   validateSMSContent(message) {
     const issues = [];
     
-    if (message.length > 1600) {
+    if (message.length > MAX_SMS_LENGTH) {
       issues.push('Message exceeds maximum length for concatenated SMS');
     }
     
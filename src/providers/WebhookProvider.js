@@ -1,22 +1,20 @@
 const axios = require('axios');
 const config = require('../config/config');
+const { classifyError } = require('../utils/retry');
 
 class WebhookProvider {
+  // `settings.secret` replaces WEBHOOK_SECRET for one tenant
+  constructor(settings = {}) {
+    this.secret = settings.secret || config.WEBHOOK_SECRET;
+  }
+
   async send(notification) {
     try {
       console.log(`🌐 Sending webhook notification to ${notification.recipient}`);
 
-      const response = await axios.post(notification.recipient, {
-        event: notification.metadata?.event || 'notification',
-        id: notification.id,
-        message: notification.message,
-        timestamp: new Date().toISOString(),
-        type: notification.type,
-        priority: notification.priority,
-        data: notification.metadata?.data || {}
-      }, {
+      const response = await axios.post(notification.recipient, this.buildBody(notification), {
         headers: {
-          'Authorization': `Bearer ${config.WEBHOOK_SECRET}`
+          'Authorization': `Bearer ${this.secret}`
         },
         timeout: config.WEBHOOK_TIMEOUT,
         maxRedirects: 5
@@ -37,11 +35,39 @@ class WebhookProvider {
       return {
         success: false,
         provider: 'webhook',
-        error: error.message
+        error: error.message,
+        statusCode: error.response ? error.response.status : undefined,
+        ...classifyError(error)
       };
     }
   }
 
+  // The JSON body POSTed for a notification
+  buildBody(notification) {
+    return {
+      event: notification.metadata?.event || 'notification',
+      id: notification.id,
+      message: notification.message,
+      timestamp: new Date().toISOString(),
+      type: notification.type,
+      priority: notification.priority,
+      data: notification.metadata?.data || {}
+    };
+  }
+
+  // What send() would POST, without sending; the signing secret is not shown
+  preview(notification) {
+    return {
+      output: {
+        method: 'POST',
+        url: notification.recipient,
+        headers: { Authorization: 'Bearer <secret>' },
+        body: this.buildBody(notification)
+      },
+      warnings: []
+    };
+  }
+
   async testConnection() {
     try {
       console.log('🌐 Testing webhook provider connection');
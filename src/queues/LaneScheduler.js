@@ -0,0 +1,105 @@
+const config = require('../config/config');
+
+const LANES = ['high', 'normal', 'low'];
+
+/**
+ * Chooses which priority lane the next notification comes from, using smooth
+ * weighted round robin. With weights of 6/3/1 and all lanes busy, roughly six
+ * high items go out for every low one, but low still gets its turn.
+ */
+class LaneScheduler {
+  constructor(weights = {}) {
+    this.weights = { ...config.QUEUE_PRIORITY_WEIGHTS, ...weights };
+    this.credits = {};
+    this.dispatched = {};
+
+    for (const lane of LANES) {
+      this.credits[lane] = 0;
+      this.dispatched[lane] = 0;
+    }
+  }
+
+  nextLane(activeLanes) {
+    const totalWeight = activeLanes.reduce((total, lane) => total + this.weights[lane], 0);
+    let selected = activeLanes[0];
+
+    for (const lane of activeLanes) {
+      this.credits[lane] += this.weights[lane];
+
+      if (this.credits[lane] > this.credits[selected]) {
+        selected = lane;
+      }
+    }
+
+    this.credits[selected] -= totalWeight;
+    this.dispatched[selected]++;
+    return selected;
+  }
+
+  // Decide how many items to reserve from each channel/lane, given
+  // readyCounts() from a queue backend. Lanes take turns by nextLane(); within
+  // a lane the channel with the least work planned so far goes next. Every
+  // planned item holds a slot on `limiter` until the caller releases it.
+  plan(readyCounts, limit, limiter) {
+    const remaining = {};
+    const plannedByChannel = {};
+    const plan = new Map();
+    let planned = 0;
+
+    for (const [channel, lanes] of Object.entries(readyCounts)) {
+      remaining[channel] = { ...lanes };
+      plannedByChannel[channel] = 0;
+    }
+
+    const channelsFor = lane => Object.keys(remaining).filter(channel =>
+      remaining[channel][lane] > 0 && limiter.canAcquire(channel)
+    );
+
+    while (planned < limit) {
+      const activeLanes = LANES.filter(lane => channelsFor(lane).length > 0);
+
+      if (activeLanes.length === 0) {
+        break;
+      }
+
+      const lane = this.nextLane(activeLanes);
+      const channel = channelsFor(lane)
+        .sort((a, b) => plannedByChannel[a] - plannedByChannel[b])[0];
+      const key = `${channel}:${lane}`;
+
+      limiter.acquire(channel);
+      remaining[channel][lane]--;
+      plannedByChannel[channel]++;
+      planned++;
+
+      if (!plan.has(key)) {
+        plan.set(key, { channel, lane, count: 0 });
+      }
+      plan.get(key).count++;
+    }
+
+    return Array.from(plan.values());
+  }
+
+  stats() {
+    const stats = {};
+
+    for (const lane of LANES) {
+      stats[lane] = {
+        weight: this.weights[lane],
+        dispatched: this.dispatched[lane]
+      };
+    }
+
+    return stats;
+  }
+}
+
+function laneFor(item) {
+  return LANES.includes(item.priority) ? item.priority : 'normal';
+}
+
+LaneScheduler.LANES = LANES;
+LaneScheduler.laneFor = laneFor;
+
+module.exports = LaneScheduler;
@@ -0,0 +1,164 @@
+const QueueBackend = require('./QueueBackend');
+const LaneScheduler = require('./LaneScheduler');
+
+const { LANES } = LaneScheduler;
+
+/**
+ * Process-local queue. Nothing survives a restart, so NotificationService
+ * rebuilds it from the notifications table on startup. Meant for tests and
+ * single-process development.
+ */
+class MemoryQueue extends QueueBackend {
+  constructor() {
+    super();
+    this.name = 'memory';
+    this.entries = new Map();
+  }
+
+  isReady(entry, now) {
+    return entry.availableAt <= now && (entry.reservedUntil === null || entry.reservedUntil <= now);
+  }
+
+  async enqueue(item, options = {}) {
+    const now = Date.now();
+    const existing = this.entries.get(item.id);
+
+    this.entries.set(item.id, {
+      item,
+      channel: this.channelOf(item),
+      lane: this.laneOf(item),
+      enqueuedAt: existing ? existing.enqueuedAt : now,
+      laneEnteredAt: now,
+      availableAt: this.resolveAvailableAt(item, options, now),
+      reservedUntil: null
+    });
+  }
+
+  async reserve({ channel, lane, limit, visibilityTimeoutMs }) {
+    const now = Date.now();
+
+    const ready = Array.from(this.entries.values())
+      .filter(entry => entry.channel === channel && entry.lane === lane && this.isReady(entry, now))
+      .sort((a, b) => a.availableAt - b.availableAt || a.enqueuedAt - b.enqueuedAt)
+      .slice(0, limit);
+
+    for (const entry of ready) {
+      entry.reservedUntil = now + visibilityTimeoutMs;
+    }
+
+    return ready.map(entry => entry.item);
+  }
+
+  async ack(id) {
+    this.entries.delete(id);
+  }
+
+  async nack(id, { delayMs = 0, item } = {}) {
+    const entry = this.entries.get(id);
+
+    if (!entry) {
+      if (item) {
+        await this.enqueue(item, { delayMs });
+      }
+      return;
+    }
+
+    if (item) {
+      entry.item = item;
+    }
+    entry.availableAt = Date.now() + delayMs;
+    entry.reservedUntil = null;
+  }
+
+  async delay(id, delayMs) {
+    const entry = this.entries.get(id);
+    const now = Date.now();
+
+    if (!entry) {
+      return false;
+    }
+
+    if (entry.reservedUntil !== null && entry.reservedUntil > now) {
+      entry.reservedUntil = now + delayMs;
+    } else {
+      entry.availableAt = now + delayMs;
+    }
+    return true;
+  }
+
+  async remove(id) {
+    const entry = this.entries.get(id);
+    this.entries.delete(id);
+    return entry ? entry.item : null;
+  }
+
+  async has(id) {
+    return this.entries.has(id);
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  async readyCounts() {
+    const now = Date.now();
+    const counts = {};
+
+    for (const entry of this.entries.values()) {
+      if (this.isReady(entry, now)) {
+        counts[entry.channel] = counts[entry.channel] || {};
+        counts[entry.channel][entry.lane] = (counts[entry.channel][entry.lane] || 0) + 1;
+      }
+    }
+
+    return counts;
+  }
+
+  async promoteAged(agingIntervalMs) {
+    const now = Date.now();
+    const cutoff = now - agingIntervalMs;
+    let promoted = 0;
+
+    for (const entry of this.entries.values()) {
+      const laneIndex = LANES.indexOf(entry.lane);
+
+      if (laneIndex > 0 && this.isReady(entry, now) &&
+        Math.max(entry.laneEnteredAt, entry.availableAt) <= cutoff) {
+        entry.lane = LANES[laneIndex - 1];
+        entry.laneEnteredAt = now;
+        promoted++;
+      }
+    }
+
+    return promoted;
+  }
+
+  async stats() {
+    const now = Date.now();
+    const lanes = {};
+    let reserved = 0;
+
+    for (const lane of LANES) {
+      lanes[lane] = { size: 0, ready: 0, oldestWaitMs: 0 };
+    }
+
+    for (const entry of this.entries.values()) {
+      if (entry.reservedUntil !== null && entry.reservedUntil > now) {
+        reserved++;
+        continue;
+      }
+
+      const laneStats = lanes[entry.lane];
+      laneStats.size++;
+
+      if (entry.availableAt <= now) {
+        laneStats.ready++;
+        laneStats.oldestWaitMs = Math.max(laneStats.oldestWaitMs, now - entry.availableAt);
+      }
+    }
+
+    return { lanes, reserved };
+  }
+}
+
+module.exports = MemoryQueue;
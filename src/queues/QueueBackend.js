@@ -0,0 +1,100 @@
+const LaneScheduler = require('./LaneScheduler');
+
+/**
+ * Contract shared by the queue backends. Items are notifications, partitioned
+ * by channel (`type`) and priority lane (`priority`) so the processor can pull
+ * exactly as much work as each provider's limits allow.
+ *
+ * reserve() hides items from other consumers for a visibility timeout. An item
+ * that is neither acked nor nacked before the timeout lapses becomes ready
+ * again, which is how work held by a crashed worker is recovered.
+ *
+ * Times are epoch milliseconds. Every method is async.
+ */
+class QueueBackend {
+  constructor() {
+    // Backend name as used in QUEUE_BACKEND
+    this.name = 'base';
+    // Whether queued items survive a process restart
+    this.durable = false;
+  }
+
+  async init() {}
+
+  // Add an item, or replace it (releasing any reservation) if it is already queued.
+  // options: { availableAt, delayMs }; defaults to item.nextAttemptAt, else now.
+  async enqueue(item, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement enqueue`);
+  }
+
+  // Reserve up to `limit` ready items from one channel/lane.
+  async reserve({ channel, lane, limit, visibilityTimeoutMs }) {
+    throw new Error(`${this.constructor.name} does not implement reserve`);
+  }
+
+  // Remove a finished item.
+  async ack(id) {
+    throw new Error(`${this.constructor.name} does not implement ack`);
+  }
+
+  // Return a reserved item to its lane, ready again after `delayMs`. When
+  // `item` is given it replaces the stored copy (e.g. with a bumped retryCount).
+  async nack(id, { delayMs = 0, item } = {}) {
+    throw new Error(`${this.constructor.name} does not implement nack`);
+  }
+
+  // Push an item's next availability `delayMs` into the future. For a reserved
+  // item this extends its visibility timeout.
+  async delay(id, delayMs) {
+    throw new Error(`${this.constructor.name} does not implement delay`);
+  }
+
+  // Drop an item whatever its state; resolves to the item, or null.
+  async remove(id) {
+    throw new Error(`${this.constructor.name} does not implement remove`);
+  }
+
+  async has(id) {
+    throw new Error(`${this.constructor.name} does not implement has`);
+  }
+
+  async size() {
+    throw new Error(`${this.constructor.name} does not implement size`);
+  }
+
+  // { [channel]: { [lane]: count } } of items reserve() would hand out now
+  async readyCounts() {
+    throw new Error(`${this.constructor.name} does not implement readyCounts`);
+  }
+
+  // Move items that have been ready for `agingIntervalMs` in their lane up one lane
+  async promoteAged(agingIntervalMs) {
+    throw new Error(`${this.constructor.name} does not implement promoteAged`);
+  }
+
+  // { lanes: { [lane]: { size, ready, oldestWaitMs } }, reserved }
+  async stats() {
+    throw new Error(`${this.constructor.name} does not implement stats`);
+  }
+
+  async close() {}
+
+  channelOf(item) {
+    return item.type;
+  }
+
+  laneOf(item) {
+    return LaneScheduler.laneFor(item);
+  }
+
+  resolveAvailableAt(item, options = {}, now = Date.now()) {
+    if (options.delayMs !== undefined) {
+      return now + options.delayMs;
+    }
+
+    const availableAt = options.availableAt || item.nextAttemptAt;
+    return availableAt ? new Date(availableAt).getTime() : now;
+  }
+}
+
+module.exports = QueueBackend;
@@ -0,0 +1,363 @@
+const Redis = require('ioredis');
+const QueueBackend = require('./QueueBackend');
+const LaneScheduler = require('./LaneScheduler');
+const config = require('../config/config');
+
+const { LANES } = LaneScheduler;
+
+/*
+ * Layout, under `prefix`:
+ *   :items                    hash   id -> notification JSON
+ *   :meta                     hash   id -> { channel, lane, enqueuedAt, laneEnteredAt, availableAt }
+ *   :ready:<channel>:<lane>   zset   id scored by availableAt
+ *   :aging:<channel>:<lane>   zset   the same ids scored by when they start
+ *                                    to age: max(laneEnteredAt, availableAt)
+ *   :reserved                 zset   id scored by visibility deadline
+ *   :channels                 set    channels that have ever held items
+ *
+ * Payloads are kept apart from the metadata the scripts decode, because
+ * Lua's cjson cannot round-trip empty arrays. Scripts build ready-set keys
+ * from the prefix, so this backend targets a single Redis node or a
+ * replicated primary, not Redis Cluster.
+ */
+
+// Prepended to the scripts that move items in and out of their lane: a
+// ready item is always in both its ready set and its aging set
+const LANE_SETS = `
+  local function addReady(prefix, id, meta)
+    local lane = meta.channel .. ':' .. meta.lane
+    redis.call('ZADD', prefix .. ':ready:' .. lane, meta.availableAt, id)
+    redis.call('ZADD', prefix .. ':aging:' .. lane, math.max(meta.laneEnteredAt, meta.availableAt), id)
+  end
+  local function removeReady(prefix, id, meta)
+    local lane = meta.channel .. ':' .. meta.lane
+    redis.call('ZREM', prefix .. ':ready:' .. lane, id)
+    redis.call('ZREM', prefix .. ':aging:' .. lane, id)
+  end
+`;
+
+const REQUEUE_EXPIRED = LANE_SETS + `
+  local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[2])
+  for _, id in ipairs(expired) do
+    local raw = redis.call('HGET', KEYS[2], id)
+    if raw then
+      addReady(ARGV[1], id, cjson.decode(raw))
+    end
+    redis.call('ZREM', KEYS[1], id)
+  end
+  return #expired
+`;
+
+// ARGV: prefix, id, payload ('' keeps the stored one), meta JSON ('' keeps stored), keepLane, availableAt
+const UPSERT = LANE_SETS + `
+  local stored = redis.call('HGET', KEYS[2], ARGV[2])
+  local meta
+  if stored then
+    local previous = cjson.decode(stored)
+    removeReady(ARGV[1], ARGV[2], previous)
+    if ARGV[4] == '' then
+      meta = previous
+    else
+      meta = cjson.decode(ARGV[4])
+      meta.enqueuedAt = previous.enqueuedAt
+    end
+    if ARGV[5] == '1' then
+      meta.lane = previous.lane
+      meta.laneEnteredAt = previous.laneEnteredAt
+    end
+  elseif ARGV[4] ~= '' and ARGV[3] ~= '' then
+    meta = cjson.decode(ARGV[4])
+  else
+    return 0
+  end
+  meta.availableAt = tonumber(ARGV[6])
+  if ARGV[3] ~= '' then
+    redis.call('HSET', KEYS[1], ARGV[2], ARGV[3])
+  end
+  redis.call('HSET', KEYS[2], ARGV[2], cjson.encode(meta))
+  redis.call('ZREM', KEYS[3], ARGV[2])
+  redis.call('SADD', KEYS[4], meta.channel)
+  addReady(ARGV[1], ARGV[2], meta)
+  return 1
+`;
+
+// KEYS: ready set, reserved, items, aging set. ARGV: now, limit, visibility deadline
+const RESERVE = `
+  local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[2]))
+  local payloads = {}
+  for _, id in ipairs(ids) do
+    redis.call('ZREM', KEYS[1], id)
+    redis.call('ZREM', KEYS[4], id)
+    redis.call('ZADD', KEYS[2], ARGV[3], id)
+    local payload = redis.call('HGET', KEYS[3], id)
+    if payload then
+      table.insert(payloads, payload)
+    end
+  end
+  return payloads
+`;
+
+// KEYS: items, meta, reserved. ARGV: prefix, id. Returns the payload, if any.
+const REMOVE = LANE_SETS + `
+  local raw = redis.call('HGET', KEYS[2], ARGV[2])
+  if raw then
+    removeReady(ARGV[1], ARGV[2], cjson.decode(raw))
+  end
+  local payload = redis.call('HGET', KEYS[1], ARGV[2])
+  redis.call('ZREM', KEYS[3], ARGV[2])
+  redis.call('HDEL', KEYS[1], ARGV[2])
+  redis.call('HDEL', KEYS[2], ARGV[2])
+  return payload
+`;
+
+// KEYS: meta, reserved. ARGV: prefix, id, now, until
+const DELAY = LANE_SETS + `
+  local deadline = redis.call('ZSCORE', KEYS[2], ARGV[2])
+  if deadline and tonumber(deadline) > tonumber(ARGV[3]) then
+    redis.call('ZADD', KEYS[2], ARGV[4], ARGV[2])
+    return 1
+  end
+  local raw = redis.call('HGET', KEYS[1], ARGV[2])
+  if not raw then
+    return 0
+  end
+  local meta = cjson.decode(raw)
+  meta.availableAt = tonumber(ARGV[4])
+  redis.call('HSET', KEYS[1], ARGV[2], cjson.encode(meta))
+  redis.call('ZREM', KEYS[2], ARGV[2])
+  addReady(ARGV[1], ARGV[2], meta)
+  return 1
+`;
+
+// KEYS: meta, channels. ARGV: prefix, now, cutoff. Only reads the aging sets
+// up to the cutoff, so each call costs what it promotes. An item moves at
+// most one lane per call: once moved, it ages from now.
+const PROMOTE = LANE_SETS + `
+  local lanes = { 'high', 'normal', 'low' }
+  local promoted = 0
+  for _, channel in ipairs(redis.call('SMEMBERS', KEYS[2])) do
+    for i = 2, #lanes do
+      local aging = ARGV[1] .. ':aging:' .. channel .. ':' .. lanes[i]
+      for _, id in ipairs(redis.call('ZRANGEBYSCORE', aging, '-inf', ARGV[3])) do
+        local raw = redis.call('HGET', KEYS[1], id)
+        if raw then
+          local meta = cjson.decode(raw)
+          removeReady(ARGV[1], id, meta)
+          meta.lane = lanes[i - 1]
+          meta.laneEnteredAt = tonumber(ARGV[2])
+          redis.call('HSET', KEYS[1], id, cjson.encode(meta))
+          addReady(ARGV[1], id, meta)
+          promoted = promoted + 1
+        else
+          -- Its metadata is gone; drop the stale index entry
+          redis.call('ZREM', aging, id)
+        end
+      end
+    end
+  end
+  return promoted
+`;
+
+/**
+ * Queue shared through Redis, for running several service instances against
+ * one queue. Every state change is a Lua script, so reservations are atomic
+ * across instances.
+ */
+class RedisQueue extends QueueBackend {
+  constructor(options = {}) {
+    super();
+    this.name = 'redis';
+    this.durable = true;
+    this.prefix = options.prefix || config.QUEUE_REDIS_PREFIX;
+    this.redis = options.client || new Redis(options.url || config.REDIS_URL, {
+      password: config.REDIS_PASSWORD || undefined,
+      lazyConnect: true,
+      maxRetriesPerRequest: 3
+    });
+
+    this.keys = {
+      items: `${this.prefix}:items`,
+      meta: `${this.prefix}:meta`,
+      reserved: `${this.prefix}:reserved`,
+      channels: `${this.prefix}:channels`
+    };
+
+    this.redis.defineCommand('queueRequeueExpired', { numberOfKeys: 2, lua: REQUEUE_EXPIRED });
+    this.redis.defineCommand('queueUpsert', { numberOfKeys: 4, lua: UPSERT });
+    this.redis.defineCommand('queueReserve', { numberOfKeys: 4, lua: RESERVE });
+    this.redis.defineCommand('queueRemove', { numberOfKeys: 3, lua: REMOVE });
+    this.redis.defineCommand('queueDelay', { numberOfKeys: 2, lua: DELAY });
+    this.redis.defineCommand('queuePromote', { numberOfKeys: 2, lua: PROMOTE });
+  }
+
+  async init() {
+    if (this.redis.status === 'wait') {
+      await this.redis.connect();
+    }
+    console.log(`🧰 Connected to Redis queue at prefix ${this.prefix}`);
+  }
+
+  readyKey(channel, lane) {
+    return `${this.prefix}:ready:${channel}:${lane}`;
+  }
+
+  agingKey(channel, lane) {
+    return `${this.prefix}:aging:${channel}:${lane}`;
+  }
+
+  upsert(id, { payload = '', meta = '', keepLane = false, availableAt }) {
+    const { items, meta: metaKey, reserved, channels } = this.keys;
+    return this.redis.queueUpsert(
+      items, metaKey, reserved, channels,
+      this.prefix, id, payload, meta, keepLane ? '1' : '0', availableAt
+    );
+  }
+
+  requeueExpired(now = Date.now()) {
+    return this.redis.queueRequeueExpired(this.keys.reserved, this.keys.meta, this.prefix, now);
+  }
+
+  async enqueue(item, options = {}) {
+    const now = Date.now();
+    const meta = {
+      channel: this.channelOf(item),
+      lane: this.laneOf(item),
+      enqueuedAt: now,
+      laneEnteredAt: now
+    };
+
+    await this.upsert(item.id, {
+      payload: JSON.stringify(item),
+      meta: JSON.stringify(meta),
+      availableAt: this.resolveAvailableAt(item, options, now)
+    });
+  }
+
+  async reserve({ channel, lane, limit, visibilityTimeoutMs }) {
+    const now = Date.now();
+    await this.requeueExpired(now);
+
+    const payloads = await this.redis.queueReserve(
+      this.readyKey(channel, lane), this.keys.reserved, this.keys.items, this.agingKey(channel, lane),
+      now, limit, now + visibilityTimeoutMs
+    );
+
+    return payloads.map(payload => JSON.parse(payload));
+  }
+
+  async ack(id) {
+    await this.remove(id);
+  }
+
+  async nack(id, { delayMs = 0, item } = {}) {
+    const now = Date.now();
+    const updated = await this.upsert(id, {
+      payload: item ? JSON.stringify(item) : '',
+      keepLane: true,
+      availableAt: now + delayMs
+    });
+
+    if (!updated && item) {
+      await this.enqueue(item, { delayMs });
+    }
+  }
+
+  async delay(id, delayMs) {
+    const now = Date.now();
+    const delayed = await this.redis.queueDelay(
+      this.keys.meta, this.keys.reserved, this.prefix, id, now, now + delayMs
+    );
+    return delayed === 1;
+  }
+
+  async remove(id) {
+    const payload = await this.redis.queueRemove(
+      this.keys.items, this.keys.meta, this.keys.reserved, this.prefix, id
+    );
+    return payload ? JSON.parse(payload) : null;
+  }
+
+  async has(id) {
+    return (await this.redis.hexists(this.keys.meta, id)) === 1;
+  }
+
+  async size() {
+    return this.redis.hlen(this.keys.meta);
+  }
+
+  async readyCounts() {
+    const now = Date.now();
+    await this.requeueExpired(now);
+
+    const channels = await this.redis.smembers(this.keys.channels);
+    const pipeline = this.redis.pipeline();
+
+    for (const channel of channels) {
+      for (const lane of LANES) {
+        pipeline.zcount(this.readyKey(channel, lane), '-inf', now);
+      }
+    }
+
+    const results = await pipeline.exec();
+    const counts = {};
+    let index = 0;
+
+    for (const channel of channels) {
+      for (const lane of LANES) {
+        const [error, count] = results[index++];
+        if (error) {
+          throw error;
+        }
+        if (count > 0) {
+          counts[channel] = counts[channel] || {};
+          counts[channel][lane] = count;
+        }
+      }
+    }
+
+    return counts;
+  }
+
+  async promoteAged(agingIntervalMs) {
+    const now = Date.now();
+    await this.requeueExpired(now);
+
+    return this.redis.queuePromote(this.keys.meta, this.keys.channels, this.prefix, now, now - agingIntervalMs);
+  }
+
+  async stats() {
+    const now = Date.now();
+    const channels = await this.redis.smembers(this.keys.channels);
+    const lanes = {};
+
+    for (const lane of LANES) {
+      lanes[lane] = { size: 0, ready: 0, oldestWaitMs: 0 };
+
+      for (const channel of channels) {
+        const key = this.readyKey(channel, lane);
+        const [size, ready, oldest] = await Promise.all([
+          this.redis.zcard(key),
+          this.redis.zcount(key, '-inf', now),
+          this.redis.zrange(key, 0, 0, 'WITHSCORES')
+        ]);
+
+        lanes[lane].size += size;
+        lanes[lane].ready += ready;
+
+        if (oldest.length === 2 && Number(oldest[1]) <= now) {
+          lanes[lane].oldestWaitMs = Math.max(lanes[lane].oldestWaitMs, now - Number(oldest[1]));
+        }
+      }
+    }
+
+    const reserved = await this.redis.zcount(this.keys.reserved, now + 1, '+inf');
+
+    return { lanes, reserved };
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+}
+
+module.exports = RedisQueue;
@@ -0,0 +1,223 @@
+const QueueBackend = require('./QueueBackend');
+const LaneScheduler = require('./LaneScheduler');
+
+const { LANES } = LaneScheduler;
+
+/**
+ * Queue stored in a `queue_items` table next to the notifications, so it
+ * survives restarts on a single node. Reservations are single UPDATE
+ * statements, which keeps them atomic even with several processes on one file.
+ */
+class SQLiteQueue extends QueueBackend {
+  constructor(database) {
+    super();
+    this.name = 'sqlite';
+    this.database = database;
+    this.durable = true;
+  }
+
+  async init() {
+    await this.database.ready;
+    await this.database.exec(`
+      CREATE TABLE IF NOT EXISTS queue_items (
+        id TEXT PRIMARY KEY,
+        channel TEXT NOT NULL,
+        lane TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        enqueuedAt INTEGER NOT NULL,
+        laneEnteredAt INTEGER NOT NULL,
+        availableAt INTEGER NOT NULL,
+        reservedUntil INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_queue_items_ready ON queue_items(channel, lane, availableAt);
+    `);
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.database.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('Queue query failed:', err);
+          reject(err);
+        } else {
+          resolve({ changes: this.changes });
+        }
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.database.db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('Queue query failed:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  async enqueue(item, options = {}) {
+    const now = Date.now();
+
+    await this.run(`
+      INSERT INTO queue_items (id, channel, lane, payload, enqueuedAt, laneEnteredAt, availableAt, reservedUntil)
+      VALUES (?, ?, ?, ?, ?, ?, ?, NULL)
+      ON CONFLICT(id) DO UPDATE SET
+        channel = excluded.channel,
+        lane = excluded.lane,
+        payload = excluded.payload,
+        laneEnteredAt = excluded.laneEnteredAt,
+        availableAt = excluded.availableAt,
+        reservedUntil = NULL
+    `, [
+      item.id,
+      this.channelOf(item),
+      this.laneOf(item),
+      JSON.stringify(item),
+      now,
+      now,
+      this.resolveAvailableAt(item, options, now)
+    ]);
+  }
+
+  async reserve({ channel, lane, limit, visibilityTimeoutMs }) {
+    const now = Date.now();
+
+    const rows = await this.all(`
+      UPDATE queue_items SET reservedUntil = ?
+      WHERE id IN (
+        SELECT id FROM queue_items
+        WHERE channel = ? AND lane = ? AND availableAt <= ?
+          AND (reservedUntil IS NULL OR reservedUntil <= ?)
+        ORDER BY availableAt, enqueuedAt
+        LIMIT ?
+      )
+      RETURNING payload, availableAt, enqueuedAt
+    `, [now + visibilityTimeoutMs, channel, lane, now, now, limit]);
+
+    // RETURNING does not preserve the subquery's order
+    return rows
+      .sort((a, b) => a.availableAt - b.availableAt || a.enqueuedAt - b.enqueuedAt)
+      .map(row => JSON.parse(row.payload));
+  }
+
+  async ack(id) {
+    await this.run('DELETE FROM queue_items WHERE id = ?', [id]);
+  }
+
+  async nack(id, { delayMs = 0, item } = {}) {
+    const availableAt = Date.now() + delayMs;
+
+    const { changes } = item
+      ? await this.run(
+        'UPDATE queue_items SET payload = ?, availableAt = ?, reservedUntil = NULL WHERE id = ?',
+        [JSON.stringify(item), availableAt, id]
+      )
+      : await this.run(
+        'UPDATE queue_items SET availableAt = ?, reservedUntil = NULL WHERE id = ?',
+        [availableAt, id]
+      );
+
+    if (changes === 0 && item) {
+      await this.enqueue(item, { delayMs });
+    }
+  }
+
+  async delay(id, delayMs) {
+    const now = Date.now();
+
+    const { changes } = await this.run(`
+      UPDATE queue_items SET
+        reservedUntil = CASE WHEN reservedUntil > ? THEN ? ELSE reservedUntil END,
+        availableAt = CASE WHEN reservedUntil > ? THEN availableAt ELSE ? END
+      WHERE id = ?
+    `, [now, now + delayMs, now, now + delayMs, id]);
+
+    return changes > 0;
+  }
+
+  async remove(id) {
+    const rows = await this.all('DELETE FROM queue_items WHERE id = ? RETURNING payload', [id]);
+    return rows.length > 0 ? JSON.parse(rows[0].payload) : null;
+  }
+
+  async has(id) {
+    const rows = await this.all('SELECT 1 FROM queue_items WHERE id = ?', [id]);
+    return rows.length > 0;
+  }
+
+  async size() {
+    const rows = await this.all('SELECT COUNT(*) as size FROM queue_items');
+    return rows[0].size;
+  }
+
+  async readyCounts() {
+    const now = Date.now();
+    const rows = await this.all(`
+      SELECT channel, lane, COUNT(*) as count FROM queue_items
+      WHERE availableAt <= ? AND (reservedUntil IS NULL OR reservedUntil <= ?)
+      GROUP BY channel, lane
+    `, [now, now]);
+
+    const counts = {};
+    for (const row of rows) {
+      counts[row.channel] = counts[row.channel] || {};
+      counts[row.channel][row.lane] = row.count;
+    }
+    return counts;
+  }
+
+  async promoteAged(agingIntervalMs) {
+    const now = Date.now();
+
+    // The CASE is evaluated once per row, so nothing moves more than one lane per call
+    const { changes } = await this.run(`
+      UPDATE queue_items SET
+        lane = CASE lane WHEN 'normal' THEN 'high' WHEN 'low' THEN 'normal' END,
+        laneEnteredAt = ?
+      WHERE lane IN ('normal', 'low')
+        AND availableAt <= ?
+        AND (reservedUntil IS NULL OR reservedUntil <= ?)
+        AND MAX(laneEnteredAt, availableAt) <= ?
+    `, [now, now, now, now - agingIntervalMs]);
+
+    return changes;
+  }
+
+  async stats() {
+    const now = Date.now();
+    const rows = await this.all(`
+      SELECT
+        lane,
+        COUNT(CASE WHEN reservedUntil IS NULL OR reservedUntil <= ? THEN 1 END) as size,
+        COUNT(CASE WHEN (reservedUntil IS NULL OR reservedUntil <= ?) AND availableAt <= ? THEN 1 END) as ready,
+        COUNT(CASE WHEN reservedUntil > ? THEN 1 END) as reserved,
+        MIN(CASE WHEN (reservedUntil IS NULL OR reservedUntil <= ?) AND availableAt <= ? THEN availableAt END) as oldestAvailableAt
+      FROM queue_items
+      GROUP BY lane
+    `, [now, now, now, now, now, now]);
+
+    const lanes = {};
+    let reserved = 0;
+
+    for (const lane of LANES) {
+      lanes[lane] = { size: 0, ready: 0, oldestWaitMs: 0 };
+    }
+
+    for (const row of rows) {
+      reserved += row.reserved;
+      lanes[row.lane] = {
+        size: row.size,
+        ready: row.ready,
+        oldestWaitMs: row.oldestAvailableAt ? now - row.oldestAvailableAt : 0
+      };
+    }
+
+    return { lanes, reserved };
+  }
+}
+
+module.exports = SQLiteQueue;
@@ -0,0 +1,28 @@
+const config = require('../config/config');
+const MemoryQueue = require('./MemoryQueue');
+const SQLiteQueue = require('./SQLiteQueue');
+
+/**
+ * Build the queue backend named by QUEUE_BACKEND. Redis is required lazily so
+ * the other backends work without a Redis client configured.
+ */
+function createQueue(backend = config.QUEUE_BACKEND, database, options = {}) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryQueue();
+    case 'sqlite':
+      return new SQLiteQueue(database);
+    case 'redis': {
+      const RedisQueue = require('./RedisQueue');
+      return new RedisQueue(options);
+    }
+    default:
+      throw new Error(`Unknown queue backend: ${backend}`);
+  }
+}
+
+module.exports = {
+  createQueue,
+  MemoryQueue,
+  SQLiteQueue
+};
@@ -0,0 +1,142 @@
+const express = require('express');
+
+function createApiKeyRouter(apiKeyService) {
+  const router = express.Router();
+
+  // List keys (never their secrets). Revoked keys only with includeRevoked=true.
+  router.get('/', async (req, res) => {
+    try {
+      const keys = await apiKeyService.listKeys({
+        tenantId: req.tenant.id,
+        includeRevoked: req.query.includeRevoked === 'true'
+      });
+
+      res.status(200).json({ keys });
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Issue a key. The response is the only place the key itself appears.
+  router.post('/', async (req, res) => {
+    try {
+      const { name, scopes } = req.body;
+
+      if (typeof name !== 'string' || name.trim() === '') {
+        return res.status(400).json({
+          error: 'name is required'
+        });
+      }
+
+      const scopesError = apiKeyService.validateScopes(scopes);
+      if (scopesError) {
+        return res.status(400).json({
+          error: scopesError
+        });
+      }
+
+      const { apiKey, key } = await apiKeyService.createKey({ tenantId: req.tenant.id, name: name.trim(), scopes });
+
+      res.status(201).json({
+        ...apiKey,
+        key
+      });
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const apiKey = await apiKeyService.getKey(req.params.id, req.tenant.id);
+
+      if (!apiKey) {
+        return res.status(404).json({
+          error: 'API key not found'
+        });
+      }
+
+      res.status(200).json(apiKey);
+    } catch (error) {
+      console.error('Error getting API key:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Issue a new secret for an existing key; the old one stops working immediately
+  router.post('/:id/rotate', async (req, res) => {
+    try {
+      const { status, apiKey, key } = await apiKeyService.rotateKey(req.params.id, req.tenant.id);
+
+      if (status === 'not_found') {
+        return res.status(404).json({
+          error: 'API key not found'
+        });
+      }
+
+      if (status === 'conflict') {
+        return res.status(409).json({
+          error: 'API key has been revoked',
+          revokedAt: apiKey.revokedAt
+        });
+      }
+
+      res.status(200).json({
+        ...apiKey,
+        key
+      });
+    } catch (error) {
+      console.error('Error rotating API key:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const { status, apiKey } = await apiKeyService.revokeKey(req.params.id, req.tenant.id);
+
+      if (status === 'not_found') {
+        return res.status(404).json({
+          error: 'API key not found'
+        });
+      }
+
+      if (status === 'conflict') {
+        return res.status(409).json({
+          error: 'API key is already revoked',
+          revokedAt: apiKey.revokedAt
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        id: apiKey.id,
+        revokedAt: apiKey.revokedAt
+      });
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createApiKeyRouter;
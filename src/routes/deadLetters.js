@@ -0,0 +1,199 @@
+const express = require('express');
+
+const FILTER_FIELDS = ['type', 'errorCode', 'recipient', 'reason', 'since', 'until'];
+
+function pickFilter(source = {}) {
+  const filter = {};
+
+  for (const field of FILTER_FIELDS) {
+    if (source[field]) {
+      filter[field] = source[field];
+    }
+  }
+
+  return filter;
+}
+
+function createDeadLetterRouter(deadLetterService) {
+  const router = express.Router();
+
+  // List dead letters, newest first
+  router.get('/', async (req, res) => {
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+      const result = await deadLetterService.listDeadLetters({
+        ...pickFilter(req.query),
+        tenantId: req.tenant.id,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Error listing dead letters:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Requeue several dead letters, by explicit ids or by filter
+  router.post('/requeue', async (req, res) => {
+    try {
+      const { ids, filter, updates = {} } = req.body;
+
+      if (ids !== undefined && !Array.isArray(ids)) {
+        return res.status(400).json({
+          error: 'ids must be an array'
+        });
+      }
+
+      if (!ids && !filter) {
+        return res.status(400).json({
+          error: 'Either ids or filter is required'
+        });
+      }
+
+      const validationError = deadLetterService.validateUpdates(updates);
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError
+        });
+      }
+
+      const results = await deadLetterService.requeueMany({
+        ids,
+        filter: pickFilter(filter),
+        updates,
+        tenantId: req.tenant.id
+      });
+
+      res.status(200).json({
+        success: true,
+        requeued: results.filter(result => result.status === 'requeued').length,
+        results
+      });
+    } catch (error) {
+      console.error('Error requeueing dead letters:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Inspect a dead letter with its notification and full attempt history
+  router.get('/:id', async (req, res) => {
+    try {
+      const deadLetter = await deadLetterService.getDeadLetter(req.params.id, req.tenant.id);
+
+      if (!deadLetter) {
+        return res.status(404).json({
+          error: 'Dead letter not found'
+        });
+      }
+
+      res.status(200).json(deadLetter);
+    } catch (error) {
+      console.error('Error getting dead letter:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Requeue a single dead letter, optionally with an edited payload
+  router.post('/:id/requeue', async (req, res) => {
+    try {
+      const updates = req.body.updates || {};
+
+      const validationError = deadLetterService.validateUpdates(updates);
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError
+        });
+      }
+
+      const result = await deadLetterService.requeue(req.params.id, updates, req.tenant.id);
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Dead letter not found'
+        });
+      }
+
+      if (result.errors) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: result.errors
+        });
+      }
+
+      res.status(200).json({
+        notificationId: req.params.id,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error requeueing dead letter:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Purge matching dead letters. Purging everything has to be asked for explicitly.
+  router.delete('/', async (req, res) => {
+    try {
+      const filter = pickFilter(req.query);
+
+      if (Object.keys(filter).length === 0 && req.query.all !== 'true') {
+        return res.status(400).json({
+          error: 'Provide a filter, or all=true to purge every dead letter'
+        });
+      }
+
+      const result = await deadLetterService.purge({ ...filter, tenantId: req.tenant.id });
+
+      res.status(200).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error purging dead letters:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      const result = await deadLetterService.purge({ ids: [req.params.id], tenantId: req.tenant.id });
+
+      if (result.deleted === 0) {
+        return res.status(404).json({
+          error: 'Dead letter not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error purging dead letter:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDeadLetterRouter;
@@ -0,0 +1,158 @@
+const express = require('express');
+
+const DOCS_PATH = '/api/docs';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function refName(ref) {
+  return ref.split('/').pop();
+}
+
+// A schema reference as a link to its section, anything else as its type
+function schemaLabel(schema = {}) {
+  if (schema.$ref) {
+    const name = refName(schema.$ref);
+    return `<a href="#schema-${name}">${escapeHtml(name)}</a>`;
+  }
+
+  if (schema.type === 'array') {
+    return `array of ${schemaLabel(schema.items)}`;
+  }
+
+  const details = [
+    schema.format,
+    schema.enum && `one of ${schema.enum.join(', ')}`,
+    schema.minimum !== undefined && `≥ ${schema.minimum}`,
+    schema.maximum !== undefined && `≤ ${schema.maximum}`,
+    schema.default !== undefined && `default ${schema.default}`
+  ].filter(Boolean);
+
+  return escapeHtml(`${schema.type || 'any'}${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+}
+
+function renderOperation(document, path, method, operation) {
+  const parameters = (operation.parameters || []).map(parameter => (
+    parameter.$ref ? document.components.parameters[refName(parameter.$ref)] : parameter
+  ));
+
+  const access = operation.security && operation.security.length === 0
+    ? 'public'
+    : operation['x-operator-only'] ? 'operator only' : `scope: ${operation['x-required-scope']}`;
+
+  const parameterRows = parameters.map(parameter => `
+        <tr>
+          <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' *' : ''}</td>
+          <td>${escapeHtml(parameter.in)}</td>
+          <td>${schemaLabel(parameter.schema)}</td>
+          <td>${escapeHtml(parameter.description || '')}</td>
+        </tr>`).join('');
+
+  const responseRows = Object.entries(operation.responses).map(([status, response]) => {
+    const resolved = response.$ref ? document.components.responses[refName(response.$ref)] : response;
+    const content = resolved.content && Object.values(resolved.content)[0];
+    return `
+        <tr>
+          <td>${escapeHtml(status)}</td>
+          <td>${escapeHtml(resolved.description)}</td>
+          <td>${content ? schemaLabel(content.schema) : ''}</td>
+        </tr>`;
+  }).join('');
+
+  const bodyContent = operation.requestBody && operation.requestBody.content;
+  let requestBody = '';
+  if (bodyContent && bodyContent['application/json']) {
+    requestBody = `<p>Body: ${schemaLabel(bodyContent['application/json'].schema)}</p>`;
+  } else if (bodyContent) {
+    requestBody = `<p>Body: ${Object.keys(bodyContent).map(type => `<code>${escapeHtml(type)}</code>`).join(' or ')}</p>`;
+  }
+
+  return `
+    <section class="operation">
+      <h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+      <p>${escapeHtml(operation.summary)} <em>(${escapeHtml(access)})</em></p>
+      ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+      ${parameterRows ? `<table><tr><th>Parameter</th><th>In</th><th>Schema</th><th></th></tr>${parameterRows}</table>` : ''}
+      ${requestBody}
+      <table><tr><th>Status</th><th>Response</th><th>Body</th></tr>${responseRows}</table>
+    </section>`;
+}
+
+/**
+ * The document as one static page. helmet's CSP forbids inline scripts, so
+ * this is plain HTML rather than a JavaScript explorer; the JSON is linked
+ * for tools that want it.
+ */
+function renderDocsPage(document) {
+  const operations = [];
+  for (const [path, item] of Object.entries(document.paths)) {
+    // Show the full path: the version's base, unless the path has servers of its own
+    const base = (item.servers || document.servers)[0].url.replace(/\/$/, '');
+    for (const method of ['get', 'post', 'put', 'patch', 'delete'].filter(name => item[name])) {
+      operations.push({ path: base + path, method, operation: item[method] });
+    }
+  }
+
+  const sections = document.tags.map(({ name }) => {
+    const tagged = operations.filter(({ operation }) => operation.tags.includes(name));
+    return `
+  <h2>${escapeHtml(name)}</h2>${tagged.map(({ path, method, operation }) => renderOperation(document, path, method, operation)).join('')}`;
+  }).join('');
+
+  const schemas = Object.entries(document.components.schemas).map(([name, schema]) => `
+    <section id="schema-${escapeHtml(name)}">
+      <h3>${escapeHtml(name)}</h3>
+      <pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre>
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(document.info.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; }
+    th, td { border: 1px solid #ddd; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+    pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; }
+    .operation { border-top: 1px solid #eee; padding-top: 0.5rem; }
+    .method { display: inline-block; min-width: 4.5rem; color: #fff; border-radius: 3px; padding: 0 0.3rem; font-size: 0.85em; }
+    .get { background: #2b7bb9; } .post { background: #2f9e44; } .patch { background: #e67700; } .delete { background: #c92a2a; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+  <p>${escapeHtml(document.info.description)}</p>
+  <p>Machine-readable: <a href="${DOCS_PATH}/openapi.json">openapi.json</a></p>
+  ${sections}
+  <h2>Schemas</h2>${schemas}
+</body>
+</html>
+`;
+}
+
+// Public, so it is mounted before authentication
+function createDocsRouter(document) {
+  const router = express.Router();
+  const page = renderDocsPage(document);
+
+  router.get('/openapi.json', (req, res) => {
+    res.status(200).json(document);
+  });
+
+  router.get('/', (req, res) => {
+    res.status(200).type('html').send(page);
+  });
+
+  return router;
+}
+
+module.exports = {
+  DOCS_PATH,
+  createDocsRouter
+};
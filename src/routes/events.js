@@ -0,0 +1,252 @@
+const http = require('http');
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const config = require('../config/config');
+const { readCredential, resolveCredential, hasScope } = require('../middleware/auth');
+
+// Relative to an API version's base, e.g. /api/v1
+const EVENTS_PATH = '/notifications/events';
+
+// How long an EventSource waits before reconnecting
+const RECONNECT_DELAY_MS = 3000;
+
+// Clients have nothing large to tell a status stream
+const MAX_CLIENT_MESSAGE_BYTES = 64 * 1024;
+
+/**
+ * What a subscriber asked to follow: a notification, a recipient, or (with
+ * neither) the whole tenant, and the last event it saw. Returns
+ * { notificationId, recipient, lastEventId } or { error }.
+ */
+function parseSubscription(query, lastEventIdHeader) {
+  const { notificationId, recipient } = query;
+
+  for (const [name, value] of Object.entries({ notificationId, recipient })) {
+    if (value !== undefined && (typeof value !== 'string' || value === '')) {
+      return { error: `${name} must be a non-empty string` };
+    }
+  }
+
+  const rawLastEventId = lastEventIdHeader !== undefined ? lastEventIdHeader : query.lastEventId;
+  let lastEventId = null;
+
+  if (rawLastEventId !== undefined && rawLastEventId !== '') {
+    lastEventId = Number(rawLastEventId);
+    if (!Number.isInteger(lastEventId) || lastEventId < 0) {
+      return { error: 'Last-Event-ID must be a non-negative integer' };
+    }
+  }
+
+  return { notificationId, recipient, lastEventId };
+}
+
+function toStreamEvent(event) {
+  return {
+    id: event.id,
+    event: event.event,
+    notificationId: event.notificationId,
+    tenantId: event.tenantId,
+    recipient: event.recipient,
+    type: event.type,
+    status: event.status,
+    data: event.data,
+    createdAt: event.createdAt
+  };
+}
+
+// Server-Sent Events stream, mounted at EVENTS_PATH of a version behind the read scope
+function createEventsRouter(statusEvents) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const subscription = parseSubscription(req.query, req.get('Last-Event-ID'));
+    if (subscription.error) {
+      return res.status(400).json({
+        error: subscription.error
+      });
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const stream = statusEvents.subscribe(
+      { tenantId: req.tenant.id, ...subscription },
+      event => {
+        res.write(`id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify(toStreamEvent(event))}\n\n`);
+      },
+      { onStop: () => res.end() }
+    );
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.STREAM_HEARTBEAT_INTERVAL);
+
+    stream.ready.catch(error => {
+      console.error('Error replaying status events:', error);
+      res.end();
+    });
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      stream.close();
+    });
+  });
+
+  return router;
+}
+
+// Answer an upgrade request with a plain JSON response and hang up
+function rejectUpgrade(socket, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(payload)}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    'Connection: close',
+    '',
+    payload
+  ].join('\r\n'));
+}
+
+/**
+ * Browsers always send Origin on a WebSocket handshake and, unlike fetch,
+ * the server is the only thing standing between another site's page and a
+ * tenant's stream. Pages served from this host and the STREAM_ALLOWED_ORIGINS
+ * may connect; clients that send no Origin are not browsers.
+ */
+function isAllowedOrigin(req, allowedOrigins) {
+  const origin = req.headers.origin;
+
+  if (!origin || allowedOrigins.includes(origin)) {
+    return true;
+  }
+
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The same stream over WebSocket, for the HTTP server's 'upgrade' event.
+ * Express never sees upgrade requests, so the Origin, authentication and the
+ * read scope are checked here before the handshake. `paths` maps each full
+ * path the stream is served on to extra headers for its responses
+ * (deprecation notices of legacy paths). Each event is sent as one JSON text
+ * frame.
+ */
+function createEventsUpgradeHandler({
+  apiKeyService,
+  tenantService,
+  statusEvents,
+  paths,
+  allowedOrigins = config.STREAM_ALLOWED_ORIGINS,
+  isShuttingDown = () => false
+}) {
+  const server = new WebSocketServer({ noServer: true, maxPayload: MAX_CLIENT_MESSAGE_BYTES });
+  const pathOf = req => new URL(req.url, 'http://localhost').pathname;
+
+  // The 101 response carries the same path headers as any other answer
+  server.on('headers', (headers, req) => {
+    for (const [name, value] of Object.entries(paths[pathOf(req)] || {})) {
+      headers.push(`${name}: ${value}`);
+    }
+  });
+
+  return async (req, socket, head) => {
+    socket.on('error', () => socket.destroy());
+
+    const url = new URL(req.url, 'http://localhost');
+    const pathHeaders = paths[url.pathname];
+
+    if (!pathHeaders) {
+      return rejectUpgrade(socket, 404, {
+        error: 'Not found',
+        message: `Route ${url.pathname} not found`
+      });
+    }
+
+    const reject = (status, body, headers = {}) => rejectUpgrade(socket, status, body, { ...pathHeaders, ...headers });
+
+    if (isShuttingDown()) {
+      return reject(503, {
+        error: 'Service unavailable',
+        message: 'Server is shutting down'
+      });
+    }
+
+    if (!isAllowedOrigin(req, allowedOrigins)) {
+      return reject(403, { error: 'Forbidden', message: `Origin ${req.headers.origin} may not open status streams` });
+    }
+
+    try {
+      const query = Object.fromEntries(url.searchParams);
+      const { credential, error } = readCredential(req, query.access_token);
+
+      if (error) {
+        return reject(401, { error: 'Unauthorized', message: error }, { 'WWW-Authenticate': 'Bearer' });
+      }
+
+      const result = await resolveCredential(apiKeyService, tenantService, credential, req.headers['x-tenant-id']);
+
+      if (result.status === 401) {
+        return reject(401, { error: 'Unauthorized', message: result.message }, { 'WWW-Authenticate': 'Bearer' });
+      }
+
+      if (result.status === 403) {
+        return reject(403, { error: 'Forbidden', message: result.message });
+      }
+
+      if (!hasScope(result.principal, 'read')) {
+        return reject(403, { error: 'Forbidden', message: 'This credential lacks the read scope' });
+      }
+
+      const subscription = parseSubscription(query, req.headers['last-event-id']);
+      if (subscription.error) {
+        return reject(400, { error: subscription.error });
+      }
+
+      // ws answers malformed handshakes itself
+      server.handleUpgrade(req, socket, head, connection => {
+        const stream = statusEvents.subscribe(
+          { tenantId: result.tenant.id, ...subscription },
+          event => connection.send(JSON.stringify(toStreamEvent(event))),
+          { onStop: () => connection.close(1001) }
+        );
+
+        const heartbeat = setInterval(() => connection.ping(), config.STREAM_HEARTBEAT_INTERVAL);
+
+        stream.ready.catch(error => {
+          console.error('Error replaying status events:', error);
+          connection.close(1011);
+        });
+
+        connection.on('error', () => connection.terminate());
+        connection.on('close', () => {
+          clearInterval(heartbeat);
+          stream.close();
+        });
+      });
+    } catch (error) {
+      console.error('Error opening status stream:', error);
+      reject(500, {
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  };
+}
+
+module.exports = {
+  EVENTS_PATH,
+  createEventsRouter,
+  createEventsUpgradeHandler
+};
@@ -0,0 +1,114 @@
+const express = require('express');
+const { requireScope } = require('../middleware/auth');
+const { UPLOAD_FORMATS } = require('../utils/upload');
+
+function createJobRouter(bulkJobService) {
+  const router = express.Router();
+
+  // Start a bulk job from a CSV or NDJSON upload. The response comes once the
+  // upload is stored; its rows are read in the background (poll GET /:id).
+  router.post('/', requireScope('send'), async (req, res) => {
+    try {
+      const contentType = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+      const format = UPLOAD_FORMATS[contentType];
+
+      if (!format) {
+        return res.status(415).json({
+          error: 'Unsupported upload format',
+          message: `Send the rows as ${Object.keys(UPLOAD_FORMATS).join(' or ')}`
+        });
+      }
+
+      const job = await bulkJobService.createJob({ tenantId: req.tenant.id, createdBy: req.principal.id, format });
+      const started = await bulkJobService.startJob(job, req);
+
+      res.status(202).location(`${req.baseUrl}/${started.id}`).json(started);
+    } catch (error) {
+      console.error('Error starting bulk job:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // List jobs, newest first
+  router.get('/', requireScope('read'), async (req, res) => {
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+      const jobs = await bulkJobService.listJobs({
+        tenantId: req.tenant.id,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+
+      res.status(200).json({ jobs });
+    } catch (error) {
+      console.error('Error listing bulk jobs:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Progress so far, with a page of the rows that were rejected or could not be queued
+  router.get('/:id', requireScope('read'), async (req, res) => {
+    try {
+      const { errorsLimit = 100, errorsOffset = 0 } = req.query;
+      const job = await bulkJobService.getJob(req.params.id, req.tenant.id, {
+        errorsLimit: parseInt(errorsLimit),
+        errorsOffset: parseInt(errorsOffset)
+      });
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found'
+        });
+      }
+
+      res.status(200).json(job);
+    } catch (error) {
+      console.error('Error getting bulk job:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Cancel a job: stop reading its upload and cancel its notifications that have not gone out
+  router.delete('/:id', requireScope('send'), async (req, res) => {
+    try {
+      const { status, job } = await bulkJobService.cancelJob(req.params.id, req.tenant.id);
+
+      if (status === 'not_found') {
+        return res.status(404).json({
+          error: 'Job not found'
+        });
+      }
+
+      if (status === 'conflict') {
+        return res.status(409).json({
+          error: 'Job is already cancelled',
+          cancelledAt: job.cancelledAt
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        ...job
+      });
+    } catch (error) {
+      console.error('Error cancelling bulk job:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createJobRouter;
@@ -0,0 +1,354 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { parseScheduledTime } = require('../utils/schedule');
+const { parseStatsRange } = require('../utils/stats');
+const { parsePageQuery } = require('../utils/pagination');
+const { parseFilter, toSearchQuery } = require('../utils/historyFilter');
+const { validateNotification } = require('../utils/validation');
+const TenantService = require('../services/TenantService');
+const idempotency = require('../middleware/idempotency');
+const { requireScope } = require('../middleware/auth');
+const { createEventsRouter } = require('./events');
+
+const CANCEL_FILTER_FIELDS = ['type', 'status', 'recipient', 'startDate', 'endDate', 'scheduledFrom', 'scheduledTo'];
+
+// Sending, inspecting and cancelling notifications, mounted at /notifications of an API version
+function createNotificationRouter({ notificationService, idempotencyService, statusEvents }) {
+  const router = express.Router();
+
+  // Send notification endpoint
+  router.post('/send', requireScope('send'), idempotency(idempotencyService, 'send'), async (req, res) => {
+    try {
+      const validationErrors = validateNotification(req.body);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: validationErrors
+        });
+      }
+
+      const { payload, errors: templateErrors } = await notificationService.applyTemplate(req.body, req.tenant.id);
+      if (templateErrors) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: templateErrors
+        });
+      }
+
+      const { recipient, message, type, priority, metadata, templateId, locale } = payload;
+      const { scheduledAt } = parseScheduledTime(payload);
+
+      const notificationId = uuidv4();
+      const notification = {
+        id: notificationId,
+        recipient,
+        message,
+        type,
+        priority: priority || 'normal',
+        metadata: metadata || {},
+        timestamp: new Date().toISOString(),
+        status: 'pending',
+        scheduledAt,
+        createdBy: req.principal.id,
+        tenantId: req.tenant.id,
+        templateId,
+        locale
+      };
+
+      // Process notification
+      const result = await notificationService.sendNotification(notification);
+
+      res.status(200).json({
+        success: true,
+        notificationId,
+        status: result.status,
+        ...(result.scheduledAt && { scheduledAt: result.scheduledAt }),
+        message: result.status === 'scheduled'
+          ? 'Notification scheduled for delivery'
+          : 'Notification queued for delivery'
+      });
+
+    } catch (error) {
+      if (error instanceof TenantService.QuotaExceededError) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((Date.parse(error.quota.resetAt) - Date.now()) / 1000))));
+        return res.status(429).json({
+          error: 'Quota exceeded',
+          message: error.message,
+          quota: error.quota
+        });
+      }
+
+      console.error('Error sending notification:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Render a notification as its channel's provider would send it, without sending or storing it
+  router.post('/preview', requireScope('read'), async (req, res) => {
+    try {
+      const validationErrors = validateNotification(req.body);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: validationErrors
+        });
+      }
+
+      const { payload, errors: templateErrors } = await notificationService.applyTemplate(req.body, req.tenant.id);
+      if (templateErrors) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: templateErrors
+        });
+      }
+
+      const { recipient, message, type, priority, metadata, templateId, locale } = payload;
+      const preview = await notificationService.previewNotification({
+        id: 'preview',
+        recipient,
+        message,
+        type,
+        priority: priority || 'normal',
+        metadata: metadata || {},
+        tenantId: req.tenant.id,
+        templateId,
+        locale
+      });
+
+      if (!preview) {
+        return res.status(400).json({
+          error: 'Channel not enabled',
+          message: `${type} notifications are not enabled on this server`
+        });
+      }
+
+      res.status(200).json({
+        type,
+        ...(templateId && { templateId }),
+        ...(locale && { locale }),
+        output: preview.output,
+        warnings: preview.warnings
+      });
+    } catch (error) {
+      console.error('Error previewing notification:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Time-series statistics for dashboards
+  router.get('/stats', requireScope('read'), async (req, res) => {
+    try {
+      const range = parseStatsRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          error: range.error
+        });
+      }
+
+      const analytics = await notificationService.getAnalytics({ ...range, tenantId: req.tenant.id });
+
+      // The queue is shared by every tenant, so only the operator sees its state
+      res.status(200).json({
+        ...analytics,
+        ...(req.principal.operator && { queue: await notificationService.getQueueStats() })
+      });
+    } catch (error) {
+      console.error('Error getting notification statistics:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Get notification status endpoint
+  router.get('/:id/status', requireScope('read'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const notification = await notificationService.getNotificationStatus(id, req.tenant.id);
+
+      if (!notification) {
+        return res.status(404).json({
+          error: 'Notification not found'
+        });
+      }
+
+      res.status(200).json(notification);
+    } catch (error) {
+      console.error('Error getting notification status:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Get notifications history endpoint
+  router.get('/history', requireScope('read'), async (req, res) => {
+    try {
+      const page = parsePageQuery(req.query);
+      if (page.error) {
+        return res.status(400).json({
+          error: page.error
+        });
+      }
+
+      const { q, filter } = req.query;
+
+      const search = q ? toSearchQuery(q) : null;
+      if (q && !search) {
+        return res.status(400).json({
+          error: 'q has no words to search for'
+        });
+      }
+
+      const parsed = filter ? parseFilter(filter) : {};
+      if (parsed.error) {
+        return res.status(400).json({
+          error: parsed.error
+        });
+      }
+
+      const { type, status, priority, error: errorText, createdBy, jobId, scheduledFrom, scheduledTo } = req.query;
+      const history = await notificationService.getNotificationHistory({
+        ...page,
+        tenantId: req.tenant.id,
+        type,
+        status,
+        priority,
+        error: errorText,
+        createdBy,
+        jobId,
+        scheduledFrom,
+        scheduledTo,
+        search,
+        expression: parsed.expression
+      });
+
+      res.status(200).json(history);
+    } catch (error) {
+      console.error('Error getting notification history:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Live status transitions over Server-Sent Events (WebSocket upgrades on the same path)
+  router.use('/events', requireScope('read'), createEventsRouter(statusEvents));
+
+  // Cancel notifications matching a filter. Cancelling everything has to be asked for explicitly.
+  router.delete('/', requireScope('send'), async (req, res) => {
+    try {
+      const filter = {};
+      for (const field of CANCEL_FILTER_FIELDS) {
+        if (req.query[field]) {
+          filter[field] = req.query[field];
+        }
+      }
+
+      if (filter.status && !['pending', 'scheduled'].includes(filter.status)) {
+        return res.status(400).json({
+          error: 'Only pending or scheduled notifications can be cancelled'
+        });
+      }
+
+      if (Object.keys(filter).length === 0 && req.query.all !== 'true') {
+        return res.status(400).json({
+          error: 'Provide a filter, or all=true to cancel every pending and scheduled notification'
+        });
+      }
+
+      const cancelled = await notificationService.cancelNotifications({ ...filter, tenantId: req.tenant.id });
+
+      res.status(200).json({
+        success: true,
+        cancelled: cancelled.length,
+        ids: cancelled.map(notification => notification.id)
+      });
+    } catch (error) {
+      console.error('Error cancelling notifications:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Cancel a single pending or scheduled notification
+  router.delete('/:id', requireScope('send'), async (req, res) => {
+    try {
+      const { status, notification } = await notificationService.cancelNotification(req.params.id, req.tenant.id);
+
+      if (status === 'not_found') {
+        return res.status(404).json({
+          error: 'Notification not found'
+        });
+      }
+
+      if (status === 'conflict') {
+        return res.status(409).json({
+          error: 'Notification cannot be cancelled',
+          message: `Notification is already ${notification.status}`,
+          status: notification.status
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        notificationId: notification.id,
+        status: notification.status,
+        cancelledAt: notification.cancelledAt
+      });
+    } catch (error) {
+      console.error('Error cancelling notification:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Bulk send notifications endpoint
+  router.post('/bulk-send', requireScope('send'), idempotency(idempotencyService, 'bulk-send'), async (req, res) => {
+    try {
+      const { notifications } = req.body;
+
+      if (!notifications || !Array.isArray(notifications)) {
+        return res.status(400).json({
+          error: 'notifications array is required'
+        });
+      }
+
+      const results = await notificationService.sendBulkNotifications(notifications, {
+        idempotencyService,
+        createdBy: req.principal.id,
+        tenantId: req.tenant.id
+      });
+
+      res.status(200).json({
+        success: true,
+        totalSent: results.length,
+        results
+      });
+
+    } catch (error) {
+      console.error('Error sending bulk notifications:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createNotificationRouter;
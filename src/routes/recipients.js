@@ -0,0 +1,71 @@
+const express = require('express');
+const { requireScope } = require('../middleware/auth');
+
+// Per-recipient settings of the caller's tenant; reading needs `read`, changing them `send`
+function createRecipientRouter(recipientService) {
+  const router = express.Router();
+
+  router.get('/:recipient', requireScope('read'), async (req, res) => {
+    try {
+      const recipient = await recipientService.getRecipient(req.params.recipient, req.tenant.id);
+
+      if (!recipient) {
+        return res.status(404).json({
+          error: 'Recipient not found'
+        });
+      }
+
+      res.status(200).json(recipient);
+    } catch (error) {
+      console.error('Error getting recipient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  router.put('/:recipient', requireScope('send'), async (req, res) => {
+    try {
+      const { created, recipient } = await recipientService.setRecipient(req.params.recipient, req.tenant.id, {
+        locale: req.body.locale
+      });
+
+      res.status(created ? 201 : 200).json(recipient);
+    } catch (error) {
+      console.error('Error saving recipient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Later notifications to the recipient fall back to the template's default locale
+  router.delete('/:recipient', requireScope('send'), async (req, res) => {
+    try {
+      const deleted = await recipientService.deleteRecipient(req.params.recipient, req.tenant.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Recipient not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        recipient: req.params.recipient
+      });
+    } catch (error) {
+      console.error('Error deleting recipient:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRecipientRouter;
@@ -0,0 +1,149 @@
+const express = require('express');
+const { requireScope } = require('../middleware/auth');
+
+// Message templates of the caller's tenant; reading needs `read`, changing them `admin`
+function createTemplateRouter(templateService) {
+  const router = express.Router();
+
+  router.get('/', requireScope('read'), async (req, res) => {
+    try {
+      const templates = await templateService.listTemplates(req.tenant.id);
+
+      res.status(200).json({
+        templates: templates.map(template => templateService.toPublic(template))
+      });
+    } catch (error) {
+      console.error('Error listing templates:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/', requireScope('admin'), async (req, res) => {
+    try {
+      const validationErrors = templateService.validateTemplate(req.body);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: validationErrors
+        });
+      }
+
+      const { id, name, description, channels, defaultLocale, locales } = req.body;
+      const template = await templateService.createTemplate({
+        tenantId: req.tenant.id,
+        id,
+        name,
+        description,
+        channels,
+        defaultLocale,
+        locales
+      });
+
+      if (!template) {
+        return res.status(409).json({
+          error: `Template ${id} already exists`
+        });
+      }
+
+      res.status(201).json(templateService.toPublic(template));
+    } catch (error) {
+      console.error('Error creating template:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/:id', requireScope('read'), async (req, res) => {
+    try {
+      const template = await templateService.getTemplate(req.params.id, req.tenant.id);
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found'
+        });
+      }
+
+      res.status(200).json(templateService.toPublic(template));
+    } catch (error) {
+      console.error('Error getting template:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  router.patch('/:id', requireScope('admin'), async (req, res) => {
+    try {
+      const validationErrors = templateService.validateTemplate(req.body, { partial: true });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: validationErrors
+        });
+      }
+
+      const { name, description, channels, defaultLocale, locales } = req.body;
+      const template = await templateService.updateTemplate(req.params.id, req.tenant.id, {
+        name,
+        description,
+        channels,
+        defaultLocale,
+        locales
+      });
+
+      if (!template) {
+        return res.status(404).json({
+          error: 'Template not found'
+        });
+      }
+
+      if (template.error) {
+        return res.status(400).json({
+          error: template.error
+        });
+      }
+
+      res.status(200).json(templateService.toPublic(template));
+    } catch (error) {
+      console.error('Error updating template:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Notifications already rendered from the template keep their content
+  router.delete('/:id', requireScope('admin'), async (req, res) => {
+    try {
+      const deleted = await templateService.deleteTemplate(req.params.id, req.tenant.id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Template not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        id: req.params.id
+      });
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTemplateRouter;
@@ -0,0 +1,106 @@
+const express = require('express');
+
+// Tenant administration, mounted behind requireOperator
+function createTenantRouter(tenantService) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const tenants = await tenantService.listTenants();
+
+      res.status(200).json({
+        tenants: tenants.map(tenant => tenantService.toPublic(tenant))
+      });
+    } catch (error) {
+      console.error('Error listing tenants:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const validationError = tenantService.validateTenant(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError
+        });
+      }
+
+      const { id, name, quotas, providers } = req.body;
+      const tenant = await tenantService.createTenant({ id, name, quotas, providers });
+
+      if (!tenant) {
+        return res.status(409).json({
+          error: `Tenant ${id} already exists`
+        });
+      }
+
+      res.status(201).json(tenantService.toPublic(tenant));
+    } catch (error) {
+      console.error('Error creating tenant:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // A tenant with the current use of each of its quotas
+  router.get('/:id', async (req, res) => {
+    try {
+      const tenant = await tenantService.getTenant(req.params.id);
+
+      if (!tenant) {
+        return res.status(404).json({
+          error: 'Tenant not found'
+        });
+      }
+
+      res.status(200).json({
+        ...tenantService.toPublic(tenant),
+        usage: await tenantService.getUsage(tenant)
+      });
+    } catch (error) {
+      console.error('Error getting tenant:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      const validationError = tenantService.validateTenant(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError
+        });
+      }
+
+      const { name, quotas, providers } = req.body;
+      const tenant = await tenantService.updateTenant(req.params.id, { name, quotas, providers });
+
+      if (!tenant) {
+        return res.status(404).json({
+          error: 'Tenant not found'
+        });
+      }
+
+      res.status(200).json(tenantService.toPublic(tenant));
+    } catch (error) {
+      console.error('Error updating tenant:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTenantRouter;
@@ -0,0 +1,74 @@
+const express = require('express');
+const validateRequest = require('../middleware/validateRequest');
+const { requireScope, requireOperator } = require('../middleware/auth');
+const createNotificationRouter = require('./notifications');
+const createDeadLetterRouter = require('./deadLetters');
+const createApiKeyRouter = require('./apiKeys');
+const createTenantRouter = require('./tenants');
+const createJobRouter = require('./jobs');
+const createTemplateRouter = require('./templates');
+const createRecipientRouter = require('./recipients');
+
+/**
+ * Version 1 of the API, mounted at /api/v1 (and at /api as its deprecated
+ * alias). Its paths and response shapes are frozen. A later version gets a
+ * router of its own that can mount these sub-routers as they are and define
+ * only the routes whose responses change, ahead of them.
+ */
+function createV1Router({
+  notificationService,
+  deadLetterService,
+  idempotencyService,
+  apiKeyService,
+  tenantService,
+  statusEvents,
+  bulkJobService,
+  templateService,
+  recipientService,
+  openApiDocument
+}) {
+  const router = express.Router();
+
+  // Requests must match the OpenAPI document the docs serve
+  router.use(validateRequest(openApiDocument));
+
+  router.use('/notifications', createNotificationRouter({ notificationService, idempotencyService, statusEvents }));
+
+  // Bulk sends from streamed CSV/NDJSON uploads; scopes are checked per route
+  router.use('/jobs', createJobRouter(bulkJobService));
+
+  // Message templates; scopes are checked per route
+  router.use('/templates', createTemplateRouter(templateService));
+
+  // Per-recipient settings such as locale; scopes are checked per route
+  router.use('/recipients', createRecipientRouter(recipientService));
+
+  // Dead-letter queue administration
+  router.use('/dead-letters', requireScope('admin'), createDeadLetterRouter(deadLetterService));
+
+  // API key administration, within the caller's tenant
+  router.use('/keys', requireScope('admin'), createApiKeyRouter(apiKeyService));
+
+  // The caller's own tenant: quotas, their current use, and sender settings (secrets masked)
+  router.get('/tenant', requireScope('read'), async (req, res) => {
+    try {
+      res.status(200).json({
+        ...tenantService.toPublic(req.tenant),
+        usage: await tenantService.getUsage(req.tenant)
+      });
+    } catch (error) {
+      console.error('Error getting tenant:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // Tenant administration
+  router.use('/tenants', requireOperator, createTenantRouter(tenantService));
+
+  return router;
+}
+
+module.exports = createV1Router;
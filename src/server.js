@@ -2,9 +2,22 @@ const express = require('express');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const { v4: uuidv4 } = require('uuid');
+const { buildOpenApiDocument } = require('./utils/openapi');
 const NotificationService = require('./services/NotificationService');
 const DatabaseService = require('./services/DatabaseService');
+const DeadLetterService = require('./services/DeadLetterService');
+const IdempotencyService = require('./services/IdempotencyService');
+const ApiKeyService = require('./services/ApiKeyService');
+const TenantService = require('./services/TenantService');
+const StatusEventService = require('./services/StatusEventService');
+const BulkJobService = require('./services/BulkJobService');
+const TemplateService = require('./services/TemplateService');
+const RecipientService = require('./services/RecipientService');
+const { authenticate } = require('./middleware/auth');
+const { deprecationHeaders, deprecatedAlias } = require('./middleware/deprecation');
+const createV1Router = require('./routes/v1');
+const { EVENTS_PATH, createEventsUpgradeHandler } = require('./routes/events');
+const { DOCS_PATH, createDocsRouter } = require('./routes/docs');
 const config = require('./config/config');
 
 const app = express();
@@ -12,21 +25,79 @@ const port = config.PORT || 3000;
 
 // Initialize services
 const db = new DatabaseService();
-const notificationService = new NotificationService(db);
+const tenantService = new TenantService(db);
+const statusEvents = new StatusEventService(db);
+const templateService = new TemplateService(db);
+const notificationService = new NotificationService(db, { tenantService, statusEvents, templateService });
+const deadLetterService = new DeadLetterService(db, notificationService);
+const idempotencyService = new IdempotencyService(db);
+const apiKeyService = new ApiKeyService(db);
+const bulkJobService = new BulkJobService(db, notificationService);
+const recipientService = new RecipientService(db);
+const openApiDocument = buildOpenApiDocument({ version: require('../package.json').version });
+
+// Reachable from tests and tooling that need the live service instances
+app.locals.services = {
+  db,
+  notificationService,
+  deadLetterService,
+  idempotencyService,
+  apiKeyService,
+  tenantService,
+  statusEvents,
+  bulkJobService,
+  templateService,
+  recipientService
+};
+
+// WebSocket status streams; attached to the HTTP server's 'upgrade' event below
+app.locals.handleUpgrade = createEventsUpgradeHandler({
+  apiKeyService,
+  tenantService,
+  statusEvents,
+  paths: {
+    [`/api/v1${EVENTS_PATH}`]: {},
+    [`/api${EVENTS_PATH}`]: deprecationHeaders({
+      successor: `/api/v1${EVENTS_PATH}`,
+      deprecatedAt: config.LEGACY_API_DEPRECATED_AT,
+      sunsetAt: config.LEGACY_API_SUNSET_AT
+    })
+  },
+  isShuttingDown: () => Boolean(app.locals.shuttingDown)
+});
 
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
+// Turn away new work once shutdown has started
+app.use((req, res, next) => {
+  if (app.locals.shuttingDown) {
+    res.set('Connection', 'close');
+    return res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Server is shutting down'
+    });
+  }
+  next();
+});
+
 // Rate limiting
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  windowMs: config.RATE_LIMIT_WINDOW_MS,
+  max: config.RATE_LIMIT_MAX_REQUESTS, // limit each IP to this many requests per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use('/api/', limiter);
 
+// The OpenAPI document and its browsable page are public
+app.use(DOCS_PATH, createDocsRouter(openApiDocument));
+
+// Every API route needs an API key or bearer token; scopes are checked per
+// route, and everything a request sees or changes belongs to req.tenant
+app.use('/api/', authenticate(apiKeyService, tenantService));
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -37,119 +108,25 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Send notification endpoint
-app.post('/api/notifications/send', async (req, res) => {
-  try {
-    const { recipient, message, type, priority, metadata } = req.body;
-    
-    // Validate required fields
-    if (!recipient || !message || !type) {
-      return res.status(400).json({
-        error: 'Missing required fields: recipient, message, type'
-      });
-    }
-
-    const notificationId = uuidv4();
-    const notification = {
-      id: notificationId,
-      recipient,
-      message,
-      type,
-      priority: priority || 'normal',
-      metadata: metadata || {},
-      timestamp: new Date().toISOString(),
-      status: 'pending'
-    };
-
-    // Process notification
-    const result = await notificationService.sendNotification(notification);
-    
-    res.status(200).json({
-      success: true,
-      notificationId,
-      status: result.status,
-      message: 'Notification queued for delivery'
-    });
-
-  } catch (error) {
-    console.error('Error sending notification:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
-  }
-});
-
-// Get notification status endpoint
-app.get('/api/notifications/:id/status', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const notification = await notificationService.getNotificationStatus(id);
-    
-    if (!notification) {
-      return res.status(404).json({
-        error: 'Notification not found'
-      });
-    }
-
-    res.status(200).json(notification);
-  } catch (error) {
-    console.error('Error getting notification status:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
-  }
-});
-
-// Get notifications history endpoint
-app.get('/api/notifications/history', async (req, res) => {
-  try {
-    const { limit = 50, offset = 0, type, status } = req.query;
-    const history = await notificationService.getNotificationHistory({
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      type,
-      status
-    });
-
-    res.status(200).json(history);
-  } catch (error) {
-    console.error('Error getting notification history:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
-  }
-});
-
-// Bulk send notifications endpoint
-app.post('/api/notifications/bulk-send', async (req, res) => {
-  try {
-    const { notifications } = req.body;
-    
-    if (!notifications || !Array.isArray(notifications)) {
-      return res.status(400).json({
-        error: 'notifications array is required'
-      });
-    }
-
-    const results = await notificationService.sendBulkNotifications(notifications);
-    
-    res.status(200).json({
-      success: true,
-      totalSent: results.length,
-      results
-    });
-
-  } catch (error) {
-    console.error('Error sending bulk notifications:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
-    });
-  }
-});
+// Versioned APIs. Each version keeps its paths and response shapes; new
+// shapes go in a new version so existing clients never break.
+const apiVersions = {
+  v1: createV1Router({ ...app.locals.services, openApiDocument })
+};
+
+for (const [version, router] of Object.entries(apiVersions)) {
+  app.use(`/api/${version}`, router);
+}
+
+// The original unversioned paths, kept as deprecated aliases of v1
+const legacyApi = express.Router();
+legacyApi.use(deprecatedAlias({
+  successorBase: '/api/v1',
+  deprecatedAt: config.LEGACY_API_DEPRECATED_AT,
+  sunsetAt: config.LEGACY_API_SUNSET_AT
+}));
+legacyApi.use(apiVersions.v1);
+app.use('/api', legacyApi);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
@@ -168,24 +145,68 @@ app.use('*', (req, res) => {
   });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  await db.close();
-  process.exit(0);
-});
-
-process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down gracefully...');
-  await db.close();
-  process.exit(0);
-});
-
 // Start server
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`🚀 Notification service running on port ${port}`);
   console.log(`📊 Health check: http://localhost:${port}/health`);
-  console.log(`📧 API documentation: http://localhost:${port}/api/docs`);
+  console.log(`🔀 API base: http://localhost:${port}/api/${config.API_VERSION}`);
+  console.log(`📧 API documentation: http://localhost:${port}${DOCS_PATH}`);
 });
+server.on('upgrade', app.locals.handleUpgrade);
+
+// Graceful shutdown: refuse new requests, finish reading bulk uploads, let
+// in-flight sends finish (up to SHUTDOWN_TIMEOUT), hand back whatever is
+// left, then close the database
+let shuttingDown = null;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return shuttingDown;
+  }
+
+  console.log(`${signal} received, shutting down gracefully...`);
+  app.locals.shuttingDown = true;
+  // Open streams would otherwise hold server.close() open
+  statusEvents.stop();
+
+  shuttingDown = (async () => {
+    const serverClosed = new Promise(resolve => server.close(resolve));
+
+    // Idle keep-alive sockets would otherwise hold server.close() open
+    if (server.closeIdleConnections) {
+      server.closeIdleConnections();
+    }
+
+    // Uploads still being read queue their rows before the queue winds down
+    await bulkJobService.stop();
+    const result = await notificationService.stop({ timeoutMs: config.SHUTDOWN_TIMEOUT });
+    await serverClosed;
+    await db.close();
+
+    return result;
+  })();
+
+  return shuttingDown;
+}
+
+function handleSignal(signal) {
+  // Give up on a hung shutdown rather than ignoring the signal forever
+  const forceExit = setTimeout(() => {
+    console.error('❌ Shutdown timed out, exiting');
+    process.exit(1);
+  }, config.SHUTDOWN_TIMEOUT + 10000);
+  forceExit.unref();
+
+  shutdown(signal)
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Error during shutdown:', error);
+      process.exit(1);
+    });
+}
+
+process.on('SIGTERM', () => handleSignal('SIGTERM'));
+process.on('SIGINT', () => handleSignal('SIGINT'));
 
 module.exports = app;
+module.exports.shutdown = shutdown;
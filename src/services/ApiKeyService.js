@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const { verifyJwt, looksLikeJwt } = require('../utils/jwt');
+const TenantService = require('./TenantService');
+
+// `admin` implies the other two
+const SCOPES = ['send', 'read', 'admin'];
+
+const KEY_PREFIX = 'nsk_';
+
+// Enough of the key to recognise it in listings without making it guessable
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// lastUsedAt is only rewritten when it is older than this
+const USAGE_RESOLUTION_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+class ApiKeyService {
+  constructor(database, options = {}) {
+    this.db = database;
+    const adminKey = options.adminKey !== undefined ? options.adminKey : config.ADMIN_API_KEY;
+    this.adminKeyHash = adminKey ? hashKey(adminKey) : null;
+    this.jwt = options.jwt !== undefined ? options.jwt : (config.JWT_ENABLED && {
+      secret: config.JWT_SECRET,
+      issuer: config.JWT_ISSUER,
+      audience: config.JWT_AUDIENCE
+    });
+  }
+
+  // Returns an error message, or null when `scopes` is usable
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return 'scopes must be a non-empty array';
+    }
+
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return `Unknown scopes: ${unknown.join(', ')}. Valid scopes are: ${SCOPES.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Issue a key. The plaintext key is only ever returned here and by
+   * rotateKey(); the database keeps its hash.
+   */
+  async createKey({ tenantId, name, scopes }) {
+    const key = generateKey();
+    const apiKey = {
+      id: uuidv4(),
+      tenantId,
+      name,
+      keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      scopes: [...new Set(scopes)],
+      createdAt: new Date().toISOString()
+    };
+
+    await this.db.insertApiKey({ ...apiKey, keyHash: hashKey(key) });
+
+    console.log(`🔑 API key ${apiKey.id} (${name}) created for tenant ${tenantId}`);
+
+    return {
+      apiKey: { ...apiKey, rotatedAt: null, lastUsedAt: null, revokedAt: null },
+      key
+    };
+  }
+
+  // Keys are only ever looked up within one tenant
+  async listKeys({ tenantId, includeRevoked = false }) {
+    return this.db.listApiKeys({ tenantId, includeRevoked });
+  }
+
+  async getKey(id, tenantId) {
+    return this.db.getApiKey(id, tenantId);
+  }
+
+  /**
+   * Replace a key's secret. The id, name and scopes stay the same, so
+   * notifications keep pointing at it; the old secret stops working at once.
+   *
+   * Resolves to { status: 'rotated', apiKey, key }, { status: 'not_found' }
+   * or { status: 'conflict', apiKey } when the key has been revoked.
+   */
+  async rotateKey(id, tenantId) {
+    const key = generateKey();
+    const apiKey = await this.db.rotateApiKey(
+      id,
+      tenantId,
+      key.slice(0, DISPLAY_PREFIX_LENGTH),
+      hashKey(key),
+      new Date().toISOString()
+    );
+
+    if (apiKey) {
+      console.log(`🔑 API key ${id} rotated`);
+      return { status: 'rotated', apiKey, key };
+    }
+
+    const existing = await this.db.getApiKey(id, tenantId);
+    return existing ? { status: 'conflict', apiKey: existing } : { status: 'not_found' };
+  }
+
+  // Resolves to { status: 'revoked' | 'not_found' | 'conflict', apiKey }
+  async revokeKey(id, tenantId) {
+    const apiKey = await this.db.revokeApiKey(id, tenantId, new Date().toISOString());
+
+    if (apiKey) {
+      console.log(`🔒 API key ${id} revoked`);
+      return { status: 'revoked', apiKey };
+    }
+
+    const existing = await this.db.getApiKey(id, tenantId);
+    return existing ? { status: 'conflict', apiKey: existing } : { status: 'not_found' };
+  }
+
+  /**
+   * Resolve a presented credential (an API key or, when enabled, an HS256
+   * JWT) to the principal acting on the request: { principal } or { error }.
+   * A principal is { type, id, name, scopes, tenantId, operator }; `id` is
+   * what notifications record as their creator. Only the ADMIN_API_KEY
+   * operator manages tenants and may act for any of them.
+   */
+  async authenticate(credential) {
+    if (this.jwt && looksLikeJwt(credential)) {
+      return this.authenticateJwt(credential);
+    }
+
+    const keyHash = hashKey(credential);
+
+    if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(this.adminKeyHash))) {
+      return {
+        principal: {
+          type: 'bootstrap',
+          id: 'bootstrap',
+          name: 'ADMIN_API_KEY',
+          scopes: ['admin'],
+          tenantId: TenantService.DEFAULT_TENANT_ID,
+          operator: true
+        }
+      };
+    }
+
+    const apiKey = await this.db.getActiveApiKeyByHash(keyHash);
+    if (!apiKey) {
+      return { error: 'Invalid or revoked API key' };
+    }
+
+    const now = Date.now();
+    this.db.touchApiKey(apiKey.id, new Date(now).toISOString(), new Date(now - USAGE_RESOLUTION_MS).toISOString())
+      .catch(error => {
+        console.error(`Error recording use of API key ${apiKey.id}:`, error);
+      });
+
+    return {
+      principal: {
+        type: 'api_key',
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        tenantId: apiKey.tenantId,
+        operator: false
+      }
+    };
+  }
+
+  authenticateJwt(token) {
+    const { payload, error } = verifyJwt(token, this.jwt.secret, {
+      issuer: this.jwt.issuer,
+      audience: this.jwt.audience
+    });
+
+    if (error) {
+      return { error };
+    }
+
+    if (typeof payload.sub !== 'string' || payload.sub === '') {
+      return { error: 'Token has no subject' };
+    }
+
+    if (payload.tenant !== undefined && typeof payload.tenant !== 'string') {
+      return { error: 'Token tenant must be a string' };
+    }
+
+    // OAuth-style space-separated `scope`, or a `scopes` array
+    const claimed = typeof payload.scope === 'string'
+      ? payload.scope.split(' ')
+      : (Array.isArray(payload.scopes) ? payload.scopes : []);
+
+    return {
+      principal: {
+        type: 'jwt',
+        id: `jwt:${payload.sub}`,
+        name: payload.sub,
+        scopes: claimed.filter(scope => SCOPES.includes(scope)),
+        tenantId: payload.tenant || TenantService.DEFAULT_TENANT_ID,
+        operator: false
+      }
+    };
+  }
+}
+
+ApiKeyService.SCOPES = SCOPES;
+
+module.exports = ApiKeyService;
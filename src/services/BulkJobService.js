@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
+const TenantService = require('./TenantService');
+const { parseScheduledTime } = require('../utils/schedule');
+const { validateNotification } = require('../utils/validation');
+const { createRowReader } = require('../utils/upload');
+
+const STATUSES = ['processing', 'completed', 'cancelled', 'failed'];
+
+// Codes of rows that were valid but could not be queued; invalid rows carry validation codes
+const ROW_ERROR_CODES = {
+  MALFORMED_ROW: 'MALFORMED_ROW',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  QUEUE_FAILED: 'QUEUE_FAILED'
+};
+
+// Progress is written after this many rows, or this long, whichever comes first
+const PROGRESS_ROWS = 100;
+const PROGRESS_INTERVAL_MS = 1000;
+
+/**
+ * Bulk sends as persisted jobs. An upload is stored in BULK_UPLOAD_DIR and
+ * then read row by row in the background; each row is validated and, when
+ * valid, queued like a single send with the job's id on it. Counts: `accepted` rows passed validation and
+ * `rejected` ones did not; `queued` is how many accepted rows were queued or
+ * scheduled (the rest hit a quota or a failure, and are listed with the
+ * rejected ones in the job's errors). Cancelling stops the rows still to come
+ * and cancels the job's notifications that have not gone out yet.
+ */
+class BulkJobService {
+  constructor(database, notificationService, options = {}) {
+    this.db = database;
+    this.notificationService = notificationService;
+    this.maxErrors = options.maxErrors || config.BULK_JOB_MAX_ERRORS;
+    this.uploadDir = options.uploadDir || config.BULK_UPLOAD_DIR;
+    // Jobs reading an upload in this process, so a cancel stops them at the next row
+    this.running = new Map();
+    // Background runs, so stop() can wait for them
+    this.runs = new Set();
+  }
+
+  async createJob({ tenantId, createdBy, format }) {
+    const job = {
+      id: uuidv4(),
+      tenantId,
+      createdBy,
+      format,
+      status: 'processing',
+      createdAt: new Date().toISOString()
+    };
+
+    await this.db.insertBulkJob(job);
+    console.log(`📦 Bulk job ${job.id} (${format}) started for tenant ${tenantId}`);
+
+    return this.db.getBulkJob(job.id, tenantId);
+  }
+
+  /**
+   * Store `stream` (the request) as the job's upload and start reading it in
+   * the background. Resolves with the job once the upload is stored; what
+   * became of its rows, or why it could not be read, is reported on the job.
+   */
+  async startJob(job, stream) {
+    const file = path.join(this.uploadDir, `${job.id}.${job.format}`);
+
+    try {
+      await fs.promises.mkdir(this.uploadDir, { recursive: true });
+      await pipeline(stream, fs.createWriteStream(file));
+    } catch (error) {
+      // Usually a client that hung up mid-upload
+      await fs.promises.rm(file, { force: true });
+      await this.finishJob(job, { totalRows: 0, accepted: 0, rejected: 0, queued: 0 }, error);
+      return this.db.getBulkJob(job.id, job.tenantId);
+    }
+
+    const run = this.runJob(job, fs.createReadStream(file))
+      .catch(error => console.error(`Error running bulk job ${job.id}:`, error))
+      .finally(() => {
+        this.runs.delete(run);
+        return fs.promises.rm(file, { force: true });
+      });
+    this.runs.add(run);
+
+    return job;
+  }
+
+  /**
+   * Read `stream` (an async iterable of Buffers) into the job. Resolves with
+   * the finished job; never rejects for problems in the upload itself, which
+   * fail the job instead.
+   */
+  async runJob(job, stream) {
+    const reader = createRowReader(job.format);
+    const state = {
+      counts: { totalRows: 0, accepted: 0, rejected: 0, queued: 0 },
+      errors: 0,
+      cancelled: false,
+      flushedRows: 0,
+      flushedAt: Date.now()
+    };
+    this.running.set(job.id, state);
+
+    let failure = null;
+
+    try {
+      for await (const chunk of stream) {
+        if (state.cancelled) {
+          break;
+        }
+        await this.processRows(job, state, reader.write(chunk));
+      }
+
+      if (!state.cancelled) {
+        await this.processRows(job, state, reader.end());
+      }
+    } catch (error) {
+      failure = error;
+    } finally {
+      this.running.delete(job.id);
+    }
+
+    await this.finishJob(job, state.counts, failure);
+
+    return this.db.getBulkJob(job.id, job.tenantId);
+  }
+
+  async finishJob(job, counts, failure) {
+    const status = await this.db.updateBulkJobProgress(job.id, counts, {
+      status: failure ? 'failed' : 'completed',
+      error: failure ? failure.message : null,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (status === 'cancelled') {
+      // Rows that were being queued while the cancel went through
+      await this.cancelNotifications(job);
+    }
+
+    console.log(`📦 Bulk job ${job.id} ${status}: ${counts.queued} of ${counts.totalRows} rows queued`);
+  }
+
+  async processRows(job, state, rows) {
+    for (const row of rows) {
+      if (state.cancelled) {
+        return;
+      }
+
+      const number = ++state.counts.totalRows;
+
+      if (row.error) {
+        state.counts.rejected++;
+        await this.recordError(job, state, number, [{ code: ROW_ERROR_CODES.MALFORMED_ROW, path: '$', message: row.error }]);
+      } else {
+        await this.processRow(job, state, number, row.payload);
+      }
+
+      if (number - state.flushedRows >= PROGRESS_ROWS || Date.now() - state.flushedAt >= PROGRESS_INTERVAL_MS) {
+        await this.flushProgress(job, state);
+      }
+    }
+  }
+
+  async processRow(job, state, number, payload) {
+    const validationErrors = validateNotification(payload);
+    const { payload: rendered, errors: templateErrors } = validationErrors.length > 0
+      ? {}
+      : await this.notificationService.applyTemplate(payload, job.tenantId);
+
+    if (validationErrors.length > 0 || templateErrors) {
+      state.counts.rejected++;
+      return this.recordError(job, state, number, validationErrors.length > 0 ? validationErrors : templateErrors);
+    }
+
+    state.counts.accepted++;
+
+    try {
+      await this.notificationService.sendNotification({
+        id: uuidv4(),
+        recipient: rendered.recipient,
+        message: rendered.message,
+        type: rendered.type,
+        priority: rendered.priority || 'normal',
+        metadata: rendered.metadata || {},
+        timestamp: new Date().toISOString(),
+        status: 'pending',
+        scheduledAt: parseScheduledTime(rendered).scheduledAt,
+        createdBy: job.createdBy,
+        tenantId: job.tenantId,
+        jobId: job.id,
+        templateId: rendered.templateId,
+        locale: rendered.locale
+      });
+      state.counts.queued++;
+    } catch (error) {
+      const code = error instanceof TenantService.QuotaExceededError ? ROW_ERROR_CODES.QUOTA_EXCEEDED : ROW_ERROR_CODES.QUEUE_FAILED;
+      await this.recordError(job, state, number, [{ code, path: '$', message: error.message }]);
+    }
+  }
+
+  // Counts stay exact; only the first maxErrors rows' details are kept
+  async recordError(job, state, number, details) {
+    if (state.errors < this.maxErrors) {
+      state.errors++;
+      await this.db.insertBulkJobError(job.id, number, details);
+    }
+  }
+
+  async flushProgress(job, state) {
+    state.flushedRows = state.counts.totalRows;
+    state.flushedAt = Date.now();
+
+    const status = await this.db.updateBulkJobProgress(job.id, state.counts, { updatedAt: new Date().toISOString() });
+
+    // Cancelled from another instance; runJob() cancels what was queued
+    if (status === 'cancelled') {
+      state.cancelled = true;
+    }
+  }
+
+  async getJob(id, tenantId, { errorsLimit = 100, errorsOffset = 0 } = {}) {
+    const job = await this.db.getBulkJob(id, tenantId);
+
+    if (!job) {
+      return null;
+    }
+
+    return {
+      ...job,
+      errors: await this.db.getBulkJobErrors(id, { limit: errorsLimit, offset: errorsOffset })
+    };
+  }
+
+  async listJobs(options) {
+    return this.db.listBulkJobs(options);
+  }
+
+  // { status: 'cancelled' | 'not_found' | 'conflict', job }
+  async cancelJob(id, tenantId) {
+    const cancelled = await this.db.cancelBulkJob(id, tenantId, new Date().toISOString());
+
+    if (!cancelled) {
+      const job = await this.db.getBulkJob(id, tenantId);
+      return { status: job ? 'conflict' : 'not_found', job };
+    }
+
+    const running = this.running.get(id);
+    if (running) {
+      running.cancelled = true;
+    }
+
+    await this.cancelNotifications(cancelled);
+    console.log(`🚫 Bulk job ${id} cancelled`);
+
+    return { status: 'cancelled', job: await this.db.getBulkJob(id, tenantId) };
+  }
+
+  // Wait for the uploads being read in the background
+  async stop() {
+    await Promise.all([...this.runs]);
+  }
+
+  async cancelNotifications(job) {
+    const notifications = await this.notificationService.cancelNotifications({ tenantId: job.tenantId, jobId: job.id });
+    await this.db.addBulkJobCancellations(job.id, notifications.length);
+  }
+}
+
+BulkJobService.STATUSES = STATUSES;
+BulkJobService.ROW_ERROR_CODES = ROW_ERROR_CODES;
+
+module.exports = BulkJobService;
@@ -1,11 +1,49 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const config = require('../config/config');
+const { BUCKET_FORMATS } = require('../utils/stats');
+const { encodeCursor } = require('../utils/pagination');
+const { toSearchQuery } = require('../utils/historyFilter');
+const LaneScheduler = require('../queues/LaneScheduler');
+
+// SQL for each history sort field. Missing timestamps sort as '' so rows
+// without one still page correctly: last when descending, first when ascending.
+const HISTORY_SORT_EXPRESSIONS = {
+  createdAt: 'createdAt',
+  sentAt: "COALESCE(sentAt, '')",
+  scheduledAt: "COALESCE(scheduledAt, '')",
+  updatedAt: 'updatedAt',
+  priority: `CASE priority ${LaneScheduler.LANES.map((lane, index) => `WHEN '${lane}' THEN ${LaneScheduler.LANES.length - index}`).join(' ')} ELSE 0 END`
+};
+
+// The email subject lives in metadata; malformed metadata just leaves it unindexed
+const SUBJECT_EXPRESSION = "CASE WHEN json_valid(new.metadata) THEN json_extract(new.metadata, '$.subject') END";
+
+// Full-text index over message and subject, keyed by the notification's rowid
+const createSearchIndex = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS notifications_fts USING fts5(message, subject, tokenize = 'unicode61 remove_diacritics 2');
+  CREATE TRIGGER IF NOT EXISTS notifications_fts_insert AFTER INSERT ON notifications BEGIN
+    INSERT INTO notifications_fts (rowid, message, subject) VALUES (new.rowid, new.message, ${SUBJECT_EXPRESSION});
+  END;
+  CREATE TRIGGER IF NOT EXISTS notifications_fts_update AFTER UPDATE OF message, metadata ON notifications BEGIN
+    DELETE FROM notifications_fts WHERE rowid = old.rowid;
+    INSERT INTO notifications_fts (rowid, message, subject) VALUES (new.rowid, new.message, ${SUBJECT_EXPRESSION});
+  END;
+  CREATE TRIGGER IF NOT EXISTS notifications_fts_delete AFTER DELETE ON notifications BEGIN
+    DELETE FROM notifications_fts WHERE rowid = old.rowid;
+  END;
+`;
+
+const LIKE_ESCAPE = "ESCAPE '\\'";
+
+function containsPattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+}
 
 class DatabaseService {
   constructor() {
     this.db = null;
-    this.init();
+    this.ready = this.init();
   }
 
   async init() {
@@ -31,52 +69,316 @@ class DatabaseService {
   }
 
   async createTables() {
-    return new Promise((resolve, reject) => {
-      const createNotificationsTable = `
-        CREATE TABLE IF NOT EXISTS notifications (
-          id TEXT PRIMARY KEY,
-          recipient TEXT NOT NULL,
-          message TEXT NOT NULL,
-          type TEXT NOT NULL,
-          priority TEXT DEFAULT 'normal',
-          status TEXT DEFAULT 'pending',
-          metadata TEXT,
-          providerResponse TEXT,
-          error TEXT,
-          retryCount INTEGER DEFAULT 0,
-          createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
-          sentAt DATETIME,
-          failedAt DATETIME
-        )
-      `;
+    const createNotificationsTable = `
+      CREATE TABLE IF NOT EXISTS notifications (
+        id TEXT PRIMARY KEY,
+        recipient TEXT NOT NULL,
+        message TEXT NOT NULL,
+        type TEXT NOT NULL,
+        priority TEXT DEFAULT 'normal',
+        status TEXT DEFAULT 'pending',
+        metadata TEXT,
+        providerResponse TEXT,
+        error TEXT,
+        retryCount INTEGER DEFAULT 0,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sentAt DATETIME,
+        failedAt DATETIME,
+        workerId TEXT,
+        leaseExpiresAt DATETIME,
+        nextAttemptAt DATETIME,
+        scheduledAt DATETIME,
+        cancelledAt DATETIME,
+        createdBy TEXT,
+        tenantId TEXT NOT NULL DEFAULT 'default',
+        jobId TEXT,
+        templateId TEXT,
+        locale TEXT
+      )
+    `;
 
-      const createIndexes = `
-        CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
-        CREATE INDEX IF NOT EXISTS idx_notifications_type ON notifications(type);
-        CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON notifications(recipient);
-        CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(createdAt);
-        CREATE INDEX IF NOT EXISTS idx_notifications_priority ON notifications(priority);
-      `;
+    const createIndexes = `
+      CREATE INDEX IF NOT EXISTS idx_notifications_status ON notifications(status);
+      CREATE INDEX IF NOT EXISTS idx_notifications_type ON notifications(type);
+      CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON notifications(recipient);
+      CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(createdAt);
+      CREATE INDEX IF NOT EXISTS idx_notifications_priority ON notifications(priority);
+    `;
+
+    const createAttemptsTable = `
+      CREATE TABLE IF NOT EXISTS notification_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notificationId TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        provider TEXT,
+        error TEXT,
+        errorCode TEXT,
+        retryable INTEGER,
+        providerResponse TEXT,
+        startedAt DATETIME,
+        finishedAt DATETIME
+      );
+      CREATE INDEX IF NOT EXISTS idx_attempts_notification ON notification_attempts(notificationId);
+    `;
+
+    const createDeadLettersTable = `
+      CREATE TABLE IF NOT EXISTS dead_letters (
+        notificationId TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        reason TEXT,
+        errorCode TEXT,
+        deadLetteredAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        tenantId TEXT NOT NULL DEFAULT 'default'
+      );
+      CREATE INDEX IF NOT EXISTS idx_dead_letters_dead_lettered_at ON dead_letters(deadLetteredAt);
+      CREATE INDEX IF NOT EXISTS idx_dead_letters_error_code ON dead_letters(errorCode);
+    `;
+
+    const createIdempotencyKeysTable = `
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        requestHash TEXT NOT NULL,
+        statusCode INTEGER,
+        response TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expiresAt DATETIME NOT NULL,
+        PRIMARY KEY (scope, key)
+      );
+      CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expiresAt);
+    `;
+
+    // Only a SHA-256 of each key is kept; the key itself is shown once, when issued
+    const createApiKeysTable = `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        keyPrefix TEXT NOT NULL,
+        keyHash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        tenantId TEXT NOT NULL DEFAULT 'default',
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        rotatedAt DATETIME,
+        lastUsedAt DATETIME,
+        revokedAt DATETIME
+      );
+    `;
+
+    await this.exec(createNotificationsTable + '; ' + createIndexes);
+    // Provider settings are stored encrypted (see TenantService)
+    const createTenantsTable = `
+      CREATE TABLE IF NOT EXISTS tenants (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        quotas TEXT NOT NULL DEFAULT '{}',
+        providers TEXT,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      INSERT OR IGNORE INTO tenants (id, name, createdAt, updatedAt)
+      VALUES ('default', 'Default', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    `;
+
+    // Status transitions in the order they happened; the id is the stream's event id
+    const createNotificationEventsTable = `
+      CREATE TABLE IF NOT EXISTS notification_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notificationId TEXT NOT NULL,
+        tenantId TEXT NOT NULL DEFAULT 'default',
+        recipient TEXT,
+        type TEXT,
+        event TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT,
+        createdAt DATETIME NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_notification_events_tenant ON notification_events(tenantId, id);
+      CREATE INDEX IF NOT EXISTS idx_notification_events_created_at ON notification_events(createdAt);
+    `;
 
-      this.db.exec(createNotificationsTable + '; ' + createIndexes, (err) => {
+    // Bulk uploads: counts are progress so far, errors one row per rejected or unqueued input row
+    const createBulkJobsTable = `
+      CREATE TABLE IF NOT EXISTS bulk_jobs (
+        id TEXT PRIMARY KEY,
+        tenantId TEXT NOT NULL DEFAULT 'default',
+        createdBy TEXT,
+        format TEXT NOT NULL,
+        status TEXT NOT NULL,
+        totalRows INTEGER NOT NULL DEFAULT 0,
+        accepted INTEGER NOT NULL DEFAULT 0,
+        rejected INTEGER NOT NULL DEFAULT 0,
+        queued INTEGER NOT NULL DEFAULT 0,
+        cancelled INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        createdAt DATETIME NOT NULL,
+        updatedAt DATETIME NOT NULL,
+        completedAt DATETIME,
+        cancelledAt DATETIME
+      );
+      CREATE INDEX IF NOT EXISTS idx_bulk_jobs_tenant_created_at ON bulk_jobs(tenantId, createdAt);
+      CREATE TABLE IF NOT EXISTS bulk_job_errors (
+        jobId TEXT NOT NULL,
+        row INTEGER NOT NULL,
+        details TEXT NOT NULL,
+        PRIMARY KEY (jobId, row)
+      );
+    `;
+
+    // Message templates; channels holds the variant of each channel as JSON, in
+    // the template's defaultLocale, and locales the channels of each other locale
+    const createTemplatesTable = `
+      CREATE TABLE IF NOT EXISTS templates (
+        tenantId TEXT NOT NULL,
+        id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        channels TEXT NOT NULL,
+        defaultLocale TEXT,
+        locales TEXT,
+        createdAt DATETIME NOT NULL,
+        updatedAt DATETIME NOT NULL,
+        PRIMARY KEY (tenantId, id)
+      );
+    `;
+
+    // What is known about a recipient address, such as the locale to send to it in
+    const createRecipientsTable = `
+      CREATE TABLE IF NOT EXISTS recipients (
+        tenantId TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        locale TEXT,
+        createdAt DATETIME NOT NULL,
+        updatedAt DATETIME NOT NULL,
+        PRIMARY KEY (tenantId, recipient)
+      );
+    `;
+
+    await this.exec(
+      createAttemptsTable + createDeadLettersTable + createIdempotencyKeysTable + createApiKeysTable +
+      createTenantsTable + createNotificationEventsTable + createBulkJobsTable + createTemplatesTable +
+      createRecipientsTable
+    );
+    await this.addMissingColumns('notifications', {
+      workerId: 'TEXT',
+      leaseExpiresAt: 'DATETIME',
+      nextAttemptAt: 'DATETIME',
+      scheduledAt: 'DATETIME',
+      cancelledAt: 'DATETIME',
+      createdBy: 'TEXT',
+      // Rows from before tenants existed belong to the default tenant
+      tenantId: "TEXT NOT NULL DEFAULT 'default'",
+      jobId: 'TEXT',
+      templateId: 'TEXT',
+      locale: 'TEXT'
+    });
+    await this.addMissingColumns('templates', {
+      defaultLocale: 'TEXT',
+      locales: 'TEXT'
+    });
+    await this.addMissingColumns('dead_letters', {
+      tenantId: "TEXT NOT NULL DEFAULT 'default'"
+    });
+    await this.addMissingColumns('api_keys', {
+      tenantId: "TEXT NOT NULL DEFAULT 'default'"
+    });
+
+    // Indexes on migrated columns can only be created once the columns exist
+    await this.exec(`
+      CREATE INDEX IF NOT EXISTS idx_notifications_scheduled ON notifications(status, scheduledAt);
+      CREATE INDEX IF NOT EXISTS idx_notifications_created_by ON notifications(createdBy);
+      CREATE INDEX IF NOT EXISTS idx_notifications_tenant_created_at ON notifications(tenantId, createdAt);
+      CREATE INDEX IF NOT EXISTS idx_dead_letters_tenant ON dead_letters(tenantId);
+      CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys(tenantId);
+      CREATE INDEX IF NOT EXISTS idx_notifications_job ON notifications(jobId);
+    `);
+
+    // Notifications written before the index existed are indexed once, when it is created
+    const indexed = await this.hasTable('notifications_fts');
+    await this.exec(createSearchIndex);
+    if (!indexed) {
+      await this.exec(`
+        INSERT INTO notifications_fts (rowid, message, subject)
+        SELECT rowid, message, CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.subject') END FROM notifications;
+      `);
+    }
+
+    console.log('📋 Database tables created/verified');
+  }
+
+  async exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
         if (err) {
           console.error('Error creating tables:', err);
           reject(err);
         } else {
-          console.log('📋 Database tables created/verified');
           resolve();
         }
       });
     });
   }
 
+  async hasTable(name) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT name FROM sqlite_master WHERE name = ?', [name], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(Boolean(row));
+        }
+      });
+    });
+  }
+
+  // Databases created by older versions predate some columns; add them in place
+  async addMissingColumns(table, columns) {
+    const existing = await new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => row.name));
+        }
+      });
+    });
+
+    for (const [name, definition] of Object.entries(columns)) {
+      if (existing.includes(name)) {
+        continue;
+      }
+
+      await new Promise((resolve, reject) => {
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`, [], (err) => {
+          if (err) {
+            console.error(`Error adding column ${table}.${name}:`, err);
+            reject(err);
+          } else {
+            console.log(`📋 Added column ${table}.${name}`);
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
+  parseNotificationRow(row) {
+    return {
+      ...row,
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      providerResponse: row.providerResponse ? JSON.parse(row.providerResponse) : null
+    };
+  }
+
   async saveNotification(notification) {
     return new Promise((resolve, reject) => {
       const sql = `
         INSERT INTO notifications (
-          id, recipient, message, type, priority, status, metadata, createdAt, updatedAt
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          id, recipient, message, type, priority, status, metadata, scheduledAt, createdBy, tenantId, jobId, templateId, locale,
+          createdAt, updatedAt
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       const params = [
@@ -87,6 +389,12 @@ class DatabaseService {
         notification.priority || 'normal',
         notification.status || 'pending',
         JSON.stringify(notification.metadata || {}),
+        notification.scheduledAt || null,
+        notification.createdBy || null,
+        notification.tenantId || 'default',
+        notification.jobId || null,
+        notification.templateId || null,
+        notification.locale || null,
         notification.timestamp || new Date().toISOString(),
         new Date().toISOString()
       ];
@@ -136,11 +444,12 @@ class DatabaseService {
     });
   }
 
-  async getNotification(id) {
+  // With `tenantId`, notifications of other tenants are not found
+  async getNotification(id, tenantId = null) {
     return new Promise((resolve, reject) => {
-      const sql = 'SELECT * FROM notifications WHERE id = ?';
+      const sql = `SELECT * FROM notifications WHERE id = ?${tenantId ? ' AND tenantId = ?' : ''}`;
       
-      this.db.get(sql, [id], (err, row) => {
+      this.db.get(sql, tenantId ? [id, tenantId] : [id], (err, row) => {
         if (err) {
           console.error('Error getting notification:', err);
           reject(err);
@@ -156,56 +465,228 @@ class DatabaseService {
     });
   }
 
-  async getNotifications(options = {}) {
-    return new Promise((resolve, reject) => {
-      const {
-        limit = 50,
-        offset = 0,
-        type,
-        status,
-        recipient,
-        startDate,
-        endDate
-      } = options;
-
-      let sql = 'SELECT * FROM notifications WHERE 1=1';
-      const params = [];
+  buildNotificationFilter(filter = {}) {
+    const {
+      ids,
+      tenantId,
+      type,
+      status,
+      recipient,
+      priority,
+      error,
+      createdBy,
+      jobId,
+      startDate,
+      endDate,
+      scheduledFrom,
+      scheduledTo,
+      search,
+      expression
+    } = filter;
+    let where = 'WHERE 1=1';
+    const params = [];
 
-      if (type) {
-        sql += ' AND type = ?';
-        params.push(type);
-      }
+    if (Array.isArray(ids)) {
+      where += ` AND id IN (${ids.map(() => '?').join(', ') || 'NULL'})`;
+      params.push(...ids);
+    }
 
-      if (status) {
-        sql += ' AND status = ?';
-        params.push(status);
-      }
+    if (tenantId) {
+      where += ' AND tenantId = ?';
+      params.push(tenantId);
+    }
 
-      if (recipient) {
-        sql += ' AND recipient LIKE ?';
-        params.push(`%${recipient}%`);
-      }
+    if (type) {
+      where += ' AND type = ?';
+      params.push(type);
+    }
 
-      if (startDate) {
-        sql += ' AND createdAt >= ?';
-        params.push(startDate);
-      }
+    if (status) {
+      where += ' AND status = ?';
+      params.push(status);
+    }
+
+    if (recipient) {
+      where += ' AND recipient LIKE ?';
+      params.push(`%${recipient}%`);
+    }
+
+    if (priority) {
+      where += ' AND priority = ?';
+      params.push(priority);
+    }
+
+    if (error) {
+      where += ` AND error LIKE ? ${LIKE_ESCAPE}`;
+      params.push(containsPattern(error));
+    }
+
+    if (createdBy) {
+      where += ' AND createdBy = ?';
+      params.push(createdBy);
+    }
+
+    if (jobId) {
+      where += ' AND jobId = ?';
+      params.push(jobId);
+    }
+
+    if (startDate) {
+      where += ' AND createdAt >= ?';
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      where += ' AND createdAt <= ?';
+      params.push(endDate);
+    }
+
+    if (scheduledFrom) {
+      where += ' AND scheduledAt >= ?';
+      params.push(scheduledFrom);
+    }
+
+    if (scheduledTo) {
+      where += ' AND scheduledAt <= ?';
+      params.push(scheduledTo);
+    }
+
+    if (search) {
+      where += ' AND rowid IN (SELECT rowid FROM notifications_fts WHERE notifications_fts MATCH ?)';
+      params.push(search);
+    }
+
+    if (expression) {
+      where += ` AND (${this.buildFilterExpression(expression, params)})`;
+    }
+
+    return { where, params };
+  }
 
-      if (endDate) {
-        sql += ' AND createdAt <= ?';
-        params.push(endDate);
+  /**
+   * SQL for a parsed `filter` expression (see utils/historyFilter), pushing
+   * its values onto `params`. Negations count a missing value as a
+   * mismatch, so `error != x` includes notifications without an error.
+   */
+  buildFilterExpression(node, params) {
+    if (node.op === 'and' || node.op === 'or') {
+      return node.terms.map(term => `(${this.buildFilterExpression(term, params)})`).join(` ${node.op.toUpperCase()} `);
+    }
+
+    if (node.op === 'not') {
+      return `NOT COALESCE((${this.buildFilterExpression(node.term, params)}), 0)`;
+    }
+
+    if (node.operator === '!=') {
+      return `NOT COALESCE((${this.buildFilterExpression({ ...node, operator: '=' }, params)}), 0)`;
+    }
+
+    if (node.field === 'text') {
+      params.push(toSearchQuery(node.value));
+      return 'rowid IN (SELECT rowid FROM notifications_fts WHERE notifications_fts MATCH ?)';
+    }
+
+    let target = node.field;
+    let value = node.value;
+
+    if (node.field === 'metadata') {
+      target = 'json_extract(metadata, ?)';
+      params.push('$' + node.path.map(segment => `."${segment}"`).join(''));
+
+      // JSON values keep their type, so bare words are compared as what they look like
+      if (!node.quoted && node.operator !== '~') {
+        if (value === 'null') {
+          return `${target} IS NULL`;
+        }
+        if (value === 'true' || value === 'false') {
+          value = value === 'true' ? 1 : 0;
+        } else if (value !== '' && !isNaN(Number(value))) {
+          // An id like 1234 may have been stored as a number or a string
+          if (node.operator === '=') {
+            params.push(Number(value), value);
+            return `${target} IN (?, ?)`;
+          }
+          value = Number(value);
+        }
       }
+    }
 
-      sql += ' ORDER BY createdAt DESC LIMIT ? OFFSET ?';
-      params.push(limit, offset);
+    if (node.operator === '~') {
+      params.push(containsPattern(value));
+      return `${target} LIKE ? ${LIKE_ESCAPE}`;
+    }
 
-      this.db.all(sql, params, (err, rows) => {
+    params.push(value);
+    return `${target} ${node.operator} ?`;
+  }
+
+  /**
+   * One page of notifications matching a history filter. Pages are ordered by
+   * `sort` (see HISTORY_SORT_EXPRESSIONS), then createdAt and id; `after` is
+   * the decoded cursor of the previous page. `total` counts every match and
+   * is left out only when `includeTotal` is false.
+   */
+  async getNotifications(options = {}) {
+    const {
+      limit = 50,
+      offset = 0,
+      sort = 'createdAt',
+      order = 'desc',
+      after = null,
+      includeTotal = true
+    } = options;
+    const { where, params } = this.buildNotificationFilter(options);
+    const sortKey = HISTORY_SORT_EXPRESSIONS[sort];
+    const keys = sort === 'createdAt' ? ['createdAt', 'id'] : [sortKey, 'createdAt', 'id'];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    const total = includeTotal
+      ? await new Promise((resolve, reject) => {
+        this.db.get(`SELECT COUNT(*) as total FROM notifications ${where}`, params, (err, row) => {
+          if (err) {
+            console.error('Error counting notifications:', err);
+            reject(err);
+          } else {
+            resolve(row.total);
+          }
+        });
+      })
+      : undefined;
+
+    let pageWhere = where;
+    const pageParams = [...params];
+
+    if (after) {
+      pageWhere += ` AND (${keys.join(', ')}) ${order === 'asc' ? '>' : '<'} (${keys.map(() => '?').join(', ')})`;
+      pageParams.push(...after);
+    }
+
+    // One row past the page tells whether there is a next one
+    const sql = `
+      SELECT *, ${sortKey} as sortKey FROM notifications ${pageWhere}
+      ORDER BY ${keys.map(key => `${key} ${direction}`).join(', ')}
+      LIMIT ? OFFSET ?
+    `;
+    pageParams.push(limit + 1, offset);
+
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, pageParams, (err, rows) => {
         if (err) {
           console.error('Error getting notifications:', err);
           reject(err);
         } else {
+          const page = rows.slice(0, limit);
+          const last = page[page.length - 1];
+          const nextCursor = rows.length > limit
+            ? encodeCursor({
+              sort,
+              order,
+              values: sort === 'createdAt' ? [last.createdAt, last.id] : [last.sortKey, last.createdAt, last.id]
+            })
+            : null;
+
           // Parse JSON fields for each row
-          const notifications = rows.map(row => ({
+          const notifications = page.map(({ sortKey, ...row }) => ({
             ...row,
             metadata: row.metadata ? JSON.parse(row.metadata) : {},
             providerResponse: row.providerResponse ? JSON.parse(row.providerResponse) : null
@@ -213,16 +694,19 @@ class DatabaseService {
           
           resolve({
             notifications,
-            total: notifications.length,
+            ...(includeTotal && { total }),
             limit,
-            offset
+            offset,
+            sort,
+            order,
+            nextCursor
           });
         }
       });
     });
   }
 
-  async getNotificationStatistics(timeframe = '24h') {
+  async getNotificationStatistics(timeframe = '24h', tenantId = null) {
     return new Promise((resolve, reject) => {
       let timeCondition = '';
       
@@ -251,6 +735,8 @@ class DatabaseService {
           COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
           COUNT(CASE WHEN status = 'processing' THEN 1 END) as processing,
+          COUNT(CASE WHEN status = 'scheduled' THEN 1 END) as scheduled,
+          COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled,
           COUNT(CASE WHEN type = 'email' THEN 1 END) as email,
           COUNT(CASE WHEN type = 'sms' THEN 1 END) as sms,
           COUNT(CASE WHEN type = 'push' THEN 1 END) as push,
@@ -260,10 +746,10 @@ class DatabaseService {
             THEN (julianday(sentAt) - julianday(createdAt)) * 24 * 60 * 60 
           END) as avgProcessingTimeSeconds
         FROM notifications 
-        WHERE createdAt >= ${timeCondition}
+        WHERE createdAt >= ${timeCondition}${tenantId ? ' AND tenantId = ?' : ''}
       `;
 
-      this.db.get(sql, [], (err, row) => {
+      this.db.get(sql, tenantId ? [tenantId] : [], (err, row) => {
         if (err) {
           console.error('Error getting notification statistics:', err);
           reject(err);
@@ -279,6 +765,62 @@ class DatabaseService {
     });
   }
 
+  // Notification counts per bucket of creation time, broken down by channel,
+  // status and priority. `bucket` is a key of BUCKET_FORMATS; empty buckets are omitted.
+  async getNotificationTimeSeries({ from, to, bucket, tenantId = null }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT
+          strftime(?, createdAt) as bucket,
+          type,
+          status,
+          priority,
+          COUNT(*) as count
+        FROM notifications
+        WHERE createdAt >= ? AND createdAt < ?${tenantId ? ' AND tenantId = ?' : ''}
+        GROUP BY 1, type, status, priority
+        ORDER BY 1
+      `;
+      const params = [BUCKET_FORMATS[bucket], from, to];
+      if (tenantId) {
+        params.push(tenantId);
+      }
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('Error getting notification time series:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Milliseconds from creation to delivery for notifications sent in [from, to), ascending
+  async getDeliveryLatencies({ from, to, tenantId = null }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT
+          type,
+          CAST(ROUND((julianday(sentAt) - julianday(createdAt)) * 86400000) AS INTEGER) as latencyMs
+        FROM notifications
+        WHERE status = 'sent' AND sentAt IS NOT NULL
+          AND createdAt >= ? AND createdAt < ?${tenantId ? ' AND tenantId = ?' : ''}
+        ORDER BY latencyMs
+      `;
+
+      this.db.all(sql, tenantId ? [from, to, tenantId] : [from, to], (err, rows) => {
+        if (err) {
+          console.error('Error getting delivery latencies:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
   async deleteOldNotifications(daysToKeep = 30) {
     return new Promise((resolve, reject) => {
       const sql = `
@@ -323,6 +865,1081 @@ class DatabaseService {
     });
   }
 
+  // Atomically move a pending notification to processing under a lease.
+  // Resolves false when another worker already claimed it.
+  async claimNotification(id, workerId, leaseExpiresAt) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE notifications
+        SET status = 'processing', workerId = ?, leaseExpiresAt = ?, updatedAt = ?
+        WHERE id = ? AND status = 'pending'
+      `;
+
+      this.db.run(sql, [workerId, leaseExpiresAt, new Date().toISOString(), id], function(err) {
+        if (err) {
+          console.error('Error claiming notification:', err);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async getPendingNotifications() {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM notifications
+        WHERE status = 'pending'
+        ORDER BY createdAt ASC
+      `;
+
+      this.db.all(sql, [], (err, rows) => {
+        if (err) {
+          console.error('Error getting pending notifications:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseNotificationRow(row)));
+        }
+      });
+    });
+  }
+
+  // Move a failed notification back to pending with `updates` (recipient,
+  // message, priority, metadata) applied. The status check is part of the
+  // update, so of two concurrent requeues only one gets the row; the other,
+  // like a requeue of a notification that is not failed, resolves to null.
+  async requeueFailedNotification(id, updates = {}, tenantId = null) {
+    const assignments = [
+      ...Object.keys(updates).map(key => `${key} = ?`),
+      "status = 'pending'", 'retryCount = 0', 'error = NULL', 'failedAt = NULL', 'nextAttemptAt = NULL', 'updatedAt = ?'
+    ];
+    const values = Object.entries(updates).map(([key, value]) => (key === 'metadata' ? JSON.stringify(value) : value));
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE notifications
+        SET ${assignments.join(', ')}
+        WHERE id = ? AND status = 'failed'${tenantId ? ' AND tenantId = ?' : ''}
+        RETURNING *
+      `;
+      const params = [...values, new Date().toISOString(), id, ...(tenantId ? [tenantId] : [])];
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('Error requeueing notification:', err);
+          reject(err);
+        } else {
+          resolve(rows.length === 1 ? this.parseNotificationRow(rows[0]) : null);
+        }
+      });
+    });
+  }
+
+  // Move scheduled notifications whose time has come to pending. Done in one
+  // statement so two instances sharing the database cannot release the same row.
+  async releaseDueScheduledNotifications(now = new Date().toISOString()) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE notifications
+        SET status = 'pending', updatedAt = ?
+        WHERE status = 'scheduled' AND scheduledAt <= ?
+        RETURNING *
+      `;
+
+      this.db.all(sql, [new Date().toISOString(), now], (err, rows) => {
+        if (err) {
+          console.error('Error releasing scheduled notifications:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseNotificationRow(row)));
+        }
+      });
+    });
+  }
+
+  // Return processing notifications whose lease has lapsed to pending.
+  // Ids in excludeIds are still being worked on by this process and are left alone.
+  async releaseExpiredLeases(now = new Date().toISOString(), excludeIds = []) {
+    return new Promise((resolve, reject) => {
+      let sql = `
+        UPDATE notifications
+        SET status = 'pending', workerId = NULL, leaseExpiresAt = NULL, updatedAt = ?
+        WHERE status = 'processing'
+          AND (leaseExpiresAt IS NULL OR leaseExpiresAt <= ?)
+      `;
+      const params = [new Date().toISOString(), now];
+
+      if (excludeIds.length > 0) {
+        sql += ` AND id NOT IN (${excludeIds.map(() => '?').join(', ')})`;
+        params.push(...excludeIds);
+      }
+
+      sql += ' RETURNING *';
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('Error releasing expired leases:', err);
+          reject(err);
+        } else {
+          if (rows.length > 0) {
+            console.log(`♻️ Reclaimed ${rows.length} notifications from expired leases`);
+          }
+          resolve(rows.map(row => this.parseNotificationRow(row)));
+        }
+      });
+    });
+  }
+
+  // Hand back rows a worker is still processing, e.g. when it shuts down
+  // before its sends finish
+  async releaseWorkerLeases(workerId, ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE notifications
+        SET status = 'pending', workerId = NULL, leaseExpiresAt = NULL, updatedAt = ?
+        WHERE status = 'processing' AND workerId = ?
+          AND id IN (${ids.map(() => '?').join(', ')})
+        RETURNING *
+      `;
+
+      this.db.all(sql, [new Date().toISOString(), workerId, ...ids], (err, rows) => {
+        if (err) {
+          console.error('Error releasing worker leases:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseNotificationRow(row)));
+        }
+      });
+    });
+  }
+
+  // Cancel matching notifications that have not started delivery. Only
+  // 'pending' and 'scheduled' rows change, and the check happens in the same
+  // statement as the update, so a worker can never claim a cancelled row.
+  async cancelNotifications(filter = {}, cancelledAt = new Date().toISOString()) {
+    const { where, params } = this.buildNotificationFilter(filter);
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE notifications
+        SET status = 'cancelled', cancelledAt = ?, nextAttemptAt = NULL, updatedAt = ?
+        ${where} AND status IN ('pending', 'scheduled')
+        RETURNING *
+      `;
+
+      this.db.all(sql, [cancelledAt, cancelledAt, ...params], (err, rows) => {
+        if (err) {
+          console.error('Error cancelling notifications:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseNotificationRow(row)));
+        }
+      });
+    });
+  }
+
+  async recordAttempt(attempt) {
+    return new Promise((resolve, reject) => {
+      // Numbered from the existing rows so manual requeues keep counting up
+      const sql = `
+        INSERT INTO notification_attempts (
+          notificationId, attempt, status, provider, error, errorCode, retryable,
+          providerResponse, startedAt, finishedAt
+        ) VALUES (
+          ?, (SELECT COUNT(*) + 1 FROM notification_attempts WHERE notificationId = ?),
+          ?, ?, ?, ?, ?, ?, ?, ?
+        )
+      `;
+
+      const params = [
+        attempt.notificationId,
+        attempt.notificationId,
+        attempt.status,
+        attempt.provider || null,
+        attempt.error || null,
+        attempt.errorCode || null,
+        typeof attempt.retryable === 'boolean' ? Number(attempt.retryable) : null,
+        JSON.stringify(attempt.providerResponse || null),
+        attempt.startedAt,
+        attempt.finishedAt || new Date().toISOString()
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('Error recording delivery attempt:', err);
+          reject(err);
+        } else {
+          resolve({ id: this.lastID });
+        }
+      });
+    });
+  }
+
+  async getAttempts(notificationId) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM notification_attempts
+        WHERE notificationId = ?
+        ORDER BY attempt ASC
+      `;
+
+      this.db.all(sql, [notificationId], (err, rows) => {
+        if (err) {
+          console.error('Error getting delivery attempts:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            ...row,
+            retryable: row.retryable === null ? null : Boolean(row.retryable),
+            providerResponse: row.providerResponse ? JSON.parse(row.providerResponse) : null
+          })));
+        }
+      });
+    });
+  }
+
+  async saveDeadLetter(deadLetter) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT OR REPLACE INTO dead_letters (
+          notificationId, type, recipient, reason, errorCode, deadLetteredAt, tenantId
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        deadLetter.notificationId,
+        deadLetter.type,
+        deadLetter.recipient,
+        deadLetter.reason || null,
+        deadLetter.errorCode || null,
+        deadLetter.deadLetteredAt || new Date().toISOString(),
+        deadLetter.tenantId || 'default'
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('Error saving dead letter:', err);
+          reject(err);
+        } else {
+          console.log(`🪦 Notification ${deadLetter.notificationId} moved to the dead-letter queue`);
+          resolve({ notificationId: deadLetter.notificationId, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  buildDeadLetterFilter(filter = {}) {
+    const { ids, tenantId, type, errorCode, recipient, reason, since, until } = filter;
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (Array.isArray(ids)) {
+      where += ` AND d.notificationId IN (${ids.map(() => '?').join(', ') || 'NULL'})`;
+      params.push(...ids);
+    }
+
+    if (tenantId) {
+      where += ' AND d.tenantId = ?';
+      params.push(tenantId);
+    }
+
+    if (type) {
+      where += ' AND d.type = ?';
+      params.push(type);
+    }
+
+    if (errorCode) {
+      where += ' AND d.errorCode = ?';
+      params.push(errorCode);
+    }
+
+    if (recipient) {
+      where += ' AND d.recipient LIKE ?';
+      params.push(`%${recipient}%`);
+    }
+
+    if (reason) {
+      where += ' AND d.reason LIKE ?';
+      params.push(`%${reason}%`);
+    }
+
+    if (since) {
+      where += ' AND d.deadLetteredAt >= ?';
+      params.push(since);
+    }
+
+    if (until) {
+      where += ' AND d.deadLetteredAt <= ?';
+      params.push(until);
+    }
+
+    return { where, params };
+  }
+
+  async getDeadLetters(options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    const { where, params } = this.buildDeadLetterFilter(options);
+
+    const total = await new Promise((resolve, reject) => {
+      this.db.get(`SELECT COUNT(*) as total FROM dead_letters d ${where}`, params, (err, row) => {
+        if (err) {
+          console.error('Error counting dead letters:', err);
+          reject(err);
+        } else {
+          resolve(row.total);
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT d.*, n.priority, n.message, n.metadata, n.createdAt, n.failedAt,
+          (SELECT COUNT(*) FROM notification_attempts a WHERE a.notificationId = d.notificationId) as attempts
+        FROM dead_letters d
+        LEFT JOIN notifications n ON n.id = d.notificationId
+        ${where}
+        ORDER BY d.deadLetteredAt DESC
+        LIMIT ? OFFSET ?
+      `;
+
+      this.db.all(sql, [...params, limit, offset], (err, rows) => {
+        if (err) {
+          console.error('Error getting dead letters:', err);
+          reject(err);
+        } else {
+          const deadLetters = rows.map(row => ({
+            ...row,
+            metadata: row.metadata ? JSON.parse(row.metadata) : {}
+          }));
+
+          resolve({ deadLetters, total, limit, offset });
+        }
+      });
+    });
+  }
+
+  async getDeadLetter(notificationId, tenantId = null) {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM dead_letters WHERE notificationId = ?${tenantId ? ' AND tenantId = ?' : ''}`;
+
+      this.db.get(sql, tenantId ? [notificationId, tenantId] : [notificationId], (err, row) => {
+        if (err) {
+          console.error('Error getting dead letter:', err);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async deleteDeadLetters(filter = {}) {
+    const { where, params } = this.buildDeadLetterFilter(filter);
+
+    return new Promise((resolve, reject) => {
+      // DELETE cannot alias its table, so match through a subquery
+      const sql = `
+        DELETE FROM dead_letters WHERE notificationId IN (
+          SELECT d.notificationId FROM dead_letters d ${where}
+        )
+      `;
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('Error deleting dead letters:', err);
+          reject(err);
+        } else {
+          resolve({ deleted: this.changes });
+        }
+      });
+    });
+  }
+
+  // Reserve an idempotency key. Resolves true if this call created the row,
+  // false if a live row for the key already exists.
+  async insertIdempotencyKey(scope, key, requestHash, expiresAt) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT OR IGNORE INTO idempotency_keys (scope, key, requestHash, createdAt, expiresAt)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      this.db.run(sql, [scope, key, requestHash, new Date().toISOString(), expiresAt], function(err) {
+        if (err) {
+          console.error('Error saving idempotency key:', err);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async getIdempotencyKey(scope, key) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM idempotency_keys WHERE scope = ? AND key = ?';
+
+      this.db.get(sql, [scope, key], (err, row) => {
+        if (err) {
+          console.error('Error getting idempotency key:', err);
+          reject(err);
+        } else {
+          if (row) {
+            row.response = row.response ? JSON.parse(row.response) : null;
+          }
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  async completeIdempotencyKey(scope, key, statusCode, response) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE idempotency_keys SET statusCode = ?, response = ?
+        WHERE scope = ? AND key = ?
+      `;
+
+      this.db.run(sql, [statusCode, JSON.stringify(response), scope, key], function(err) {
+        if (err) {
+          console.error('Error completing idempotency key:', err);
+          reject(err);
+        } else {
+          resolve({ changes: this.changes });
+        }
+      });
+    });
+  }
+
+  async deleteIdempotencyKey(scope, key) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM idempotency_keys WHERE scope = ? AND key = ?', [scope, key], function(err) {
+        if (err) {
+          console.error('Error deleting idempotency key:', err);
+          reject(err);
+        } else {
+          resolve({ deleted: this.changes });
+        }
+      });
+    });
+  }
+
+  async deleteExpiredIdempotencyKeys(now = new Date().toISOString()) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM idempotency_keys WHERE expiresAt <= ?', [now], function(err) {
+        if (err) {
+          console.error('Error deleting expired idempotency keys:', err);
+          reject(err);
+        } else {
+          resolve({ deleted: this.changes });
+        }
+      });
+    });
+  }
+
+  async insertNotificationEvent(event) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO notification_events (
+          notificationId, tenantId, recipient, type, event, status, data, createdAt
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        event.notificationId,
+        event.tenantId,
+        event.recipient || null,
+        event.type || null,
+        event.event,
+        event.status,
+        JSON.stringify(event.data || {}),
+        event.createdAt
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('Error recording notification event:', err);
+          reject(err);
+        } else {
+          resolve({ ...event, id: this.lastID });
+        }
+      });
+    });
+  }
+
+  // Events of one tenant after `afterId`, oldest first, optionally for one notification or recipient
+  async getNotificationEvents({ tenantId, afterId = 0, notificationId, recipient, limit = 500 }) {
+    return new Promise((resolve, reject) => {
+      let sql = 'SELECT * FROM notification_events WHERE tenantId = ? AND id > ?';
+      const params = [tenantId, afterId];
+
+      if (notificationId) {
+        sql += ' AND notificationId = ?';
+        params.push(notificationId);
+      }
+
+      if (recipient) {
+        sql += ' AND recipient = ?';
+        params.push(recipient);
+      }
+
+      sql += ' ORDER BY id LIMIT ?';
+      params.push(limit);
+
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('Error getting notification events:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({
+            ...row,
+            data: row.data ? JSON.parse(row.data) : {}
+          })));
+        }
+      });
+    });
+  }
+
+  async deleteNotificationEventsBefore(before) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM notification_events WHERE createdAt < ?', [before], function(err) {
+        if (err) {
+          console.error('Error deleting old notification events:', err);
+          reject(err);
+        } else {
+          resolve({ deleted: this.changes });
+        }
+      });
+    });
+  }
+
+  parseApiKeyRow(row) {
+    const { keyHash, ...apiKey } = row;
+    return {
+      ...apiKey,
+      scopes: JSON.parse(row.scopes)
+    };
+  }
+
+  async insertApiKey(apiKey) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO api_keys (id, tenantId, name, keyPrefix, keyHash, scopes, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        apiKey.id,
+        apiKey.tenantId,
+        apiKey.name,
+        apiKey.keyPrefix,
+        apiKey.keyHash,
+        JSON.stringify(apiKey.scopes),
+        apiKey.createdAt
+      ];
+
+      this.db.run(sql, params, (err) => {
+        if (err) {
+          console.error('Error saving API key:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async getApiKey(id, tenantId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM api_keys WHERE id = ? AND tenantId = ?', [id, tenantId], (err, row) => {
+        if (err) {
+          console.error('Error getting API key:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseApiKeyRow(row) : null);
+        }
+      });
+    });
+  }
+
+  // Only live keys are found by hash; revoked ones stop authenticating at once
+  async getActiveApiKeyByHash(keyHash) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM api_keys WHERE keyHash = ? AND revokedAt IS NULL';
+
+      this.db.get(sql, [keyHash], (err, row) => {
+        if (err) {
+          console.error('Error getting API key:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseApiKeyRow(row) : null);
+        }
+      });
+    });
+  }
+
+  async listApiKeys({ tenantId, includeRevoked = false }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM api_keys
+        WHERE tenantId = ?${includeRevoked ? '' : ' AND revokedAt IS NULL'}
+        ORDER BY createdAt DESC
+      `;
+
+      this.db.all(sql, [tenantId], (err, rows) => {
+        if (err) {
+          console.error('Error listing API keys:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseApiKeyRow(row)));
+        }
+      });
+    });
+  }
+
+  // Swap in a new secret for a live key. Resolves to the updated key, or null
+  // if the key does not exist or has been revoked.
+  async rotateApiKey(id, tenantId, keyPrefix, keyHash, rotatedAt) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE api_keys SET keyPrefix = ?, keyHash = ?, rotatedAt = ?
+        WHERE id = ? AND tenantId = ? AND revokedAt IS NULL
+        RETURNING *
+      `;
+
+      this.db.get(sql, [keyPrefix, keyHash, rotatedAt, id, tenantId], (err, row) => {
+        if (err) {
+          console.error('Error rotating API key:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseApiKeyRow(row) : null);
+        }
+      });
+    });
+  }
+
+  async revokeApiKey(id, tenantId, revokedAt) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE api_keys SET revokedAt = ?
+        WHERE id = ? AND tenantId = ? AND revokedAt IS NULL
+        RETURNING *
+      `;
+
+      this.db.get(sql, [revokedAt, id, tenantId], (err, row) => {
+        if (err) {
+          console.error('Error revoking API key:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseApiKeyRow(row) : null);
+        }
+      });
+    });
+  }
+
+  // Record use at most once per window (anything older than `staleBefore`), to keep writes off the hot path
+  async touchApiKey(id, usedAt, staleBefore) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE api_keys SET lastUsedAt = ?
+        WHERE id = ? AND (lastUsedAt IS NULL OR lastUsedAt < ?)
+      `;
+
+      this.db.run(sql, [usedAt, id, staleBefore], function(err) {
+        if (err) {
+          console.error('Error updating API key usage:', err);
+          reject(err);
+        } else {
+          resolve({ changes: this.changes });
+        }
+      });
+    });
+  }
+
+  parseTenantRow(row) {
+    return {
+      ...row,
+      quotas: JSON.parse(row.quotas)
+    };
+  }
+
+  // `providers` is written as given; TenantService encrypts it first
+  async insertTenant(tenant) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT OR IGNORE INTO tenants (id, name, quotas, providers, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        tenant.id,
+        tenant.name,
+        JSON.stringify(tenant.quotas || {}),
+        tenant.providers || null,
+        tenant.createdAt,
+        tenant.createdAt
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('Error saving tenant:', err);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async getTenant(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM tenants WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error getting tenant:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseTenantRow(row) : null);
+        }
+      });
+    });
+  }
+
+  async listTenants() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM tenants ORDER BY id', [], (err, rows) => {
+        if (err) {
+          console.error('Error listing tenants:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseTenantRow(row)));
+        }
+      });
+    });
+  }
+
+  async updateTenant(id, { name, quotas, providers, updatedAt }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE tenants SET name = ?, quotas = ?, providers = ?, updatedAt = ?
+        WHERE id = ?
+        RETURNING *
+      `;
+
+      this.db.get(sql, [name, JSON.stringify(quotas), providers, updatedAt, id], (err, row) => {
+        if (err) {
+          console.error('Error updating tenant:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseTenantRow(row) : null);
+        }
+      });
+    });
+  }
+
+  // Notifications a tenant created since `since`, optionally of one channel, for quota checks
+  async countTenantNotifications({ tenantId, type, since }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT COUNT(*) as count FROM notifications
+        WHERE tenantId = ? AND createdAt >= ?${type ? ' AND type = ?' : ''}
+      `;
+      const params = type ? [tenantId, since, type] : [tenantId, since];
+
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          console.error('Error counting tenant notifications:', err);
+          reject(err);
+        } else {
+          resolve(row.count);
+        }
+      });
+    });
+  }
+
+  async insertBulkJob(job) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO bulk_jobs (id, tenantId, createdBy, format, status, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [job.id, job.tenantId, job.createdBy || null, job.format, job.status, job.createdAt, job.createdAt];
+
+      this.db.run(sql, params, (err) => {
+        if (err) {
+          console.error('Error saving bulk job:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async getBulkJob(id, tenantId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM bulk_jobs WHERE id = ? AND tenantId = ?', [id, tenantId], (err, row) => {
+        if (err) {
+          console.error('Error getting bulk job:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  async listBulkJobs({ tenantId, limit = 50, offset = 0 }) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM bulk_jobs WHERE tenantId = ? ORDER BY createdAt DESC, id DESC LIMIT ? OFFSET ?';
+
+      this.db.all(sql, [tenantId, limit, offset], (err, rows) => {
+        if (err) {
+          console.error('Error listing bulk jobs:', err);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Write a job's progress, and with `status` finish it. Only a job still
+   * processing changes status, so one cancelled meanwhile (by any instance)
+   * stays cancelled with its final counts. Resolves the job's status after
+   * the update.
+   */
+  async updateBulkJobProgress(id, { totalRows, accepted, rejected, queued }, { status = 'processing', error = null, updatedAt }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE bulk_jobs
+        SET totalRows = ?, accepted = ?, rejected = ?, queued = ?, updatedAt = ?,
+            error = CASE WHEN status = 'processing' THEN ? ELSE error END,
+            completedAt = CASE WHEN status = 'processing' AND ? != 'processing' THEN ? ELSE completedAt END,
+            status = CASE WHEN status = 'processing' THEN ? ELSE status END
+        WHERE id = ?
+        RETURNING status
+      `;
+      const params = [totalRows, accepted, rejected, queued, updatedAt, error, status, updatedAt, status, id];
+
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          console.error('Error updating bulk job:', err);
+          reject(err);
+        } else {
+          resolve(row ? row.status : null);
+        }
+      });
+    });
+  }
+
+  // Resolves the cancelled job, or null when it was not found or already cancelled
+  async cancelBulkJob(id, tenantId, cancelledAt) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE bulk_jobs SET status = 'cancelled', cancelledAt = ?, updatedAt = ?
+        WHERE id = ? AND tenantId = ? AND status != 'cancelled'
+        RETURNING *
+      `;
+
+      this.db.get(sql, [cancelledAt, cancelledAt, id, tenantId], (err, row) => {
+        if (err) {
+          console.error('Error cancelling bulk job:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  async addBulkJobCancellations(id, count) {
+    return new Promise((resolve, reject) => {
+      this.db.run('UPDATE bulk_jobs SET cancelled = cancelled + ? WHERE id = ?', [count, id], (err) => {
+        if (err) {
+          console.error('Error updating bulk job:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async insertBulkJobError(jobId, row, details) {
+    return new Promise((resolve, reject) => {
+      this.db.run('INSERT OR REPLACE INTO bulk_job_errors (jobId, row, details) VALUES (?, ?, ?)', [jobId, row, JSON.stringify(details)], (err) => {
+        if (err) {
+          console.error('Error saving bulk job error:', err);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async getBulkJobErrors(jobId, { limit = 100, offset = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT row, details FROM bulk_job_errors WHERE jobId = ? ORDER BY row LIMIT ? OFFSET ?';
+
+      this.db.all(sql, [jobId, limit, offset], (err, rows) => {
+        if (err) {
+          console.error('Error getting bulk job errors:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => ({ row: row.row, details: JSON.parse(row.details) })));
+        }
+      });
+    });
+  }
+
+  parseTemplateRow(row) {
+    return {
+      ...row,
+      channels: JSON.parse(row.channels),
+      locales: row.locales ? JSON.parse(row.locales) : {}
+    };
+  }
+
+  // Resolves false when the tenant already has a template with this id
+  async insertTemplate(template) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT OR IGNORE INTO templates (tenantId, id, name, description, channels, defaultLocale, locales, createdAt, updatedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [
+        template.tenantId,
+        template.id,
+        template.name,
+        template.description,
+        JSON.stringify(template.channels),
+        template.defaultLocale,
+        JSON.stringify(template.locales),
+        template.createdAt,
+        template.updatedAt
+      ];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('Error saving template:', err);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async getTemplate(id, tenantId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM templates WHERE id = ? AND tenantId = ?', [id, tenantId], (err, row) => {
+        if (err) {
+          console.error('Error getting template:', err);
+          reject(err);
+        } else {
+          resolve(row ? this.parseTemplateRow(row) : null);
+        }
+      });
+    });
+  }
+
+  async listTemplates(tenantId) {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM templates WHERE tenantId = ? ORDER BY id', [tenantId], (err, rows) => {
+        if (err) {
+          console.error('Error listing templates:', err);
+          reject(err);
+        } else {
+          resolve(rows.map(row => this.parseTemplateRow(row)));
+        }
+      });
+    });
+  }
+
+  async updateTemplate(id, tenantId, { name, description, channels, defaultLocale, locales, updatedAt }) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE templates SET name = ?, description = ?, channels = ?, defaultLocale = ?, locales = ?, updatedAt = ?
+        WHERE id = ? AND tenantId = ?
+      `;
+      const params = [name, description, JSON.stringify(channels), defaultLocale, JSON.stringify(locales), updatedAt, id, tenantId];
+
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          console.error('Error updating template:', err);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async deleteTemplate(id, tenantId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM templates WHERE id = ? AND tenantId = ?', [id, tenantId], function(err) {
+        if (err) {
+          console.error('Error deleting template:', err);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  async getRecipient(recipient, tenantId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM recipients WHERE recipient = ? AND tenantId = ?', [recipient, tenantId], (err, row) => {
+        if (err) {
+          console.error('Error getting recipient:', err);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  // Resolves true when the recipient is new
+  async upsertRecipient({ tenantId, recipient, locale, updatedAt }) {
+    const existing = await this.getRecipient(recipient, tenantId);
+
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO recipients (tenantId, recipient, locale, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (tenantId, recipient) DO UPDATE SET locale = excluded.locale, updatedAt = excluded.updatedAt
+      `;
+
+      this.db.run(sql, [tenantId, recipient, locale, updatedAt, updatedAt], (err) => {
+        if (err) {
+          console.error('Error saving recipient:', err);
+          reject(err);
+        } else {
+          resolve(!existing);
+        }
+      });
+    });
+  }
+
+  async deleteRecipient(recipient, tenantId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM recipients WHERE recipient = ? AND tenantId = ?', [recipient, tenantId], function(err) {
+        if (err) {
+          console.error('Error deleting recipient:', err);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
   async close() {
     return new Promise((resolve, reject) => {
       if (this.db) {
@@ -0,0 +1,176 @@
+const LaneScheduler = require('../queues/LaneScheduler');
+const { validateNotification } = require('../utils/validation');
+
+// Upper bound on how many dead letters a single filter-based requeue touches
+const MAX_BULK_REQUEUE = 1000;
+
+// Fields of a notification a requeue may correct
+const EDITABLE_FIELDS = ['recipient', 'message', 'priority', 'metadata'];
+
+// The stored notification with `updates` applied, as it would be posted to /send
+function mergeUpdates(notification, updates) {
+  const payload = {
+    recipient: notification.recipient,
+    message: notification.message,
+    type: notification.type,
+    ...(notification.priority && { priority: notification.priority }),
+    ...(notification.metadata && Object.keys(notification.metadata).length > 0 && { metadata: notification.metadata })
+  };
+
+  for (const field of EDITABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      payload[field] = updates[field];
+    }
+  }
+
+  return payload;
+}
+
+class DeadLetterService {
+  constructor(database, notificationService) {
+    this.db = database;
+    this.notificationService = notificationService;
+  }
+
+  async listDeadLetters(options = {}) {
+    try {
+      return await this.db.getDeadLetters(options);
+    } catch (error) {
+      console.error('Error listing dead letters:', error);
+      throw error;
+    }
+  }
+
+  // Every lookup takes the tenant it runs for; null means across all tenants
+  async getDeadLetter(id, tenantId = null) {
+    try {
+      const deadLetter = await this.db.getDeadLetter(id, tenantId);
+
+      if (!deadLetter) {
+        return null;
+      }
+
+      const [notification, attempts] = await Promise.all([
+        this.db.getNotification(id, tenantId),
+        this.db.getAttempts(id)
+      ]);
+
+      return {
+        ...deadLetter,
+        notification,
+        attempts
+      };
+    } catch (error) {
+      console.error('Error getting dead letter:', error);
+      throw error;
+    }
+  }
+
+  // Returns an error message for payload edits that could never be delivered, or null
+  validateUpdates(updates = {}) {
+    if (updates === null || typeof updates !== 'object' || Array.isArray(updates)) {
+      return 'updates must be an object';
+    }
+
+    for (const field of ['recipient', 'message']) {
+      if (updates[field] !== undefined && (typeof updates[field] !== 'string' || updates[field].length === 0)) {
+        return `${field} must be a non-empty string`;
+      }
+    }
+
+    if (updates.priority !== undefined && !LaneScheduler.LANES.includes(updates.priority)) {
+      return `priority must be one of: ${LaneScheduler.LANES.join(', ')}`;
+    }
+
+    if (updates.metadata !== undefined &&
+      (updates.metadata === null || typeof updates.metadata !== 'object' || Array.isArray(updates.metadata))) {
+      return 'metadata must be an object';
+    }
+
+    return null;
+  }
+
+  /**
+   * Problems with the notification a requeue would send: the stored payload
+   * with `updates` applied, checked like a /send request (sender included).
+   * Empty when it is valid.
+   */
+  async validateRequeue(id, updates = {}, tenantId = null) {
+    const notification = await this.db.getNotification(id, tenantId);
+
+    if (!notification) {
+      return [];
+    }
+
+    const payload = mergeUpdates(notification, updates);
+    const errors = validateNotification(payload);
+
+    return errors.length > 0 ? errors : this.notificationService.checkSender(payload, notification.tenantId);
+  }
+
+  // Resolves to null for unknown dead letters (or ones another request just
+  // requeued) and to { errors } when the corrected notification is invalid
+  async requeue(id, updates = {}, tenantId = null) {
+    const deadLetter = await this.db.getDeadLetter(id, tenantId);
+
+    if (!deadLetter) {
+      return null;
+    }
+
+    const errors = await this.validateRequeue(id, updates, tenantId);
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    return this.notificationService.retryFailedNotification(id, updates, tenantId);
+  }
+
+  async requeueMany({ ids, filter = {}, updates = {}, tenantId = null } = {}) {
+    const { deadLetters } = await this.db.getDeadLetters({
+      ...filter,
+      ids,
+      tenantId,
+      limit: MAX_BULK_REQUEUE,
+      offset: 0
+    });
+
+    const results = [];
+
+    for (const deadLetter of deadLetters) {
+      try {
+        const errors = await this.validateRequeue(deadLetter.notificationId, updates, tenantId);
+        if (errors.length > 0) {
+          results.push({ id: deadLetter.notificationId, status: 'error', error: 'Validation failed', details: errors });
+          continue;
+        }
+
+        const requeued = await this.notificationService.retryFailedNotification(deadLetter.notificationId, updates, tenantId);
+        if (!requeued) {
+          results.push({ id: deadLetter.notificationId, status: 'error', error: 'Already requeued' });
+          continue;
+        }
+
+        results.push({ id: deadLetter.notificationId, status: 'requeued' });
+      } catch (error) {
+        results.push({ id: deadLetter.notificationId, status: 'error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  async purge(filter = {}) {
+    try {
+      const result = await this.db.deleteDeadLetters(filter);
+      console.log(`🗑️ Purged ${result.deleted} dead letters`);
+      return result;
+    } catch (error) {
+      console.error('Error purging dead letters:', error);
+      throw error;
+    }
+  }
+}
+
+DeadLetterService.MAX_BULK_REQUEUE = MAX_BULK_REQUEUE;
+
+module.exports = DeadLetterService;
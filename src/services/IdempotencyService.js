@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON.stringify with sorted object keys, so logically equal bodies hash the same
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+class IdempotencyService {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.ttlMs = options.ttlMs || config.IDEMPOTENCY_TTL_MS;
+  }
+
+  isValidKey(key) {
+    return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH;
+  }
+
+  hashRequest(body) {
+    return crypto.createHash('sha256').update(canonicalize(body)).digest('hex');
+  }
+
+  /**
+   * Claim `key` within `scope` for a request whose body hashes to `requestHash`.
+   *
+   * Resolves to one of:
+   *   { state: 'new' }                              - caller should do the work, then complete()
+   *   { state: 'replay', statusCode, response }     - same request seen before; return the stored response
+   *   { state: 'conflict' }                         - key reused with a different body
+   *   { state: 'in_progress' }                      - the original request has not finished yet
+   */
+  async begin(scope, key, requestHash) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.ttlMs).toISOString();
+
+    await this.db.deleteExpiredIdempotencyKeys(now.toISOString());
+
+    if (await this.db.insertIdempotencyKey(scope, key, requestHash, expiresAt)) {
+      return { state: 'new' };
+    }
+
+    const existing = await this.db.getIdempotencyKey(scope, key);
+
+    // Expired and removed between the insert and the lookup; try once more
+    if (!existing) {
+      const inserted = await this.db.insertIdempotencyKey(scope, key, requestHash, expiresAt);
+      return { state: inserted ? 'new' : 'in_progress' };
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return { state: 'conflict' };
+    }
+
+    if (existing.response === null) {
+      return { state: 'in_progress' };
+    }
+
+    return {
+      state: 'replay',
+      statusCode: existing.statusCode,
+      response: existing.response
+    };
+  }
+
+  async complete(scope, key, statusCode, response) {
+    return this.db.completeIdempotencyKey(scope, key, statusCode, response);
+  }
+
+  // Forget a key whose request failed before doing anything, so the client can retry it
+  async release(scope, key) {
+    return this.db.deleteIdempotencyKey(scope, key);
+  }
+
+  /**
+   * Run `fn` at most once per key. Used for the per-item keys in bulk sends,
+   * where there is no HTTP response of its own to store.
+   */
+  async runOnce(scope, key, payload, fn) {
+    const claim = await this.begin(scope, key, this.hashRequest(payload));
+
+    if (claim.state !== 'new') {
+      return claim;
+    }
+
+    try {
+      const response = await fn();
+      await this.complete(scope, key, 200, response);
+      return { state: 'new', response };
+    } catch (error) {
+      await this.release(scope, key);
+      throw error;
+    }
+  }
+}
+
+IdempotencyService.MAX_KEY_LENGTH = MAX_KEY_LENGTH;
+
+module.exports = IdempotencyService;
@@ -2,17 +2,55 @@ const EmailProvider = require('../providers/EmailProvider');
 const SMSProvider = require('../providers/SMSProvider');
 const PushProvider = require('../providers/PushProvider');
 const WebhookProvider = require('../providers/WebhookProvider');
+const ProviderLimiter = require('./ProviderLimiter');
+const TenantService = require('./TenantService');
+const LaneScheduler = require('../queues/LaneScheduler');
+const { createQueue } = require('../queues');
+const os = require('os');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config/config');
+const { PermanentError, classifyError, computeBackoff } = require('../utils/retry');
+const { parseScheduledTime } = require('../utils/schedule');
+const { listBuckets, summarizeLatencies } = require('../utils/stats');
+const { validateNotification } = require('../utils/validation');
+const { ERROR_CODES, mailboxAddress } = require('../utils/schema');
+const { canonicalLocale } = require('../utils/locale');
+
+const PROVIDER_CLASSES = {
+  email: EmailProvider,
+  sms: SMSProvider,
+  push: PushProvider,
+  webhook: WebhookProvider
+};
 
 class NotificationService {
-  constructor(database) {
+  constructor(database, options = {}) {
     this.db = database;
+    this.tenants = options.tenantService || null;
+    this.statusEvents = options.statusEvents || null;
+    this.templates = options.templateService || null;
     this.providers = this.initializeProviders();
-    this.queue = [];
-    this.processing = false;
+    this.tenantProviders = new Map();
+    this.queue = options.queue || createQueue(config.QUEUE_BACKEND, database);
+    this.laneScheduler = new LaneScheduler();
+    this.limiter = new ProviderLimiter();
+    this.inFlight = new Map();
+    this.dispatchPass = null;
+    this.dispatchRequested = false;
+    this.stopping = false;
+    this.stopPromise = null;
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    
+    // Rebuild the queue from the database before the first batch runs
+    this.ready = this.recoverQueue().catch(error => {
+      console.error('Error recovering notification queue:', error);
+    });
     
     // Start processing queue
     this.startQueueProcessor();
+    this.startRecoverySweep();
+    this.startScheduler();
   }
 
   initializeProviders() {
@@ -37,13 +75,97 @@ class NotificationService {
     return providers;
   }
 
+  // Channels a tenant has its own credentials or sender identity for get a
+  // provider instance of their own, rebuilt when the tenant's settings change
+  async getProvider(notification) {
+    const defaultProvider = this.providers[notification.type];
+    
+    if (!defaultProvider || !this.tenants) {
+      return defaultProvider;
+    }
+    
+    const tenant = await this.tenants.getTenant(notification.tenantId || TenantService.DEFAULT_TENANT_ID);
+    const settings = tenant && tenant.providers[notification.type];
+    
+    if (!settings) {
+      return defaultProvider;
+    }
+    
+    const cacheKey = `${tenant.id}:${notification.type}`;
+    const cached = this.tenantProviders.get(cacheKey);
+    
+    if (cached && cached.version === tenant.updatedAt) {
+      return cached.provider;
+    }
+    
+    // Named after the settings, so an update that leaves this channel's
+    // settings as they were reuses the SDK clients set up for them
+    const name = `${cacheKey}:${crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 16)}`;
+    const provider = new PROVIDER_CLASSES[notification.type]({ ...settings, name });
+    this.tenantProviders.set(cacheKey, { version: tenant.updatedAt, name, provider });
+    
+    if (cached && cached.name !== name) {
+      await this.closeProvider(cached.provider);
+    }
+    
+    return provider;
+  }
+
+  // Free what a replaced tenant provider holds (e.g. its Firebase app)
+  async closeProvider(provider) {
+    if (typeof provider.close !== 'function') {
+      return;
+    }
+    
+    try {
+      await provider.close();
+    } catch (error) {
+      console.error('Error closing replaced provider:', error);
+    }
+  }
+
+  /**
+   * What the provider for the notification's channel would emit, from its own
+   * formatting code, without sending or storing anything: { output, warnings }.
+   * Uses the tenant's provider settings like a send; null when the channel is
+   * not enabled.
+   */
+  async previewNotification(notification) {
+    const provider = await this.getProvider(notification);
+    return provider ? provider.preview(notification) : null;
+  }
+
+  // Throws TenantService.QuotaExceededError when the tenant is out of quota
   async sendNotification(notification) {
     try {
+      if (this.tenants) {
+        await this.tenants.checkQuota(notification.tenantId || TenantService.DEFAULT_TENANT_ID, notification.type);
+      }
+      
+      // Notifications for later are parked in the database until the scheduler releases them
+      if (notification.scheduledAt && new Date(notification.scheduledAt).getTime() > Date.now()) {
+        notification.status = 'scheduled';
+        await this.db.saveNotification(notification);
+        
+        this.publishStatus(notification, 'scheduled', { scheduledAt: notification.scheduledAt });
+        
+        console.log(`⏰ Notification ${notification.id} scheduled for ${notification.scheduledAt}`);
+        
+        return {
+          status: 'scheduled',
+          id: notification.id,
+          scheduledAt: notification.scheduledAt,
+          timestamp: new Date().toISOString()
+        };
+      }
+      
       // Store notification in database
       await this.db.saveNotification(notification);
       
-      // Add to processing queue
-      this.queue.push(notification);
+      // Add to processing queue once the backend is initialised
+      await this.ready;
+      await this.queue.enqueue(notification);
+      this.publishStatus(notification, 'queued');
       
       console.log(`📧 Notification ${notification.id} queued for delivery`);
       
@@ -58,29 +180,106 @@ class NotificationService {
     }
   }
 
-  async sendBulkNotifications(notifications) {
+  /**
+   * Render a validated payload's template into it, when it names one (see
+   * TemplateService.applyTemplate), after checking its sender (see
+   * checkSender). The locale is the payload's own or, when it has none, the
+   * one stored for its recipient; the payload comes back with the locale
+   * actually used. Returns { payload } or { errors }.
+   */
+  async applyTemplate(payload, tenantId, options = {}) {
+    const owner = tenantId || TenantService.DEFAULT_TENANT_ID;
+    const senderErrors = await this.checkSender(payload, owner, options);
+
+    if (senderErrors.length > 0) {
+      return { errors: senderErrors };
+    }
+
+    const locale = payload.locale !== undefined
+      ? canonicalLocale(payload.locale)
+      : await this.getRecipientLocale(payload.recipient, owner);
+    const localized = locale ? { ...payload, locale } : payload;
+
+    if (!payload.templateId || !this.templates) {
+      return { payload: localized };
+    }
+
+    return this.templates.applyTemplate(localized, owner, options);
+  }
+
+  /**
+   * An email's metadata.from must be at the domain it would otherwise be sent
+   * from: the tenant's own sender, or EMAIL_FROM for tenants without one.
+   * Anything else would let a tenant send as somebody else. Returns errors
+   * like validateNotification's.
+   */
+  async checkSender(payload, tenantId, { path = '' } = {}) {
+    const from = payload.type === 'email' && payload.metadata && payload.metadata.from;
+
+    if (!from) {
+      return [];
+    }
+
+    const tenant = this.tenants ? await this.tenants.getTenant(tenantId) : null;
+    const sender = (tenant && tenant.providers.email && tenant.providers.email.from) || config.EMAIL_FROM;
+    const domainOf = mailbox => (mailboxAddress(mailbox) || '').split('@').pop().toLowerCase();
+
+    if (domainOf(from) === domainOf(sender)) {
+      return [];
+    }
+
+    return [{
+      code: ERROR_CODES.SENDER_NOT_ALLOWED,
+      path: path ? `${path}.metadata.from` : 'metadata.from',
+      message: `metadata.from must be an address at ${domainOf(sender)}`
+    }];
+  }
+
+  async getRecipientLocale(recipient, tenantId) {
+    const stored = await this.db.getRecipient(recipient, tenantId);
+    return stored ? stored.locale : null;
+  }
+
+  // Items may carry their own `idempotencyKey`; when an idempotency service is
+  // passed in, an item whose key was seen before is not queued again. Invalid
+  // items are reported with errors under `notifications[index]` and skipped.
+  async sendBulkNotifications(notifications, options = {}) {
+    const { idempotencyService, createdBy, tenantId } = options;
+    const owner = { createdBy, tenantId };
     const results = [];
     
-    for (const notificationData of notifications) {
-      try {
-        const notification = {
-          ...notificationData,
-          id: notificationData.id || require('uuid').v4(),
-          timestamp: new Date().toISOString(),
-          status: 'pending'
-        };
-        
-        const result = await this.sendNotification(notification);
+    for (const [index, notificationData] of notifications.entries()) {
+      const path = `notifications[${index}]`;
+      const validationErrors = validateNotification(notificationData, { path });
+      const { payload, errors: templateErrors } = validationErrors.length > 0
+        ? {}
+        : await this.applyTemplate(notificationData, tenantId, { path });
+      
+      if (validationErrors.length > 0 || templateErrors) {
         results.push({
-          id: notification.id,
-          status: 'queued',
-          result
+          id: (notificationData && notificationData.id) || 'unknown',
+          status: 'error',
+          error: 'Validation failed',
+          details: validationErrors.length > 0 ? validationErrors : templateErrors
         });
+        continue;
+      }
+      
+      const { idempotencyKey, ...itemData } = payload;
+      
+      if (idempotencyService && idempotencyKey !== undefined) {
+        results.push(await this.sendBulkItemOnce(idempotencyService, idempotencyKey, itemData, owner));
+        continue;
+      }
+      
+      try {
+        results.push(await this.sendBulkItem(itemData, owner));
       } catch (error) {
         results.push({
-          id: notificationData.id || 'unknown',
+          id: itemData.id || 'unknown',
           status: 'error',
-          error: error.message
+          error: error.message,
+          ...(error.quota && { quota: error.quota })
         });
       }
     }
@@ -88,87 +287,467 @@ class NotificationService {
     return results;
   }
 
+  async sendBulkItemOnce(idempotencyService, idempotencyKey, notificationData, owner) {
+    if (!idempotencyService.isValidKey(idempotencyKey)) {
+      return {
+        id: notificationData.id || 'unknown',
+        status: 'error',
+        error: 'idempotencyKey must be a non-empty string of at most 255 characters'
+      };
+    }
+    
+    try {
+      // Keys are per caller, so two clients cannot replay each other's items
+      const outcome = await idempotencyService.runOnce(
+        owner.createdBy ? `${owner.tenantId}:${owner.createdBy}:bulk-item` : 'bulk-item',
+        idempotencyKey,
+        notificationData,
+        () => this.sendBulkItem(notificationData, owner)
+      );
+      
+      if (outcome.state === 'replay') {
+        return { ...outcome.response, replayed: true };
+      }
+      
+      if (outcome.state === 'conflict' || outcome.state === 'in_progress') {
+        return {
+          id: notificationData.id || 'unknown',
+          idempotencyKey,
+          status: 'conflict',
+          error: outcome.state === 'conflict'
+            ? 'idempotencyKey was already used with a different payload'
+            : 'An item with this idempotencyKey is still being processed'
+        };
+      }
+      
+      return outcome.response;
+    } catch (error) {
+      return {
+        id: notificationData.id || 'unknown',
+        status: 'error',
+        error: error.message,
+        ...(error.quota && { quota: error.quota })
+      };
+    }
+  }
+
+  // `owner` ({ createdBy, tenantId }) wins over anything the item itself claims
+  async sendBulkItem(notificationData, owner = {}) {
+    const { scheduledAt, error: scheduleError } = parseScheduledTime(notificationData);
+    
+    if (scheduleError) {
+      throw new Error(scheduleError);
+    }
+    
+    const notification = {
+      ...notificationData,
+      id: notificationData.id || uuidv4(),
+      timestamp: new Date().toISOString(),
+      status: 'pending',
+      scheduledAt,
+      createdBy: owner.createdBy,
+      tenantId: owner.tenantId
+    };
+    
+    const result = await this.sendNotification(notification);
+    
+    return {
+      id: notification.id,
+      status: result.status,
+      result
+    };
+  }
+
+  // Re-queue everything that was pending when the last process stopped, and
+  // take back rows that were mid-delivery in a worker that no longer holds its
+  // lease. Durable backends usually hold these already; only the gaps are filled.
+  async recoverQueue() {
+    await this.db.ready;
+    await this.queue.init();
+    
+    await this.db.releaseExpiredLeases(new Date().toISOString());
+    const pending = await this.db.getPendingNotifications();
+    const recovered = [];
+    
+    for (const notification of pending) {
+      if (!(await this.queue.has(notification.id))) {
+        await this.queue.enqueue(notification);
+        recovered.push(notification);
+      }
+    }
+    
+    if (recovered.length > 0) {
+      console.log(`♻️ Recovered ${recovered.length} notifications into the queue`);
+    }
+    
+    return recovered.length;
+  }
+
+  startRecoverySweep() {
+    this.recoveryInterval = setInterval(async () => {
+      try {
+        const reclaimed = await this.db.releaseExpiredLeases(
+          new Date().toISOString(),
+          Array.from(this.inFlight.keys())
+        );
+        for (const notification of reclaimed) {
+          await this.queue.enqueue(notification);
+          this.publishStatus(notification, 'queued', { reclaimed: true });
+        }
+      } catch (error) {
+        console.error('Error reclaiming expired leases:', error);
+      }
+    }, config.QUEUE_RECOVERY_INTERVAL);
+  }
+
+  // Release scheduled notifications as they fall due. State lives in the
+  // database, so anything that came due while the service was down goes out on the first tick.
+  startScheduler() {
+    this.schedulerInterval = setInterval(async () => {
+      try {
+        const due = await this.db.releaseDueScheduledNotifications(new Date().toISOString());
+        
+        for (const notification of due) {
+          await this.queue.enqueue(notification);
+          this.publishStatus(notification, 'queued');
+        }
+        
+        if (due.length > 0) {
+          console.log(`⏰ Released ${due.length} scheduled notifications`);
+        }
+      } catch (error) {
+        console.error('Error releasing scheduled notifications:', error);
+      }
+    }, config.SCHEDULER_INTERVAL);
+  }
+
   async processNotification(notification) {
+    let startedAt = null;
+    
     try {
       console.log(`🔄 Processing notification ${notification.id} of type ${notification.type}`);
       
-      // Update status to processing
+      // Claim the row so no other worker (or a recovery sweep) picks it up
+      const leaseExpiresAt = new Date(Date.now() + config.QUEUE_VISIBILITY_TIMEOUT).toISOString();
+      const claimed = await this.db.claimNotification(notification.id, this.workerId, leaseExpiresAt);
+      
+      if (!claimed) {
+        console.log(`⏭️ Notification ${notification.id} is no longer pending, skipping`);
+        await this.queue.ack(notification.id);
+        return null;
+      }
+      
       notification.status = 'processing';
-      await this.db.updateNotification(notification.id, { status: 'processing' });
+      startedAt = new Date().toISOString();
+      this.publishStatus(notification, 'processing');
       
-      const provider = this.providers[notification.type];
+      const provider = await this.getProvider(notification);
       
       if (!provider) {
-        throw new Error(`No provider found for notification type: ${notification.type}`);
+        throw new PermanentError(`No provider found for notification type: ${notification.type}`, 'NO_PROVIDER');
       }
       
       // Send notification via appropriate provider
       const result = await provider.send(notification);
+      await this.recordAttempt(notification, result, startedAt);
+      
+      if (!result.success) {
+        await this.handleDeliveryFailure(notification, result);
+        return result;
+      }
       
       // Update notification status
-      const finalStatus = result.success ? 'sent' : 'failed';
-      notification.status = finalStatus;
+      notification.status = 'sent';
       notification.providerResponse = result;
       notification.sentAt = new Date().toISOString();
       
       await this.db.updateNotification(notification.id, {
-        status: finalStatus,
+        status: 'sent',
         providerResponse: result,
-        sentAt: notification.sentAt
+        sentAt: notification.sentAt,
+        error: null,
+        nextAttemptAt: null,
+        workerId: null,
+        leaseExpiresAt: null
       });
+      await this.queue.ack(notification.id);
+      this.publishStatus(notification, 'sent', { sentAt: notification.sentAt });
       
-      console.log(`✅ Notification ${notification.id} ${finalStatus}`);
+      console.log(`✅ Notification ${notification.id} sent`);
       
       return result;
     } catch (error) {
       console.error(`❌ Failed to process notification ${notification.id}:`, error);
       
-      // Update status to failed
-      notification.status = 'failed';
-      notification.error = error.message;
-      notification.failedAt = new Date().toISOString();
+      const failure = {
+        success: false,
+        error: error.message,
+        ...classifyError(error)
+      };
+      
+      // Only a row this worker claimed is ours to fail or retry. When the claim
+      // itself failed, another worker may own it; leave the row alone and just
+      // hand the queue item back for a later try.
+      if (startedAt) {
+        await this.recordAttempt(notification, failure, startedAt);
+        await this.handleDeliveryFailure(notification, failure);
+      } else {
+        try {
+          await this.queue.nack(notification.id, { delayMs: config.QUEUE_RETRY_DELAY });
+        } catch (nackError) {
+          // The visibility timeout returns the item to the queue anyway
+          console.error(`Error returning notification ${notification.id} to the queue:`, nackError);
+        }
+      }
+      
+      throw error;
+    }
+  }
+
+  async recordAttempt(notification, result, startedAt) {
+    try {
+      await this.db.recordAttempt({
+        notificationId: notification.id,
+        status: result.success ? 'sent' : 'failed',
+        provider: notification.type,
+        error: result.error,
+        errorCode: result.errorCode,
+        retryable: result.retryable,
+        providerResponse: result,
+        startedAt
+      });
+    } catch (error) {
+      // Attempt history is diagnostic; never let it change the delivery outcome
+      console.error(`Error recording attempt for notification ${notification.id}:`, error);
+    }
+  }
+
+  // Transient failures go back on the queue with exponential backoff. Permanent
+  // failures, and transient ones that used up QUEUE_RETRY_ATTEMPTS, end as 'failed'.
+  async handleDeliveryFailure(notification, failure) {
+    const retryCount = notification.retryCount || 0;
+    const canRetry = failure.retryable !== false && retryCount < config.QUEUE_RETRY_ATTEMPTS;
+    
+    if (canRetry) {
+      notification.status = 'pending';
+      notification.retryCount = retryCount + 1;
+      notification.nextAttemptAt = new Date(Date.now() + computeBackoff(notification.retryCount)).toISOString();
+      notification.error = failure.error;
       
       await this.db.updateNotification(notification.id, {
-        status: 'failed',
-        error: error.message,
-        failedAt: notification.failedAt
+        status: 'pending',
+        retryCount: notification.retryCount,
+        nextAttemptAt: notification.nextAttemptAt,
+        error: failure.error,
+        providerResponse: failure,
+        workerId: null,
+        leaseExpiresAt: null
       });
       
-      throw error;
+      await this.queue.nack(notification.id, {
+        delayMs: new Date(notification.nextAttemptAt).getTime() - Date.now(),
+        item: notification
+      });
+      this.publishStatus(notification, 'retried', {
+        retryCount: notification.retryCount,
+        nextAttemptAt: notification.nextAttemptAt,
+        error: failure.error
+      });
+      
+      console.log(`🔁 Notification ${notification.id} will be retried (${notification.retryCount}/${config.QUEUE_RETRY_ATTEMPTS}) at ${notification.nextAttemptAt}`);
+      return;
     }
+    
+    notification.status = 'failed';
+    notification.error = failure.error;
+    notification.failedAt = new Date().toISOString();
+    
+    await this.db.updateNotification(notification.id, {
+      status: 'failed',
+      error: failure.error,
+      providerResponse: failure,
+      failedAt: notification.failedAt,
+      nextAttemptAt: null,
+      workerId: null,
+      leaseExpiresAt: null
+    });
+    
+    await this.db.saveDeadLetter({
+      notificationId: notification.id,
+      type: notification.type,
+      recipient: notification.recipient,
+      reason: failure.error,
+      errorCode: failure.errorCode,
+      deadLetteredAt: notification.failedAt,
+      tenantId: notification.tenantId
+    });
+    await this.queue.ack(notification.id);
+    this.publishStatus(notification, 'failed', { error: failure.error, errorCode: failure.errorCode });
+    
+    console.log(`❌ Notification ${notification.id} failed permanently: ${failure.error}`);
   }
 
-  async startQueueProcessor() {
-    setInterval(async () => {
-      if (this.processing || this.queue.length === 0) {
-        return;
+  // Reserve up to `limit` notifications in priority order, skipping ones still
+  // backing off and channels at their concurrency or rate limit. Each
+  // notification returned holds a limiter slot until it is released.
+  async takeDueNotifications(limit) {
+    await this.queue.promoteAged(config.QUEUE_AGING_INTERVAL);
+    
+    const plan = this.laneScheduler.plan(await this.queue.readyCounts(), limit, this.limiter);
+    const batch = [];
+    
+    for (const { channel, lane, count } of plan) {
+      let items = [];
+      
+      try {
+        items = await this.queue.reserve({
+          channel,
+          lane,
+          limit: count,
+          visibilityTimeoutMs: config.QUEUE_VISIBILITY_TIMEOUT
+        });
+      } finally {
+        // Another consumer may have reserved some of them first
+        for (let i = items.length; i < count; i++) {
+          this.limiter.release(channel);
+        }
       }
       
-      this.processing = true;
+      batch.push(...items);
+    }
+    
+    return batch;
+  }
+
+  startQueueProcessor() {
+    this.processorInterval = setInterval(() => this.dispatchQueue(), config.QUEUE_POLL_INTERVAL);
+  }
+
+  // Start sends for everything the provider limits allow right now. Sends run
+  // in the background; whatever does not fit stays queued for a later pass.
+  // Only one pass runs at a time; a request made during a pass runs another after it.
+  dispatchQueue() {
+    if (this.stopping) {
+      return Promise.resolve(0);
+    }
+    
+    if (this.dispatchPass) {
+      this.dispatchRequested = true;
+      return Promise.resolve(0);
+    }
+    
+    this.dispatchPass = this.runDispatchPasses().finally(() => {
+      this.dispatchPass = null;
+    });
+    
+    return this.dispatchPass;
+  }
+
+  async runDispatchPasses() {
+    let dispatched = 0;
+    
+    try {
+      await this.ready;
       
-      try {
-        const batch = this.queue.splice(0, config.BATCH_SIZE);
-        console.log(`📦 Processing batch of ${batch.length} notifications`);
+      do {
+        this.dispatchRequested = false;
+        const batch = await this.takeDueNotifications(config.BATCH_SIZE);
         
-        const promises = batch.map(notification => 
-          this.processNotification(notification).catch(error => {
-            console.error(`Error processing notification ${notification.id}:`, error);
-            return { error: error.message, notificationId: notification.id };
-          })
-        );
+        if (batch.length > 0) {
+          console.log(`📦 Dispatching ${batch.length} notifications`);
+        }
         
-        await Promise.allSettled(promises);
-      } catch (error) {
-        console.error('Error processing notification batch:', error);
-      } finally {
-        this.processing = false;
-      }
-    }, 1000); // Process every second
+        for (const notification of batch) {
+          this.dispatch(notification);
+        }
+        
+        dispatched += batch.length;
+      } while (this.dispatchRequested && !this.stopping);
+    } catch (error) {
+      console.error('Error dispatching notification batch:', error);
+    }
+    
+    return dispatched;
+  }
+
+  dispatch(notification) {
+    const promise = this.processNotification(notification)
+      .catch(error => {
+        console.error(`Error processing notification ${notification.id}:`, error);
+        return { error: error.message, notificationId: notification.id };
+      })
+      .finally(() => {
+        this.limiter.release(notification.type);
+        this.inFlight.delete(notification.id);
+        
+        // A slot just opened up; use it without waiting for the next tick
+        this.dispatchQueue();
+      });
+    
+    this.inFlight.set(notification.id, promise);
+    return promise;
+  }
+
+  // Stop taking new work and give in-flight sends up to `timeoutMs` to finish.
+  // Sends still running after that are handed back to 'pending' so another
+  // worker, or this one after a restart, delivers them. Safe to call twice.
+  stop({ timeoutMs = config.SHUTDOWN_TIMEOUT } = {}) {
+    if (!this.stopPromise) {
+      this.stopping = true;
+      clearInterval(this.processorInterval);
+      clearInterval(this.recoveryInterval);
+      clearInterval(this.schedulerInterval);
+      
+      this.stopPromise = this.drain(timeoutMs);
+    }
+    
+    return this.stopPromise;
+  }
+
+  async drain(timeoutMs) {
+    // A pass may be between reserving a batch and starting its sends
+    if (this.dispatchPass) {
+      await this.dispatchPass;
+    }
+    
+    if (this.inFlight.size > 0) {
+      console.log(`⏳ Waiting up to ${timeoutMs}ms for ${this.inFlight.size} in-flight notifications`);
+      
+      let timer;
+      const deadline = new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs);
+      });
+      
+      // dispatch() promises never reject
+      await Promise.race([Promise.all(this.inFlight.values()), deadline]);
+      clearTimeout(timer);
+    }
+    
+    const unfinished = Array.from(this.inFlight.keys());
+    const released = await this.db.releaseWorkerLeases(this.workerId, unfinished);
+    const releasedById = new Map(released.map(notification => [notification.id, notification]));
+    
+    for (const id of unfinished) {
+      await this.queue.nack(id, { item: releasedById.get(id) });
+    }
+    
+    await this.queue.close();
+    
+    if (unfinished.length > 0) {
+      console.log(`↩️ Returned ${unfinished.length} unfinished notifications to pending`);
+    }
+    console.log('🛑 Notification processing stopped');
+    
+    return {
+      drained: unfinished.length === 0,
+      returnedToPending: unfinished
+    };
   }
 
-  async getNotificationStatus(id) {
+  // Without `tenantId` the notification is looked up across all tenants
+  async getNotificationStatus(id, tenantId = null) {
     try {
-      const notification = await this.db.getNotification(id);
+      const notification = await this.db.getNotification(id, tenantId);
       return notification;
     } catch (error) {
       console.error('Error getting notification status:', error);
@@ -181,21 +760,47 @@ class NotificationService {
       const {
         limit = 50,
         offset = 0,
+        sort,
+        order,
+        after,
+        includeTotal,
+        tenantId,
         type,
         status,
         recipient,
+        priority,
+        error,
+        createdBy,
+        jobId,
         startDate,
-        endDate
+        endDate,
+        scheduledFrom,
+        scheduledTo,
+        search,
+        expression
       } = options;
       
       const history = await this.db.getNotifications({
         limit,
         offset,
+        sort,
+        order,
+        after,
+        includeTotal,
+        tenantId,
         type,
         status,
         recipient,
+        priority,
+        error,
+        createdBy,
+        jobId,
         startDate,
-        endDate
+        endDate,
+        scheduledFrom,
+        scheduledTo,
+        search,
+        expression
       });
       
       return history;
@@ -205,14 +810,18 @@ class NotificationService {
     }
   }
 
-  async getStatistics(timeframe = '24h') {
+  async getStatistics(timeframe = '24h', tenantId = null) {
     try {
-      const stats = await this.db.getNotificationStatistics(timeframe);
+      const stats = await this.db.getNotificationStatistics(timeframe, tenantId);
+      const queue = await this.getQueueStats();
       return {
         timeframe,
         ...stats,
-        queueSize: this.queue.length,
-        processing: this.processing
+        queueSize: await this.queue.size(),
+        queue,
+        processing: this.inFlight.size > 0,
+        inFlight: this.inFlight.size,
+        providerLimits: this.limiter.stats()
       };
     } catch (error) {
       console.error('Error getting notification statistics:', error);
@@ -220,35 +829,102 @@ class NotificationService {
     }
   }
 
-  async retryFailedNotification(id) {
+  // Time series for dashboards over [from, to), bucketed by creation time. Every
+  // series has one value per entry in `buckets`, zero-filled. Statuses are the
+  // notifications' current ones, so recent buckets shift as deliveries finish.
+  async getAnalytics({ from, to, bucket, tenantId = null }) {
     try {
-      const notification = await this.db.getNotification(id);
-      
-      if (!notification) {
-        throw new Error('Notification not found');
+      const [rows, latencies] = await Promise.all([
+        this.db.getNotificationTimeSeries({ from, to, bucket, tenantId }),
+        this.db.getDeliveryLatencies({ from, to, tenantId })
+      ]);
+
+      const buckets = listBuckets(from, to, bucket);
+      const bucketIndex = new Map(buckets.map((start, index) => [start, index]));
+      const totals = { total: 0, byChannel: {}, byStatus: {}, byPriority: {} };
+      const series = { total: buckets.map(() => 0), byChannel: {}, byStatus: {}, byPriority: {} };
+
+      const add = (group, key, index, count) => {
+        totals[group][key] = (totals[group][key] || 0) + count;
+        if (!series[group][key]) {
+          series[group][key] = buckets.map(() => 0);
+        }
+        series[group][key][index] += count;
+      };
+
+      for (const row of rows) {
+        const index = bucketIndex.get(row.bucket);
+        if (index === undefined) {
+          continue;
+        }
+
+        totals.total += row.count;
+        series.total[index] += row.count;
+        add('byChannel', row.type, index, row.count);
+        add('byStatus', row.status, index, row.count);
+        add('byPriority', row.priority || 'normal', index, row.count);
       }
-      
-      if (notification.status !== 'failed') {
-        throw new Error('Only failed notifications can be retried');
+
+      const latencyByChannel = {};
+      for (const { type, latencyMs } of latencies) {
+        (latencyByChannel[type] = latencyByChannel[type] || []).push(latencyMs);
+      }
+
+      const latency = {
+        ...summarizeLatencies(latencies.map(row => row.latencyMs)),
+        byChannel: {}
+      };
+      for (const [channel, values] of Object.entries(latencyByChannel)) {
+        latency.byChannel[channel] = summarizeLatencies(values);
+      }
+
+      return {
+        from,
+        to,
+        bucket,
+        totals,
+        latency,
+        buckets,
+        series
+      };
+    } catch (error) {
+      console.error('Error getting notification analytics:', error);
+      throw error;
+    }
+  }
+
+  // Put a failed notification back on the queue, optionally with corrected
+  // recipient, message, priority or metadata. The automatic retry budget starts
+  // over; earlier attempts stay in the attempt history. Resolves to null when
+  // there is no such failed notification, including when a concurrent retry
+  // got to it first.
+  async retryFailedNotification(id, updates = {}, tenantId = null) {
+    try {
+      const editable = {};
+      for (const field of ['recipient', 'message', 'priority', 'metadata']) {
+        if (updates[field] !== undefined) {
+          editable[field] = updates[field];
+        }
       }
       
-      // Reset notification status and add back to queue
-      notification.status = 'pending';
-      notification.retryCount = (notification.retryCount || 0) + 1;
-      delete notification.error;
-      delete notification.failedAt;
+      // Only the request whose update moves the row out of 'failed' queues it
+      const notification = await this.db.requeueFailedNotification(id, editable, tenantId);
       
-      await this.db.updateNotification(id, {
-        status: 'pending',
-        retryCount: notification.retryCount
-      });
+      if (!notification) {
+        return null;
+      }
       
-      this.queue.push(notification);
+      await this.db.deleteDeadLetters({ ids: [id] });
+      
+      await this.ready;
+      await this.queue.enqueue(notification);
+      this.publishStatus(notification, 'retried', { retryCount: 0, manual: true });
       
       return {
         success: true,
         message: 'Notification queued for retry',
-        retryCount: notification.retryCount
+        retryCount: notification.retryCount,
+        updatedFields: Object.keys(editable)
       };
     } catch (error) {
       console.error('Error retrying notification:', error);
@@ -256,14 +932,91 @@ class NotificationService {
     }
   }
 
+  // Cancel a notification that has not started delivery. Resolves to
+  // { status: 'cancelled' | 'not_found' | 'conflict', notification }.
+  async cancelNotification(id, tenantId = null) {
+    try {
+      const [cancelled] = await this.db.cancelNotifications({ ids: [id], tenantId });
+
+      if (cancelled) {
+        await this.removeFromQueue([cancelled]);
+        this.publishStatus(cancelled, 'cancelled');
+        console.log(`🚫 Notification ${id} cancelled`);
+        return { status: 'cancelled', notification: cancelled };
+      }
+
+      const notification = await this.db.getNotification(id, tenantId);
+
+      return {
+        status: notification ? 'conflict' : 'not_found',
+        notification
+      };
+    } catch (error) {
+      console.error('Error cancelling notification:', error);
+      throw error;
+    }
+  }
+
+  // Cancel every pending or scheduled notification matching a history filter
+  async cancelNotifications(filter = {}) {
+    try {
+      const cancelled = await this.db.cancelNotifications(filter);
+      await this.removeFromQueue(cancelled);
+      cancelled.forEach(notification => this.publishStatus(notification, 'cancelled'));
+
+      console.log(`🚫 Cancelled ${cancelled.length} notifications`);
+
+      return cancelled;
+    } catch (error) {
+      console.error('Error cancelling notifications:', error);
+      throw error;
+    }
+  }
+
+  // A copy already reserved by a dispatch pass is harmless: its claim fails on
+  // the cancelled row and it is acked then.
+  async removeFromQueue(notifications) {
+    await this.ready;
+
+    for (const notification of notifications) {
+      await this.queue.remove(notification.id);
+    }
+  }
+
+  // Tell stream subscribers about a transition (see StatusEventService)
+  publishStatus(notification, event, data) {
+    if (this.statusEvents) {
+      this.statusEvents.publish(notification, event, data);
+    }
+  }
+
+  async getQueueStats() {
+    await this.ready;
+    const { lanes, reserved } = await this.queue.stats();
+    const scheduling = this.laneScheduler.stats();
+    
+    for (const lane of Object.keys(lanes)) {
+      lanes[lane] = { ...lanes[lane], ...scheduling[lane] };
+    }
+    
+    return {
+      backend: this.queue.name,
+      durable: this.queue.durable,
+      reserved,
+      lanes
+    };
+  }
+
   async getHealth() {
-    const queueSize = this.queue.length;
+    await this.ready;
+    const queueSize = await this.queue.size();
     const isHealthy = queueSize < 1000; // Arbitrary threshold
     
     return {
       status: isHealthy ? 'healthy' : 'degraded',
       queueSize,
-      processing: this.processing,
+      processing: this.inFlight.size > 0,
+      inFlight: this.inFlight.size,
       providers: Object.keys(this.providers),
       timestamp: new Date().toISOString()
     };
@@ -0,0 +1,115 @@
+const config = require('../config/config');
+
+/**
+ * Token bucket: holds up to `capacity` tokens and refills at `ratePerSecond`.
+ * A rate of 0 means unlimited.
+ */
+class TokenBucket {
+  constructor(ratePerSecond, capacity = ratePerSecond, now = Date.now) {
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = Math.max(1, capacity);
+    this.tokens = this.capacity;
+    this.now = now;
+    this.lastRefill = now();
+  }
+
+  refill() {
+    const current = this.now();
+    const elapsedSeconds = (current - this.lastRefill) / 1000;
+
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.ratePerSecond);
+    this.lastRefill = current;
+  }
+
+  available() {
+    if (!this.ratePerSecond) {
+      return Infinity;
+    }
+
+    this.refill();
+    return this.tokens;
+  }
+
+  tryRemove(count = 1) {
+    if (this.available() < count) {
+      return false;
+    }
+
+    if (this.ratePerSecond) {
+      this.tokens -= count;
+    }
+    return true;
+  }
+}
+
+/**
+ * Per-channel admission control for the queue processor: at most
+ * `concurrency[channel]` sends in flight, started no faster than `rates[channel]` per second.
+ */
+class ProviderLimiter {
+  constructor(options = {}) {
+    this.concurrency = { ...config.PROVIDER_CONCURRENCY, ...options.concurrency };
+    this.rates = { ...config.PROVIDER_RATE_LIMITS, ...options.rates };
+    this.defaultConcurrency = options.defaultConcurrency || config.QUEUE_CONCURRENCY;
+    this.now = options.now || Date.now;
+    this.active = {};
+    this.buckets = {};
+  }
+
+  bucketFor(channel) {
+    if (!this.buckets[channel]) {
+      this.buckets[channel] = new TokenBucket(this.rates[channel] || 0, this.rates[channel] || 1, this.now);
+    }
+    return this.buckets[channel];
+  }
+
+  concurrencyFor(channel) {
+    return this.concurrency[channel] || this.defaultConcurrency;
+  }
+
+  canAcquire(channel) {
+    return (this.active[channel] || 0) < this.concurrencyFor(channel) &&
+      this.bucketFor(channel).available() >= 1;
+  }
+
+  // Take a concurrency slot and a rate token; false leaves both untouched
+  acquire(channel) {
+    if (!this.canAcquire(channel)) {
+      return false;
+    }
+
+    this.bucketFor(channel).tryRemove(1);
+    this.active[channel] = (this.active[channel] || 0) + 1;
+    return true;
+  }
+
+  release(channel) {
+    this.active[channel] = Math.max(0, (this.active[channel] || 0) - 1);
+  }
+
+  stats() {
+    const channels = new Set([
+      ...Object.keys(this.concurrency),
+      ...Object.keys(this.rates),
+      ...Object.keys(this.active)
+    ]);
+    const stats = {};
+
+    for (const channel of channels) {
+      const available = this.bucketFor(channel).available();
+
+      stats[channel] = {
+        active: this.active[channel] || 0,
+        concurrency: this.concurrencyFor(channel),
+        ratePerSecond: this.rates[channel] || null,
+        tokensAvailable: available === Infinity ? null : Math.floor(available)
+      };
+    }
+
+    return stats;
+  }
+}
+
+ProviderLimiter.TokenBucket = TokenBucket;
+
+module.exports = ProviderLimiter;
@@ -0,0 +1,51 @@
+const { canonicalLocale } = require('../utils/locale');
+
+// Request schemas, also part of the OpenAPI document
+const RECIPIENT_SCHEMAS = {
+  RecipientRequest: {
+    type: 'object',
+    required: ['locale'],
+    properties: {
+      locale: {
+        type: 'string',
+        format: 'locale',
+        description: 'Locale notifications to this recipient are rendered in when they do not give one'
+      }
+    },
+    additionalProperties: false
+  }
+};
+
+/**
+ * What a tenant has told us about a recipient address. For now that is its
+ * locale, which notifications to it inherit when they do not name one.
+ */
+class RecipientService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  async getRecipient(recipient, tenantId) {
+    return this.db.getRecipient(recipient, tenantId);
+  }
+
+  // Returns { created, recipient }; created is false when an existing recipient was updated
+  async setRecipient(recipient, tenantId, { locale }) {
+    const created = await this.db.upsertRecipient({
+      tenantId,
+      recipient,
+      locale: canonicalLocale(locale),
+      updatedAt: new Date().toISOString()
+    });
+
+    return { created, recipient: await this.db.getRecipient(recipient, tenantId) };
+  }
+
+  async deleteRecipient(recipient, tenantId) {
+    return this.db.deleteRecipient(recipient, tenantId);
+  }
+}
+
+RecipientService.RECIPIENT_SCHEMAS = RECIPIENT_SCHEMAS;
+
+module.exports = RecipientService;
@@ -0,0 +1,144 @@
+const { EventEmitter } = require('events');
+const config = require('../config/config');
+const TenantService = require('./TenantService');
+
+// Transitions published by NotificationService
+const EVENTS = ['scheduled', 'queued', 'processing', 'sent', 'retried', 'failed', 'cancelled'];
+
+const REPLAY_BATCH_SIZE = 500;
+
+// Old events are removed at most this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+class StatusEventService {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.retentionMs = options.retentionMs || config.STATUS_EVENT_RETENTION_MS;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.tail = Promise.resolve();
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Record a status transition of `notification` and pass it to live
+   * subscribers. Events are written one after another, so subscribers see
+   * them in id order, which is what resumption relies on. Never rejects: the
+   * stream is informational and must not change a delivery outcome.
+   */
+  publish(notification, event, data = {}) {
+    const record = {
+      notificationId: notification.id,
+      tenantId: notification.tenantId || TenantService.DEFAULT_TENANT_ID,
+      recipient: notification.recipient,
+      type: notification.type,
+      event,
+      status: notification.status,
+      data,
+      createdAt: new Date().toISOString()
+    };
+
+    this.tail = this.tail
+      .then(() => this.db.insertNotificationEvent(record))
+      .then(saved => {
+        this.emitter.emit('event', saved);
+        return this.prune();
+      })
+      .catch(error => {
+        console.error(`Error publishing ${event} event for notification ${notification.id}:`, error);
+      });
+
+    return this.tail;
+  }
+
+  /**
+   * Follow the events of one tenant, optionally narrowed to a notification or
+   * a recipient. With `lastEventId`, stored events after it are replayed
+   * before live ones, without gaps or repeats. Returns { ready, close }:
+   * `ready` settles once the replay is done.
+   */
+  subscribe({ tenantId, notificationId, recipient, lastEventId = null }, listener, { onStop } = {}) {
+    let lastId = lastEventId || 0;
+    let replaying = true;
+    let closed = false;
+    const buffered = [];
+
+    const matches = event => event.tenantId === tenantId &&
+      (!notificationId || event.notificationId === notificationId) &&
+      (!recipient || event.recipient === recipient);
+
+    const deliver = event => {
+      if (!closed && event.id > lastId) {
+        lastId = event.id;
+        listener(event);
+      }
+    };
+
+    const onEvent = event => {
+      if (matches(event)) {
+        if (replaying) {
+          buffered.push(event);
+        } else {
+          deliver(event);
+        }
+      }
+    };
+
+    const close = () => {
+      closed = true;
+      this.emitter.off('event', onEvent);
+      if (onStop) {
+        this.emitter.off('stop', onStop);
+      }
+    };
+
+    // Live events are held back while the replay runs, then flushed in order
+    this.emitter.on('event', onEvent);
+    if (onStop) {
+      this.emitter.once('stop', onStop);
+    }
+
+    const ready = (async () => {
+      if (lastEventId !== null) {
+        let batch;
+        do {
+          batch = await this.db.getNotificationEvents({
+            tenantId,
+            notificationId,
+            recipient,
+            afterId: lastId,
+            limit: REPLAY_BATCH_SIZE
+          });
+          batch.forEach(deliver);
+        } while (batch.length === REPLAY_BATCH_SIZE && !closed);
+      }
+
+      replaying = false;
+      buffered.splice(0).forEach(deliver);
+    })();
+
+    return { ready, close };
+  }
+
+  async prune(now = Date.now()) {
+    if (now - this.lastPrunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+
+    this.lastPrunedAt = now;
+    const { deleted } = await this.db.deleteNotificationEventsBefore(new Date(now - this.retentionMs).toISOString());
+
+    if (deleted > 0) {
+      console.log(`🧹 Removed ${deleted} status events older than the retention window`);
+    }
+  }
+
+  // End every open stream, e.g. so shutdown is not held up by long-lived connections
+  stop() {
+    this.emitter.emit('stop');
+  }
+}
+
+StatusEventService.EVENTS = EVENTS;
+
+module.exports = StatusEventService;
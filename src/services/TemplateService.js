@@ -0,0 +1,396 @@
+const config = require('../config/config');
+const { ERROR_CODES, validateSchema } = require('../utils/schema');
+const { TEMPLATE_ID_PATTERN, compileTemplate, renderParts, renderJson, templateVariables } = require('../utils/template');
+const { canonicalLocale, localeChain } = require('../utils/locale');
+
+/**
+ * Stored message templates, per tenant. A template holds one variant per
+ * channel it can be sent on; a notification sent with `templateId` and
+ * `variables` is rendered from the variant for its channel when it is
+ * created, so later edits to the template do not change notifications
+ * already scheduled.
+ *
+ * `channels` are in the template's defaultLocale; `locales` holds the
+ * channels of other locales. A notification's locale picks the first of
+ * pt-BR, pt (and so on) with a variant for its channel, and the default
+ * channels otherwise.
+ */
+
+// Fields of each channel's variant: 'text' and 'html' are templates, 'json' a JSON template
+const CHANNEL_VARIANTS = {
+  email: {
+    fields: { subject: 'text', text: 'text', html: 'html' },
+    required: ['subject', 'text'],
+    // The html variant replaces the provider's default layout
+    toNotification: ({ subject, text, html }) => ({ message: text, metadata: { subject, ...(html !== undefined && { html }) } })
+  },
+  sms: {
+    fields: { text: 'text' },
+    required: ['text'],
+    toNotification: ({ text }) => ({ message: text, metadata: {} })
+  },
+  push: {
+    fields: { title: 'text', body: 'text' },
+    required: ['body'],
+    toNotification: ({ title, body }) => ({ message: body, metadata: { ...(title !== undefined && { title }) } })
+  },
+  webhook: {
+    fields: { event: 'text', message: 'text', payload: 'json' },
+    required: ['message'],
+    toNotification: ({ event, message, payload }) => ({
+      message,
+      metadata: { ...(event !== undefined && { event }), ...(payload !== undefined && { data: payload }) }
+    })
+  }
+};
+
+const TEMPLATE_ERROR_CODES = {
+  INVALID_TEMPLATE: 'INVALID_TEMPLATE',
+  TEMPLATE_NOT_FOUND: 'TEMPLATE_NOT_FOUND',
+  TEMPLATE_CHANNEL_MISSING: 'TEMPLATE_CHANNEL_MISSING',
+  MISSING_VARIABLE: 'MISSING_VARIABLE',
+  INVALID_VARIABLE: 'INVALID_VARIABLE',
+  EMPTY_MESSAGE: 'EMPTY_MESSAGE'
+};
+
+function variantSchema(channel, { nullable }) {
+  const { fields, required } = CHANNEL_VARIANTS[channel];
+
+  return {
+    type: 'object',
+    ...(nullable && { nullable: true }),
+    required,
+    properties: Object.fromEntries(Object.entries(fields).map(([name, kind]) => [
+      name,
+      kind === 'json'
+        ? { type: 'object', description: 'JSON whose strings are templates; a string that is one tag keeps the value\'s type' }
+        : { type: 'string', minLength: 1, ...(kind === 'html' && { description: 'Tags are HTML-escaped; {{{ name }}} is not. Sanitized like html-format messages.' }) }
+    ])),
+    additionalProperties: false
+  };
+}
+
+function channelsSchema({ nullable }) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.keys(CHANNEL_VARIANTS).map(channel => [channel, variantSchema(channel, { nullable })])),
+    additionalProperties: false
+  };
+}
+
+const DEFAULT_LOCALE_SCHEMA = {
+  type: 'string',
+  format: 'locale',
+  description: 'Locale of the variants in channels; defaults to the server\'s DEFAULT_LOCALE'
+};
+
+// Request schemas, also part of the OpenAPI document
+const TEMPLATE_SCHEMAS = {
+  CreateTemplateRequest: {
+    type: 'object',
+    required: ['id', 'channels'],
+    properties: {
+      id: { type: 'string', pattern: TEMPLATE_ID_PATTERN.source },
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      channels: channelsSchema({ nullable: false }),
+      defaultLocale: DEFAULT_LOCALE_SCHEMA,
+      locales: {
+        type: 'object',
+        description: 'Channels per BCP 47 locale, e.g. { "pt-BR": { "email": { ... } } }',
+        additionalProperties: channelsSchema({ nullable: false })
+      }
+    },
+    additionalProperties: false
+  },
+  UpdateTemplateRequest: {
+    type: 'object',
+    description: 'channels are merged per channel and locales per locale; a channel or locale set to null is removed',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string', nullable: true },
+      channels: channelsSchema({ nullable: true }),
+      defaultLocale: { ...DEFAULT_LOCALE_SCHEMA, nullable: true },
+      locales: {
+        type: 'object',
+        description: 'Each locale given replaces that locale\'s channels',
+        additionalProperties: { ...channelsSchema({ nullable: false }), nullable: true }
+      }
+    },
+    additionalProperties: false
+  }
+};
+
+// Locale keys in their canonical form, so pt-br and pt-BR are the same locale
+function canonicalLocales(locales) {
+  return Object.fromEntries(Object.entries(locales).map(([locale, channels]) => [canonicalLocale(locale), channels]));
+}
+
+class TemplateService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Problems with a template definition, as { code, path, message }; empty
+   * when it is valid. With `partial` it is an update.
+   */
+  validateTemplate(input, { partial = false } = {}) {
+    const schema = TEMPLATE_SCHEMAS[partial ? 'UpdateTemplateRequest' : 'CreateTemplateRequest'];
+    const errors = validateSchema(schema, input, { schemas: TEMPLATE_SCHEMAS });
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const checkChannels = (channels, path) => {
+      for (const [channel, variant] of Object.entries(channels || {})) {
+        for (const [field, source] of Object.entries(variant || {})) {
+          try {
+            templateVariables(source);
+          } catch (error) {
+            errors.push({ code: TEMPLATE_ERROR_CODES.INVALID_TEMPLATE, path: `${path}.${channel}.${field}`, message: error.message });
+          }
+        }
+      }
+    };
+
+    checkChannels(input.channels, 'channels');
+
+    const seen = new Set();
+    for (const [locale, channels] of Object.entries(input.locales || {})) {
+      const canonical = canonicalLocale(locale);
+
+      if (!canonical) {
+        errors.push({ code: ERROR_CODES.INVALID_VALUE, path: `locales.${locale}`, message: `${locale} is not a BCP 47 language tag` });
+      } else if (seen.has(canonical)) {
+        errors.push({ code: ERROR_CODES.INVALID_VALUE, path: `locales.${locale}`, message: `${locale} is given twice, as ${canonical}` });
+      } else if (channels !== null && Object.keys(channels).length === 0) {
+        errors.push({ code: ERROR_CODES.REQUIRED, path: `locales.${locale}`, message: 'A locale needs a variant for at least one channel' });
+      }
+
+      seen.add(canonical);
+      checkChannels(channels, `locales.${locale}`);
+    }
+
+    if (!partial && Object.keys(input.channels).length === 0) {
+      errors.push({ code: ERROR_CODES.REQUIRED, path: 'channels', message: 'A template needs a variant for at least one channel' });
+    }
+
+    return errors;
+  }
+
+  async createTemplate({ tenantId, id, name, description, channels, defaultLocale, locales }) {
+    const now = new Date().toISOString();
+    const created = await this.db.insertTemplate({
+      id,
+      tenantId,
+      name: name || id,
+      description: description || null,
+      channels,
+      defaultLocale: defaultLocale ? canonicalLocale(defaultLocale) : null,
+      locales: canonicalLocales(locales || {}),
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return created ? this.db.getTemplate(id, tenantId) : null;
+  }
+
+  async getTemplate(id, tenantId) {
+    return this.db.getTemplate(id, tenantId);
+  }
+
+  async listTemplates(tenantId) {
+    return this.db.listTemplates(tenantId);
+  }
+
+  // Returns the updated template; null when it does not exist, { error } when no channel would be left
+  async updateTemplate(id, tenantId, { name, description, channels, defaultLocale, locales }) {
+    const template = await this.db.getTemplate(id, tenantId);
+
+    if (!template) {
+      return null;
+    }
+
+    const merged = { ...template.channels };
+    for (const [channel, variant] of Object.entries(channels || {})) {
+      if (variant === null) {
+        delete merged[channel];
+      } else {
+        merged[channel] = variant;
+      }
+    }
+
+    if (Object.keys(merged).length === 0) {
+      return { error: 'A template needs a variant for at least one channel' };
+    }
+
+    const mergedLocales = { ...template.locales };
+    for (const [locale, localeChannels] of Object.entries(canonicalLocales(locales || {}))) {
+      if (localeChannels === null) {
+        delete mergedLocales[locale];
+      } else {
+        mergedLocales[locale] = localeChannels;
+      }
+    }
+
+    await this.db.updateTemplate(id, tenantId, {
+      name: name !== undefined ? name : template.name,
+      description: description !== undefined ? description : template.description,
+      channels: merged,
+      defaultLocale: defaultLocale !== undefined ? defaultLocale && canonicalLocale(defaultLocale) : template.defaultLocale,
+      locales: mergedLocales,
+      updatedAt: new Date().toISOString()
+    });
+
+    return this.db.getTemplate(id, tenantId);
+  }
+
+  async deleteTemplate(id, tenantId) {
+    return this.db.deleteTemplate(id, tenantId);
+  }
+
+  // What the API returns: the stored template, its default locale filled in, plus the variables its variants use
+  toPublic(template) {
+    return {
+      ...template,
+      defaultLocale: template.defaultLocale || config.DEFAULT_LOCALE,
+      variables: templateVariables([template.channels, template.locales])
+    };
+  }
+
+  /**
+   * The variant to render for `channel` in `locale`: the first locale of its
+   * fallback chain that has one, else the default channels. Returns
+   * { variant, locale, formatLocale } or null when there is none; a fallback
+   * within the chain still formats dates and numbers for the locale asked
+   * for, the default variant for the template's own locale.
+   */
+  resolveVariant(template, channel, locale) {
+    const defaultLocale = template.defaultLocale || config.DEFAULT_LOCALE;
+
+    for (const candidate of locale ? localeChain(locale) : []) {
+      const variant = (template.locales[candidate] || {})[channel] || (candidate === defaultLocale && template.channels[channel]);
+
+      if (variant) {
+        return { variant, locale: candidate, formatLocale: locale };
+      }
+    }
+
+    return template.channels[channel]
+      ? { variant: template.channels[channel], locale: defaultLocale, formatLocale: defaultLocale }
+      : null;
+  }
+
+  /**
+   * Render a template's variant for `channel`, in `locale` when it has one.
+   * Returns { message, metadata, locale } with the locale actually used, or
+   * { errors }; error paths are prefixed with `path`.
+   */
+  render(template, channel, variables = {}, { path = '', locale = null } = {}) {
+    const at = name => (path ? `${path}.${name}` : name);
+    const resolved = this.resolveVariant(template, channel, locale);
+
+    if (!resolved) {
+      return {
+        errors: [{
+          code: TEMPLATE_ERROR_CODES.TEMPLATE_CHANNEL_MISSING,
+          path: at('type'),
+          message: `Template ${template.id} has no ${channel} variant; it has ${Object.keys(template.channels).join(', ')}`
+        }]
+      };
+    }
+
+    const { fields } = CHANNEL_VARIANTS[channel];
+    const formatting = { locale: resolved.formatLocale, timeZone: config.TEMPLATE_TIME_ZONE };
+    const rendered = {};
+    const missing = new Set();
+    const invalid = new Map();
+
+    for (const [field, source] of Object.entries(resolved.variant)) {
+      const result = fields[field] === 'json'
+        ? renderJson(source, variables, formatting)
+        : renderParts(compileTemplate(source), variables, { ...formatting, html: fields[field] === 'html' });
+
+      rendered[field] = fields[field] === 'json' ? result.value : result.text;
+      result.missing.forEach(name => missing.add(name));
+      result.invalid.forEach(({ name, message }) => invalid.set(name, message));
+    }
+
+    const errors = [
+      ...[...missing].map(name => ({
+        code: TEMPLATE_ERROR_CODES.MISSING_VARIABLE,
+        path: at(`variables.${name}`),
+        message: `Template ${template.id} needs variable ${name}`
+      })),
+      ...[...invalid].map(([name, message]) => ({
+        code: TEMPLATE_ERROR_CODES.INVALID_VARIABLE,
+        path: at(`variables.${name}`),
+        message
+      }))
+    ];
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const notification = CHANNEL_VARIANTS[channel].toNotification(rendered);
+
+    if (notification.message.trim() === '') {
+      return {
+        errors: [{
+          code: TEMPLATE_ERROR_CODES.EMPTY_MESSAGE,
+          path: at('variables'),
+          message: `Template ${template.id} rendered an empty message`
+        }]
+      };
+    }
+
+    return { ...notification, locale: resolved.locale };
+  }
+
+  /**
+   * Fill in a validated notification payload from its template, when it
+   * names one. Returns { payload } with message and metadata rendered (the
+   * caller's metadata is kept where the template does not set a key),
+   * variables dropped and locale set to the locale rendered, or { errors }.
+   */
+  async applyTemplate(payload, tenantId, { path = '' } = {}) {
+    if (!payload.templateId) {
+      return { payload };
+    }
+
+    const template = await this.db.getTemplate(payload.templateId, tenantId);
+    if (!template) {
+      return {
+        errors: [{
+          code: TEMPLATE_ERROR_CODES.TEMPLATE_NOT_FOUND,
+          path: path ? `${path}.templateId` : 'templateId',
+          message: `Template ${payload.templateId} does not exist`
+        }]
+      };
+    }
+
+    const rendered = this.render(template, payload.type, payload.variables, { path, locale: payload.locale });
+    if (rendered.errors) {
+      return { errors: rendered.errors };
+    }
+
+    const { variables, ...rest } = payload;
+    return {
+      payload: {
+        ...rest,
+        message: rendered.message,
+        metadata: { ...(payload.metadata || {}), ...rendered.metadata },
+        locale: rendered.locale
+      }
+    };
+  }
+}
+
+TemplateService.CHANNEL_VARIANTS = CHANNEL_VARIANTS;
+TemplateService.TEMPLATE_SCHEMAS = TEMPLATE_SCHEMAS;
+TemplateService.TEMPLATE_ERROR_CODES = TEMPLATE_ERROR_CODES;
+
+module.exports = TemplateService;
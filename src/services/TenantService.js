@@ -0,0 +1,362 @@
+const config = require('../config/config');
+const { BUCKET_SIZES } = require('../utils/stats');
+const { CHANNEL_SCHEMAS } = require('../utils/validation');
+const { encryptJson, decryptJson } = require('../utils/secrets');
+
+const DEFAULT_TENANT_ID = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+// Quotas count notifications created in fixed UTC windows
+const QUOTA_WINDOWS = Object.keys(BUCKET_SIZES);
+
+// Quota key covering every channel together
+const ALL_CHANNELS = '*';
+
+// Per-tenant provider settings. Secret values are stored encrypted and never
+// returned by the API; a tenant that sets its own account (smtpHost,
+// accountSid, serviceAccount) never falls back to the service-wide credentials.
+const PROVIDER_SETTINGS = {
+  email: { from: 'string', smtpHost: 'string', smtpPort: 'number', smtpUser: 'string', smtpPassword: 'secret' },
+  sms: { from: 'string', accountSid: 'string', authToken: 'secret' },
+  push: { serviceAccount: 'secret' },
+  webhook: { secret: 'secret' }
+};
+
+const REDACTED = '********';
+
+// The ENCRYPTION_KEY default of earlier releases. Settings stored under it stay
+// readable, but nothing is encrypted with it again: once a real key is set,
+// a tenant's next update re-encrypts them.
+const LEGACY_ENCRYPTION_KEY = 'encryption_key_32_characters_long';
+
+// Settings are re-read this often, so changes made by another instance are picked up
+const CACHE_TTL_MS = 30 * 1000;
+
+class QuotaExceededError extends Error {
+  constructor(message, quota) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.quota = quota;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class TenantService {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.encryptionKey = options.encryptionKey !== undefined ? options.encryptionKey : config.ENCRYPTION_KEY;
+    this.cache = new Map();
+  }
+
+  /**
+   * Returns an error message for an invalid tenant definition, or null. With
+   * `partial`, fields may be left out (an update), and provider channels or
+   * settings may be set to null to remove them.
+   */
+  validateTenant(input, { partial = false } = {}) {
+    if (!isPlainObject(input)) {
+      return 'tenant must be an object';
+    }
+
+    if (!partial && (typeof input.id !== 'string' || !TENANT_ID_PATTERN.test(input.id))) {
+      return 'id must be 1-63 lowercase letters, digits or dashes, starting with a letter or digit';
+    }
+
+    if ((!partial || input.name !== undefined) && (typeof input.name !== 'string' || input.name.trim() === '')) {
+      return 'name must be a non-empty string';
+    }
+
+    if (input.quotas !== undefined) {
+      const quotasError = this.validateQuotas(input.quotas);
+      if (quotasError) {
+        return quotasError;
+      }
+    }
+
+    if (input.providers !== undefined) {
+      return this.validateProviders(input.providers, partial);
+    }
+
+    return null;
+  }
+
+  validateQuotas(quotas) {
+    if (!isPlainObject(quotas)) {
+      return 'quotas must be an object';
+    }
+
+    const channels = [...Object.keys(CHANNEL_SCHEMAS), ALL_CHANNELS];
+
+    for (const [channel, windows] of Object.entries(quotas)) {
+      if (!channels.includes(channel)) {
+        return `quotas keys must be one of: ${channels.join(', ')}`;
+      }
+
+      if (!isPlainObject(windows)) {
+        return `quotas.${channel} must be an object`;
+      }
+
+      for (const [window, limit] of Object.entries(windows)) {
+        if (!QUOTA_WINDOWS.includes(window)) {
+          return `quotas.${channel} windows must be one of: ${QUOTA_WINDOWS.join(', ')}`;
+        }
+
+        if (!Number.isInteger(limit) || limit < 0) {
+          return `quotas.${channel}.${window} must be a non-negative integer`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  validateProviders(providers, partial) {
+    if (!isPlainObject(providers)) {
+      return 'providers must be an object';
+    }
+
+    for (const [channel, settings] of Object.entries(providers)) {
+      const allowed = PROVIDER_SETTINGS[channel];
+
+      if (!allowed) {
+        return `providers keys must be one of: ${Object.keys(PROVIDER_SETTINGS).join(', ')}`;
+      }
+
+      if (settings === null && partial) {
+        continue;
+      }
+
+      if (!isPlainObject(settings)) {
+        return `providers.${channel} must be an object`;
+      }
+
+      for (const [key, value] of Object.entries(settings)) {
+        if (!allowed[key]) {
+          return `providers.${channel} accepts: ${Object.keys(allowed).join(', ')}`;
+        }
+
+        if (value === null && partial) {
+          continue;
+        }
+
+        const expected = allowed[key] === 'number' ? 'number' : 'string';
+        if (typeof value !== expected || value === '') {
+          return `providers.${channel}.${key} must be a non-empty ${expected}`;
+        }
+
+        if (!this.encryptionKey) {
+          return 'providers cannot be stored until ENCRYPTION_KEY is set on the server';
+        }
+      }
+    }
+
+    return null;
+  }
+
+  decode(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      quotas: row.quotas,
+      providers: row.providers ? this.decryptProviders(row.providers) : {},
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt
+    };
+  }
+
+  decryptProviders(payload) {
+    try {
+      return decryptJson(payload, this.encryptionKey || LEGACY_ENCRYPTION_KEY);
+    } catch (error) {
+      if (!this.encryptionKey) {
+        throw error;
+      }
+
+      try {
+        return decryptJson(payload, LEGACY_ENCRYPTION_KEY);
+      } catch (legacyError) {
+        throw error;
+      }
+    }
+  }
+
+  // Tenants without provider settings need no key; the API refuses settings without one
+  encodeProviders(providers) {
+    if (Object.keys(providers).length === 0) {
+      return null;
+    }
+
+    if (!this.encryptionKey) {
+      throw new Error('ENCRYPTION_KEY is not set, so provider settings cannot be stored');
+    }
+
+    return encryptJson(providers, this.encryptionKey);
+  }
+
+  async getTenant(id) {
+    const cached = this.cache.get(id);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tenant;
+    }
+
+    const row = await this.db.getTenant(id);
+    const tenant = row ? this.decode(row) : null;
+
+    this.cache.set(id, { tenant, expiresAt: Date.now() + CACHE_TTL_MS });
+    return tenant;
+  }
+
+  async listTenants() {
+    const rows = await this.db.listTenants();
+    return rows.map(row => this.decode(row));
+  }
+
+  // Resolves to the new tenant, or null if the id is taken
+  async createTenant({ id, name, quotas = {}, providers = {} }) {
+    const createdAt = new Date().toISOString();
+    const inserted = await this.db.insertTenant({
+      id,
+      name: name.trim(),
+      quotas,
+      providers: this.encodeProviders(providers),
+      createdAt
+    });
+
+    if (!inserted) {
+      return null;
+    }
+
+    this.cache.delete(id);
+    console.log(`🏢 Tenant ${id} created`);
+
+    return this.getTenant(id);
+  }
+
+  /**
+   * Apply an update validated with { partial: true }. `quotas` replaces the
+   * tenant's quotas; `providers` is merged channel by channel, so a secret
+   * can be left out (or sent back redacted) to keep it. Resolves to null if
+   * there is no such tenant.
+   */
+  async updateTenant(id, { name, quotas, providers }) {
+    const tenant = await this.db.getTenant(id);
+
+    if (!tenant) {
+      return null;
+    }
+
+    const current = this.decode(tenant);
+    const merged = { ...current.providers };
+
+    for (const [channel, settings] of Object.entries(providers || {})) {
+      if (settings === null) {
+        delete merged[channel];
+        continue;
+      }
+
+      const next = { ...merged[channel] };
+      for (const [key, value] of Object.entries(settings)) {
+        if (value === null) {
+          delete next[key];
+        } else if (value !== REDACTED) {
+          next[key] = value;
+        }
+      }
+      merged[channel] = next;
+    }
+
+    await this.db.updateTenant(id, {
+      name: name !== undefined ? name.trim() : current.name,
+      quotas: quotas !== undefined ? quotas : current.quotas,
+      providers: this.encodeProviders(merged),
+      updatedAt: new Date().toISOString()
+    });
+
+    this.cache.delete(id);
+    console.log(`🏢 Tenant ${id} updated`);
+
+    return this.getTenant(id);
+  }
+
+  // The tenant as the API shows it, with secret provider settings masked
+  toPublic(tenant) {
+    const providers = {};
+
+    for (const [channel, settings] of Object.entries(tenant.providers)) {
+      providers[channel] = {};
+      for (const [key, value] of Object.entries(settings)) {
+        providers[channel][key] = PROVIDER_SETTINGS[channel][key] === 'secret' ? REDACTED : value;
+      }
+    }
+
+    return { ...tenant, providers };
+  }
+
+  /**
+   * Current use of every quota that applies to the tenant:
+   * [{ channel, window, limit, used, resetAt }], `channel` being '*' for
+   * quotas across all channels. Pass `channel` to only see quotas covering it.
+   */
+  async getUsage(tenant, { channel, now = Date.now() } = {}) {
+    const usage = [];
+
+    for (const [scope, windows] of Object.entries(tenant.quotas)) {
+      if (channel && scope !== channel && scope !== ALL_CHANNELS) {
+        continue;
+      }
+
+      for (const [window, limit] of Object.entries(windows)) {
+        const size = BUCKET_SIZES[window];
+        const windowStart = Math.floor(now / size) * size;
+        const used = await this.db.countTenantNotifications({
+          tenantId: tenant.id,
+          type: scope === ALL_CHANNELS ? null : scope,
+          since: new Date(windowStart).toISOString()
+        });
+
+        usage.push({
+          channel: scope,
+          window,
+          limit,
+          used,
+          resetAt: new Date(windowStart + size).toISOString()
+        });
+      }
+    }
+
+    return usage;
+  }
+
+  // Throws QuotaExceededError if one more `channel` notification would go over a quota.
+  // Concurrent requests can overshoot a limit by the number in flight.
+  async checkQuota(tenantId, channel, now = Date.now()) {
+    const tenant = await this.getTenant(tenantId);
+
+    if (!tenant) {
+      throw new Error(`Unknown tenant: ${tenantId}`);
+    }
+
+    const usage = await this.getUsage(tenant, { channel, now });
+    const exceeded = usage.find(quota => quota.used >= quota.limit);
+
+    if (exceeded) {
+      const what = exceeded.channel === ALL_CHANNELS ? 'notifications' : `${exceeded.channel} notifications`;
+      throw new QuotaExceededError(
+        `Quota of ${exceeded.limit} ${what} per ${exceeded.window} reached; resets at ${exceeded.resetAt}`,
+        exceeded
+      );
+    }
+  }
+}
+
+TenantService.DEFAULT_TENANT_ID = DEFAULT_TENANT_ID;
+TenantService.TENANT_ID_PATTERN = TENANT_ID_PATTERN;
+TenantService.QUOTA_WINDOWS = QUOTA_WINDOWS;
+TenantService.ALL_CHANNELS = ALL_CHANNELS;
+TenantService.PROVIDER_SETTINGS = PROVIDER_SETTINGS;
+TenantService.QuotaExceededError = QuotaExceededError;
+
+module.exports = TenantService;
@@ -0,0 +1,555 @@
+const { escapeHtml } = require('./template');
+
+/**
+ * Email bodies from a notification's message. The message is plain text,
+ * Markdown or restricted HTML (metadata.format); each is turned into the same
+ * tree of allowlisted elements, and both the HTML part and the plaintext
+ * alternative are written from that tree, so they always say the same thing.
+ *
+ * - text: escaped; blank lines separate paragraphs, single newlines are breaks
+ * - markdown: headings, paragraphs, lists, block quotes, code, rules, emphasis,
+ *   links, images and hard breaks. Inline HTML is shown as text, not passed on.
+ * - html: elements outside the allowlist are unwrapped (their text is kept);
+ *   script, style and similar elements are dropped with their content; only
+ *   allowlisted attributes survive.
+ *
+ * Links may only use LINK_SCHEMES and images IMAGE_SCHEMES; other links lose
+ * their target and are reported in `unsafeLinks`.
+ */
+
+const CONTENT_FORMATS = ['text', 'markdown', 'html'];
+
+const LINK_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+const IMAGE_SCHEMES = ['http:', 'https:', 'cid:'];
+
+// Element -> attributes it may keep
+const ALLOWED_ELEMENTS = {
+  a: ['href', 'title'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  p: [], br: [], hr: [], div: [], span: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  b: [], strong: [], i: [], em: [], u: [], s: [], small: [], sub: [], sup: [],
+  code: [], pre: [], blockquote: [],
+  ul: [], ol: ['start'], li: [],
+  table: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan']
+};
+
+// Attributes whose values must be whole numbers
+const NUMERIC_ATTRIBUTES = new Set(['width', 'height', 'start', 'colspan', 'rowspan']);
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img']);
+
+// Removed together with everything inside them
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template', 'noscript',
+  'head', 'title', 'textarea', 'select', 'option', 'svg', 'math', 'xml'
+]);
+
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote', 'ul', 'ol', 'table', 'thead', 'tbody', 'tfoot', 'hr'
+]);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]{1,6}|#\d{1,7}|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] || entity;
+  });
+}
+
+/**
+ * The URL when its scheme is one of `schemes`, else null. Control characters
+ * and whitespace are ignored when reading the scheme, as browsers do, so
+ * "java\tscript:" is not let through; URLs without a scheme are refused too,
+ * since a relative link means nothing in an email.
+ */
+function safeUrl(value, schemes = LINK_SCHEMES) {
+  const url = String(value).trim();
+  const scheme = /^([a-z][a-z0-9+.-]*:)/i.exec(url.replace(/[\u0000- \u007f-\u009f]/g, ''));
+
+  if (!scheme || !schemes.includes(scheme[1].toLowerCase())) {
+    return null;
+  }
+
+  if (scheme[1].toLowerCase() === 'http:' || scheme[1].toLowerCase() === 'https:') {
+    try {
+      return new URL(url).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return url;
+}
+
+const element = (tag, children = [], attributes = {}) => ({ tag, attributes, children });
+
+// Plain text: paragraphs at blank lines, breaks at single newlines
+function parseText(source) {
+  return source
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .filter(paragraph => paragraph.trim() !== '')
+    .map(paragraph => element('p', paragraph.trim().split('\n').flatMap((line, index) => (index > 0 ? [element('br'), line] : [line]))));
+}
+
+// ---- HTML ----
+
+const HTML_TOKEN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>?|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const HTML_ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function sanitizeAttributes(tag, source, unsafeLinks) {
+  const attributes = {};
+
+  for (const [, rawName, doubleQuoted, singleQuoted, bare] of source.matchAll(HTML_ATTRIBUTE)) {
+    const name = rawName.toLowerCase();
+    const value = decodeEntities(doubleQuoted ?? singleQuoted ?? bare ?? '');
+
+    if (!ALLOWED_ELEMENTS[tag].includes(name)) {
+      continue;
+    }
+
+    if (name === 'href' || name === 'src') {
+      const url = safeUrl(value, name === 'src' ? IMAGE_SCHEMES : LINK_SCHEMES);
+      if (url) {
+        attributes[name] = url;
+      } else {
+        unsafeLinks.push(value);
+      }
+    } else if (!NUMERIC_ATTRIBUTES.has(name) || /^\d{1,5}$/.test(value)) {
+      attributes[name] = value;
+    }
+  }
+
+  return attributes;
+}
+
+function parseHtml(source, unsafeLinks) {
+  const root = element('root');
+  const open = [root];
+  let index = 0;
+
+  const append = node => open[open.length - 1].children.push(node);
+  const appendText = text => text && append(decodeEntities(text));
+
+  HTML_TOKEN.lastIndex = 0;
+  let match;
+
+  while ((match = HTML_TOKEN.exec(source))) {
+    appendText(source.slice(index, match.index));
+    index = HTML_TOKEN.lastIndex;
+
+    const [token, closing, opening, attributeSource] = match;
+    const tag = (closing || opening || '').toLowerCase();
+
+    if (opening && DROPPED_ELEMENTS.has(tag)) {
+      if (!token.endsWith('/>')) {
+        // Skip to the matching end tag; an unclosed one swallows the rest
+        const end = new RegExp(`</${tag}\\s*>`, 'ig');
+        end.lastIndex = index;
+        index = end.exec(source) ? end.lastIndex : source.length;
+        HTML_TOKEN.lastIndex = index;
+      }
+      continue;
+    }
+
+    if (opening && ALLOWED_ELEMENTS[tag]) {
+      const node = element(tag, [], sanitizeAttributes(tag, attributeSource, unsafeLinks));
+      append(node);
+      if (!VOID_ELEMENTS.has(tag) && !token.endsWith('/>')) {
+        open.push(node);
+      }
+    } else if (closing && ALLOWED_ELEMENTS[tag]) {
+      const at = open.map(node => node.tag).lastIndexOf(tag);
+      if (at > 0) {
+        open.length = at;
+      }
+    }
+    // Comments, doctypes and elements outside the allowlist are left out; their text stays
+  }
+
+  appendText(source.slice(index));
+  return root.children;
+}
+
+// ---- Markdown ----
+
+// (url "title"); the url may hold balanced parentheses or be written <url>
+const LINK_TARGET = String.raw`\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))*)>?(?:\s+"([^"]*)")?\s*\)`;
+
+// Emphasis nested deeper than this is left as text, which keeps rendering linear
+const MAX_INLINE_DEPTH = 8;
+
+const isSpace = char => char === undefined || /\s/.test(char);
+const isWordChar = char => char !== undefined && /\w/.test(char);
+
+/**
+ * Closing delimiters of one piece of inline text. Each kind of closer is
+ * collected in a single pass the first time it is asked for, and lookups
+ * only move forward, so finding every closer costs one pass over the text
+ * instead of a rescan from each opener.
+ */
+class Closers {
+  constructor(text) {
+    this.text = text;
+    this.kinds = new Map();
+  }
+
+  // First closer of `kind` at or after `from`, or -1
+  find(kind, from, collect) {
+    let entry = this.kinds.get(kind);
+    if (!entry) {
+      entry = { positions: collect(this.text), next: 0 };
+      this.kinds.set(kind, entry);
+    }
+
+    while (entry.next < entry.positions.length && entry.positions[entry.next] < from) {
+      entry.next++;
+    }
+    return entry.next < entry.positions.length ? entry.positions[entry.next] : -1;
+  }
+}
+
+// Start of every `delimiter` that may close emphasis: right after a non-space character
+function emphasisClosers(delimiter, { wordEnd = false } = {}) {
+  return text => {
+    const positions = [];
+    for (let at = text.indexOf(delimiter, 1); at !== -1; at = text.indexOf(delimiter, at + 1)) {
+      if (!isSpace(text[at - 1]) && !(wordEnd && isWordChar(text[at + delimiter.length]))) {
+        positions.push(at);
+      }
+    }
+    return positions;
+  };
+}
+
+// Start of every run of exactly `length` backticks
+function backtickRuns(length) {
+  return text => {
+    const positions = [];
+    for (const run of text.matchAll(/`+/g)) {
+      if (run[0].length === length) {
+        positions.push(run.index);
+      }
+    }
+    return positions;
+  };
+}
+
+// An emphasis span opened by `delimiter` at `index`: its content runs to the first closer
+function matchEmphasis(delimiter, closerOptions) {
+  const kind = `${delimiter}${closerOptions.wordEnd ? '!' : ''}`;
+  const collect = emphasisClosers(delimiter, closerOptions);
+
+  return (text, index, closers) => {
+    const contentStart = index + delimiter.length;
+    if (!text.startsWith(delimiter, index) || isSpace(text[contentStart])) {
+      return null;
+    }
+
+    const close = closers.find(kind, contentStart + 1, collect);
+    return close === -1 ? null : { length: close + delimiter.length - index, content: text.slice(contentStart, close) };
+  };
+}
+
+// Sticky-regex rules: `node` builds the output from the match
+const stickyRule = (pattern, node) => ({
+  match: (text, index) => {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    return match && { length: match[0].length, match };
+  },
+  node: ({ match }, context, depth) => node(match, context, depth)
+});
+
+const emphasisRule = (delimiter, tag, options = {}) => ({
+  match: matchEmphasis(delimiter, options),
+  node: ({ content }, context, depth) => element(tag, parseInline(content, context, depth + 1)),
+  wordStart: options.wordStart
+});
+
+const INLINE_RULES = [
+  stickyRule(/\\([!-/:-@[-`{-~])/y, match => match[1]),
+  {
+    // A code span closes at the next run of exactly as many backticks; an unclosed run is text
+    match: (text, index, closers) => {
+      const run = /`+/y;
+      run.lastIndex = index;
+      const opener = run.exec(text);
+      if (!opener) {
+        return null;
+      }
+
+      const length = opener[0].length;
+      const close = closers.find(`code${length}`, index + length + 1, backtickRuns(length));
+      return close === -1
+        ? { length, text: opener[0] }
+        : { length: close + length - index, content: text.slice(index + length, close) };
+    },
+    node: ({ text, content }) => text !== undefined ? text : element('code', [content.trim()])
+  },
+  stickyRule(/ {2,}\n|\\\n/y, () => element('br')),
+  stickyRule(new RegExp(String.raw`!\[([^\]]*)\]` + LINK_TARGET, 'y'), (match, context) => {
+    const src = safeUrl(match[2], IMAGE_SCHEMES);
+    if (!src) {
+      context.unsafeLinks.push(match[2]);
+      return match[1];
+    }
+    return element('img', [], { src, alt: match[1], ...(match[3] && { title: match[3] }) });
+  }),
+  stickyRule(new RegExp(String.raw`\[((?:[^[\]\\]|\\.)*)\]` + LINK_TARGET, 'y'), (match, context, depth) => {
+    const href = safeUrl(match[2]);
+    const children = parseInline(match[1], context, depth + 1);
+    if (!href) {
+      context.unsafeLinks.push(match[2]);
+      return children;
+    }
+    return element('a', children, { href, ...(match[3] && { title: match[3] }) });
+  }),
+  stickyRule(/<((?:https?|mailto|tel):[^\s<>]+)>/y, match => {
+    const href = safeUrl(match[1]);
+    return href ? element('a', [match[1]], { href }) : match[0];
+  }),
+  emphasisRule('**', 'strong'),
+  emphasisRule('__', 'strong'),
+  emphasisRule('*', 'em'),
+  emphasisRule('_', 'em', { wordStart: true, wordEnd: true })
+];
+
+function parseInline(text, context, depth = 0) {
+  if (depth > MAX_INLINE_DEPTH) {
+    return [text];
+  }
+
+  const closers = new Closers(text);
+  const nodes = [];
+  let plain = '';
+  let index = 0;
+
+  while (index < text.length) {
+    let matched = null;
+
+    for (const rule of INLINE_RULES) {
+      if (rule.wordStart && isWordChar(text[index - 1])) {
+        continue;
+      }
+      const match = rule.match(text, index, closers);
+      if (match) {
+        matched = { rule, match };
+        break;
+      }
+    }
+
+    if (!matched) {
+      plain += text[index++];
+      continue;
+    }
+
+    if (plain) {
+      nodes.push(plain);
+      plain = '';
+    }
+    nodes.push(...[].concat(matched.rule.node(matched.match, context, depth)));
+    index += matched.match.length;
+  }
+
+  if (plain) {
+    nodes.push(plain);
+  }
+
+  return nodes;
+}
+
+const LIST_ITEM = /^ {0,3}([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const BLOCK_START = /^ {0,3}(#{1,6}\s|>|```|~~~|([-*_])(\s*\2){2,}\s*$)/;
+
+function parseMarkdownBlocks(lines, context) {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim() === '') {
+      index++;
+      continue;
+    }
+
+    const fence = /^ {0,3}(```|~~~)/.exec(line);
+    if (fence) {
+      const end = lines.findIndex((candidate, at) => at > index && candidate.trim().startsWith(fence[1]));
+      const code = lines.slice(index + 1, end === -1 ? lines.length : end).join('\n');
+      blocks.push(element('pre', [element('code', [code])]));
+      index = end === -1 ? lines.length : end + 1;
+      continue;
+    }
+
+    const heading = /^ {0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/.exec(line);
+    if (heading) {
+      blocks.push(element(`h${heading[1].length}`, parseInline(heading[2], context)));
+      index++;
+      continue;
+    }
+
+    if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push(element('hr'));
+      index++;
+      continue;
+    }
+
+    if (/^ {0,3}>/.test(line)) {
+      const quoted = [];
+      while (index < lines.length && /^ {0,3}>/.test(lines[index])) {
+        quoted.push(lines[index++].replace(/^ {0,3}> ?/, ''));
+      }
+      blocks.push(element('blockquote', parseMarkdownBlocks(quoted, context)));
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const ordered = /\d/.test(item[1]);
+      const items = [];
+
+      // Items run until a blank line or an item of the other kind; indented lines continue an item
+      while (index < lines.length) {
+        const next = LIST_ITEM.exec(lines[index]);
+        if (next && /\d/.test(next[1]) === ordered) {
+          items.push([next[2]]);
+        } else if (!next && items.length > 0 && lines[index].trim() !== '' && /^\s/.test(lines[index])) {
+          items[items.length - 1].push(lines[index].trim());
+        } else {
+          break;
+        }
+        index++;
+      }
+
+      const start = ordered ? parseInt(item[1], 10) : 1;
+      blocks.push(element(
+        ordered ? 'ol' : 'ul',
+        items.map(text => element('li', parseInline(text.join('\n'), context))),
+        ordered && start !== 1 ? { start: String(start) } : {}
+      ));
+      continue;
+    }
+
+    const paragraph = [];
+    while (index < lines.length && lines[index].trim() !== '' && !BLOCK_START.test(lines[index]) && !LIST_ITEM.test(lines[index])) {
+      paragraph.push(lines[index++].replace(/^\s+/, ''));
+    }
+    blocks.push(element('p', parseInline(paragraph.join('\n'), context)));
+  }
+
+  return blocks;
+}
+
+function parseMarkdown(source, unsafeLinks) {
+  return parseMarkdownBlocks(source.replace(/\r\n?/g, '\n').split('\n'), { unsafeLinks });
+}
+
+// ---- Output ----
+
+function toHtml(nodes) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return escapeHtml(node);
+    }
+
+    if (node.tag === 'img' && !node.attributes.src) {
+      return '';
+    }
+
+    const attributes = Object.entries(node.attributes).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+    return VOID_ELEMENTS.has(node.tag)
+      ? `<${node.tag}${attributes}>`
+      : `<${node.tag}${attributes}>${toHtml(node.children)}</${node.tag}>`;
+  }).join('');
+}
+
+// Preformatted text keeps its spaces and newlines through the whitespace clean-up
+const KEPT_SPACE = '\u0001';
+const KEPT_NEWLINE = '\u0002';
+
+function textOf(nodes, { pre = false } = {}) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return pre ? node.replace(/ /g, KEPT_SPACE).replace(/\n/g, KEPT_NEWLINE) : node.replace(/\s+/g, ' ');
+    }
+
+    const inner = (options = {}) => textOf(node.children, { pre, ...options });
+
+    switch (node.tag) {
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n----------\n\n';
+      case 'img':
+        return node.attributes.src ? node.attributes.alt || '' : '';
+      case 'pre':
+        return `\n\n${inner({ pre: true })}\n\n`;
+      case 'a': {
+        const text = inner().trim();
+        const { href } = node.attributes;
+        if (!href) {
+          return text;
+        }
+        const target = href.replace(/^(mailto|tel):/i, '');
+        return text && text !== href && text !== target ? `${text} (${target})` : target;
+      }
+      case 'ul':
+      case 'ol': {
+        const start = parseInt(node.attributes.start || '1', 10);
+        const items = node.children.filter(child => typeof child !== 'string' && child.tag === 'li');
+        return `\n\n${items.map((item, at) => `${node.tag === 'ol' ? `${start + at}.` : '-'} ${textOf(item.children, { pre }).trim()}`).join('\n')}\n\n`;
+      }
+      case 'blockquote':
+        return `\n\n${clean(inner()).split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`;
+      case 'tr':
+        return `\n${node.children.filter(child => typeof child !== 'string').map(cell => textOf([cell], { pre }).trim()).join(' | ')}`;
+      case 'li':
+        return `\n- ${inner().trim()}`;
+      default:
+        return BLOCK_ELEMENTS.has(node.tag) ? `\n\n${inner()}\n\n` : inner();
+    }
+  }).join('');
+}
+
+function clean(text) {
+  return text
+    .replace(/[ \t]*\n[ \t]*/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function toText(nodes) {
+  return clean(textOf(nodes))
+    .replace(new RegExp(KEPT_SPACE, 'g'), ' ')
+    .replace(new RegExp(KEPT_NEWLINE, 'g'), '\n');
+}
+
+/**
+ * Render a message in `format` (one of CONTENT_FORMATS, text by default).
+ * Returns { html, text, unsafeLinks }: the sanitized HTML fragment, its
+ * plaintext alternative, and the link targets that were refused.
+ */
+function renderContent(source, format = 'text') {
+  const unsafeLinks = [];
+  const nodes = format === 'html'
+    ? parseHtml(source, unsafeLinks)
+    : format === 'markdown'
+      ? parseMarkdown(source, unsafeLinks)
+      : parseText(source);
+
+  return { html: toHtml(nodes), text: toText(nodes), unsafeLinks };
+}
+
+module.exports = {
+  CONTENT_FORMATS,
+  LINK_SCHEMES,
+  safeUrl,
+  renderContent
+};
@@ -0,0 +1,236 @@
+/**
+ * The search parts of a history query. `q` is free text matched against the
+ * message and email subject through the full-text index; `filter` is a small
+ * boolean language over notification fields and metadata paths:
+ *
+ *   metadata.orderId = 1234 AND (priority = high OR error ~ "timeout")
+ *   NOT status = sent AND createdAt >= 2024-01-01
+ *
+ * Comparisons are `field op value`, op one of = != ~ (contains) < <= > >=;
+ * values are bare words or "quoted strings". Combine them with AND, OR, NOT
+ * and parentheses; AND binds tighter than OR. `text ~ "..."` is a full-text
+ * match usable inside an expression. Parsing only checks the syntax and the
+ * fields; DatabaseService turns the resulting expression into SQL.
+ */
+
+// Field -> kind; the kind decides which operators apply
+const FILTER_FIELDS = {
+  status: 'column',
+  type: 'column',
+  priority: 'column',
+  recipient: 'column',
+  message: 'column',
+  error: 'column',
+  createdBy: 'column',
+  jobId: 'column',
+  templateId: 'column',
+  locale: 'column',
+  createdAt: 'time',
+  updatedAt: 'time',
+  scheduledAt: 'time',
+  sentAt: 'time',
+  failedAt: 'time',
+  cancelledAt: 'time',
+  text: 'search'
+};
+
+const OPERATORS = {
+  column: ['=', '!=', '~'],
+  time: ['=', '!=', '<', '<=', '>', '>='],
+  metadata: ['=', '!=', '~', '<', '<=', '>', '>='],
+  search: ['~']
+};
+
+const MAX_FILTER_LENGTH = 2000;
+const MAX_COMPARISONS = 50;
+
+const METADATA_PATH = /^metadata(\.[A-Za-z_][\w-]*)+$/;
+const TOKEN = /\s*(?:(\(|\))|(!=|<=|>=|=|~|<|>)|"((?:[^"\\]|\\.)*)"|([^\s()=!~<>"]+))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < text.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(text);
+
+    if (!match) {
+      if (text.slice(start).trim() === '') {
+        break;
+      }
+      throw new Error(`Unexpected character at position ${start + 1}`);
+    }
+
+    const [, paren, operator, quoted, word] = match;
+    if (paren) {
+      tokens.push({ kind: paren });
+    } else if (operator) {
+      tokens.push({ kind: 'operator', value: operator });
+    } else if (quoted !== undefined) {
+      tokens.push({ kind: 'string', value: quoted.replace(/\\(.)/g, '$1') });
+    } else if (/^(AND|OR|NOT)$/i.test(word)) {
+      tokens.push({ kind: word.toUpperCase() });
+    } else {
+      tokens.push({ kind: 'word', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+// Recursive descent over the tokens: or := and (OR and)*, and := unary (AND unary)*
+class FilterParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+    this.comparisons = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expect(kind, description) {
+    const token = this.next();
+    if (!token || token.kind !== kind) {
+      throw new Error(`Expected ${description}${token ? ` before ${describe(token)}` : ' at the end'}`);
+    }
+    return token;
+  }
+
+  parse() {
+    const expression = this.parseOr();
+    const extra = this.peek();
+
+    if (extra) {
+      throw new Error(`Unexpected ${describe(extra)}; combine comparisons with AND or OR`);
+    }
+
+    return expression;
+  }
+
+  parseOr() {
+    const terms = [this.parseAnd()];
+    while (this.peek() && this.peek().kind === 'OR') {
+      this.next();
+      terms.push(this.parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { op: 'or', terms };
+  }
+
+  parseAnd() {
+    const terms = [this.parseUnary()];
+    while (this.peek() && this.peek().kind === 'AND') {
+      this.next();
+      terms.push(this.parseUnary());
+    }
+    return terms.length === 1 ? terms[0] : { op: 'and', terms };
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (token && token.kind === 'NOT') {
+      this.next();
+      return { op: 'not', term: this.parseUnary() };
+    }
+
+    if (token && token.kind === '(') {
+      this.next();
+      const expression = this.parseOr();
+      this.expect(')', 'a closing parenthesis');
+      return expression;
+    }
+
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const field = this.expect('word', 'a field name').value;
+    const kind = FILTER_FIELDS[field] || (METADATA_PATH.test(field) ? 'metadata' : null);
+
+    if (!kind) {
+      throw new Error(`Unknown field ${field}. Fields are ${Object.keys(FILTER_FIELDS).join(', ')} and metadata.<path>`);
+    }
+
+    const operator = this.expect('operator', `an operator after ${field}`).value;
+    if (!OPERATORS[kind].includes(operator)) {
+      throw new Error(`${field} takes ${OPERATORS[kind].join(' ')}, not ${operator}`);
+    }
+
+    const token = this.next();
+    if (!token || (token.kind !== 'word' && token.kind !== 'string')) {
+      throw new Error(`Expected a value after ${field} ${operator}`);
+    }
+
+    if (kind === 'search' && !toSearchQuery(token.value)) {
+      throw new Error(`${field} ${operator} needs a word to search for`);
+    }
+
+    if (++this.comparisons > MAX_COMPARISONS) {
+      throw new Error(`A filter may have at most ${MAX_COMPARISONS} comparisons`);
+    }
+
+    return {
+      field: kind === 'metadata' ? 'metadata' : field,
+      ...(kind === 'metadata' && { path: field.split('.').slice(1) }),
+      operator,
+      value: token.value,
+      // Bare words may be numbers or booleans in metadata; quoted values are always strings
+      quoted: token.kind === 'string'
+    };
+  }
+}
+
+function describe(token) {
+  return token.value !== undefined ? `"${token.value}"` : token.kind;
+}
+
+/**
+ * Parse a `filter` query parameter. Returns { expression } or { error }.
+ */
+function parseFilter(text) {
+  if (text.length > MAX_FILTER_LENGTH) {
+    return { error: `filter must be at most ${MAX_FILTER_LENGTH} characters` };
+  }
+
+  try {
+    return { expression: new FilterParser(tokenize(text)).parse() };
+  } catch (error) {
+    return { error: `filter is not valid: ${error.message}` };
+  }
+}
+
+/**
+ * Turn free text into an FTS5 query that matches rows containing every word.
+ * Each word is quoted, so FTS5 syntax in the input is searched for rather than
+ * interpreted; "quoted phrases" stay phrases and a trailing * matches a prefix.
+ * Returns null when there is nothing to search for.
+ */
+function toSearchQuery(text) {
+  const terms = [];
+
+  for (const [, phrase, word] of text.matchAll(/"([^"]*)"|(\S+)/g)) {
+    const term = phrase !== undefined ? phrase : word.replace(/"/g, '');
+    const prefix = phrase === undefined && term.endsWith('*');
+    const body = prefix ? term.replace(/\*+$/, '') : term;
+
+    if (/[\p{L}\p{N}]/u.test(body)) {
+      terms.push(`"${body}"${prefix ? '*' : ''}`);
+    }
+  }
+
+  return terms.length > 0 ? terms.join(' ') : null;
+}
+
+module.exports = {
+  FILTER_FIELDS,
+  MAX_FILTER_LENGTH,
+  parseFilter,
+  toSearchQuery
+};
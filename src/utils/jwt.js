@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+/**
+ * Minimal HS256 JSON Web Tokens, enough for services that mint their own
+ * bearer tokens with the shared JWT_SECRET. Other algorithms are rejected.
+ */
+
+// Tolerated clock difference between the issuer and this service
+const CLOCK_SKEW_SECONDS = 30;
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function sign(input, secret) {
+  return crypto.createHmac('sha256', secret).update(input).digest('base64url');
+}
+
+function signJwt(payload, secret) {
+  const input = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment(payload)}`;
+  return `${input}.${sign(input, secret)}`;
+}
+
+function looksLikeJwt(token) {
+  return typeof token === 'string' && token.split('.').length === 3;
+}
+
+/**
+ * Check the signature and the time claims of `token` (`exp` is required), and
+ * `iss`/`aud` when expected values are given. Returns { payload } or { error }.
+ */
+function verifyJwt(token, secret, { issuer, audience, now = Date.now() } = {}) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) {
+    return { error: 'Malformed token' };
+  }
+
+  const [headerSegment, payloadSegment, signature] = segments;
+  let header;
+  let payload;
+
+  try {
+    header = decodeSegment(headerSegment);
+    payload = decodeSegment(payloadSegment);
+  } catch (error) {
+    return { error: 'Malformed token' };
+  }
+
+  if (header.alg !== 'HS256') {
+    return { error: 'Unsupported token algorithm' };
+  }
+
+  const expected = Buffer.from(sign(`${headerSegment}.${payloadSegment}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'Invalid token signature' };
+  }
+
+  if (payload === null || typeof payload !== 'object') {
+    return { error: 'Malformed token' };
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+
+  // Tokens without an expiry would stay valid forever
+  if (typeof payload.exp !== 'number') {
+    return { error: 'Token has no expiry' };
+  }
+
+  if (nowSeconds > payload.exp + CLOCK_SKEW_SECONDS) {
+    return { error: 'Token has expired' };
+  }
+
+  if (typeof payload.nbf === 'number' && nowSeconds < payload.nbf - CLOCK_SKEW_SECONDS) {
+    return { error: 'Token is not valid yet' };
+  }
+
+  if (issuer && payload.iss !== issuer) {
+    return { error: 'Unexpected token issuer' };
+  }
+
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      return { error: 'Unexpected token audience' };
+    }
+  }
+
+  return { payload };
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt,
+  looksLikeJwt
+};
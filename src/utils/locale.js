@@ -0,0 +1,36 @@
+/**
+ * BCP 47 locale tags: checking them, their canonical form (pt-br -> pt-BR),
+ * and the chain a localized template is searched along, most specific first.
+ */
+
+// The canonical form of `tag`, or null when it is not a language tag
+function canonicalLocale(tag) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(tag);
+    return canonical || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isLocale(value) {
+  return canonicalLocale(value) !== null;
+}
+
+// 'zh-Hant-TW' -> ['zh-Hant-TW', 'zh-Hant', 'zh']; [] for anything that is not a tag
+function localeChain(tag) {
+  const canonical = canonicalLocale(tag);
+
+  if (!canonical) {
+    return [];
+  }
+
+  const subtags = canonical.split('-');
+  return subtags.map((_, index) => subtags.slice(0, subtags.length - index).join('-'));
+}
+
+module.exports = {
+  canonicalLocale,
+  isLocale,
+  localeChain
+};
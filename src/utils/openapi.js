@@ -0,0 +1,1127 @@
+const LaneScheduler = require('../queues/LaneScheduler');
+const ApiKeyService = require('../services/ApiKeyService');
+const TenantService = require('../services/TenantService');
+const StatusEventService = require('../services/StatusEventService');
+const DeadLetterService = require('../services/DeadLetterService');
+const IdempotencyService = require('../services/IdempotencyService');
+const BulkJobService = require('../services/BulkJobService');
+const TemplateService = require('../services/TemplateService');
+const RecipientService = require('../services/RecipientService');
+const { ERROR_CODES } = require('./schema');
+const { CHANNEL_SCHEMAS, NOTIFICATION_SCHEMAS } = require('./validation');
+const { BUCKET_SIZES, TIMEFRAMES, MAX_BUCKETS } = require('./stats');
+const { SORT_FIELDS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./pagination');
+const { UPLOAD_FORMATS } = require('./upload');
+const { FILTER_FIELDS, MAX_FILTER_LENGTH } = require('./historyFilter');
+
+/**
+ * The OpenAPI 3 document for version 1 of the API. It is assembled from the
+ * same constants the handlers use (channels, lanes, scopes, quota windows,
+ * ...), and validateRequest() checks every v1 request against it, so the
+ * documented contract and the enforced one are the same object.
+ */
+
+const BASE_PATH = '/api/v1';
+const CHANNELS = Object.keys(CHANNEL_SCHEMAS);
+const STATUSES = ['pending', 'scheduled', 'processing', 'sent', 'failed', 'cancelled'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const timestamp = description => ({ type: 'string', format: 'date-time', description });
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, description });
+const idParam = description => ({ name: 'id', in: 'path', required: true, schema: { type: 'string' }, description });
+const response = (description, schema) => ({ description, content: json(schema) });
+
+const recipientParam = {
+  name: 'recipient',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', maxLength: 320 },
+  description: 'Recipient address as notifications give it, URL-encoded'
+};
+
+const limitParam = (max, fallback) => queryParam('limit', { type: 'integer', minimum: 1, maximum: max, default: fallback }, 'Page size');
+const offsetParam = queryParam('offset', { type: 'integer', minimum: 0, default: 0 }, 'Rows to skip');
+
+const deadLetterFilterParams = [
+  queryParam('type', { type: 'string', enum: CHANNELS }, 'Channel'),
+  queryParam('errorCode', { type: 'string' }, 'Error code of the final failure'),
+  queryParam('recipient', { type: 'string' }, 'Recipient substring'),
+  queryParam('reason', { type: 'string' }, 'Failure reason substring'),
+  queryParam('since', { type: 'string', format: 'date-time' }, 'Dead-lettered at or after'),
+  queryParam('until', { type: 'string', format: 'date-time' }, 'Dead-lettered before')
+];
+
+// An authenticated operation, with the error responses every such route can give.
+// requestBody is a JSON schema; requestContent a full content map, for other media types.
+function operation({ tags, summary, description, scope, operatorOnly, parameters = [], requestBody, requestContent, responses }) {
+  const content = requestContent || (requestBody && json(requestBody));
+
+  return {
+    tags,
+    summary,
+    ...(description && { description }),
+    ...(scope && { 'x-required-scope': scope }),
+    ...(operatorOnly && { 'x-operator-only': true }),
+    parameters: [...parameters, { $ref: '#/components/parameters/TenantId' }],
+    ...(content && { requestBody: { required: true, content } }),
+    responses: {
+      400: { $ref: '#/components/responses/ValidationFailed' },
+      401: { $ref: '#/components/responses/Unauthorized' },
+      403: { $ref: '#/components/responses/Forbidden' },
+      429: { $ref: '#/components/responses/TooManyRequests' },
+      500: { $ref: '#/components/responses/InternalError' },
+      ...responses
+    }
+  };
+}
+
+// Public routes need no credential
+function publicOperation({ tags, summary, responses }) {
+  return { tags, summary, security: [], responses };
+}
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error', 'details'],
+    properties: {
+      error: { type: 'string', example: 'Validation failed' },
+      details: { type: 'array', items: ref('ValidationDetail') }
+    }
+  },
+  ValidationDetail: {
+    type: 'object',
+    required: ['code', 'path', 'message'],
+    properties: {
+      code: { type: 'string', enum: [...Object.values(ERROR_CODES), ...Object.values(TemplateService.TEMPLATE_ERROR_CODES)] },
+      path: { type: 'string', description: 'Field at fault, e.g. metadata.subject, notifications[1].recipient or query.limit' },
+      message: { type: 'string' }
+    }
+  },
+
+  ...NOTIFICATION_SCHEMAS,
+  ...TemplateService.TEMPLATE_SCHEMAS,
+  ...RecipientService.RECIPIENT_SCHEMAS,
+
+  BulkNotification: {
+    allOf: [
+      ref('Notification'),
+      {
+        type: 'object',
+        properties: {
+          idempotencyKey: {
+            type: 'string',
+            minLength: 1,
+            maxLength: IdempotencyService.MAX_KEY_LENGTH,
+            description: 'An item whose key was seen before is not queued again'
+          }
+        }
+      }
+    ]
+  },
+  BulkSendRequest: {
+    type: 'object',
+    required: ['notifications'],
+    properties: {
+      notifications: {
+        type: 'array',
+        items: ref('BulkNotification'),
+        'x-per-item-validation': true,
+        description: 'Invalid items are reported in their result and skipped; the rest are still sent'
+      }
+    }
+  },
+  SendResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      notificationId: { type: 'string', format: 'uuid' },
+      status: { type: 'string', enum: ['queued', 'scheduled'] },
+      scheduledAt: timestamp('When a scheduled notification will go out'),
+      message: { type: 'string' }
+    }
+  },
+  Preview: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: CHANNELS },
+      templateId: { type: 'string' },
+      locale: { type: 'string', description: 'Locale the template was rendered in' },
+      output: {
+        type: 'object',
+        description: 'What the provider would emit. email: the mail options (envelope, subject, html, text); ' +
+          'sms: the Twilio message with characters, segments and truncated; push: the FCM message; ' +
+          'webhook: method, url, headers and JSON body'
+      },
+      warnings: { type: 'array', items: { type: 'string' }, description: 'e.g. SMS truncation or non-ASCII content' }
+    }
+  },
+  BulkSendResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      totalSent: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'scheduled', 'error', 'conflict'] },
+            replayed: { type: 'boolean', description: 'The result of an earlier item with the same idempotencyKey' },
+            error: { type: 'string' },
+            details: { type: 'array', items: ref('ValidationDetail') },
+            quota: ref('QuotaUsage')
+          }
+        }
+      }
+    }
+  },
+  NotificationRecord: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      tenantId: { type: 'string' },
+      recipient: { type: 'string' },
+      message: { type: 'string' },
+      type: { type: 'string', enum: CHANNELS },
+      priority: { type: 'string', enum: LaneScheduler.LANES },
+      status: { type: 'string', enum: STATUSES },
+      metadata: { type: 'object' },
+      providerResponse: { type: 'object', nullable: true },
+      error: { type: 'string', nullable: true },
+      retryCount: { type: 'integer' },
+      createdBy: { type: 'string', nullable: true, description: 'API key id or jwt:<subject> that created it' },
+      jobId: { type: 'string', nullable: true, description: 'Bulk job that queued it' },
+      templateId: { type: 'string', nullable: true, description: 'Template it was rendered from' },
+      locale: { type: 'string', nullable: true, description: 'Locale it was rendered in: the template variant used, after fallback' },
+      createdAt: timestamp(),
+      updatedAt: timestamp(),
+      scheduledAt: { ...timestamp(), nullable: true },
+      nextAttemptAt: { ...timestamp(), nullable: true },
+      sentAt: { ...timestamp(), nullable: true },
+      failedAt: { ...timestamp(), nullable: true },
+      cancelledAt: { ...timestamp(), nullable: true }
+    }
+  },
+  HistoryPage: {
+    type: 'object',
+    properties: {
+      notifications: { type: 'array', items: ref('NotificationRecord') },
+      total: { type: 'integer', description: 'Every match; left out with includeTotal=false' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+      sort: { type: 'string', enum: SORT_FIELDS },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      nextCursor: { type: 'string', nullable: true, description: 'Pass as cursor for the next page; null on the last one' }
+    }
+  },
+  Counts: {
+    type: 'object',
+    additionalProperties: { type: 'integer' }
+  },
+  Latency: {
+    type: 'object',
+    properties: {
+      count: { type: 'integer' },
+      avgMs: { type: 'integer', nullable: true },
+      p50Ms: { type: 'number', nullable: true },
+      p95Ms: { type: 'number', nullable: true },
+      p99Ms: { type: 'number', nullable: true }
+    }
+  },
+  Stats: {
+    type: 'object',
+    properties: {
+      from: timestamp(),
+      to: timestamp(),
+      bucket: { type: 'string', enum: Object.keys(BUCKET_SIZES) },
+      buckets: { type: 'array', items: timestamp('Start of each bucket, UTC') },
+      totals: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          byChannel: ref('Counts'),
+          byStatus: ref('Counts'),
+          byPriority: ref('Counts')
+        }
+      },
+      series: {
+        type: 'object',
+        description: 'One value per bucket, overall and per channel, status and priority',
+        additionalProperties: true
+      },
+      latency: {
+        allOf: [ref('Latency')],
+        description: 'Creation-to-delivery milliseconds; byChannel holds the same per channel'
+      },
+      queue: { type: 'object', description: 'Live queue state; only for the operator' }
+    }
+  },
+  StatusEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', description: 'Increasing event id; resume after it with Last-Event-ID' },
+      event: { type: 'string', enum: StatusEventService.EVENTS },
+      notificationId: { type: 'string' },
+      tenantId: { type: 'string' },
+      recipient: { type: 'string' },
+      type: { type: 'string', enum: CHANNELS },
+      status: { type: 'string', enum: STATUSES },
+      data: { type: 'object', description: 'Details of the transition, e.g. error and nextAttemptAt of a retry' },
+      createdAt: timestamp()
+    }
+  },
+  CancelResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      notificationId: { type: 'string' },
+      status: { type: 'string', enum: ['cancelled'] },
+      cancelledAt: timestamp()
+    }
+  },
+  NotificationUpdates: {
+    type: 'object',
+    description: 'Corrections applied before a notification is sent again',
+    properties: {
+      recipient: { type: 'string', minLength: 1 },
+      message: { type: 'string', minLength: 1 },
+      priority: { type: 'string', enum: LaneScheduler.LANES },
+      metadata: { type: 'object' }
+    }
+  },
+  Attempt: {
+    type: 'object',
+    properties: {
+      attempt: { type: 'integer' },
+      status: { type: 'string', enum: ['sent', 'failed'] },
+      provider: { type: 'string' },
+      error: { type: 'string', nullable: true },
+      errorCode: { type: 'string', nullable: true },
+      retryable: { type: 'boolean', nullable: true },
+      providerResponse: { type: 'object', nullable: true },
+      startedAt: timestamp(),
+      finishedAt: timestamp()
+    }
+  },
+  DeadLetter: {
+    type: 'object',
+    properties: {
+      notificationId: { type: 'string' },
+      tenantId: { type: 'string' },
+      type: { type: 'string', enum: CHANNELS },
+      recipient: { type: 'string' },
+      reason: { type: 'string' },
+      errorCode: { type: 'string', nullable: true },
+      deadLetteredAt: timestamp()
+    }
+  },
+  DeadLetterDetail: {
+    allOf: [
+      ref('DeadLetter'),
+      {
+        type: 'object',
+        properties: {
+          notification: ref('NotificationRecord'),
+          attempts: { type: 'array', items: ref('Attempt') }
+        }
+      }
+    ]
+  },
+  DeadLetterFilter: {
+    type: 'object',
+    properties: Object.fromEntries(deadLetterFilterParams.map(({ name, schema }) => [name, schema]))
+  },
+  RequeueRequest: {
+    type: 'object',
+    description: `Either ids or filter; a filter requeues at most ${DeadLetterService.MAX_BULK_REQUEUE} dead letters`,
+    properties: {
+      ids: { type: 'array', items: { type: 'string' } },
+      filter: ref('DeadLetterFilter'),
+      updates: ref('NotificationUpdates')
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      tenantId: { type: 'string' },
+      name: { type: 'string' },
+      keyPrefix: { type: 'string', description: 'Start of the key, to recognise it' },
+      scopes: { type: 'array', items: { type: 'string', enum: ApiKeyService.SCOPES } },
+      createdAt: timestamp(),
+      rotatedAt: { ...timestamp(), nullable: true },
+      lastUsedAt: { ...timestamp(), nullable: true },
+      revokedAt: { ...timestamp(), nullable: true }
+    }
+  },
+  IssuedApiKey: {
+    allOf: [
+      ref('ApiKey'),
+      {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'The key itself; it is not shown again' }
+        }
+      }
+    ]
+  },
+  CreateApiKeyRequest: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      scopes: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string', enum: ApiKeyService.SCOPES },
+        description: 'admin implies the others'
+      }
+    }
+  },
+  Quotas: {
+    type: 'object',
+    description: 'Limits per channel (or * for all channels together) and UTC window',
+    properties: Object.fromEntries([...CHANNELS, TenantService.ALL_CHANNELS].map(channel => [channel, ref('QuotaLimits')])),
+    additionalProperties: false
+  },
+  QuotaLimits: {
+    type: 'object',
+    properties: Object.fromEntries(TenantService.QUOTA_WINDOWS.map(window => [window, { type: 'integer', minimum: 0 }])),
+    additionalProperties: false
+  },
+  QuotaUsage: {
+    type: 'object',
+    properties: {
+      channel: { type: 'string' },
+      window: { type: 'string', enum: TenantService.QUOTA_WINDOWS },
+      limit: { type: 'integer' },
+      used: { type: 'integer' },
+      resetAt: timestamp()
+    }
+  },
+  ProviderSettings: {
+    type: 'object',
+    description: 'Sender identity and credentials per channel. Secrets are stored encrypted and shown as ********; ' +
+      'sending ******** back keeps the stored value, and null removes a setting or channel on update.',
+    properties: Object.fromEntries(Object.entries(TenantService.PROVIDER_SETTINGS).map(([channel, settings]) => [channel, {
+      type: 'object',
+      nullable: true,
+      properties: Object.fromEntries(Object.entries(settings).map(([key, kind]) => [key, {
+        type: kind === 'number' ? 'integer' : 'string',
+        nullable: true,
+        ...(kind === 'secret' && { format: 'password' })
+      }])),
+      additionalProperties: false
+    }])),
+    additionalProperties: false
+  },
+  Tenant: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      quotas: ref('Quotas'),
+      providers: ref('ProviderSettings'),
+      createdAt: timestamp(),
+      updatedAt: timestamp()
+    }
+  },
+  TenantWithUsage: {
+    allOf: [
+      ref('Tenant'),
+      {
+        type: 'object',
+        properties: {
+          usage: { type: 'array', items: ref('QuotaUsage') }
+        }
+      }
+    ]
+  },
+  CreateTenantRequest: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'string', pattern: TenantService.TENANT_ID_PATTERN.source },
+      name: { type: 'string', minLength: 1 },
+      quotas: ref('Quotas'),
+      providers: ref('ProviderSettings')
+    }
+  },
+  UpdateTenantRequest: {
+    type: 'object',
+    description: 'quotas are replaced as a whole; providers are merged per channel',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      quotas: ref('Quotas'),
+      providers: ref('ProviderSettings')
+    }
+  },
+  Template: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      tenantId: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string', nullable: true },
+      channels: { ...TemplateService.TEMPLATE_SCHEMAS.CreateTemplateRequest.properties.channels, description: 'Variant per channel' },
+      defaultLocale: { type: 'string', description: 'Locale of the variants in channels' },
+      locales: TemplateService.TEMPLATE_SCHEMAS.CreateTemplateRequest.properties.locales,
+      variables: { type: 'array', items: { type: 'string' }, description: 'Variables the variants use' },
+      createdAt: timestamp(),
+      updatedAt: timestamp()
+    }
+  },
+  Recipient: {
+    type: 'object',
+    properties: {
+      tenantId: { type: 'string' },
+      recipient: { type: 'string' },
+      locale: { type: 'string', nullable: true },
+      createdAt: timestamp(),
+      updatedAt: timestamp()
+    }
+  },
+  BulkJob: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      tenantId: { type: 'string' },
+      createdBy: { type: 'string', nullable: true },
+      format: { type: 'string', enum: [...new Set(Object.values(UPLOAD_FORMATS))] },
+      status: { type: 'string', enum: BulkJobService.STATUSES },
+      totalRows: { type: 'integer', description: 'Rows read so far' },
+      accepted: { type: 'integer', description: 'Rows that passed validation' },
+      rejected: { type: 'integer', description: 'Rows that did not' },
+      queued: { type: 'integer', description: 'Accepted rows queued or scheduled' },
+      cancelled: { type: 'integer', description: 'Queued notifications cancelled with the job' },
+      error: { type: 'string', nullable: true, description: 'Why the upload could not be read (status failed)' },
+      createdAt: timestamp(),
+      updatedAt: timestamp(),
+      completedAt: { ...timestamp(), nullable: true },
+      cancelledAt: { ...timestamp(), nullable: true }
+    }
+  },
+  BulkJobDetail: {
+    allOf: [ref('BulkJob')],
+    type: 'object',
+    properties: {
+      errors: {
+        type: 'array',
+        description: `Rows that were rejected or not queued. Besides validation codes: ${Object.keys(BulkJobService.ROW_ERROR_CODES).join(', ')}`,
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer', description: 'Row number, from 1, not counting a CSV header' },
+            details: { type: 'array', items: ref('ValidationDetail') }
+          }
+        }
+      }
+    }
+  },
+  Health: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      timestamp: timestamp(),
+      uptime: { type: 'number' },
+      version: { type: 'string' }
+    }
+  }
+};
+
+// Paths are relative to the version's base; these few live outside it
+const outsideVersion = [{ url: '/' }];
+
+const paths = {
+  '/health': {
+    servers: outsideVersion,
+    get: publicOperation({
+      tags: ['Service'],
+      summary: 'Liveness check',
+      responses: { 200: response('Service is up', ref('Health')) }
+    })
+  },
+  '/api/docs': {
+    servers: outsideVersion,
+    get: publicOperation({
+      tags: ['Service'],
+      summary: 'This documentation as a browsable page',
+      responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } } }
+    })
+  },
+  '/api/docs/openapi.json': {
+    servers: outsideVersion,
+    get: publicOperation({
+      tags: ['Service'],
+      summary: 'This documentation as an OpenAPI 3 document',
+      responses: { 200: response('OpenAPI document', { type: 'object' }) }
+    })
+  },
+  '/notifications/send': {
+    post: operation({
+      tags: ['Notifications'],
+      summary: 'Send or schedule one notification',
+      scope: 'send',
+      parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+      requestBody: ref('Notification'),
+      responses: {
+        200: response('Queued or scheduled', ref('SendResult')),
+        409: response('Idempotency-Key reused with another body, or still in progress', ref('Error')),
+        429: response('Rate limited, or over a tenant quota (see Retry-After)', ref('Error'))
+      }
+    })
+  },
+  '/notifications/bulk-send': {
+    post: operation({
+      tags: ['Notifications'],
+      summary: 'Send many notifications; each succeeds or fails on its own',
+      scope: 'send',
+      parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+      requestBody: ref('BulkSendRequest'),
+      responses: {
+        200: response('Result per item, in request order', ref('BulkSendResult')),
+        409: response('Idempotency-Key reused with another body, or still in progress', ref('Error'))
+      }
+    })
+  },
+  '/notifications/preview': {
+    post: operation({
+      tags: ['Notifications'],
+      summary: 'Render a notification as its channel would send it, without sending it',
+      description: 'Takes the same body as /notifications/send, message or template, and runs the provider\'s ' +
+        'own formatting with the tenant\'s sender settings. Nothing is queued, stored or counted against quotas.',
+      scope: 'read',
+      requestBody: ref('Notification'),
+      responses: {
+        200: response('The rendered output and warnings', ref('Preview'))
+      }
+    })
+  },
+  '/notifications/stats': {
+    get: operation({
+      tags: ['Notifications'],
+      summary: 'Totals, time series and delivery latency',
+      scope: 'read',
+      parameters: [
+        queryParam('timeframe', { type: 'string', enum: Object.keys(TIMEFRAMES), default: '24h' }, 'Range ending at `to`, when `from` is not given'),
+        queryParam('from', { type: 'string', format: 'date-time' }, 'Range start'),
+        queryParam('to', { type: 'string', format: 'date-time' }, 'Range end (default: now)'),
+        queryParam('bucket', { type: 'string', enum: Object.keys(BUCKET_SIZES), default: 'hour' }, `Series resolution; at most ${MAX_BUCKETS} buckets`)
+      ],
+      responses: { 200: response('Statistics for the range', ref('Stats')) }
+    })
+  },
+  '/notifications/history': {
+    get: operation({
+      tags: ['Notifications'],
+      summary: 'Page through notifications',
+      scope: 'read',
+      parameters: [
+        limitParam(MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE),
+        { ...offsetParam, description: 'Rows to skip; not together with cursor' },
+        queryParam('cursor', { type: 'string' }, 'nextCursor of the previous page'),
+        queryParam('sort', { type: 'string', enum: SORT_FIELDS, default: 'createdAt' }, 'Sort field'),
+        queryParam('order', { type: 'string', enum: ['asc', 'desc'], default: 'desc' }, 'Sort order'),
+        queryParam('includeTotal', { type: 'boolean', default: true }, 'Count every match; false skips the count'),
+        queryParam('type', { type: 'string', enum: CHANNELS }, 'Channel'),
+        queryParam('status', { type: 'string', enum: STATUSES }, 'Status'),
+        queryParam('createdBy', { type: 'string' }, 'API key id or jwt:<subject>'),
+        queryParam('jobId', { type: 'string' }, 'Bulk job'),
+        queryParam('priority', { type: 'string', enum: LaneScheduler.LANES }, 'Priority'),
+        queryParam('error', { type: 'string' }, 'Error message substring'),
+        queryParam('q', { type: 'string', minLength: 1 }, 'Words that must all appear in the message or email subject ' +
+          '(full-text; "quoted phrase", prefix*)'),
+        queryParam('filter', { type: 'string', minLength: 1, maxLength: MAX_FILTER_LENGTH }, 'Boolean filter such as ' +
+          '`metadata.orderId = 1234 AND (priority = high OR error ~ "timeout")`. Fields: ' +
+          `${Object.keys(FILTER_FIELDS).join(', ')} and metadata.<path>; operators = != ~ (contains) < <= > >=; ` +
+          'combine with AND, OR, NOT and parentheses'),
+        queryParam('scheduledFrom', { type: 'string', format: 'date-time' }, 'Scheduled at or after'),
+        queryParam('scheduledTo', { type: 'string', format: 'date-time' }, 'Scheduled before')
+      ],
+      responses: { 200: response('One page', ref('HistoryPage')) }
+    })
+  },
+  '/notifications/events': {
+    get: operation({
+      tags: ['Notifications'],
+      summary: 'Live status transitions',
+      description: 'Server-Sent Events, or WebSocket when the request is an upgrade (one JSON text frame per event). ' +
+        'Without notificationId or recipient, every notification of the tenant is followed. ' +
+        'EventSource and browser WebSocket clients may authenticate with access_token.',
+      scope: 'read',
+      parameters: [
+        queryParam('notificationId', { type: 'string', minLength: 1 }, 'Follow one notification'),
+        queryParam('recipient', { type: 'string', minLength: 1 }, 'Follow one recipient'),
+        queryParam('lastEventId', { type: 'integer', minimum: 0 }, 'Replay events after this id (same as the Last-Event-ID header)'),
+        { name: 'Last-Event-ID', in: 'header', schema: { type: 'integer', minimum: 0 }, description: 'Replay events after this id' },
+        queryParam('access_token', { type: 'string' }, 'Credential, for clients that cannot set headers')
+      ],
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: ref('StatusEvent') } } }
+      }
+    })
+  },
+  '/notifications/{id}/status': {
+    get: operation({
+      tags: ['Notifications'],
+      summary: 'One notification',
+      scope: 'read',
+      parameters: [idParam('Notification id')],
+      responses: {
+        200: response('The notification', ref('NotificationRecord')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    })
+  },
+  '/notifications': {
+    delete: operation({
+      tags: ['Notifications'],
+      summary: 'Cancel pending and scheduled notifications matching a filter',
+      scope: 'send',
+      parameters: [
+        queryParam('type', { type: 'string', enum: CHANNELS }, 'Channel'),
+        queryParam('status', { type: 'string', enum: ['pending', 'scheduled'] }, 'Status'),
+        queryParam('recipient', { type: 'string' }, 'Recipient substring'),
+        queryParam('startDate', { type: 'string', format: 'date-time' }, 'Created at or after'),
+        queryParam('endDate', { type: 'string', format: 'date-time' }, 'Created before'),
+        queryParam('scheduledFrom', { type: 'string', format: 'date-time' }, 'Scheduled at or after'),
+        queryParam('scheduledTo', { type: 'string', format: 'date-time' }, 'Scheduled before'),
+        queryParam('all', { type: 'boolean' }, 'Required to cancel without a filter')
+      ],
+      responses: {
+        200: response('Cancelled notifications', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            cancelled: { type: 'integer' },
+            ids: { type: 'array', items: { type: 'string' } }
+          }
+        })
+      }
+    })
+  },
+  '/notifications/{id}': {
+    delete: operation({
+      tags: ['Notifications'],
+      summary: 'Cancel a pending or scheduled notification',
+      scope: 'send',
+      parameters: [idParam('Notification id')],
+      responses: {
+        200: response('Cancelled', ref('CancelResult')),
+        404: { $ref: '#/components/responses/NotFound' },
+        409: response('Already processing, sent, failed or cancelled', ref('Error'))
+      }
+    })
+  },
+  '/jobs': {
+    post: operation({
+      tags: ['Jobs'],
+      summary: 'Start a bulk job from a CSV or NDJSON upload',
+      description: 'The response comes once the upload is stored; its rows are then validated and queued in the background. ' +
+        'Poll the job for progress: an upload that cannot be read fails the job, with the reason in error. ' +
+        'CSV needs a header row naming the columns: the Notification fields, metadata (a JSON object) ' +
+        'and metadata.<key>. NDJSON has one Notification object per line.',
+      scope: 'send',
+      requestContent: Object.fromEntries(Object.keys(UPLOAD_FORMATS).map(type => [type, { schema: { type: 'string' } }])),
+      responses: {
+        202: response('Stored; the job is processing (Location names it)', ref('BulkJob')),
+        415: response('Not CSV or NDJSON', ref('Error'))
+      }
+    }),
+    get: operation({
+      tags: ['Jobs'],
+      summary: 'List bulk jobs, newest first',
+      scope: 'read',
+      parameters: [limitParam(MAX_PAGE_SIZE, 50), offsetParam],
+      responses: {
+        200: response('One page', {
+          type: 'object',
+          properties: { jobs: { type: 'array', items: ref('BulkJob') } }
+        })
+      }
+    })
+  },
+  '/jobs/{id}': {
+    get: operation({
+      tags: ['Jobs'],
+      summary: 'A bulk job\'s progress and row errors',
+      scope: 'read',
+      parameters: [
+        idParam('Job id'),
+        queryParam('errorsLimit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }, 'Row errors to return'),
+        queryParam('errorsOffset', { type: 'integer', minimum: 0, default: 0 }, 'Row errors to skip')
+      ],
+      responses: {
+        200: response('The job', ref('BulkJobDetail')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }),
+    delete: operation({
+      tags: ['Jobs'],
+      summary: 'Cancel a bulk job and its notifications that have not gone out',
+      scope: 'send',
+      parameters: [idParam('Job id')],
+      responses: {
+        200: response('Cancelled', ref('BulkJob')),
+        404: { $ref: '#/components/responses/NotFound' },
+        409: response('Already cancelled', ref('Error'))
+      }
+    })
+  },
+  '/templates': {
+    get: operation({
+      tags: ['Templates'],
+      summary: 'List message templates',
+      scope: 'read',
+      responses: {
+        200: response('Templates of the tenant', {
+          type: 'object',
+          properties: { templates: { type: 'array', items: ref('Template') } }
+        })
+      }
+    }),
+    post: operation({
+      tags: ['Templates'],
+      summary: 'Create a message template',
+      description: 'Variants are logic-less: {{ name }} and {{ path.to.value }} insert variables, HTML-escaped in html ' +
+        'variants unless written {{{ name }}}. Send with templateId and variables; a missing variable fails the send. ' +
+        'A formatter formats a value for the notification\'s locale: {{ total | currency:EUR }}, {{ n | number:2 }}, ' +
+        '{{ share | percent }}, {{ due | date:long }}, {{ at | time }}, {{ at | datetime:short }}.',
+      scope: 'admin',
+      requestBody: ref('CreateTemplateRequest'),
+      responses: {
+        201: response('Created', ref('Template')),
+        409: response('The id is taken', ref('Error'))
+      }
+    })
+  },
+  '/templates/{id}': {
+    get: operation({
+      tags: ['Templates'],
+      summary: 'A message template',
+      scope: 'read',
+      parameters: [idParam('Template id')],
+      responses: {
+        200: response('The template', ref('Template')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }),
+    patch: operation({
+      tags: ['Templates'],
+      summary: 'Update a message template',
+      scope: 'admin',
+      parameters: [idParam('Template id')],
+      requestBody: ref('UpdateTemplateRequest'),
+      responses: {
+        200: response('Updated', ref('Template')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }),
+    delete: operation({
+      tags: ['Templates'],
+      summary: 'Delete a message template; notifications already rendered from it are unchanged',
+      scope: 'admin',
+      parameters: [idParam('Template id')],
+      responses: {
+        200: response('Deleted', {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, id: { type: 'string' } }
+        }),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    })
+  },
+  '/recipients/{recipient}': {
+    get: operation({
+      tags: ['Recipients'],
+      summary: 'Settings stored for a recipient',
+      scope: 'read',
+      parameters: [recipientParam],
+      responses: {
+        200: response('The recipient', ref('Recipient')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }),
+    put: operation({
+      tags: ['Recipients'],
+      summary: 'Set a recipient\'s locale, which notifications to it use when they give none',
+      scope: 'send',
+      parameters: [recipientParam],
+      requestBody: ref('RecipientRequest'),
+      responses: {
+        200: response('Updated', ref('Recipient')),
+        201: response('Created', ref('Recipient'))
+      }
+    }),
+    delete: operation({
+      tags: ['Recipients'],
+      summary: 'Forget a recipient\'s settings',
+      scope: 'send',
+      parameters: [recipientParam],
+      responses: {
+        200: response('Deleted', {
+          type: 'object',
+          properties: { success: { type: 'boolean' }, recipient: { type: 'string' } }
+        }),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    })
+  },
+  '/dead-letters': {
+    get: operation({
+      tags: ['Dead letters'],
+      summary: 'List dead letters, newest first',
+      scope: 'admin',
+      parameters: [limitParam(MAX_PAGE_SIZE, 50), offsetParam, ...deadLetterFilterParams],
+      responses: {
+        200: response('One page', {
+          type: 'object',
+          properties: {
+            deadLetters: { type: 'array', items: ref('DeadLetter') },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' }
+          }
+        })
+      }
+    }),
+    delete: operation({
+      tags: ['Dead letters'],
+      summary: 'Purge dead letters matching a filter',
+      scope: 'admin',
+      parameters: [...deadLetterFilterParams, queryParam('all', { type: 'boolean' }, 'Required to purge without a filter')],
+      responses: {
+        200: response('Purged', { type: 'object', properties: { success: { type: 'boolean' }, deleted: { type: 'integer' } } })
+      }
+    })
+  },
+  '/dead-letters/requeue': {
+    post: operation({
+      tags: ['Dead letters'],
+      summary: 'Requeue dead letters by id or filter',
+      scope: 'admin',
+      requestBody: ref('RequeueRequest'),
+      responses: {
+        200: response('Result per dead letter', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            requeued: { type: 'integer' },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  status: { type: 'string', enum: ['requeued', 'error'] },
+                  error: { type: 'string' },
+                  details: { type: 'array', items: ref('ValidationDetail'), description: 'Why the corrected notification is invalid' }
+                }
+              }
+            }
+          }
+        })
+      }
+    })
+  },
+  '/dead-letters/{id}': {
+    get: operation({
+      tags: ['Dead letters'],
+      summary: 'A dead letter with its notification and attempt history',
+      scope: 'admin',
+      parameters: [idParam('Notification id')],
+      responses: {
+        200: response('The dead letter', ref('DeadLetterDetail')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }),
+    delete: operation({
+      tags: ['Dead letters'],
+      summary: 'Purge one dead letter',
+      scope: 'admin',
+      parameters: [idParam('Notification id')],
+      responses: {
+        200: response('Purged', { type: 'object', properties: { success: { type: 'boolean' }, deleted: { type: 'integer' } } }),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    })
+  },
+  '/dead-letters/{id}/requeue': {
+    post: operation({
+      tags: ['Dead letters'],
+      summary: 'Requeue one dead letter, optionally corrected',
+      scope: 'admin',
+      parameters: [idParam('Notification id')],
+      requestBody: { type: 'object', properties: { updates: ref('NotificationUpdates') } },
+      responses: {
+        200: response('Requeued', { type: 'object', properties: { notificationId: { type: 'string' }, success: { type: 'boolean' }, message: { type: 'string' } } }),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    })
+  },
+  '/keys': {
+    get: operation({
+      tags: ['API keys'],
+      summary: 'List the tenant\'s API keys',
+      scope: 'admin',
+      parameters: [queryParam('includeRevoked', { type: 'boolean', default: false }, 'Include revoked keys')],
+      responses: { 200: response('Keys (never their secrets)', { type: 'object', properties: { keys: { type: 'array', items: ref('ApiKey') } } }) }
+    }),
+    post: operation({
+      tags: ['API keys'],
+      summary: 'Issue an API key',
+      scope: 'admin',
+      requestBody: ref('CreateApiKeyRequest'),
+      responses: { 201: response('The key, shown this once', ref('IssuedApiKey')) }
+    })
+  },
+  '/keys/{id}': {
+    get: operation({
+      tags: ['API keys'],
+      summary: 'One API key',
+      scope: 'admin',
+      parameters: [idParam('Key id')],
+      responses: {
+        200: response('The key', ref('ApiKey')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }),
+    delete: operation({
+      tags: ['API keys'],
+      summary: 'Revoke an API key',
+      scope: 'admin',
+      parameters: [idParam('Key id')],
+      responses: {
+        200: response('Revoked', { type: 'object', properties: { success: { type: 'boolean' }, id: { type: 'string' }, revokedAt: timestamp() } }),
+        404: { $ref: '#/components/responses/NotFound' },
+        409: response('Already revoked', ref('Error'))
+      }
+    })
+  },
+  '/keys/{id}/rotate': {
+    post: operation({
+      tags: ['API keys'],
+      summary: 'Replace a key\'s secret, keeping its id and scopes',
+      scope: 'admin',
+      parameters: [idParam('Key id')],
+      responses: {
+        200: response('The new key, shown this once', ref('IssuedApiKey')),
+        404: { $ref: '#/components/responses/NotFound' },
+        409: response('The key has been revoked', ref('Error'))
+      }
+    })
+  },
+  '/tenant': {
+    get: operation({
+      tags: ['Tenants'],
+      summary: 'The caller\'s tenant with its quota use',
+      scope: 'read',
+      responses: { 200: response('The tenant', ref('TenantWithUsage')) }
+    })
+  },
+  '/tenants': {
+    get: operation({
+      tags: ['Tenants'],
+      summary: 'List tenants (operator only)',
+      operatorOnly: true,
+      responses: { 200: response('Tenants', { type: 'object', properties: { tenants: { type: 'array', items: ref('Tenant') } } }) }
+    }),
+    post: operation({
+      tags: ['Tenants'],
+      summary: 'Create a tenant (operator only)',
+      operatorOnly: true,
+      requestBody: ref('CreateTenantRequest'),
+      responses: {
+        201: response('Created', ref('Tenant')),
+        409: response('The id is taken', ref('Error'))
+      }
+    })
+  },
+  '/tenants/{id}': {
+    get: operation({
+      tags: ['Tenants'],
+      summary: 'A tenant with its quota use (operator only)',
+      operatorOnly: true,
+      parameters: [idParam('Tenant id')],
+      responses: {
+        200: response('The tenant', ref('TenantWithUsage')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    }),
+    patch: operation({
+      tags: ['Tenants'],
+      summary: 'Update a tenant (operator only)',
+      operatorOnly: true,
+      parameters: [idParam('Tenant id')],
+      requestBody: ref('UpdateTenantRequest'),
+      responses: {
+        200: response('Updated', ref('Tenant')),
+        404: { $ref: '#/components/responses/NotFound' }
+      }
+    })
+  }
+};
+
+function buildOpenApiDocument({ version = '1.0.0' } = {}) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Notification Service API',
+      version,
+      description: 'Multi-channel notifications (email, SMS, push, webhook) with queuing, scheduling, ' +
+        'retries and per-tenant isolation. Every /api route except the documentation needs a credential ' +
+        'with the scope named in x-required-scope (admin implies the others); x-operator-only routes ' +
+        'are for the bootstrap operator key alone. The same routes without the version ' +
+        '(/api/notifications/...) are deprecated aliases of v1.'
+    },
+    servers: [{ url: BASE_PATH }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    tags: ['Notifications', 'Jobs', 'Templates', 'Recipients', 'Dead letters', 'API keys', 'Tenants', 'Service'].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'An API key (nsk_...) or, when enabled, an HS256 JWT' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      parameters: {
+        TenantId: {
+          name: 'X-Tenant-Id',
+          in: 'header',
+          schema: { type: 'string', pattern: TenantService.TENANT_ID_PATTERN.source },
+          description: 'Tenant to act for; only the operator may name one other than their own'
+        },
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          schema: { type: 'string', minLength: 1, maxLength: IdempotencyService.MAX_KEY_LENGTH },
+          description: 'Retries with the same key and body return the first response'
+        }
+      },
+      responses: {
+        ValidationFailed: response('The request does not match this document', ref('ValidationError')),
+        Unauthorized: response('Missing or invalid credential', ref('Error')),
+        Forbidden: response('The credential lacks the scope, or may not act for the tenant', ref('Error')),
+        NotFound: response('Not found in the tenant', ref('Error')),
+        TooManyRequests: response('Rate limited', ref('Error')),
+        InternalError: response('Internal server error', ref('Error'))
+      },
+      schemas
+    }
+  };
+}
+
+module.exports = {
+  BASE_PATH,
+  buildOpenApiDocument
+};
@@ -0,0 +1,108 @@
+/**
+ * Keyset pagination for notification history. A page is ordered by the sort
+ * field, then createdAt, then id, so the order is total and stable while rows
+ * are added. The cursor is an opaque token holding that tuple for the last
+ * row of the previous page.
+ */
+
+const SORT_FIELDS = ['createdAt', 'sentAt', 'scheduledAt', 'updatedAt', 'priority'];
+const ORDERS = ['asc', 'desc'];
+
+// Values a cursor holds: the sort field (unless it is createdAt), createdAt and id
+function cursorLength(sort) {
+  return sort === 'createdAt' ? 2 : 3;
+}
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+function encodeCursor({ sort, order, values }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: values })).toString('base64url');
+}
+
+// Returns { sort, order, values }, or null for anything that is not a cursor we issued
+function decodeCursor(cursor) {
+  try {
+    const { s, o, v } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!SORT_FIELDS.includes(s) || !ORDERS.includes(o) || !Array.isArray(v) || v.length !== cursorLength(s)) {
+      return null;
+    }
+
+    return { sort: s, order: o, values: v };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resolve the paging part of a history query: `limit`, `cursor`, `sort`,
+ * `order` and `includeTotal`, plus the legacy `offset`. Returns
+ * { limit, offset, sort, order, after, includeTotal } or { error }. A cursor
+ * carries its own sort and order, and `sort`/`order` must agree with it
+ * when given.
+ */
+function parsePageQuery({ limit, offset, cursor, sort, order, includeTotal } = {}) {
+  const page = {
+    limit: DEFAULT_PAGE_SIZE,
+    offset: 0,
+    sort: sort || 'createdAt',
+    order: order || 'desc',
+    after: null,
+    // v1 has always counted every match; callers that do not need it may opt out
+    includeTotal: includeTotal !== 'false'
+  };
+
+  if (limit !== undefined) {
+    page.limit = Number(limit);
+    if (!Number.isInteger(page.limit) || page.limit < 1 || page.limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  if (!SORT_FIELDS.includes(page.sort)) {
+    return { error: `sort must be one of: ${SORT_FIELDS.join(', ')}` };
+  }
+
+  if (!ORDERS.includes(page.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  if (offset !== undefined) {
+    page.offset = Number(offset);
+    if (!Number.isInteger(page.offset) || page.offset < 0) {
+      return { error: 'offset must be a non-negative integer' };
+    }
+  }
+
+  if (cursor !== undefined) {
+    const decoded = decodeCursor(cursor);
+
+    if (!decoded) {
+      return { error: 'cursor is not valid' };
+    }
+
+    if ((sort && sort !== decoded.sort) || (order && order !== decoded.order)) {
+      return { error: 'cursor was issued for a different sort or order' };
+    }
+
+    if (page.offset > 0) {
+      return { error: 'Use either cursor or offset, not both' };
+    }
+
+    page.sort = decoded.sort;
+    page.order = decoded.order;
+    page.after = decoded.values;
+  }
+
+  return page;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageQuery
+};
@@ -0,0 +1,109 @@
+const config = require('../config/config');
+
+// Network-level failures that usually clear up on their own
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKET',
+  'ECONNECTION',
+  'EDNS',
+  'EAI_AGAIN',
+  'EPIPE',
+  'messaging/unavailable',
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/message-rate-exceeded',
+  'messaging/quota-exceeded'
+];
+
+// Failures where sending the same payload again cannot succeed
+const PERMANENT_ERROR_CODES = [
+  'EAUTH',
+  'EENVELOPE',
+  'EMESSAGE',
+  'INVALID_RECIPIENT',
+  'NO_PROVIDER',
+  'messaging/invalid-argument',
+  'messaging/invalid-recipient',
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered',
+  'messaging/mismatched-credential'
+];
+
+class PermanentError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PermanentError';
+    this.code = code;
+    this.retryable = false;
+  }
+}
+
+function isTransientStatus(statusCode) {
+  return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Decide whether a provider error is worth retrying.
+ * Returns { retryable, errorCode } so the result can be stored alongside the failure.
+ */
+function classifyError(error) {
+  if (!error) {
+    return { retryable: true, errorCode: 'UNKNOWN' };
+  }
+
+  const errorCode = error.code || 'UNKNOWN';
+
+  if (typeof error.retryable === 'boolean') {
+    return { retryable: error.retryable, errorCode };
+  }
+
+  // HTTP responses (axios) and SMTP replies (nodemailer)
+  const statusCode = error.response && error.response.status;
+  if (statusCode) {
+    return { retryable: isTransientStatus(statusCode), errorCode: `HTTP_${statusCode}` };
+  }
+
+  if (error.responseCode) {
+    return {
+      retryable: error.responseCode >= 400 && error.responseCode < 500,
+      errorCode: `SMTP_${error.responseCode}`
+    };
+  }
+
+  if (PERMANENT_ERROR_CODES.includes(errorCode)) {
+    return { retryable: false, errorCode };
+  }
+
+  if (TRANSIENT_ERROR_CODES.includes(errorCode)) {
+    return { retryable: true, errorCode };
+  }
+
+  // Unknown failures are retried; the attempt limit still bounds them
+  return { retryable: true, errorCode };
+}
+
+/**
+ * Exponential backoff with equal jitter: half of the delay is fixed,
+ * the other half is random so that failed batches do not retry in lockstep.
+ */
+function computeBackoff(retryCount, options = {}) {
+  const {
+    baseDelay = config.QUEUE_RETRY_DELAY,
+    maxDelay = config.QUEUE_RETRY_MAX_DELAY,
+    random = Math.random
+  } = options;
+
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, retryCount - 1)));
+  const half = exponential / 2;
+
+  return Math.round(half + random() * half);
+}
+
+module.exports = {
+  PermanentError,
+  classifyError,
+  computeBackoff
+};
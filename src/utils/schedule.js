@@ -0,0 +1,39 @@
+/**
+ * Resolve the delivery time requested through `sendAt` (ISO timestamp) or
+ * `delayMs` (milliseconds from now). Returns { scheduledAt } with an ISO string,
+ * or null when the notification should go out immediately, or { error }.
+ */
+function parseScheduledTime({ sendAt, delayMs } = {}, now = Date.now()) {
+  if (sendAt !== undefined && delayMs !== undefined) {
+    return { error: 'Provide either sendAt or delayMs, not both' };
+  }
+
+  let scheduledTime = null;
+
+  if (sendAt !== undefined) {
+    scheduledTime = typeof sendAt === 'string' ? Date.parse(sendAt) : NaN;
+
+    if (isNaN(scheduledTime)) {
+      return { error: 'sendAt must be an ISO 8601 timestamp' };
+    }
+  }
+
+  if (delayMs !== undefined) {
+    if (!Number.isInteger(delayMs) || delayMs < 0) {
+      return { error: 'delayMs must be a non-negative integer' };
+    }
+
+    scheduledTime = now + delayMs;
+  }
+
+  // Times at or before now are delivered straight away
+  if (scheduledTime === null || scheduledTime <= now) {
+    return { scheduledAt: null };
+  }
+
+  return { scheduledAt: new Date(scheduledTime).toISOString() };
+}
+
+module.exports = {
+  parseScheduledTime
+};
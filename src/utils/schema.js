@@ -0,0 +1,259 @@
+const SMSProvider = require('../providers/SMSProvider');
+const { isLocale } = require('./locale');
+
+/**
+ * Validation of values against the schema objects of our OpenAPI document
+ * (the OpenAPI 3.0 subset of JSON Schema, plus discriminators). Problems come
+ * back as { code, path, message }. A schema may name the code reported for
+ * value failures detected on it with `x-error-code`; missing and mistyped
+ * values always report REQUIRED and INVALID_TYPE, and overlong ones
+ * INVALID_VALUE.
+ */
+
+const ERROR_CODES = {
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_VALUE: 'INVALID_VALUE',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+  UNSUPPORTED_CHANNEL: 'UNSUPPORTED_CHANNEL',
+  INVALID_EMAIL: 'INVALID_EMAIL',
+  INVALID_PHONE_NUMBER: 'INVALID_PHONE_NUMBER',
+  INVALID_PUSH_TOKEN: 'INVALID_PUSH_TOKEN',
+  INVALID_URL: 'INVALID_URL',
+  UNKNOWN_METADATA_KEY: 'UNKNOWN_METADATA_KEY',
+  INVALID_SCHEDULE: 'INVALID_SCHEDULE',
+  SENDER_NOT_ALLOWED: 'SENDER_NOT_ALLOWED'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// FCM registration tokens and APNs device tokens (hex) both fit this shape
+const PUSH_TOKEN_PATTERN = /^[A-Za-z0-9_:.-]{32,4096}$/;
+
+// A bare address or "Display Name <address>", as in From and To headers
+const MAILBOX_PATTERN = /^(?:"?([^"<>\r\n]*?)"?\s*<([^<>\s]+)>|([^<>\s]+))$/;
+
+function isEmail(value) {
+  return value.length <= 254 && EMAIL_PATTERN.test(value);
+}
+
+// The address of a mailbox, or null when it is not one
+function mailboxAddress(value) {
+  const match = MAILBOX_PATTERN.exec(value.trim());
+  const address = match && (match[2] || match[3]);
+  return address && isEmail(address) ? address : null;
+}
+
+function isMailbox(value) {
+  return mailboxAddress(value) !== null;
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// String formats used in the document: [test, code, expectation]
+const FORMATS = {
+  'date-time': [value => !isNaN(Date.parse(value)), ERROR_CODES.INVALID_VALUE, 'an ISO 8601 timestamp'],
+  email: [isEmail, ERROR_CODES.INVALID_EMAIL, 'an email address'],
+  mailbox: [isMailbox, ERROR_CODES.INVALID_EMAIL, 'an email address, optionally as "Name <address>"'],
+  phone: [SMSProvider.isValidPhoneNumber, ERROR_CODES.INVALID_PHONE_NUMBER, 'an E.164 phone number such as +15551234567'],
+  'push-token': [value => PUSH_TOKEN_PATTERN.test(value), ERROR_CODES.INVALID_PUSH_TOKEN, 'a device push token'],
+  uri: [isHttpUrl, ERROR_CODES.INVALID_URL, 'an http(s) URL'],
+  locale: [isLocale, ERROR_CODES.INVALID_VALUE, 'a BCP 47 language tag such as pt-BR']
+};
+
+const TYPES = {
+  string: [value => typeof value === 'string', 'a string'],
+  integer: [Number.isInteger, 'an integer'],
+  number: [value => typeof value === 'number' && Number.isFinite(value), 'a number'],
+  boolean: [value => typeof value === 'boolean', 'a boolean'],
+  object: [isPlainObject, 'an object'],
+  array: [Array.isArray, 'an array']
+};
+
+function childPath(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+function resolveRef(schema, schemas) {
+  while (schema && schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    if (!schemas[name]) {
+      throw new Error(`Unknown schema reference ${schema.$ref}`);
+    }
+    schema = schemas[name];
+  }
+  return schema;
+}
+
+function check(schema, value, path, context) {
+  schema = resolveRef(schema, context.schemas);
+  const label = path || '$';
+  const report = (code, message, at = label) => {
+    context.errors.push({ code: schema['x-error-code'] || code, path: at, message });
+  };
+  const reportFixed = (code, message, at = label) => context.errors.push({ code, path: at, message });
+
+  if (value === null) {
+    if (!schema.nullable && schema.type) {
+      reportFixed(ERROR_CODES.INVALID_TYPE, `${label} must be ${TYPES[schema.type][1]}`);
+    }
+    return;
+  }
+
+  if (schema.type && !TYPES[schema.type][0](value)) {
+    return reportFixed(ERROR_CODES.INVALID_TYPE, `${label} must be ${TYPES[schema.type][1]}`);
+  }
+
+  for (const part of schema.allOf || []) {
+    check(part, value, path, context);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return report(ERROR_CODES.INVALID_VALUE, `${label} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return report(ERROR_CODES.INVALID_VALUE, value === '' ? `${label} must not be empty` : `${label} must be at least ${schema.minLength} characters`);
+    }
+
+    // A value that is too long is never a missing one, whatever the schema's code
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return reportFixed(ERROR_CODES.INVALID_VALUE, `${label} must be at most ${schema.maxLength} characters`);
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return report(ERROR_CODES.INVALID_VALUE, `${label} must match ${schema.pattern}`);
+    }
+
+    // Empty strings are left to minLength
+    const format = FORMATS[schema.format];
+    if (format && value !== '' && !format[0](value)) {
+      return report(format[1], `${label} must be ${format[2]}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return report(ERROR_CODES.INVALID_VALUE, `${label} must be at least ${schema.minimum}`);
+    }
+
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return report(ERROR_CODES.INVALID_VALUE, `${label} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return report(ERROR_CODES.INVALID_VALUE, `${label} must have at least ${schema.minItems} items`);
+    }
+
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return report(ERROR_CODES.INVALID_VALUE, `${label} must have at most ${schema.maxItems} items`);
+    }
+
+    if (schema.items && !schema['x-per-item-validation']) {
+      value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, context));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        reportFixed(ERROR_CODES.REQUIRED, `${name} is required`, childPath(path, name));
+      }
+    }
+
+    for (const [name, property] of Object.entries(properties)) {
+      if (value[name] !== undefined) {
+        check(property, value[name], childPath(path, name), context);
+      }
+    }
+
+    for (const [name, entry] of Object.entries(value)) {
+      if (properties[name] || entry === undefined) {
+        continue;
+      }
+
+      if (schema.additionalProperties === false) {
+        const accepted = Object.keys(properties);
+        report(
+          ERROR_CODES.UNKNOWN_FIELD,
+          `${childPath(path, name)} is not allowed${accepted.length > 0 ? `; accepted: ${accepted.join(', ')}` : ''}`,
+          childPath(path, name)
+        );
+      } else if (isPlainObject(schema.additionalProperties)) {
+        check(schema.additionalProperties, entry, childPath(path, name), context);
+      }
+    }
+
+    // The discriminator picks the one variant to check; unknown values are left to the property's enum
+    if (schema.discriminator) {
+      const variant = (schema.discriminator.mapping || {})[value[schema.discriminator.propertyName]];
+      if (variant) {
+        check({ $ref: variant }, value, path, context);
+      }
+      return;
+    }
+  }
+
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(option => validateSchema(option, value, { schemas: context.schemas }).length === 0);
+    if (matching.length !== 1) {
+      report(ERROR_CODES.INVALID_VALUE, `${label} must match exactly one of the allowed shapes`);
+    }
+  }
+}
+
+/**
+ * Validate `value` against `schema`. `schemas` resolves
+ * `#/components/schemas/...` references and `path` prefixes every reported
+ * field, e.g. 'notifications[2]'. Returns an array of errors, empty when the
+ * value is valid.
+ */
+function validateSchema(schema, value, { schemas = {}, path = '' } = {}) {
+  const context = { schemas, errors: [] };
+  check(schema, value, path, context);
+  return context.errors;
+}
+
+// Query, path and header values arrive as strings; convert the ones declared as numbers or booleans
+function coerceParameter(schema, raw, schemas = {}) {
+  schema = resolveRef(schema, schemas);
+
+  if (typeof raw !== 'string') {
+    return raw;
+  }
+
+  if ((schema.type === 'integer' || schema.type === 'number') && raw.trim() !== '' && !isNaN(Number(raw))) {
+    return Number(raw);
+  }
+
+  if (schema.type === 'boolean' && (raw === 'true' || raw === 'false')) {
+    return raw === 'true';
+  }
+
+  return raw;
+}
+
+module.exports = {
+  ERROR_CODES,
+  FORMATS,
+  isPlainObject,
+  mailboxAddress,
+  validateSchema,
+  coerceParameter
+};
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+
+/**
+ * AES-256-GCM for values kept at rest, such as tenants' provider credentials.
+ * The key is derived from ENCRYPTION_KEY, so changing that setting makes
+ * previously stored values unreadable.
+ */
+
+const VERSION = 'v1';
+
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encryptJson(value, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(secret), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+    .join(':');
+}
+
+function decryptJson(payload, secret) {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+
+  if (version !== VERSION) {
+    throw new Error(`Unsupported encrypted value version: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+module.exports = {
+  encryptJson,
+  decryptJson
+};
@@ -0,0 +1,111 @@
+const BUCKET_SIZES = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// strftime() formats that truncate an ISO timestamp to the start of its bucket
+const BUCKET_FORMATS = {
+  minute: '%Y-%m-%dT%H:%M:00.000Z',
+  hour: '%Y-%m-%dT%H:00:00.000Z',
+  day: '%Y-%m-%dT00:00:00.000Z'
+};
+
+const TIMEFRAMES = {
+  '1h': BUCKET_SIZES.hour,
+  '24h': BUCKET_SIZES.day,
+  '7d': 7 * BUCKET_SIZES.day,
+  '30d': 30 * BUCKET_SIZES.day
+};
+
+// Keeps a single response to a size a dashboard can chart
+const MAX_BUCKETS = 1500;
+
+/**
+ * Resolve the `from`/`to`/`bucket` query of the stats endpoint. `from` and `to`
+ * are ISO timestamps; without `from`, `timeframe` (1h, 24h, 7d, 30d) counts
+ * back from `to`, which defaults to now. Returns { from, to, bucket } with
+ * ISO strings, or { error }.
+ */
+function parseStatsRange({ from, to, bucket = 'hour', timeframe = '24h' } = {}, now = Date.now()) {
+  if (!BUCKET_SIZES[bucket]) {
+    return { error: `bucket must be one of: ${Object.keys(BUCKET_SIZES).join(', ')}` };
+  }
+
+  const end = to !== undefined ? Date.parse(to) : now;
+  if (isNaN(end)) {
+    return { error: 'to must be an ISO 8601 timestamp' };
+  }
+
+  let start;
+  if (from !== undefined) {
+    start = Date.parse(from);
+    if (isNaN(start)) {
+      return { error: 'from must be an ISO 8601 timestamp' };
+    }
+  } else if (TIMEFRAMES[timeframe]) {
+    start = end - TIMEFRAMES[timeframe];
+  } else {
+    return { error: `timeframe must be one of: ${Object.keys(TIMEFRAMES).join(', ')}` };
+  }
+
+  if (start >= end) {
+    return { error: 'from must be before to' };
+  }
+
+  if ((end - start) / BUCKET_SIZES[bucket] > MAX_BUCKETS) {
+    return { error: `Range spans more than ${MAX_BUCKETS} ${bucket} buckets; use a larger bucket` };
+  }
+
+  return {
+    from: new Date(start).toISOString(),
+    to: new Date(end).toISOString(),
+    bucket
+  };
+}
+
+// Start of every bucket overlapping [from, to), as ISO strings, in UTC
+function listBuckets(from, to, bucket) {
+  const size = BUCKET_SIZES[bucket];
+  const end = Date.parse(to);
+  const buckets = [];
+
+  for (let start = Math.floor(Date.parse(from) / size) * size; start < end; start += size) {
+    buckets.push(new Date(start).toISOString());
+  }
+
+  return buckets;
+}
+
+// Nearest-rank percentile of an ascending array
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function summarizeLatencies(sorted) {
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+
+  return {
+    count: sorted.length,
+    avgMs: sorted.length > 0 ? Math.round(total / sorted.length) : null,
+    p50Ms: percentile(sorted, 50),
+    p95Ms: percentile(sorted, 95),
+    p99Ms: percentile(sorted, 99)
+  };
+}
+
+module.exports = {
+  BUCKET_SIZES,
+  BUCKET_FORMATS,
+  TIMEFRAMES,
+  MAX_BUCKETS,
+  parseStatsRange,
+  listBuckets,
+  percentile,
+  summarizeLatencies
+};
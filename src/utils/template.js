@@ -0,0 +1,292 @@
+/**
+ * Logic-less templates: text with `{{ name }}` tags, where a name is a
+ * variable or a dotted path into one (`{{ order.id }}`). There are no
+ * conditions, loops or helpers, so rendering cannot run anything. In HTML
+ * variants tags are HTML-escaped; `{{{ name }}}` inserts the value as is.
+ * A tag whose variable is missing (undefined or null) is an error rather
+ * than an empty string.
+ *
+ * A tag may name a formatter after a bar, which formats the value for the
+ * locale being rendered: `{{ total | currency:EUR }}`, `{{ due | date:long }}`.
+ */
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9._-]{0,127}$/;
+const VARIABLE_NAME = /^[A-Za-z_]\w*(\.\w+)*$/;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+const NUMBER_EXPECTED = 'a number';
+const DATE_EXPECTED = 'an ISO 8601 date or milliseconds since the epoch';
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : undefined;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return undefined;
+}
+
+function toDate(value) {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function styleArgument(formatter) {
+  return arg => (arg === undefined || DATE_STYLES.includes(arg) ? null : `${formatter} takes a style: ${DATE_STYLES.join(', ')}`);
+}
+
+/**
+ * Formatters a tag can name. `check` returns a problem with the argument or
+ * null; `format` returns undefined when the value is not what it expects.
+ */
+const FORMATTERS = {
+  number: {
+    expects: NUMBER_EXPECTED,
+    check: arg => (arg === undefined || /^\d{1,2}$/.test(arg) && Number(arg) <= 20 ? null : 'number takes a count of decimal places, 0-20'),
+    format: (value, arg, { locale }) => {
+      const digits = arg === undefined ? {} : { minimumFractionDigits: Number(arg), maximumFractionDigits: Number(arg) };
+      const number = toNumber(value);
+      return number === undefined ? undefined : new Intl.NumberFormat(locale, digits).format(number);
+    }
+  },
+  currency: {
+    expects: NUMBER_EXPECTED,
+    check: arg => (/^[A-Za-z]{3}$/.test(arg || '') ? null : 'currency takes an ISO 4217 code, as in currency:EUR'),
+    format: (value, arg, { locale }) => {
+      const number = toNumber(value);
+      return number === undefined ? undefined : new Intl.NumberFormat(locale, { style: 'currency', currency: arg.toUpperCase() }).format(number);
+    }
+  },
+  percent: {
+    expects: NUMBER_EXPECTED,
+    check: arg => (arg === undefined ? null : 'percent takes no argument'),
+    format: (value, arg, { locale }) => {
+      const number = toNumber(value);
+      return number === undefined ? undefined : new Intl.NumberFormat(locale, { style: 'percent' }).format(number);
+    }
+  },
+  date: {
+    expects: DATE_EXPECTED,
+    check: styleArgument('date'),
+    format: (value, arg, { locale, timeZone }) => {
+      const date = toDate(value);
+      return date && new Intl.DateTimeFormat(locale, { dateStyle: arg || 'medium', timeZone }).format(date);
+    }
+  },
+  time: {
+    expects: DATE_EXPECTED,
+    check: styleArgument('time'),
+    format: (value, arg, { locale, timeZone }) => {
+      const date = toDate(value);
+      return date && new Intl.DateTimeFormat(locale, { timeStyle: arg || 'short', timeZone }).format(date);
+    }
+  },
+  datetime: {
+    expects: DATE_EXPECTED,
+    check: styleArgument('datetime'),
+    format: (value, arg, { locale, timeZone }) => {
+      const date = toDate(value);
+      return date && new Intl.DateTimeFormat(locale, { dateStyle: arg || 'medium', timeStyle: 'short', timeZone }).format(date);
+    }
+  }
+};
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Split a template into literal strings and { name, path, raw, formatter }
+ * tags. Throws on an unclosed tag, a tag that is not a variable name, or an
+ * unknown formatter.
+ */
+function compileTemplate(source) {
+  const parts = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const open = source.indexOf('{{', index);
+
+    if (open === -1) {
+      parts.push(source.slice(index));
+      break;
+    }
+
+    if (open > index) {
+      parts.push(source.slice(index, open));
+    }
+
+    const raw = source[open + 2] === '{';
+    const closing = raw ? '}}}' : '}}';
+    const close = source.indexOf(closing, open);
+
+    if (close === -1) {
+      throw new Error(`Tag opened at position ${open + 1} is not closed with ${closing}`);
+    }
+
+    const [tag, formatterSpec] = source.slice(open + (raw ? 3 : 2), close).split(/\|(.*)/s);
+    const name = tag.trim();
+    if (!VARIABLE_NAME.test(name)) {
+      throw new Error(`{{${name}}} is not a variable name; templates only substitute variables`);
+    }
+
+    parts.push({ name, path: name.split('.'), raw, formatter: formatterSpec === undefined ? null : parseFormatter(name, formatterSpec) });
+    index = close + closing.length;
+  }
+
+  return parts;
+}
+
+// `currency:EUR` -> { name: 'currency', arg: 'EUR' }
+function parseFormatter(name, spec) {
+  const [formatter, arg] = spec.trim().split(/:(.*)/s).map(piece => piece.trim());
+
+  if (!Object.prototype.hasOwnProperty.call(FORMATTERS, formatter)) {
+    throw new Error(`{{${name}}} uses unknown formatter "${formatter}"; formatters are ${Object.keys(FORMATTERS).join(', ')}`);
+  }
+
+  const problem = FORMATTERS[formatter].check(arg || undefined);
+  if (problem) {
+    throw new Error(`{{${name}}}: ${problem}`);
+  }
+
+  return { name: formatter, arg: arg || undefined };
+}
+
+function lookup(variables, path) {
+  let value = variables;
+
+  for (const key of path) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+
+  return value;
+}
+
+// The text for one tag, or { invalid } with what the value should have been
+function formatPart(part, value, { locale, timeZone }) {
+  if (part.formatter) {
+    const { expects, format } = FORMATTERS[part.formatter.name];
+    const text = format(value, part.formatter.arg, { locale, timeZone });
+    return text === undefined ? { invalid: `${part.name} must be ${expects} to be formatted with ${part.formatter.name}` } : { text };
+  }
+
+  if (typeof value === 'object') {
+    return { invalid: `${part.name} must be a string, number or boolean to be inserted into text` };
+  }
+
+  return { text: String(value) };
+}
+
+/**
+ * Render compiled parts with `variables`. Returns { text, missing, invalid }:
+ * the names of tags without a value, and { name, message } for tags whose
+ * value cannot be inserted: an object or array, which only a JSON variant can
+ * take whole, or a value its formatter does not take. Formatters use
+ * `locale` and `timeZone`.
+ */
+function renderParts(parts, variables, { html = false, locale = 'en', timeZone = 'UTC' } = {}) {
+  const missing = [];
+  const invalid = [];
+  let text = '';
+
+  for (const part of parts) {
+    if (typeof part === 'string') {
+      text += part;
+      continue;
+    }
+
+    const value = lookup(variables, part.path);
+
+    if (value === undefined || value === null) {
+      missing.push(part.name);
+      continue;
+    }
+
+    const result = formatPart(part, value, { locale, timeZone });
+    if (result.invalid) {
+      invalid.push({ name: part.name, message: result.invalid });
+    } else {
+      text += html && !part.raw ? escapeHtml(result.text) : result.text;
+    }
+  }
+
+  return { text, missing, invalid };
+}
+
+/**
+ * Render a JSON template: every string in it is a template, and a string
+ * that is a single unformatted tag is replaced by the variable's value with
+ * its type kept (numbers, booleans, objects). Returns { value, missing,
+ * invalid }.
+ */
+function renderJson(template, variables, options = {}) {
+  const missing = [];
+  const invalid = [];
+
+  const render = node => {
+    if (typeof node === 'string') {
+      const parts = compileTemplate(node);
+
+      if (parts.length === 1 && typeof parts[0] !== 'string' && !parts[0].formatter) {
+        const value = lookup(variables, parts[0].path);
+        if (value === undefined || value === null) {
+          missing.push(parts[0].name);
+        }
+        return value;
+      }
+
+      const result = renderParts(parts, variables, options);
+      missing.push(...result.missing);
+      invalid.push(...result.invalid);
+      return result.text;
+    }
+
+    if (Array.isArray(node)) {
+      return node.map(render);
+    }
+
+    if (node !== null && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, render(value)]));
+    }
+
+    return node;
+  };
+
+  return { value: render(template), missing, invalid };
+}
+
+// Names of the variables a template (string or JSON) uses, in order of first use
+function templateVariables(template) {
+  const names = new Set();
+
+  const visit = node => {
+    if (typeof node === 'string') {
+      compileTemplate(node).filter(part => typeof part !== 'string').forEach(part => names.add(part.name));
+    } else if (node !== null && typeof node === 'object') {
+      Object.values(node).forEach(visit);
+    }
+  };
+
+  visit(template);
+  return [...names];
+}
+
+module.exports = {
+  TEMPLATE_ID_PATTERN,
+  FORMATTERS,
+  escapeHtml,
+  compileTemplate,
+  renderParts,
+  renderJson,
+  templateVariables
+};
@@ -0,0 +1,270 @@
+const { StringDecoder } = require('string_decoder');
+const { isPlainObject, coerceParameter } = require('./schema');
+const { CHANNEL_SCHEMAS, NOTIFICATION_SCHEMAS } = require('./validation');
+
+/**
+ * Incremental readers for bulk uploads. Each turns chunks of a streamed
+ * request body into notification payloads as soon as their row is complete,
+ * so an upload of any size is held in memory one row at a time. write() and
+ * end() return the rows completed so far, each { payload } or { error } (a
+ * row that cannot be read; the rows after it still can). Problems that make
+ * the whole upload unreadable, like an unknown CSV column, are thrown.
+ */
+
+const UPLOAD_FORMATS = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+// A row longer than this is taken for a broken upload rather than buffered on
+const MAX_ROW_LENGTH = 1024 * 1024;
+
+const FIELDS = NOTIFICATION_SCHEMAS.Notification.properties;
+const REQUIRED_COLUMNS = NOTIFICATION_SCHEMAS.Notification.required;
+
+function tooLong() {
+  return new Error(`A row is longer than ${MAX_ROW_LENGTH} characters`);
+}
+
+class NdjsonReader {
+  constructor() {
+    this.decoder = new StringDecoder('utf8');
+    this.buffer = '';
+  }
+
+  write(chunk) {
+    this.buffer += this.decoder.write(chunk);
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    if (this.buffer.length > MAX_ROW_LENGTH) {
+      throw tooLong();
+    }
+
+    return this.parseLines(lines);
+  }
+
+  end() {
+    return this.parseLines([this.buffer + this.decoder.end()]);
+  }
+
+  parseLines(lines) {
+    const rows = [];
+
+    for (const line of lines) {
+      if (line.trim() === '') {
+        continue;
+      }
+
+      try {
+        const payload = JSON.parse(line);
+        rows.push(isPlainObject(payload) ? { payload } : { error: 'Row must be a JSON object' });
+      } catch (error) {
+        rows.push({ error: `Row is not valid JSON: ${error.message}` });
+      }
+    }
+
+    return rows;
+  }
+}
+
+// Object fields that may be given whole, as JSON, or one `<field>.<key>` column per value
+const OBJECT_COLUMNS = ['metadata', 'variables'];
+
+function objectColumn(column) {
+  return OBJECT_COLUMNS.find(field => column === field || column.startsWith(`${field}.`));
+}
+
+/**
+ * RFC 4180 CSV with a header row. Columns are the notification fields
+ * (recipient, message, type, priority, sendAt, delayMs, templateId, locale), and
+ * `metadata` and `variables` as JSON objects or as `metadata.<key>` and
+ * `variables.<key>` for single values. Empty cells are left out; numbers
+ * and booleans in metadata are converted as the channel's schema declares
+ * them, and variables are kept as text.
+ */
+class CsvReader {
+  constructor() {
+    this.decoder = new StringDecoder('utf8');
+    this.header = null;
+    this.record = [];
+    this.field = '';
+    this.rowLength = 0;
+    this.inQuotes = false;
+    this.afterQuote = false;
+  }
+
+  write(chunk) {
+    return this.parse(this.decoder.write(chunk));
+  }
+
+  end() {
+    const rows = this.parse(this.decoder.end());
+
+    if (this.inQuotes) {
+      rows.push({ error: 'Row ends inside a quoted field' });
+    } else if (this.field !== '' || this.record.length > 0) {
+      this.endRecord(rows);
+    }
+
+    if (!this.header) {
+      throw new Error('The upload has no header row');
+    }
+
+    return rows;
+  }
+
+  parse(text) {
+    const rows = [];
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (++this.rowLength > MAX_ROW_LENGTH) {
+        throw tooLong();
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          this.inQuotes = false;
+          this.afterQuote = true;
+        } else {
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        // A doubled quote inside a quoted field is a literal quote
+        if (this.afterQuote) {
+          this.field += '"';
+        }
+        if (this.afterQuote || this.field === '') {
+          this.inQuotes = true;
+          this.afterQuote = false;
+          continue;
+        }
+      }
+
+      this.afterQuote = false;
+
+      if (char === ',') {
+        this.record.push(this.field);
+        this.field = '';
+      } else if (char === '\n') {
+        this.endRecord(rows);
+      } else if (char !== '\r') {
+        this.field += char;
+      }
+    }
+
+    return rows;
+  }
+
+  endRecord(rows) {
+    const values = [...this.record, this.field];
+    this.record = [];
+    this.field = '';
+    this.rowLength = 0;
+
+    if (values.length === 1 && values[0] === '') {
+      return;
+    }
+
+    if (!this.header) {
+      this.header = this.readHeader(values);
+      return;
+    }
+
+    if (values.length !== this.header.length) {
+      rows.push({ error: `Row has ${values.length} columns; the header has ${this.header.length}` });
+      return;
+    }
+
+    rows.push(this.toPayload(values));
+  }
+
+  readHeader(values) {
+    const header = values.map((column, index) => (index === 0 ? column.replace(/^\uFEFF/, '') : column).trim());
+    const unknown = header.filter(column => !FIELDS[column] && !/^(metadata|variables)\.\w+$/.test(column));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown columns: ${unknown.join(', ')}. Columns are ${Object.keys(FIELDS).join(', ')}, metadata.<key> and variables.<key>`);
+    }
+
+    const missing = REQUIRED_COLUMNS.filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`Missing columns: ${missing.join(', ')}`);
+    }
+
+    return header;
+  }
+
+  toPayload(values) {
+    const payload = {};
+    const objects = { metadata: {}, variables: {} };
+
+    this.header.forEach((column, index) => {
+      if (values[index] !== '' && !objectColumn(column)) {
+        payload[column] = coerceParameter(FIELDS[column], values[index]);
+      }
+    });
+
+    const channel = CHANNEL_SCHEMAS[payload.type];
+
+    for (const [index, column] of this.header.entries()) {
+      const raw = values[index];
+      const field = objectColumn(column);
+
+      if (raw === '' || !field) {
+        continue;
+      }
+
+      if (column === field) {
+        const parsed = parseJsonOr(raw);
+        if (!isPlainObject(parsed)) {
+          return { error: `${field} must be a JSON object` };
+        }
+        Object.assign(objects[field], parsed);
+        continue;
+      }
+
+      const key = column.slice(field.length + 1);
+      if (field === 'variables') {
+        objects.variables[key] = raw;
+        continue;
+      }
+
+      const schema = (channel && channel.metadata[key]) || {};
+      objects.metadata[key] = ['object', 'array'].includes(schema.type) ? parseJsonOr(raw) : coerceParameter(schema, raw);
+    }
+
+    for (const field of OBJECT_COLUMNS) {
+      if (Object.keys(objects[field]).length > 0) {
+        payload[field] = objects[field];
+      }
+    }
+
+    return { payload };
+  }
+}
+
+// Structured metadata values are written as JSON; anything else is left for validation to report
+function parseJsonOr(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+function createRowReader(format) {
+  return format === 'csv' ? new CsvReader() : new NdjsonReader();
+}
+
+module.exports = {
+  UPLOAD_FORMATS,
+  MAX_ROW_LENGTH,
+  createRowReader
+};
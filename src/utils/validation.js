@@ -0,0 +1,258 @@
+const LaneScheduler = require('../queues/LaneScheduler');
+const config = require('../config/config');
+const { parseScheduledTime } = require('./schedule');
+const { ERROR_CODES, isPlainObject, validateSchema } = require('./schema');
+const { TEMPLATE_ID_PATTERN } = require('./template');
+const { CONTENT_FORMATS, renderContent } = require('./emailContent');
+
+/**
+ * Request-time validation of notification payloads. Each channel declares how
+ * its recipient is checked and which metadata keys its provider reads; anything
+ * else in metadata is rejected. The same declarations are the notification
+ * schemas of the OpenAPI document, so what is documented is what is enforced.
+ * Problems come back as { code, path, message } so clients can map them onto
+ * their own fields.
+ */
+
+const url = { type: 'string', format: 'uri' };
+const mailbox = { type: 'string', format: 'mailbox' };
+const mailboxes = description => ({ type: 'array', items: mailbox, description });
+
+// Longest message accepted, in characters; Gmail clips email bodies past about this size anyway
+const MAX_MESSAGE_LENGTH = 100000;
+
+// Custom headers must be X- headers, so they cannot replace the ones the provider sets
+const HEADER_NAME_PATTERN = /^X-[A-Za-z0-9][A-Za-z0-9-]*$/;
+
+// Only inline content: nodemailer would read `path` from the server's disk and fetch `href`
+const ATTACHMENT_FIELDS = ['filename', 'content', 'contentType', 'encoding', 'cid'];
+
+const EMAIL_ATTACHMENT_SCHEMA = {
+  type: 'object',
+  required: ['filename', 'content'],
+  properties: {
+    filename: { type: 'string', minLength: 1 },
+    content: { type: 'string', description: 'File contents, encoded as `encoding` says' },
+    contentType: { type: 'string', description: 'MIME type; guessed from filename when left out' },
+    encoding: { type: 'string', enum: ['base64', 'hex', 'utf8'], default: 'utf8' },
+    cid: { type: 'string', description: 'Content-ID, for images the HTML shows with cid: links' }
+  },
+  additionalProperties: false
+};
+
+const CHANNEL_SCHEMAS = {
+  email: {
+    recipient: { format: 'email', description: 'Email address' },
+    metadata: {
+      subject: { type: 'string' },
+      format: {
+        type: 'string',
+        enum: CONTENT_FORMATS,
+        default: 'text',
+        description: 'How message is written: plain text, Markdown, or HTML limited to an allowlist of elements'
+      },
+      title: { type: 'string' },
+      buttonText: { type: 'string' },
+      buttonUrl: url,
+      unsubscribeUrl: { ...url, description: 'Linked in the footer and sent as List-Unsubscribe (one-click when https)' },
+      attachments: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/EmailAttachment' },
+        description: 'Files carried inline in the request; attachments cannot point at a path or URL for the server to read'
+      },
+      to: mailboxes('More To addresses; recipient is always the first'),
+      cc: mailboxes('Cc addresses'),
+      bcc: mailboxes('Bcc addresses, hidden from the other recipients'),
+      replyTo: mailbox,
+      from: { ...mailbox, description: 'Sender of this email instead of the tenant\'s or the service\'s, at the same domain' },
+      headers: {
+        type: 'object',
+        additionalProperties: { type: 'string', maxLength: 998 },
+        description: 'Custom X- headers, e.g. { "X-Campaign": "spring" }'
+      }
+    }
+  },
+  sms: {
+    recipient: { format: 'phone', description: 'E.164 phone number such as +15551234567' },
+    metadata: {
+      includeSignature: { type: 'boolean' },
+      mediaUrl: url
+    }
+  },
+  push: {
+    recipient: { format: 'push-token', description: 'FCM registration token or APNs device token' },
+    metadata: {
+      title: { type: 'string' },
+      data: { type: 'object' }
+    }
+  },
+  webhook: {
+    recipient: { format: 'uri', description: 'http(s) URL the payload is POSTed to' },
+    metadata: {
+      event: { type: 'string' },
+      data: { type: 'object' }
+    }
+  }
+};
+
+const CHANNELS = Object.keys(CHANNEL_SCHEMAS);
+
+function channelSchemaName(channel) {
+  return `${channel[0].toUpperCase()}${channel.slice(1)}Notification`;
+}
+
+const requiredString = description => ({ type: 'string', minLength: 1, 'x-error-code': ERROR_CODES.REQUIRED, description });
+
+/**
+ * OpenAPI component schemas for a notification: the shared fields, with
+ * `type` selecting the channel schema that checks the recipient and metadata.
+ */
+const NOTIFICATION_SCHEMAS = {
+  EmailAttachment: EMAIL_ATTACHMENT_SCHEMA,
+  Notification: {
+    type: 'object',
+    required: ['recipient', 'type'],
+    properties: {
+      recipient: requiredString('Who receives it; the format depends on the channel'),
+      message: {
+        ...requiredString('Message body. Required unless templateId is given.'),
+        maxLength: MAX_MESSAGE_LENGTH
+      },
+      type: { type: 'string', enum: CHANNELS, 'x-error-code': ERROR_CODES.UNSUPPORTED_CHANNEL },
+      priority: { type: 'string', enum: LaneScheduler.LANES, default: 'normal' },
+      sendAt: {
+        type: 'string',
+        format: 'date-time',
+        'x-error-code': ERROR_CODES.INVALID_SCHEDULE,
+        description: 'Deliver at this time instead of now. Not together with delayMs.'
+      },
+      delayMs: {
+        type: 'integer',
+        minimum: 0,
+        'x-error-code': ERROR_CODES.INVALID_SCHEDULE,
+        description: 'Deliver this many milliseconds from now. Not together with sendAt.'
+      },
+      metadata: { type: 'object', description: 'Channel-specific options; see the schema for each channel' },
+      templateId: {
+        type: 'string',
+        pattern: TEMPLATE_ID_PATTERN.source,
+        description: 'Stored template to render the message (and subject, title, ...) from. Not together with message.'
+      },
+      variables: { type: 'object', description: 'Values for the template\'s {{ tags }}' },
+      locale: {
+        type: 'string',
+        format: 'locale',
+        description: 'Language to render the template in, e.g. pt-BR; falls back to pt, then the template\'s default. ' +
+          'Defaults to the locale stored for the recipient.'
+      }
+    },
+    discriminator: {
+      propertyName: 'type',
+      mapping: Object.fromEntries(CHANNELS.map(channel => [channel, `#/components/schemas/${channelSchemaName(channel)}`]))
+    }
+  }
+};
+
+for (const [channel, { recipient, metadata }] of Object.entries(CHANNEL_SCHEMAS)) {
+  NOTIFICATION_SCHEMAS[channelSchemaName(channel)] = {
+    description: `What ${channel} notifications accept on top of the shared Notification fields`,
+    properties: {
+      recipient,
+      metadata: {
+        properties: metadata,
+        additionalProperties: false,
+        'x-error-code': ERROR_CODES.UNKNOWN_METADATA_KEY
+      }
+    }
+  };
+}
+
+/**
+ * Validate one notification payload. `path` prefixes every reported field,
+ * e.g. 'notifications[2]' for an item of a bulk request. Returns an array of
+ * errors, empty when the payload is valid.
+ */
+function validateNotification(payload, { path = '' } = {}) {
+  const errors = validateSchema({ $ref: '#/components/schemas/Notification' }, payload, {
+    schemas: NOTIFICATION_SCHEMAS,
+    path
+  });
+
+  // A message comes either from the payload or from its template, which the schema cannot say either
+  if (isPlainObject(payload)) {
+    const at = path ? `${path}.message` : 'message';
+
+    if (payload.message === undefined && payload.templateId === undefined) {
+      errors.push({ code: ERROR_CODES.REQUIRED, path: at, message: 'message is required unless templateId is given' });
+    } else if (payload.message !== undefined && payload.templateId !== undefined) {
+      errors.push({ code: ERROR_CODES.INVALID_VALUE, path: at, message: 'message comes from the template; leave it out with templateId' });
+    }
+  }
+
+  if (isPlainObject(payload) && payload.type === 'email' && isPlainObject(payload.metadata)) {
+    errors.push(...validateEnvelope(payload, path ? `${path}.metadata` : 'metadata'));
+  }
+
+  // Links in Markdown and HTML email may only use safe schemes; the provider drops others, but callers should know
+  if (isPlainObject(payload) && payload.type === 'email' && typeof payload.message === 'string' &&
+      payload.message.length <= MAX_MESSAGE_LENGTH && isPlainObject(payload.metadata) &&
+      ['markdown', 'html'].includes(payload.metadata.format)) {
+    const { unsafeLinks } = renderContent(payload.message, payload.metadata.format);
+
+    if (unsafeLinks.length > 0) {
+      errors.push({
+        code: ERROR_CODES.INVALID_URL,
+        path: path ? `${path}.message` : 'message',
+        message: `message links to ${unsafeLinks.join(', ')}; use http(s), mailto or tel links and http(s) or cid images`
+      });
+    }
+  }
+
+  // sendAt and delayMs exclude each other, which the schema cannot say
+  if (isPlainObject(payload) && !errors.some(error => error.code === ERROR_CODES.INVALID_SCHEDULE)) {
+    const { error: scheduleError } = parseScheduledTime(payload);
+    if (scheduleError) {
+      errors.push({
+        code: ERROR_CODES.INVALID_SCHEDULE,
+        path: path ? `${path}.sendAt` : 'sendAt',
+        message: scheduleError
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Custom header names and values, and the number of addresses, which the schema cannot say
+function validateEnvelope(payload, at) {
+  const errors = [];
+  const { headers, to, cc, bcc } = payload.metadata;
+
+  for (const [name, value] of Object.entries(isPlainObject(headers) ? headers : {})) {
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      errors.push({ code: ERROR_CODES.INVALID_VALUE, path: `${at}.headers.${name}`, message: `${name} is not an X- header name` });
+    } else if (typeof value === 'string' && /[\r\n]/.test(value)) {
+      errors.push({ code: ERROR_CODES.INVALID_VALUE, path: `${at}.headers.${name}`, message: `${name} must be a single line` });
+    }
+  }
+
+  const count = 1 + [to, cc, bcc].reduce((total, list) => total + (Array.isArray(list) ? list.length : 0), 0);
+  if (count > config.EMAIL_MAX_RECIPIENTS) {
+    errors.push({
+      code: ERROR_CODES.INVALID_VALUE,
+      path: at,
+      message: `An email may go to at most ${config.EMAIL_MAX_RECIPIENTS} addresses across recipient, to, cc and bcc; this one has ${count}`
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ERROR_CODES,
+  ATTACHMENT_FIELDS,
+  MAX_MESSAGE_LENGTH,
+  CHANNEL_SCHEMAS,
+  NOTIFICATION_SCHEMAS,
+  validateNotification
+};
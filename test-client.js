@@ -8,15 +8,18 @@
 const axios = require('axios');
 
 const BASE_URL = process.env.API_URL || 'http://localhost:3000';
+// Any key with the send and read scopes (or the server's ADMIN_API_KEY)
+const API_KEY = process.env.API_KEY || process.env.ADMIN_API_KEY || '';
 
 class NotificationTestClient {
-  constructor(baseUrl = BASE_URL) {
+  constructor(baseUrl = BASE_URL, apiKey = API_KEY) {
     this.baseUrl = baseUrl;
     this.client = axios.create({
       baseURL: baseUrl,
       timeout: 10000,
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
       }
     });
   }
@@ -36,7 +39,7 @@ class NotificationTestClient {
   async sendEmailNotification() {
     try {
       console.log('📧 Sending email notification...');
-      const response = await this.client.post('/api/notifications/send', {
+      const response = await this.client.post('/api/v1/notifications/send', {
         recipient: 'user@example.com',
         message: 'This is a test email notification from the demo service!',
         type: 'email',
@@ -59,7 +62,7 @@ class NotificationTestClient {
   async sendSMSNotification() {
     try {
       console.log('📱 Sending SMS notification...');
-      const response = await this.client.post('/api/notifications/send', {
+      const response = await this.client.post('/api/v1/notifications/send', {
         recipient: '+1555123456',
         message: 'Hello! This is a test SMS from the notification service.',
         type: 'sms',
@@ -79,8 +82,8 @@ class NotificationTestClient {
   async sendPushNotification() {
     try {
       console.log('📲 Sending push notification...');
-      const response = await this.client.post('/api/notifications/send', {
-        recipient: 'device_token_here',
+      const response = await this.client.post('/api/v1/notifications/send', {
+        recipient: 'fcm_demo_token:APA91bHPRgkFLJu6zP6Wz0W8mQk3mX7vYwK2cQ',
         message: 'You have a new update available!',
         type: 'push',
         priority: 'normal',
@@ -103,7 +106,7 @@ class NotificationTestClient {
   async sendWebhookNotification() {
     try {
       console.log('🌐 Sending webhook notification...');
-      const response = await this.client.post('/api/notifications/send', {
+      const response = await this.client.post('/api/v1/notifications/send', {
         recipient: 'https://webhook.site/test-endpoint',
         message: 'This is a webhook notification test',
         type: 'webhook',
@@ -142,14 +145,14 @@ class NotificationTestClient {
           priority: 'normal'
         },
         {
-          recipient: 'device_token_1',
+          recipient: 'fcm_demo_token:APA91bE3kq9Zr1LxUf8Wd2Ys5Nn4Tt7Hh6Jj',
           message: 'Welcome! Enable notifications to stay updated.',
           type: 'push',
           priority: 'low'
         }
       ];
 
-      const response = await this.client.post('/api/notifications/bulk-send', {
+      const response = await this.client.post('/api/v1/notifications/bulk-send', {
         notifications
       });
       console.log('✅ Bulk notifications sent:', response.data);
@@ -163,7 +166,7 @@ class NotificationTestClient {
   async getNotificationStatus(notificationId) {
     try {
       console.log(`🔍 Checking status for notification ${notificationId}...`);
-      const response = await this.client.get(`/api/notifications/${notificationId}/status`);
+      const response = await this.client.get(`/api/v1/notifications/${notificationId}/status`);
       console.log('📊 Notification status:', response.data);
       return response.data;
     } catch (error) {
@@ -175,7 +178,7 @@ class NotificationTestClient {
   async getNotificationHistory() {
     try {
       console.log('📚 Fetching notification history...');
-      const response = await this.client.get('/api/notifications/history', {
+      const response = await this.client.get('/api/v1/notifications/history', {
         params: {
           limit: 10,
           offset: 0
@@ -1,5 +1,45 @@
 const request = require('supertest');
+
+// The suite polls status endpoints far more often than the production limit allows
+process.env.RATE_LIMIT_MAX_REQUESTS = '10000';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
 const app = require('../src/server');
+const { signJwt } = require('../src/utils/jwt');
+
+// Requests made as the bootstrap admin; the Authentication tests use their own credentials
+const api = request.agent(app).set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`);
+
+async function waitForStatus(id, status, timeoutMs = 5000, client = api) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const response = await client.get(`/api/notifications/${id}/status`);
+    if (response.body.status === status) {
+      return response.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  throw new Error(`Notification ${id} did not reach status ${status}`);
+}
+
+// Bulk jobs read their upload after POST /jobs returns
+async function waitForJob(id, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const response = await api.get(`/api/v1/jobs/${id}`);
+    if (response.body.status !== 'processing') {
+      return response.body;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`Bulk job ${id} did not finish`);
+}
 
 describe('Notification Service', () => {
   beforeAll(async () => {
@@ -13,7 +53,7 @@ describe('Notification Service', () => {
 
   describe('Health Check', () => {
     test('GET /health should return 200', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/health')
         .expect(200);
 
@@ -32,7 +72,7 @@ describe('Notification Service', () => {
         priority: 'normal'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/notifications/send')
         .send(notificationData)
         .expect(200);
@@ -49,12 +89,35 @@ describe('Notification Service', () => {
         // missing recipient
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/notifications/send')
         .send(invalidData)
         .expect(400);
 
       expect(response.body).toHaveProperty('error');
+      expect(response.body.details).toContainEqual(expect.objectContaining({
+        code: 'REQUIRED',
+        path: 'recipient'
+      }));
+    });
+
+    test('POST /api/notifications/send should validate payloads per channel', async () => {
+      const response = await api
+        .post('/api/notifications/send')
+        .send({
+          recipient: '555-1234',
+          message: 'Bad number',
+          type: 'sms',
+          metadata: { includeSignature: 'yes', color: 'blue' }
+        })
+        .expect(400);
+
+      const codes = response.body.details.map(({ code, path }) => `${code} ${path}`);
+      expect(codes).toEqual(expect.arrayContaining([
+        'INVALID_PHONE_NUMBER recipient',
+        'INVALID_TYPE metadata.includeSignature',
+        'UNKNOWN_METADATA_KEY metadata.color'
+      ]));
     });
 
     test('POST /api/notifications/send should create SMS notification', async () => {
@@ -65,7 +128,7 @@ describe('Notification Service', () => {
         priority: 'high'
       };
 
-      const response = await request(app)
+      const response = await api
         .post('/api/notifications/send')
         .send(notificationData)
         .expect(200);
@@ -92,7 +155,7 @@ describe('Notification Service', () => {
         }
       ];
 
-      const response = await request(app)
+      const response = await api
         .post('/api/notifications/bulk-send')
         .send({ notifications })
         .expect(200);
@@ -102,8 +165,26 @@ describe('Notification Service', () => {
       expect(response.body.results).toHaveLength(2);
     });
 
+    test('POST /api/notifications/bulk-send should report invalid items with their index', async () => {
+      const response = await api
+        .post('/api/notifications/bulk-send')
+        .send({
+          notifications: [
+            { recipient: 'ok@example.com', message: 'Fine', type: 'email' },
+            { recipient: 'not-a-url', message: 'Broken', type: 'webhook' }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.results[0]).toHaveProperty('status', 'queued');
+      expect(response.body.results[1]).toHaveProperty('status', 'error');
+      expect(response.body.results[1].details).toEqual([
+        expect.objectContaining({ code: 'INVALID_URL', path: 'notifications[1].recipient' })
+      ]);
+    });
+
     test('POST /api/notifications/bulk-send should validate notifications array', async () => {
-      const response = await request(app)
+      const response = await api
         .post('/api/notifications/bulk-send')
         .send({})
         .expect(400);
@@ -114,7 +195,7 @@ describe('Notification Service', () => {
 
   describe('Notification History', () => {
     test('GET /api/notifications/history should return notifications', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/notifications/history')
         .expect(200);
 
@@ -122,18 +203,271 @@ describe('Notification Service', () => {
     });
 
     test('GET /api/notifications/history should support query parameters', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/notifications/history?limit=5&type=email')
         .expect(200);
 
       expect(response.body).toHaveProperty('notifications');
       expect(response.body).toHaveProperty('limit', 5);
     });
+
+    describe('Pagination', () => {
+      // A tenant of its own, so other tests' notifications stay out of the pages
+      const paging = request.agent(app)
+        .set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`)
+        .set('X-Tenant-Id', 'history-paging');
+      const sendAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+      async function schedule(priority) {
+        const response = await paging
+          .post('/api/notifications/send')
+          .send({ recipient: '+1555123456', message: 'Paged', type: 'sms', sendAt, priority })
+          .expect(200);
+        return response.body.notificationId;
+      }
+
+      async function walk(query) {
+        const ids = [];
+        let cursor = null;
+
+        do {
+          const response = await paging
+            .get(`/api/notifications/history?${query}${cursor ? `&cursor=${cursor}` : ''}`)
+            .expect(200);
+          ids.push(...response.body.notifications.map(notification => notification.id));
+          cursor = response.body.nextCursor;
+        } while (cursor);
+
+        return ids;
+      }
+
+      const created = [];
+
+      beforeAll(async () => {
+        await api.post('/api/tenants').send({ id: 'history-paging', name: 'History Paging' }).expect(201);
+
+        for (const priority of ['low', 'high', 'normal', 'high', 'low']) {
+          created.push(await schedule(priority));
+        }
+      });
+
+      test('should walk every notification once with cursors while new ones arrive', async () => {
+        const first = await paging.get('/api/notifications/history?limit=2').expect(200);
+        expect(first.body.notifications).toHaveLength(2);
+        expect(first.body.nextCursor).toEqual(expect.any(String));
+
+        // Newer rows land before the cursor and must not shift the pages after it
+        const late = await schedule('normal');
+
+        const ids = first.body.notifications.map(notification => notification.id);
+        let cursor = first.body.nextCursor;
+        while (cursor) {
+          const page = await paging.get(`/api/notifications/history?limit=2&cursor=${cursor}`).expect(200);
+          ids.push(...page.body.notifications.map(notification => notification.id));
+          cursor = page.body.nextCursor;
+        }
+
+        expect(ids).not.toContain(late);
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(ids.sort()).toEqual([...created].sort());
+
+        created.push(late);
+      });
+
+      test('should keep counting every match in v1 unless includeTotal=false', async () => {
+        const response = await paging
+          .get('/api/v1/notifications/history?limit=1')
+          .expect(200);
+
+        expect(response.body.notifications).toHaveLength(1);
+        expect(response.body.total).toBe(created.length);
+
+        const uncounted = await paging
+          .get('/api/v1/notifications/history?limit=1&includeTotal=false')
+          .expect(200);
+        expect(uncounted.body).not.toHaveProperty('total');
+      });
+
+      test('should sort by priority across pages', async () => {
+        const ids = await walk('limit=2&sort=priority&order=desc');
+        const history = await paging.get('/api/notifications/history?limit=100').expect(200);
+        const priorities = new Map(history.body.notifications.map(notification => [notification.id, notification.priority]));
+
+        expect(ids).toHaveLength(created.length);
+        expect(ids.map(id => priorities.get(id))).toEqual(['high', 'high', 'normal', 'normal', 'low', 'low']);
+      });
+
+      test('should page by ascending sentAt with unsent notifications first', async () => {
+        const ids = await walk('limit=4&sort=sentAt&order=asc');
+        expect(ids.sort()).toEqual([...created].sort());
+      });
+
+      test('should reject invalid paging parameters', async () => {
+        await paging.get('/api/notifications/history?cursor=not-a-cursor').expect(400);
+        await paging.get('/api/notifications/history?sort=recipient').expect(400);
+        await paging.get('/api/notifications/history?limit=0').expect(400);
+
+        const first = await paging.get('/api/notifications/history?limit=1').expect(200);
+        const mismatch = await paging
+          .get(`/api/notifications/history?sort=priority&cursor=${first.body.nextCursor}`)
+          .expect(400);
+        expect(mismatch.body.error).toMatch(/different sort/);
+
+        await paging.get(`/api/notifications/history?offset=1&cursor=${first.body.nextCursor}`).expect(400);
+      });
+    });
+
+    describe('Search', () => {
+      const searching = request.agent(app)
+        .set('Authorization', `Bearer ${process.env.ADMIN_API_KEY}`)
+        .set('X-Tenant-Id', 'history-search');
+      const sendAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+      const ids = {};
+
+      async function schedule(name, payload) {
+        const response = await searching
+          .post('/api/v1/notifications/send')
+          .send({ sendAt, ...payload })
+          .expect(200);
+        ids[response.body.notificationId] = name;
+      }
+
+      async function search(query) {
+        const response = await searching.get('/api/v1/notifications/history').query(query).expect(200);
+        return response.body.notifications.map(notification => ids[notification.id]).sort();
+      }
+
+      beforeAll(async () => {
+        await api.post('/api/tenants').send({ id: 'history-search', name: 'History Search' }).expect(201);
+
+        await schedule('shipped', {
+          recipient: 'https://example.com/hooks/orders',
+          message: 'Your parcel is on its way',
+          type: 'webhook',
+          priority: 'high',
+          metadata: { event: 'order.shipped', data: { orderId: 1234 } }
+        });
+        await schedule('refund', {
+          recipient: 'dQw4w9WgXcQ:APA91bH-sample_token.0123456789',
+          message: 'Your refund was processed',
+          type: 'push',
+          metadata: { title: 'Refund', data: { orderId: '1234' } }
+        });
+        await schedule('receipt', {
+          recipient: 'ana@example.com',
+          message: 'Thanks for shopping with us',
+          type: 'email',
+          metadata: { subject: 'Order 1234 receipt' }
+        });
+        await schedule('reminder', {
+          recipient: '+15557791001',
+          message: 'Reminder: parcel pickup tomorrow',
+          type: 'sms',
+          priority: 'low',
+          metadata: { includeSignature: true }
+        });
+      });
+
+      test('should search message and subject text', async () => {
+        expect(await search({ q: 'parcel' })).toEqual(['reminder', 'shipped']);
+        expect(await search({ q: 'order 1234' })).toEqual(['receipt']);
+        expect(await search({ q: '"refund was"' })).toEqual(['refund']);
+        expect(await search({ q: 'remind*' })).toEqual(['reminder']);
+        // FTS5 syntax is searched for, not interpreted
+        expect(await search({ q: 'parcel OR refund' })).toEqual([]);
+      });
+
+      test('should filter on metadata paths, priority and combined conditions', async () => {
+        // Stored as a number in one notification and a string in the other
+        expect(await search({ filter: 'metadata.data.orderId = 1234' })).toEqual(['refund', 'shipped']);
+        expect(await search({ filter: 'metadata.data.orderId = "1234"' })).toEqual(['refund']);
+        expect(await search({ filter: 'metadata.includeSignature = true' })).toEqual(['reminder']);
+        expect(await search({ filter: 'metadata.data.orderId != 1234' })).toEqual(['receipt', 'reminder']);
+        expect(await search({ priority: 'high' })).toEqual(['shipped']);
+        expect(await search({ filter: 'metadata.data.orderId = 1234 AND (priority = high OR type = email)' })).toEqual(['shipped']);
+        expect(await search({ filter: 'type = sms OR text ~ refund' })).toEqual(['refund', 'reminder']);
+        expect(await search({ filter: 'NOT (type = email OR type = sms)' })).toEqual(['refund', 'shipped']);
+        expect(await search({ q: 'parcel', filter: 'type = sms' })).toEqual(['reminder']);
+      });
+
+    test('should reject filters it cannot read', async () => {
+        const unknown = await searching.get('/api/v1/notifications/history').query({ filter: 'colour = blue' }).expect(400);
+        expect(unknown.body.error).toMatch(/Unknown field colour/);
+
+        const unbalanced = await searching.get('/api/v1/notifications/history').query({ filter: '(type = sms' }).expect(400);
+        expect(unbalanced.body.error).toMatch(/closing parenthesis/);
+
+        await searching.get('/api/v1/notifications/history').query({ filter: 'createdAt ~ 2024' }).expect(400);
+        await searching.get('/api/v1/notifications/history').query({ q: '***' }).expect(400);
+      });
+    });
+  });
+
+  describe('Scheduled Delivery', () => {
+    test('POST /api/notifications/send should schedule notifications with sendAt', async () => {
+      const sendAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const response = await api
+        .post('/api/notifications/send')
+        .send({
+          recipient: 'later@example.com',
+          message: 'See you in an hour',
+          type: 'email',
+          sendAt
+        })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('status', 'scheduled');
+      expect(response.body).toHaveProperty('scheduledAt', sendAt);
+
+      const status = await api
+        .get(`/api/notifications/${response.body.notificationId}/status`)
+        .expect(200);
+
+      expect(status.body).toHaveProperty('status', 'scheduled');
+      expect(status.body).toHaveProperty('scheduledAt', sendAt);
+    });
+
+    test('POST /api/notifications/send should reject an invalid sendAt', async () => {
+      const response = await api
+        .post('/api/notifications/send')
+        .send({
+          recipient: 'later@example.com',
+          message: 'Bad schedule',
+          type: 'email',
+          sendAt: 'next tuesday'
+        })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error');
+    });
+
+    test('GET /api/notifications/history should filter by scheduled time range', async () => {
+      const sendAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+
+      const created = await api
+        .post('/api/notifications/send')
+        .send({
+          recipient: '+1555123456',
+          message: 'Reminder',
+          type: 'sms',
+          sendAt
+        })
+        .expect(200);
+
+      const scheduledFrom = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const response = await api
+        .get(`/api/notifications/history?scheduledFrom=${encodeURIComponent(scheduledFrom)}`)
+        .expect(200);
+
+      const ids = response.body.notifications.map(notification => notification.id);
+      expect(ids).toEqual([created.body.notificationId]);
+    });
   });
 
   describe('Notification Status', () => {
     test('GET /api/notifications/:id/status should return 404 for non-existent notification', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/api/notifications/non-existent-id/status')
         .expect(404);
 
@@ -141,9 +475,339 @@ describe('Notification Service', () => {
     });
   });
 
+  describe('Idempotency Keys', () => {
+    const payload = {
+      recipient: 'once@example.com',
+      message: 'Only once please',
+      type: 'email'
+    };
+
+    test('POST /api/notifications/send should replay the original response for a repeated key', async () => {
+      const first = await api
+        .post('/api/notifications/send')
+        .set('Idempotency-Key', 'send-replay-1')
+        .send(payload)
+        .expect(200);
+
+      const second = await api
+        .post('/api/notifications/send')
+        .set('Idempotency-Key', 'send-replay-1')
+        .send(payload)
+        .expect(200);
+
+      expect(second.headers['idempotent-replayed']).toBe('true');
+      expect(second.body.notificationId).toBe(first.body.notificationId);
+      expect(second.body.status).toBe(first.body.status);
+
+      const history = await api
+        .get('/api/notifications/history?limit=1000')
+        .expect(200);
+      const copies = history.body.notifications.filter(notification => notification.recipient === 'once@example.com');
+      expect(copies).toHaveLength(1);
+    });
+
+    test('POST /api/notifications/send should reject a reused key with a different body', async () => {
+      await api
+        .post('/api/notifications/send')
+        .set('Idempotency-Key', 'send-conflict-1')
+        .send(payload)
+        .expect(200);
+
+      const response = await api
+        .post('/api/notifications/send')
+        .set('Idempotency-Key', 'send-conflict-1')
+        .send({ ...payload, message: 'Something else' })
+        .expect(409);
+
+      expect(response.body).toHaveProperty('error', 'Idempotency key conflict');
+    });
+
+    test('POST /api/notifications/bulk-send should honour per-item keys', async () => {
+      const item = {
+        recipient: '+1555123456',
+        message: 'Bulk once',
+        type: 'sms',
+        idempotencyKey: 'bulk-item-1'
+      };
+
+      const first = await api
+        .post('/api/notifications/bulk-send')
+        .send({ notifications: [item] })
+        .expect(200);
+
+      const second = await api
+        .post('/api/notifications/bulk-send')
+        .send({ notifications: [item, { ...item, message: 'Changed' }] })
+        .expect(200);
+
+      expect(second.body.results[0].id).toBe(first.body.results[0].id);
+      expect(second.body.results[0]).toHaveProperty('replayed', true);
+      expect(second.body.results[1]).toHaveProperty('status', 'conflict');
+    });
+  });
+
+  describe('Statistics', () => {
+    test('GET /api/notifications/stats should return bucketed series', async () => {
+      const response = await api
+        .get('/api/notifications/stats?timeframe=1h&bucket=minute')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('bucket', 'minute');
+      expect(response.body.buckets.length).toBeGreaterThanOrEqual(60);
+      expect(response.body.series.total).toHaveLength(response.body.buckets.length);
+      expect(response.body.latency).toHaveProperty('p95Ms');
+      expect(response.body.queue).toHaveProperty('lanes');
+    });
+
+    test('GET /api/notifications/stats should reject invalid ranges', async () => {
+      await api
+        .get('/api/notifications/stats?bucket=week')
+        .expect(400);
+
+      await api
+        .get('/api/notifications/stats?from=2024-01-02T00:00:00Z&to=2024-01-01T00:00:00Z')
+        .expect(400);
+    });
+  });
+
+  describe('Cancellation', () => {
+    async function scheduleNotification(recipient) {
+      const response = await api
+        .post('/api/notifications/send')
+        .send({
+          recipient,
+          message: 'Maybe later',
+          type: 'email',
+          delayMs: 60 * 60 * 1000
+        })
+        .expect(200);
+
+      return response.body.notificationId;
+    }
+
+    test('DELETE /api/notifications/:id should cancel a scheduled notification', async () => {
+      const id = await scheduleNotification('cancel-one@example.com');
+
+      const response = await api
+        .delete(`/api/notifications/${id}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('status', 'cancelled');
+      expect(response.body).toHaveProperty('cancelledAt');
+
+      const history = await api
+        .get('/api/notifications/history?status=cancelled')
+        .expect(200);
+
+      expect(history.body.notifications.map(notification => notification.id)).toContain(id);
+    });
+
+    test('DELETE /api/notifications/:id should conflict once a notification is sent', async () => {
+      const created = await api
+        .post('/api/notifications/send')
+        .send({
+          recipient: '+1555123456',
+          message: 'Already gone',
+          type: 'sms'
+        })
+        .expect(200);
+
+      await waitForStatus(created.body.notificationId, 'sent');
+
+      const response = await api
+        .delete(`/api/notifications/${created.body.notificationId}`)
+        .expect(409);
+
+      expect(response.body).toHaveProperty('status', 'sent');
+
+      await api
+        .delete('/api/notifications/does-not-exist')
+        .expect(404);
+    });
+
+    test('DELETE /api/notifications should cancel by filter', async () => {
+      const ids = [
+        await scheduleNotification('bulk-cancel@example.com'),
+        await scheduleNotification('bulk-cancel@example.com')
+      ];
+
+      await api
+        .delete('/api/notifications')
+        .expect(400);
+
+      const response = await api
+        .delete('/api/notifications?recipient=bulk-cancel@example.com&status=scheduled')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('cancelled', 2);
+      expect(response.body.ids.sort()).toEqual(ids.sort());
+    });
+  });
+
+  describe('Dead-Letter Queue', () => {
+    // Passes request validation, but the carrier refuses it
+    const UNDELIVERABLE_NUMBER = '+15550000000';
+    let smsSend;
+
+    beforeAll(() => {
+      const smsProvider = app.locals.services.notificationService.providers.sms;
+      const send = smsProvider.send.bind(smsProvider);
+
+      smsSend = jest.spyOn(smsProvider, 'send').mockImplementation(async notification => {
+        if (notification.recipient !== UNDELIVERABLE_NUMBER) {
+          return send(notification);
+        }
+        return {
+          success: false,
+          provider: 'sms',
+          error: 'Invalid phone number format',
+          errorCode: 'INVALID_RECIPIENT',
+          retryable: false
+        };
+      });
+    });
+
+    afterAll(() => {
+      smsSend.mockRestore();
+    });
+
+    async function sendUndeliverableSMS() {
+      const response = await api
+        .post('/api/notifications/send')
+        .send({
+          recipient: UNDELIVERABLE_NUMBER,
+          message: 'This will never arrive',
+          type: 'sms'
+        })
+        .expect(200);
+
+      await waitForStatus(response.body.notificationId, 'failed');
+      return response.body.notificationId;
+    }
+
+    test('should record permanent failures with their attempt history', async () => {
+      const id = await sendUndeliverableSMS();
+
+      const list = await api
+        .get('/api/dead-letters?type=sms&errorCode=INVALID_RECIPIENT')
+        .expect(200);
+
+      expect(list.body.deadLetters.map(deadLetter => deadLetter.notificationId)).toContain(id);
+      expect(list.body.total).toBeGreaterThanOrEqual(1);
+
+      const detail = await api
+        .get(`/api/dead-letters/${id}`)
+        .expect(200);
+
+      expect(detail.body).toHaveProperty('reason', 'Invalid phone number format');
+      expect(detail.body.attempts).toHaveLength(1);
+      expect(detail.body.attempts[0]).toHaveProperty('retryable', false);
+      expect(detail.body.notification).toHaveProperty('status', 'failed');
+    });
+
+    test('should requeue a dead letter with an edited payload', async () => {
+      const id = await sendUndeliverableSMS();
+
+      const response = await api
+        .post(`/api/dead-letters/${id}/requeue`)
+        .send({ updates: { recipient: '+1555123456' } })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+      expect(response.body.updatedFields).toEqual(['recipient']);
+
+      const notification = await waitForStatus(id, 'sent');
+      expect(notification.recipient).toBe('+1555123456');
+
+      await api
+        .get(`/api/dead-letters/${id}`)
+        .expect(404);
+    });
+
+    test('should requeue dead letters in bulk and reject invalid edits', async () => {
+      const id = await sendUndeliverableSMS();
+
+      await api
+        .post('/api/dead-letters/requeue')
+        .send({ ids: [id], updates: { priority: 'urgent' } })
+        .expect(400);
+
+      const response = await api
+        .post('/api/dead-letters/requeue')
+        .send({ ids: [id], updates: { recipient: '+1555123456' } })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('requeued', 1);
+    });
+
+    test('should validate the corrected notification before requeueing it', async () => {
+      const id = await sendUndeliverableSMS();
+
+      const invalid = await api
+        .post(`/api/dead-letters/${id}/requeue`)
+        .send({ updates: { recipient: 'not-a-number', metadata: { attachments: [] } } })
+        .expect(400);
+
+      expect(invalid.body.error).toBe('Validation failed');
+      expect(invalid.body.details.map(detail => `${detail.code} ${detail.path}`)).toEqual([
+        'INVALID_PHONE_NUMBER recipient',
+        'UNKNOWN_METADATA_KEY metadata.attachments'
+      ]);
+
+      // Nothing was requeued
+      await api.get(`/api/dead-letters/${id}`).expect(200);
+
+      const bulk = await api
+        .post('/api/dead-letters/requeue')
+        .send({ ids: [id], updates: { recipient: 'not-a-number' } })
+        .expect(200);
+
+      expect(bulk.body.requeued).toBe(0);
+      expect(bulk.body.results[0]).toMatchObject({
+        id,
+        status: 'error',
+        error: 'Validation failed',
+        details: [expect.objectContaining({ code: 'INVALID_PHONE_NUMBER', path: 'recipient' })]
+      });
+    });
+
+    test('should requeue a dead letter once when two requests race', async () => {
+      const id = await sendUndeliverableSMS();
+      const enqueue = jest.spyOn(app.locals.services.notificationService.queue, 'enqueue');
+
+      try {
+        const responses = await Promise.all([
+          api.post(`/api/dead-letters/${id}/requeue`).send({}),
+          api.post(`/api/dead-letters/${id}/requeue`).send({})
+        ]);
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 404]);
+        expect(enqueue.mock.calls.filter(([notification]) => notification.id === id)).toHaveLength(1);
+      } finally {
+        enqueue.mockRestore();
+      }
+    });
+
+    test('should purge dead letters', async () => {
+      const id = await sendUndeliverableSMS();
+
+      await api
+        .delete('/api/dead-letters')
+        .expect(400);
+
+      await api
+        .delete(`/api/dead-letters/${id}`)
+        .expect(200);
+
+      await api
+        .get(`/api/dead-letters/${id}`)
+        .expect(404);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle 404 for unknown routes', async () => {
-      const response = await request(app)
+      const response = await api
         .get('/unknown-route')
         .expect(404);
 
@@ -152,27 +816,2228 @@ describe('Notification Service', () => {
   });
 });
 
-describe('Notification Providers', () => {
-  const EmailProvider = require('../src/providers/EmailProvider');
-  const SMSProvider = require('../src/providers/SMSProvider');
-  const PushProvider = require('../src/providers/PushProvider');
-  const WebhookProvider = require('../src/providers/WebhookProvider');
+describe('Durable Queue', () => {
+  const DatabaseService = require('../src/services/DatabaseService');
+  const NotificationService = require('../src/services/NotificationService');
 
-  describe('EmailProvider', () => {
-    test('should create email provider instance', () => {
-      const provider = new EmailProvider();
-      expect(provider).toBeInstanceOf(EmailProvider);
+  test('should recover pending and orphaned processing notifications on startup', async () => {
+    const db = new DatabaseService();
+    await db.ready;
+
+    await db.saveNotification({
+      id: 'recover-pending',
+      recipient: 'pending@example.com',
+      message: 'Pending before restart',
+      type: 'email'
+    });
+    await db.saveNotification({
+      id: 'recover-processing',
+      recipient: 'processing@example.com',
+      message: 'Processing before restart',
+      type: 'email',
+      status: 'processing'
+    });
+    await db.updateNotification('recover-processing', {
+      workerId: 'dead-worker',
+      leaseExpiresAt: new Date(Date.now() - 1000).toISOString()
     });
 
-    test('should generate email subject', () => {
-      const provider = new EmailProvider();
-      const notification = {
-        priority: 'high',
-        metadata: { subject: 'Custom Subject' }
-      };
-      
-      const subject = provider.generateSubject(notification);
-      expect(subject).toBe('Custom Subject');
+    const service = new NotificationService(db);
+    clearInterval(service.processorInterval);
+    clearInterval(service.recoveryInterval);
+    clearInterval(service.schedulerInterval);
+    await service.ready;
+
+    expect(await service.queue.has('recover-pending')).toBe(true);
+    expect(await service.queue.has('recover-processing')).toBe(true);
+
+    const reclaimed = await db.getNotification('recover-processing');
+    expect(reclaimed.status).toBe('pending');
+    expect(reclaimed.workerId).toBeNull();
+
+    await service.stop();
+    await db.close();
+  });
+
+  test('should only let one worker claim a notification', async () => {
+    const db = new DatabaseService();
+    await db.ready;
+
+    await db.saveNotification({
+      id: 'claim-once',
+      recipient: 'claim@example.com',
+      message: 'Claim me',
+      type: 'email'
+    });
+
+    const lease = new Date(Date.now() + 60000).toISOString();
+    expect(await db.claimNotification('claim-once', 'worker-a', lease)).toBe(true);
+    expect(await db.claimNotification('claim-once', 'worker-b', lease)).toBe(false);
+
+    await db.close();
+  });
+
+  test('should leave the row alone when claiming it fails', async () => {
+    const config = require('../src/config/config');
+    const db = new DatabaseService();
+    await db.ready;
+
+    const service = new NotificationService(db);
+    clearInterval(service.processorInterval);
+    clearInterval(service.recoveryInterval);
+    clearInterval(service.schedulerInterval);
+    await service.ready;
+
+    const notification = {
+      id: 'claim-error',
+      recipient: 'claim@example.com',
+      message: 'Owned by someone else',
+      type: 'email'
+    };
+    await db.saveNotification(notification);
+
+    jest.spyOn(db, 'claimNotification').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'));
+    const nack = jest.spyOn(service.queue, 'nack');
+
+    await expect(service.processNotification(notification)).rejects.toThrow('SQLITE_BUSY');
+
+    const stored = await db.getNotification('claim-error');
+    expect(stored).toMatchObject({ status: 'pending', retryCount: 0, nextAttemptAt: null, error: null });
+    expect(await db.getDeadLetter('claim-error')).toBeFalsy();
+    expect(nack).toHaveBeenCalledWith('claim-error', { delayMs: config.QUEUE_RETRY_DELAY });
+
+    await db.close();
+  });
+});
+
+describe('Automatic Retries', () => {
+  const DatabaseService = require('../src/services/DatabaseService');
+  const NotificationService = require('../src/services/NotificationService');
+  const { classifyError, computeBackoff } = require('../src/utils/retry');
+  const config = require('../src/config/config');
+
+  let db;
+  let service;
+
+  beforeEach(async () => {
+    db = new DatabaseService();
+    await db.ready;
+    service = new NotificationService(db);
+    clearInterval(service.processorInterval);
+    clearInterval(service.recoveryInterval);
+    clearInterval(service.schedulerInterval);
+    await service.ready;
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    await db.close();
+  });
+
+  async function queueNotification(id, overrides = {}) {
+    const notification = {
+      id,
+      recipient: 'retry@example.com',
+      message: 'Retry me',
+      type: 'email',
+      ...overrides
+    };
+    await db.saveNotification(notification);
+    return notification;
+  }
+
+  test('should classify provider errors as transient or permanent', () => {
+    expect(classifyError({ code: 'ETIMEDOUT' }).retryable).toBe(true);
+    expect(classifyError({ response: { status: 503 } }).retryable).toBe(true);
+    expect(classifyError({ response: { status: 404 } }).retryable).toBe(false);
+    expect(classifyError({ responseCode: 421 }).retryable).toBe(true);
+    expect(classifyError({ responseCode: 550 }).retryable).toBe(false);
+    expect(classifyError({ code: 'messaging/registration-token-not-registered' }).retryable).toBe(false);
+  });
+
+  test('should back off exponentially with jitter', () => {
+    const options = { baseDelay: 1000, maxDelay: 10000 };
+
+    expect(computeBackoff(1, { ...options, random: () => 0 })).toBe(500);
+    expect(computeBackoff(1, { ...options, random: () => 1 })).toBe(1000);
+    expect(computeBackoff(3, { ...options, random: () => 1 })).toBe(4000);
+    expect(computeBackoff(10, { ...options, random: () => 1 })).toBe(10000);
+  });
+
+  test('should reschedule transient failures with a nextAttemptAt', async () => {
+    const notification = await queueNotification('retry-transient');
+    service.providers.email = {
+      send: async () => ({ success: false, error: 'Connection timed out', retryable: true })
+    };
+
+    await service.processNotification(notification);
+
+    const stored = await db.getNotification('retry-transient');
+    expect(stored.status).toBe('pending');
+    expect(stored.retryCount).toBe(1);
+    expect(new Date(stored.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+    expect(await service.queue.has('retry-transient')).toBe(true);
+    expect(await service.takeDueNotifications(10)).toHaveLength(0);
+  });
+
+  test('should fail permanently once retries are exhausted', async () => {
+    const notification = await queueNotification('retry-exhausted', {
+      retryCount: config.QUEUE_RETRY_ATTEMPTS
+    });
+    service.providers.email = {
+      send: async () => ({ success: false, error: 'Connection timed out', retryable: true })
+    };
+
+    await service.processNotification(notification);
+
+    const stored = await db.getNotification('retry-exhausted');
+    expect(stored.status).toBe('failed');
+    expect(stored.failedAt).toBeTruthy();
+  });
+
+  test('should not retry permanent failures', async () => {
+    const notification = await queueNotification('retry-permanent', {
+      type: 'sms',
+      recipient: 'not-a-phone-number'
+    });
+
+    await service.processNotification(notification);
+
+    const stored = await db.getNotification('retry-permanent');
+    expect(stored.status).toBe('failed');
+    expect(stored.retryCount).toBe(0);
+    expect(stored.providerResponse).toHaveProperty('errorCode', 'INVALID_RECIPIENT');
+  });
+});
+
+describe('Authentication', () => {
+  async function createKey(name, scopes) {
+    const response = await api
+      .post('/api/keys')
+      .send({ name, scopes })
+      .expect(201);
+    return response.body;
+  }
+
+  const smsPayload = { recipient: '+1555123456', message: 'Auth test', type: 'sms' };
+
+  test('should reject API requests without credentials', async () => {
+    const response = await request(app)
+      .get('/api/notifications/history')
+      .expect(401);
+
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    expect(response.body).toHaveProperty('error', 'Unauthorized');
+
+    await request(app)
+      .get('/api/notifications/history')
+      .set('Authorization', 'Bearer nsk_not-a-real-key')
+      .expect(401);
+  });
+
+  test('should leave the health check open', async () => {
+    await request(app).get('/health').expect(200);
+  });
+
+  test('should issue keys whose secret is only shown once', async () => {
+    const created = await createKey('reporting', ['read']);
+
+    expect(created.key).toMatch(/^nsk_/);
+    expect(created.keyPrefix).toBe(created.key.slice(0, 12));
+    expect(created.scopes).toEqual(['read']);
+    expect(created).not.toHaveProperty('keyHash');
+
+    const listed = await api.get('/api/keys').expect(200);
+    const entry = listed.body.keys.find(key => key.id === created.id);
+
+    expect(entry).toMatchObject({ name: 'reporting', scopes: ['read'] });
+    expect(entry).not.toHaveProperty('key');
+    expect(entry).not.toHaveProperty('keyHash');
+  });
+
+  test('should validate scopes when issuing keys', async () => {
+    const response = await api
+      .post('/api/keys')
+      .send({ name: 'bad', scopes: ['read', 'superuser'] })
+      .expect(400);
+
+    expect(response.body.details).toEqual([
+      expect.objectContaining({ code: 'INVALID_VALUE', path: 'scopes[1]' })
+    ]);
+
+    await api.post('/api/keys').send({ name: 'none', scopes: [] }).expect(400);
+    await api.post('/api/keys').send({ scopes: ['read'] }).expect(400);
+  });
+
+  test('should enforce scopes per route', async () => {
+    const reader = await createKey('reader', ['read']);
+    const sender = await createKey('sender', ['send']);
+
+    await request(app)
+      .get('/api/notifications/history')
+      .set('X-API-Key', reader.key)
+      .expect(200);
+
+    const forbidden = await request(app)
+      .post('/api/notifications/send')
+      .set('X-API-Key', reader.key)
+      .send(smsPayload)
+      .expect(403);
+    expect(forbidden.body.message).toContain('send');
+
+    await request(app)
+      .get('/api/notifications/history')
+      .set('Authorization', `Bearer ${sender.key}`)
+      .expect(403);
+
+    await request(app)
+      .get('/api/keys')
+      .set('Authorization', `Bearer ${sender.key}`)
+      .expect(403);
+
+    await request(app)
+      .get('/api/dead-letters')
+      .set('Authorization', `Bearer ${reader.key}`)
+      .expect(403);
+  });
+
+  test('should record which key created each notification', async () => {
+    const sender = await createKey('checkout', ['send']);
+
+    const single = await request(app)
+      .post('/api/notifications/send')
+      .set('Authorization', `Bearer ${sender.key}`)
+      .send(smsPayload)
+      .expect(200);
+
+    const bulk = await request(app)
+      .post('/api/notifications/bulk-send')
+      .set('Authorization', `Bearer ${sender.key}`)
+      .send({ notifications: [{ ...smsPayload, createdBy: 'someone-else' }] })
+      .expect(200);
+
+    const status = await api.get(`/api/notifications/${single.body.notificationId}/status`).expect(200);
+    expect(status.body).toHaveProperty('createdBy', sender.id);
+
+    const bulkStatus = await api.get(`/api/notifications/${bulk.body.results[0].id}/status`).expect(200);
+    expect(bulkStatus.body).toHaveProperty('createdBy', sender.id);
+
+    const history = await api.get(`/api/notifications/history?createdBy=${sender.id}`).expect(200);
+    expect(history.body.notifications.map(notification => notification.id).sort())
+      .toEqual([single.body.notificationId, bulk.body.results[0].id].sort());
+  });
+
+  test('should keep idempotency keys separate per caller', async () => {
+    const first = await createKey('first', ['send']);
+    const second = await createKey('second', ['send']);
+
+    const responses = [];
+    for (const { key } of [first, second]) {
+      const response = await request(app)
+        .post('/api/notifications/send')
+        .set('Authorization', `Bearer ${key}`)
+        .set('Idempotency-Key', 'shared-key')
+        .send(smsPayload)
+        .expect(200);
+      responses.push(response);
+    }
+
+    expect(responses[1].headers['idempotent-replayed']).toBeUndefined();
+    expect(responses[1].body.notificationId).not.toBe(responses[0].body.notificationId);
+  });
+
+  test('should rotate a key without changing its id', async () => {
+    const created = await createKey('rotating', ['read']);
+
+    const rotated = await api.post(`/api/keys/${created.id}/rotate`).expect(200);
+
+    expect(rotated.body.id).toBe(created.id);
+    expect(rotated.body.key).not.toBe(created.key);
+    expect(rotated.body.rotatedAt).toBeTruthy();
+
+    await request(app)
+      .get('/api/notifications/history')
+      .set('X-API-Key', created.key)
+      .expect(401);
+
+    await request(app)
+      .get('/api/notifications/history')
+      .set('X-API-Key', rotated.body.key)
+      .expect(200);
+  });
+
+  test('should revoke keys', async () => {
+    const created = await createKey('leaked', ['read']);
+
+    const revoked = await api.delete(`/api/keys/${created.id}`).expect(200);
+    expect(revoked.body.revokedAt).toBeTruthy();
+
+    await request(app)
+      .get('/api/notifications/history')
+      .set('X-API-Key', created.key)
+      .expect(401);
+
+    await api.delete(`/api/keys/${created.id}`).expect(409);
+    await api.post(`/api/keys/${created.id}/rotate`).expect(409);
+    await api.delete('/api/keys/does-not-exist').expect(404);
+
+    const active = await api.get('/api/keys').expect(200);
+    expect(active.body.keys.map(key => key.id)).not.toContain(created.id);
+
+    const all = await api.get('/api/keys?includeRevoked=true').expect(200);
+    expect(all.body.keys.map(key => key.id)).toContain(created.id);
+  });
+
+  test('should accept HS256 bearer tokens signed with JWT_SECRET', async () => {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const token = signJwt({ sub: 'billing-service', scope: 'send read', exp: nowSeconds + 60 }, 'test-jwt-secret');
+
+    const sent = await request(app)
+      .post('/api/notifications/send')
+      .set('Authorization', `Bearer ${token}`)
+      .send(smsPayload)
+      .expect(200);
+
+    const status = await request(app)
+      .get(`/api/notifications/${sent.body.notificationId}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(status.body).toHaveProperty('createdBy', 'jwt:billing-service');
+
+    await request(app)
+      .get('/api/keys')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  test('should reject expired or forged tokens', async () => {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const expired = signJwt({ sub: 'svc', scope: 'read', exp: nowSeconds - 120 }, 'test-jwt-secret');
+    const forged = signJwt({ sub: 'svc', scope: 'admin' }, 'wrong-secret');
+
+    const response = await request(app)
+      .get('/api/notifications/history')
+      .set('Authorization', `Bearer ${expired}`)
+      .expect(401);
+    expect(response.body.message).toBe('Token has expired');
+
+    await request(app)
+      .get('/api/notifications/history')
+      .set('Authorization', `Bearer ${forged}`)
+      .expect(401);
+  });
+
+  test('should reject tokens without an expiry', async () => {
+    const token = signJwt({ sub: 'svc', scope: 'read' }, 'test-jwt-secret');
+
+    const response = await request(app)
+      .get('/api/notifications/history')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+    expect(response.body.message).toBe('Token has no expiry');
+  });
+
+  test('should refuse to start with placeholder credentials', () => {
+    const loadConfigWith = (overrides) => {
+      const saved = {
+        ADMIN_API_KEY: process.env.ADMIN_API_KEY,
+        JWT_SECRET: process.env.JWT_SECRET,
+        ENCRYPTION_KEY: process.env.ENCRYPTION_KEY
+      };
+      Object.assign(process.env, overrides);
+      try {
+        jest.isolateModules(() => require('../src/config/config'));
+      } finally {
+        Object.assign(process.env, saved);
+      }
+    };
+
+    expect(() => loadConfigWith({ ADMIN_API_KEY: 'your-bootstrap-admin-key' })).toThrow(/ADMIN_API_KEY/);
+    expect(() => loadConfigWith({ JWT_SECRET: 'your-jwt-secret-key-here' })).toThrow(/JWT_SECRET/);
+    expect(() => loadConfigWith({ ENCRYPTION_KEY: 'your-32-character-encryption-key' })).toThrow(/ENCRYPTION_KEY/);
+    expect(() => loadConfigWith({ ENCRYPTION_KEY: 'encryption_key_32_characters_long' })).toThrow(/ENCRYPTION_KEY/);
+    expect(() => loadConfigWith({ ADMIN_API_KEY: 'a-real-key' })).not.toThrow();
+  });
+});
+
+describe('Tenants', () => {
+  const smsPayload = { recipient: '+1555123456', message: 'Tenant test', type: 'sms' };
+
+  async function createTenant(definition) {
+    const response = await api
+      .post('/api/tenants')
+      .send(definition)
+      .expect(201);
+    return response.body;
+  }
+
+  // An agent acting with a fresh admin-scoped key of `tenantId`
+  async function tenantClient(tenantId, scopes = ['admin']) {
+    const response = await api
+      .post('/api/keys')
+      .set('X-Tenant-Id', tenantId)
+      .send({ name: `${tenantId} key`, scopes })
+      .expect(201);
+
+    expect(response.body.tenantId).toBe(tenantId);
+    return request.agent(app).set('Authorization', `Bearer ${response.body.key}`);
+  }
+
+  test('should create tenants with masked, encrypted provider credentials', async () => {
+    const tenant = await createTenant({
+      id: 'team-secrets',
+      name: 'Secrets Team',
+      providers: { sms: { from: '+15550001111', accountSid: 'AC123', authToken: 'super-secret-token' } }
+    });
+
+    expect(tenant.providers.sms).toEqual({ from: '+15550001111', accountSid: 'AC123', authToken: '********' });
+
+    const row = await app.locals.services.db.getTenant('team-secrets');
+    expect(row.providers).not.toContain('super-secret-token');
+    expect(row.providers).not.toContain('AC123');
+
+    await api.post('/api/tenants').send({ id: 'team-secrets', name: 'Again' }).expect(409);
+    await api.post('/api/tenants').send({ id: 'Bad Id', name: 'Bad' }).expect(400);
+    await api.post('/api/tenants').send({ id: 'bad-quota', name: 'Bad', quotas: { sms: { week: 5 } } }).expect(400);
+    await api.post('/api/tenants').send({ id: 'bad-provider', name: 'Bad', providers: { sms: { pin: '1' } } }).expect(400);
+  });
+
+  test('should refuse provider settings until an encryption key is set', async () => {
+    const TenantService = require('../src/services/TenantService');
+    const keyless = new TenantService(app.locals.services.db, { encryptionKey: '' });
+
+    expect(keyless.validateTenant({ id: 'no-key', name: 'No Key', providers: { sms: { from: '+15550004444' } } }))
+      .toBe('providers cannot be stored until ENCRYPTION_KEY is set on the server');
+    expect(keyless.validateTenant({ id: 'no-key', name: 'No Key', providers: {} })).toBeNull();
+
+    const tenant = await keyless.createTenant({ id: 'no-key', name: 'No Key' });
+    expect(tenant.providers).toEqual({});
+    expect((await app.locals.services.db.getTenant('no-key')).providers).toBeNull();
+    await expect(keyless.updateTenant('no-key', { providers: { sms: { from: '+15550004444' } } })).rejects.toThrow('ENCRYPTION_KEY is not set');
+  });
+
+  test('should merge provider settings on update and keep secrets that are left out', async () => {
+    await createTenant({
+      id: 'team-update',
+      name: 'Update Team',
+      providers: { sms: { from: '+15550002222', accountSid: 'AC1', authToken: 'token-1' }, webhook: { secret: 's' } }
+    });
+
+    const updated = await api
+      .patch('/api/tenants/team-update')
+      .send({ name: 'Renamed', providers: { sms: { from: '+15550003333', authToken: '********' }, webhook: null } })
+      .expect(200);
+
+    expect(updated.body.name).toBe('Renamed');
+    expect(updated.body.providers).toEqual({
+      sms: { from: '+15550003333', accountSid: 'AC1', authToken: '********' }
+    });
+
+    const tenant = await app.locals.services.tenantService.getTenant('team-update');
+    expect(tenant.providers.sms.authToken).toBe('token-1');
+
+    await api.patch('/api/tenants/missing').send({ name: 'x' }).expect(404);
+  });
+
+  test('should restrict tenant administration to the operator', async () => {
+    await createTenant({ id: 'team-admin', name: 'Admin Team' });
+    const tenantAdmin = await tenantClient('team-admin');
+
+    await tenantAdmin.get('/api/tenants').expect(403);
+    await tenantAdmin.post('/api/tenants').send({ id: 'sneaky', name: 'Sneaky' }).expect(403);
+
+    const other = await tenantAdmin
+      .get('/api/notifications/history')
+      .set('X-Tenant-Id', 'default')
+      .expect(403);
+    expect(other.body.message).toContain('default');
+  });
+
+  test('should keep notifications, history, stats and cancellation apart', async () => {
+    await createTenant({ id: 'team-a', name: 'Team A' });
+    await createTenant({ id: 'team-b', name: 'Team B' });
+    const teamA = await tenantClient('team-a');
+    const teamB = await tenantClient('team-b');
+
+    const sent = await teamA
+      .post('/api/notifications/send')
+      .send({ ...smsPayload, sendAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() })
+      .expect(200);
+    const id = sent.body.notificationId;
+
+    const own = await teamA.get(`/api/notifications/${id}/status`).expect(200);
+    expect(own.body.tenantId).toBe('team-a');
+
+    await teamB.get(`/api/notifications/${id}/status`).expect(404);
+    await api.get(`/api/notifications/${id}/status`).expect(404);
+
+    const historyB = await teamB.get('/api/notifications/history').expect(200);
+    expect(historyB.body.notifications).toEqual([]);
+
+    const historyA = await teamA.get('/api/notifications/history').expect(200);
+    expect(historyA.body.notifications.map(notification => notification.id)).toEqual([id]);
+
+    const statsB = await teamB.get('/api/notifications/stats').expect(200);
+    expect(statsB.body.totals.total).toBe(0);
+    expect(statsB.body).not.toHaveProperty('queue');
+
+    const statsA = await teamA.get('/api/notifications/stats').expect(200);
+    expect(statsA.body.totals.total).toBe(1);
+
+    await teamB.delete(`/api/notifications/${id}`).expect(404);
+    const cancelAll = await teamB.delete('/api/notifications?all=true').expect(200);
+    expect(cancelAll.body.cancelled).toBe(0);
+
+    await teamA.delete(`/api/notifications/${id}`).expect(200);
+  });
+
+  test('should keep API keys apart', async () => {
+    await createTenant({ id: 'team-keys', name: 'Keys Team' });
+    const teamKeys = await tenantClient('team-keys');
+
+    const defaultKeys = await api.get('/api/keys').expect(200);
+    const defaultKeyId = defaultKeys.body.keys[0].id;
+
+    const listed = await teamKeys.get('/api/keys').expect(200);
+    expect(listed.body.keys.every(key => key.tenantId === 'team-keys')).toBe(true);
+
+    await teamKeys.delete(`/api/keys/${defaultKeyId}`).expect(404);
+    await teamKeys.post(`/api/keys/${defaultKeyId}/rotate`).expect(404);
+  });
+
+  test('should enforce sending quotas', async () => {
+    await createTenant({ id: 'team-quota', name: 'Quota Team', quotas: { sms: { day: 2 }, '*': { minute: 100 } } });
+    const teamQuota = await tenantClient('team-quota');
+
+    await teamQuota.post('/api/notifications/send').send(smsPayload).expect(200);
+    await teamQuota.post('/api/notifications/send').send(smsPayload).expect(200);
+
+    const rejected = await teamQuota.post('/api/notifications/send').send(smsPayload).expect(429);
+    expect(rejected.body).toHaveProperty('error', 'Quota exceeded');
+    expect(rejected.body.quota).toMatchObject({ channel: 'sms', window: 'day', limit: 2, used: 2 });
+    expect(Number(rejected.headers['retry-after'])).toBeGreaterThan(0);
+
+    // Other channels are only bound by the tenant-wide quota
+    const bulk = await teamQuota
+      .post('/api/notifications/bulk-send')
+      .send({ notifications: [smsPayload, { recipient: 'a@example.com', message: 'Hi', type: 'email' }] })
+      .expect(200);
+    expect(bulk.body.results[0]).toMatchObject({ status: 'error', quota: { channel: 'sms' } });
+    expect(bulk.body.results[1]).toHaveProperty('status', 'queued');
+
+    // Other tenants are unaffected
+    await api.post('/api/notifications/send').send(smsPayload).expect(200);
+
+    const tenant = await teamQuota.get('/api/tenant').expect(200);
+    expect(tenant.body.usage).toEqual(expect.arrayContaining([
+      expect.objectContaining({ channel: 'sms', window: 'day', limit: 2, used: 2 }),
+      expect.objectContaining({ channel: '*', window: 'minute', limit: 100, used: 3 })
+    ]));
+  });
+
+  test('should send with the tenant\'s own sender identity', async () => {
+    await createTenant({ id: 'team-sender', name: 'Sender Team', providers: { sms: { from: '+15550009999' } } });
+    const teamSender = await tenantClient('team-sender');
+
+    const sent = await teamSender.post('/api/notifications/send').send(smsPayload).expect(200);
+    const delivered = await waitForStatus(sent.body.notificationId, 'sent', 5000, teamSender);
+
+    expect(delivered.providerResponse.deliveryInfo.from).toBe('+15550009999');
+
+    const fallback = await api.post('/api/notifications/send').send(smsPayload).expect(200);
+    const defaultDelivered = await waitForStatus(fallback.body.notificationId, 'sent');
+
+    expect(defaultDelivered.providerResponse.deliveryInfo.from).not.toBe('+15550009999');
+  });
+
+  test('should release a tenant\'s provider only once its settings change', async () => {
+    const NotificationService = require('../src/services/NotificationService');
+    const PushProvider = require('../src/providers/PushProvider');
+    const tenant = { id: 'team-push', updatedAt: '1', providers: { push: { serviceAccount: '{"project_id":"a"}' } } };
+    const service = new NotificationService(app.locals.services.db, { tenantService: { getTenant: async () => tenant } });
+    clearInterval(service.processorInterval);
+    clearInterval(service.recoveryInterval);
+    clearInterval(service.schedulerInterval);
+    await service.ready;
+
+    const close = jest.spyOn(PushProvider.prototype, 'close').mockResolvedValue();
+    const notification = { type: 'push', tenantId: 'team-push' };
+
+    const first = await service.getProvider(notification);
+    expect(await service.getProvider(notification)).toBe(first);
+
+    // Renaming the tenant keeps the same Firebase app name, so nothing is torn down
+    tenant.updatedAt = '2';
+    const renamed = await service.getProvider(notification);
+    expect(renamed.settings.name).toBe(first.settings.name);
+    expect(close).not.toHaveBeenCalled();
+
+    tenant.updatedAt = '3';
+    tenant.providers.push = { serviceAccount: '{"project_id":"b"}' };
+    const replaced = await service.getProvider(notification);
+    expect(replaced.settings.name).not.toBe(first.settings.name);
+    expect(close).toHaveBeenCalledTimes(1);
+    expect(close.mock.instances[0]).toBe(renamed);
+
+    close.mockRestore();
+  });
+});
+
+describe('Status Stream', () => {
+  const http = require('http');
+  const { WebSocket } = require('ws');
+
+  const server = http.createServer(app);
+  server.on('upgrade', app.locals.handleUpgrade);
+  // Upgraded sockets are out of reach of closeAllConnections()
+  const sockets = new Set();
+  server.on('connection', socket => sockets.add(socket));
+  const auth = { Authorization: `Bearer ${process.env.ADMIN_API_KEY}` };
+  const sendAt = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  let port;
+
+  beforeAll(async () => {
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function waitFor(predicate, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (!predicate()) {
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for stream events');
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  // Resolves once the stream is open; `events` fills up as they arrive
+  function openEventStream(path, headers = auth) {
+    return new Promise((resolve, reject) => {
+      const req = http.get({ port, path, headers: { Accept: 'text/event-stream', ...headers } }, res => {
+        const events = [];
+        let buffer = '';
+
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const fields = {};
+            for (const line of buffer.slice(0, end).split('\n')) {
+              const separator = line.indexOf(': ');
+              if (separator > 0) {
+                fields[line.slice(0, separator)] = line.slice(separator + 2);
+              }
+            }
+            buffer = buffer.slice(end + 2);
+
+            if (fields.data) {
+              events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+            }
+          }
+        });
+
+        resolve({ status: res.statusCode, events, close: () => req.destroy() });
+      });
+      req.on('error', reject);
+    });
+  }
+
+  // A WebSocket client that collects the JSON frames it receives; rejected handshakes resolve with their status
+  function openWebSocket(path, headers = auth) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(`ws://localhost:${port}${path}`, { headers });
+      const messages = [];
+
+      socket.on('upgrade', res => {
+        resolve({ status: res.statusCode, headers: res.headers, accept: res.headers['sec-websocket-accept'], messages, socket, close: () => socket.terminate() });
+      });
+      socket.on('message', data => messages.push(JSON.parse(data.toString('utf8'))));
+      socket.on('unexpected-response', (req, res) => {
+        resolve({ status: res.statusCode });
+        req.destroy();
+      });
+      socket.on('error', reject);
+    });
+  }
+
+  test('should stream every transition of a recipient over Server-Sent Events', async () => {
+    const recipient = '+15557770001';
+    const stream = await openEventStream(`/api/notifications/events?recipient=${encodeURIComponent(recipient)}`);
+    expect(stream.status).toBe(200);
+
+    const sent = await api
+      .post('/api/notifications/send')
+      .send({ recipient, message: 'Streamed', type: 'sms' })
+      .expect(200);
+
+    await waitFor(() => stream.events.some(event => event.event === 'sent'));
+    stream.close();
+
+    expect(stream.events.map(event => event.event)).toEqual(['queued', 'processing', 'sent']);
+    expect(stream.events.every(event => event.data.notificationId === sent.body.notificationId)).toBe(true);
+    expect(stream.events[2].data).toMatchObject({ status: 'sent', tenantId: 'default', type: 'sms' });
+
+    const ids = stream.events.map(event => event.id);
+    expect(ids).toEqual([...ids].sort((a, b) => a - b));
+  });
+
+  test('should replay events after Last-Event-ID on reconnect', async () => {
+    const recipient = '+15557770002';
+    const first = await openEventStream(`/api/notifications/events?recipient=${encodeURIComponent(recipient)}`);
+
+    const sent = await api
+      .post('/api/notifications/send')
+      .send({ recipient, message: 'Resumed', type: 'sms' })
+      .expect(200);
+
+    await waitFor(() => first.events.length > 0);
+    first.close();
+    await waitForStatus(sent.body.notificationId, 'sent');
+
+    const resumed = await openEventStream(
+      `/api/notifications/events?notificationId=${sent.body.notificationId}`,
+      { ...auth, 'Last-Event-ID': String(first.events[0].id) }
+    );
+    await waitFor(() => resumed.events.some(event => event.event === 'sent'));
+    resumed.close();
+
+    expect(resumed.events.map(event => event.event)).toEqual(['processing', 'sent']);
+  });
+
+  test('should only stream events of the subscriber\'s tenant', async () => {
+    await api.post('/api/tenants').send({ id: 'stream-other', name: 'Stream Other' }).expect(201);
+    const own = await openEventStream('/api/notifications/events');
+    const other = await openEventStream('/api/notifications/events', { ...auth, 'X-Tenant-Id': 'stream-other' });
+
+    const sent = await api
+      .post('/api/notifications/send')
+      .send({ recipient: '+15557770003', message: 'Not yours', type: 'sms', sendAt: sendAt() })
+      .expect(200);
+
+    await waitFor(() => own.events.some(event => event.data.notificationId === sent.body.notificationId));
+    own.close();
+    other.close();
+
+    expect(other.events).toEqual([]);
+  });
+
+  test('should authenticate event streams, accepting access_token for EventSource clients', async () => {
+    const anonymous = await openEventStream('/api/notifications/events', {});
+    expect(anonymous.status).toBe(401);
+    anonymous.close();
+
+    const withToken = await openEventStream(`/api/notifications/events?access_token=${process.env.ADMIN_API_KEY}`, {});
+    expect(withToken.status).toBe(200);
+    withToken.close();
+
+    const invalid = await openEventStream('/api/notifications/events?lastEventId=abc');
+    expect(invalid.status).toBe(400);
+    invalid.close();
+  });
+
+  test('should stream over WebSocket with resumption from lastEventId', async () => {
+    const created = await api
+      .post('/api/notifications/send')
+      .send({ recipient: '+15557770004', message: 'Cancel me', type: 'sms', sendAt: sendAt() })
+      .expect(200);
+    const id = created.body.notificationId;
+    await api.delete(`/api/notifications/${id}`).expect(200);
+
+    const socket = await openWebSocket(`/api/v1/notifications/events?notificationId=${id}&lastEventId=0`);
+    expect(socket.status).toBe(101);
+    expect(socket.accept).toEqual(expect.any(String));
+    expect(socket.headers).not.toHaveProperty('deprecation');
+
+    await waitFor(() => socket.messages.length === 2);
+    socket.close();
+
+    expect(socket.messages.map(message => message.event)).toEqual(['scheduled', 'cancelled']);
+    expect(socket.messages[1]).toMatchObject({ notificationId: id, status: 'cancelled' });
+  });
+
+  test('should reject WebSocket upgrades without a credential or on other paths', async () => {
+    expect((await openWebSocket('/api/notifications/events', {})).status).toBe(401);
+    expect((await openWebSocket('/api/notifications/elsewhere')).status).toBe(404);
+    expect((await openWebSocket('/api/v2/notifications/events')).status).toBe(404);
+  });
+
+  test('should only accept WebSocket upgrades from allowed origins', async () => {
+    const path = '/api/v1/notifications/events';
+
+    expect((await openWebSocket(path, { ...auth, Origin: 'https://evil.example' })).status).toBe(403);
+
+    const sameOrigin = await openWebSocket(path, { ...auth, Origin: `http://localhost:${port}` });
+    sameOrigin.close();
+    expect(sameOrigin.status).toBe(101);
+  });
+
+  test('should keep the stream open across fragmented client messages', async () => {
+    const connection = await openWebSocket('/api/v1/notifications/events');
+    connection.socket.send('{"hello":', { fin: false });
+    connection.socket.send('"there"}', { fin: true });
+
+    const created = await api
+      .post('/api/notifications/send')
+      .send({ recipient: '+15557770005', message: 'Still open', type: 'sms', sendAt: sendAt() })
+      .expect(200);
+
+    await waitFor(() => connection.messages.some(message => message.notificationId === created.body.notificationId));
+    connection.close();
+  });
+
+  test('should mark WebSocket upgrades on the legacy path as deprecated', async () => {
+    const socket = await openWebSocket('/api/notifications/events');
+    socket.close();
+
+    expect(socket.status).toBe(101);
+    expect(socket.headers.deprecation).toMatch(/^@\d+$/);
+    expect(socket.headers.link).toBe('</api/v1/notifications/events>; rel="successor-version"');
+  });
+});
+
+describe('Payload Validation', () => {
+  const { validateNotification } = require('../src/utils/validation');
+
+  const codesFor = payload => validateNotification(payload).map(error => `${error.code} ${error.path}`);
+
+  test('should accept well-formed payloads for every channel', () => {
+    expect(validateNotification({
+      recipient: 'user@example.com',
+      message: 'Hi',
+      type: 'email',
+      metadata: { subject: 'Hello', buttonUrl: 'https://example.com' }
+    })).toEqual([]);
+    expect(validateNotification({ recipient: '+447911123456', message: 'Hi', type: 'sms' })).toEqual([]);
+    expect(validateNotification({
+      recipient: 'dQw4w9WgXcQ:APA91bH-sample_token.0123456789',
+      message: 'Hi',
+      type: 'push',
+      metadata: { title: 'Update', data: { version: '1.2.0' } }
+    })).toEqual([]);
+    expect(validateNotification({ recipient: 'https://example.com/hook', message: 'Hi', type: 'webhook' })).toEqual([]);
+  });
+
+  test('should report recipient problems with channel-specific codes', () => {
+    expect(codesFor({ recipient: 'user@', message: 'Hi', type: 'email' })).toEqual(['INVALID_EMAIL recipient']);
+    expect(codesFor({ recipient: 'short', message: 'Hi', type: 'push' })).toEqual(['INVALID_PUSH_TOKEN recipient']);
+    expect(codesFor({ recipient: 'ftp://example.com', message: 'Hi', type: 'webhook' })).toEqual(['INVALID_URL recipient']);
+    expect(codesFor({ recipient: 'user@example.com', message: 'Hi', type: 'fax' })).toEqual(['UNSUPPORTED_CHANNEL type']);
+  });
+
+  test('should check shared fields and prefix paths', () => {
+    const errors = validateNotification(
+      { recipient: 'user@example.com', message: 42, type: 'email', priority: 'urgent', delayMs: -1, metadata: [] },
+      { path: 'notifications[0]' }
+    );
+
+    expect(errors.map(error => `${error.code} ${error.path}`)).toEqual([
+      'INVALID_TYPE notifications[0].message',
+      'INVALID_VALUE notifications[0].priority',
+      'INVALID_SCHEDULE notifications[0].delayMs',
+      'INVALID_TYPE notifications[0].metadata'
+    ]);
+  });
+
+  test('should cap the message length before rendering it', () => {
+    const { MAX_MESSAGE_LENGTH } = require('../src/utils/validation');
+    const message = ' _a'.repeat(Math.ceil(MAX_MESSAGE_LENGTH / 3) + 1);
+
+    expect(codesFor({ recipient: 'user@example.com', message, type: 'email', metadata: { format: 'markdown' } }))
+      .toEqual(['INVALID_VALUE message']);
+  });
+
+  test('should only accept inline email attachments', () => {
+    const withAttachments = attachments => ({ recipient: 'user@example.com', message: 'Hi', type: 'email', metadata: { attachments } });
+
+    expect(validateNotification(withAttachments([
+      { filename: 'receipt.txt', content: 'Paid' },
+      { filename: 'logo.png', content: 'iVBORw0KGgo=', encoding: 'base64', contentType: 'image/png', cid: 'logo' }
+    ]))).toEqual([]);
+    expect(codesFor(withAttachments([
+      { filename: 'passwd', path: '/etc/passwd' },
+      { filename: 'meta', href: 'http://169.254.169.254/latest/meta-data/' },
+      { content: 'x', encoding: 'gzip' }
+    ]))).toEqual([
+      'REQUIRED metadata.attachments[0].content',
+      'UNKNOWN_FIELD metadata.attachments[0].path',
+      'REQUIRED metadata.attachments[1].content',
+      'UNKNOWN_FIELD metadata.attachments[1].href',
+      'REQUIRED metadata.attachments[2].filename',
+      'INVALID_VALUE metadata.attachments[2].encoding'
+    ]);
+  });
+});
+
+describe('API Documentation', () => {
+  // Every route Express knows under `stack`, as OpenAPI templates: 'get /api/v1/keys/{id}'
+  function expressRoutes(stack = app._router.stack, prefix = '') {
+    const toTemplate = path => path.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+
+    return stack.flatMap(layer => {
+      if (layer.route) {
+        return Object.keys(layer.route.methods).map(method => `${method} ${toTemplate(prefix + layer.route.path)}`);
+      }
+      if (layer.name === 'router') {
+        const mountPath = layer.regexp.source.replace('^', '').replace('\\/?(?=\\/|$)', '').replace(/\\\//g, '/');
+        return expressRoutes(layer.handle.stack, prefix + (layer.regexp.fast_slash ? '' : mountPath));
+      }
+      return [];
+    });
+  }
+
+  test('should serve the OpenAPI document without credentials', async () => {
+    const response = await request(app).get('/api/docs/openapi.json').expect(200);
+
+    expect(response.body.openapi).toMatch(/^3\./);
+    expect(response.body.components.schemas.EmailNotification.properties.metadata.properties)
+      .toHaveProperty('unsubscribeUrl');
+    expect(response.body.components.schemas.Notification.discriminator.mapping)
+      .toEqual(expect.objectContaining({ sms: '#/components/schemas/SmsNotification' }));
+  });
+
+  test('should document every route', async () => {
+    const { body: document } = await request(app).get('/api/docs/openapi.json').expect(200);
+    const documented = Object.entries(document.paths).flatMap(([path, item]) => {
+      const base = (item.servers || document.servers)[0].url.replace(/\/$/, '');
+      return ['get', 'post', 'put', 'patch', 'delete'].filter(method => item[method]).map(method => `${method} ${base}${path}`);
+    });
+    // The unversioned aliases serve the same routes as v1
+    const served = expressRoutes().filter(route => !/ \/api\/(?!v\d|docs)/.test(route));
+
+    expect(served).toContain('post /api/v1/notifications/send');
+    expect(documented).toEqual(expect.arrayContaining(served));
+  });
+
+  test('should serve a browsable page', async () => {
+    const response = await request(app).get('/api/docs').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/html/);
+    expect(response.text).toContain('/api/v1/notifications/bulk-send');
+    expect(response.text).toContain('id="schema-SmsNotification"');
+  });
+
+  test('should validate query parameters and bodies against the document', async () => {
+    const query = await api.get('/api/notifications/history?limit=abc&order=sideways').expect(400);
+
+    expect(query.body).toEqual({
+      error: 'Validation failed',
+      details: [
+        expect.objectContaining({ code: 'INVALID_TYPE', path: 'query.limit' }),
+        expect.objectContaining({ code: 'INVALID_VALUE', path: 'query.order' })
+      ]
+    });
+
+    const body = await api
+      .patch('/api/tenants/default')
+      .send({ quotas: { sms: { day: 'many' } } })
+      .expect(400);
+
+    expect(body.body.details).toEqual([expect.objectContaining({ code: 'INVALID_TYPE', path: 'quotas.sms.day' })]);
+  });
+
+  test('should leave callers without the scope to the scope check', async () => {
+    const { body: reader } = await api.post('/api/keys').send({ name: 'docs-reader', scopes: ['read'] }).expect(201);
+
+    await request(app)
+      .post('/api/notifications/send')
+      .set('Authorization', `Bearer ${reader.key}`)
+      .send({ recipient: '', type: 'fax' })
+      .expect(403);
+  });
+});
+
+describe('Templates', () => {
+  const HOUR = 60 * 60 * 1000;
+  const { compileTemplate, renderParts, renderJson } = require('../src/utils/template');
+
+  const orderShipped = {
+    id: 'order-shipped',
+    name: 'Order shipped',
+    channels: {
+      email: {
+        subject: 'Order {{ order.id }} shipped',
+        text: 'Hi {{ name }}, order {{ order.id }} is on its way.',
+        html: '<p>Hi {{ name }}, order <b>{{ order.id }}</b> is on its way.</p>'
+      },
+      sms: { text: 'Order {{ order.id }} shipped' }
+    }
+  };
+
+  beforeAll(async () => {
+    await api.post('/api/v1/templates').send(orderShipped).expect(201);
+  });
+
+  test('should store templates and list the variables they use', async () => {
+    const response = await api.get('/api/v1/templates/order-shipped').expect(200);
+
+    expect(response.body.channels).toEqual(orderShipped.channels);
+    expect(response.body.variables).toEqual(['order.id', 'name']);
+
+    const listed = await api.get('/api/v1/templates').expect(200);
+    expect(listed.body.templates.map(template => template.id)).toContain('order-shipped');
+
+    await api.post('/api/v1/templates').send(orderShipped).expect(409);
+  });
+
+  test('should reject templates that are not logic-less', async () => {
+    const response = await api
+      .post('/api/v1/templates')
+      .send({ id: 'broken', channels: { sms: { text: 'Hi {{#if name}}there{{/if}}' } } })
+      .expect(400);
+
+    expect(response.body.details).toEqual([
+      expect.objectContaining({ code: 'INVALID_TEMPLATE', path: 'channels.sms.text' })
+    ]);
+
+    await api.post('/api/v1/templates').send({ id: 'unclosed', channels: { sms: { text: 'Hi {{ name' } } }).expect(400);
+    await api.post('/api/v1/templates').send({ id: 'empty', channels: {} }).expect(400);
+  });
+
+  test('should render the variant for the channel when sending', async () => {
+    const sms = await api
+      .post('/api/v1/notifications/send')
+      .send({ recipient: '+15557792001', type: 'sms', templateId: 'order-shipped', variables: { order: { id: 'A-17' } } })
+      .expect(200);
+
+    const smsStatus = await api.get(`/api/v1/notifications/${sms.body.notificationId}/status`).expect(200);
+    expect(smsStatus.body.message).toBe('Order A-17 shipped');
+    expect(smsStatus.body.templateId).toBe('order-shipped');
+
+    const email = await api
+      .post('/api/v1/notifications/send')
+      .send({
+        recipient: 'ana@example.com',
+        type: 'email',
+        templateId: 'order-shipped',
+        variables: { name: '<Ana>', order: { id: 42 } },
+        metadata: { buttonText: 'Track' },
+        delayMs: HOUR
+      })
+      .expect(200);
+
+    const emailStatus = await api.get(`/api/v1/notifications/${email.body.notificationId}/status`).expect(200);
+    expect(emailStatus.body.message).toBe('Hi <Ana>, order 42 is on its way.');
+    expect(emailStatus.body.metadata).toEqual({
+      buttonText: 'Track',
+      subject: 'Order 42 shipped',
+      html: '<p>Hi &lt;Ana&gt;, order <b>42</b> is on its way.</p>'
+    });
+  });
+
+  test('should report missing variables and unusable templates', async () => {
+    const missing = await api
+      .post('/api/v1/notifications/send')
+      .send({ recipient: 'ana@example.com', type: 'email', templateId: 'order-shipped', variables: { order: {} } })
+      .expect(400);
+    expect(missing.body.details.map(detail => `${detail.code} ${detail.path}`)).toEqual([
+      'MISSING_VARIABLE variables.order.id',
+      'MISSING_VARIABLE variables.name'
+    ]);
+
+    const noVariant = await api
+      .post('/api/v1/notifications/send')
+      .send({ recipient: 'https://example.com/hook', type: 'webhook', templateId: 'order-shipped', variables: {} })
+      .expect(400);
+    expect(noVariant.body.details[0].code).toBe('TEMPLATE_CHANNEL_MISSING');
+
+    const unknown = await api
+      .post('/api/v1/notifications/send')
+      .send({ recipient: '+15557792002', type: 'sms', templateId: 'no-such-template' })
+      .expect(400);
+    expect(unknown.body.details[0]).toMatchObject({ code: 'TEMPLATE_NOT_FOUND', path: 'templateId' });
+
+    const both = await api
+      .post('/api/v1/notifications/send')
+      .send({ recipient: '+15557792003', type: 'sms', message: 'Hi', templateId: 'order-shipped' })
+      .expect(400);
+    expect(both.body.details[0].path).toBe('message');
+  });
+
+  test('should render templates in bulk sends item by item', async () => {
+    const response = await api
+      .post('/api/v1/notifications/bulk-send')
+      .send({
+        notifications: [
+          { recipient: '+15557792011', type: 'sms', templateId: 'order-shipped', variables: { order: { id: 1 } } },
+          { recipient: '+15557792012', type: 'sms', templateId: 'order-shipped' }
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.results[0].status).toBe('queued');
+    expect(response.body.results[1].details[0]).toMatchObject({
+      code: 'MISSING_VARIABLE',
+      path: 'notifications[1].variables.order.id'
+    });
+  });
+
+  test('should take template columns in bulk job uploads', async () => {
+    await api.post('/api/v1/templates').send({ id: 'csv-hello', channels: { sms: { text: 'Hello {{ name }}' } } }).expect(201);
+
+    const job = await api
+      .post('/api/v1/jobs')
+      .set('Content-Type', 'text/csv')
+      .send('recipient,type,templateId,variables.name\n+15557792021,sms,csv-hello,Ana\n+15557792022,sms,csv-hello,\n')
+      .expect(202);
+
+    expect(await waitForJob(job.body.id)).toMatchObject({ accepted: 1, rejected: 1, queued: 1 });
+
+    const history = await api.get('/api/v1/notifications/history').query({ jobId: job.body.id }).expect(200);
+    expect(history.body.notifications.map(notification => notification.message)).toEqual(['Hello Ana']);
+  });
+
+  test('should update and delete templates', async () => {
+    await api
+      .post('/api/v1/templates')
+      .send({ id: 'welcome', channels: { sms: { text: 'Welcome {{ name }}' }, push: { title: 'Hi', body: 'Welcome {{ name }}' } } })
+      .expect(201);
+
+    const updated = await api
+      .patch('/api/v1/templates/welcome')
+      .send({ name: 'Welcome', channels: { push: null, sms: { text: 'Welcome aboard, {{ name }}' } } })
+      .expect(200);
+    expect(Object.keys(updated.body.channels)).toEqual(['sms']);
+    expect(updated.body.name).toBe('Welcome');
+
+    await api.patch('/api/v1/templates/welcome').send({ channels: { sms: null } }).expect(400);
+
+    await api.delete('/api/v1/templates/welcome').expect(200);
+    await api.get('/api/v1/templates/welcome').expect(404);
+    await api.delete('/api/v1/templates/welcome').expect(404);
+  });
+
+  test('should keep value types in JSON variants', () => {
+    const { value, missing } = renderJson(
+      { orderId: '{{ order.id }}', summary: 'Order {{ order.id }}', items: '{{ order.items }}', note: '{{ note }}' },
+      { order: { id: 7, items: [{ sku: 'A' }] } }
+    );
+
+    expect(value).toEqual({ orderId: 7, summary: 'Order 7', items: [{ sku: 'A' }], note: undefined });
+    expect(missing).toEqual(['note']);
+    expect(renderParts(compileTemplate('{{ list }}'), { list: [1] }).invalid.map(entry => entry.name)).toEqual(['list']);
+    expect(renderParts(compileTemplate('{{{ html }}}'), { html: '<b>' }, { html: true }).text).toBe('<b>');
+  });
+});
+
+describe('Localized Templates', () => {
+  const HOUR = 60 * 60 * 1000;
+  const { localeChain } = require('../src/utils/locale');
+  const { compileTemplate, renderParts } = require('../src/utils/template');
+
+  beforeAll(async () => {
+    await api
+      .post('/api/v1/templates')
+      .send({
+        id: 'invoice-due',
+        channels: { sms: { text: 'Invoice {{ number }}: {{ total | currency:EUR }} due {{ due | date:long }}' } },
+        locales: {
+          pt: { sms: { text: 'Fatura {{ number }}: {{ total | currency:EUR }} vence em {{ due | date:long }}' } },
+          'de-de': { sms: { text: 'Rechnung {{ number }}: {{ total | currency:EUR }} fällig am {{ due | date:long }}' } }
+        }
+      })
+      .expect(201);
+  });
+
+  const send = async body => {
+    const response = await api
+      .post('/api/v1/notifications/send')
+      .send({ type: 'sms', templateId: 'invoice-due', variables: { number: 7, total: 1234.5, due: '2026-03-01' }, delayMs: HOUR, ...body })
+      .expect(200);
+
+    return (await api.get(`/api/v1/notifications/${response.body.notificationId}/status`).expect(200)).body;
+  };
+
+  test('should build fallback chains from the most specific locale', () => {
+    expect(localeChain('zh-hant-tw')).toEqual(['zh-Hant-TW', 'zh-Hant', 'zh']);
+    expect(localeChain('pt-BR')).toEqual(['pt-BR', 'pt']);
+    expect(localeChain('not a locale')).toEqual([]);
+  });
+
+  test('should store locale keys in canonical form', async () => {
+    const response = await api.get('/api/v1/templates/invoice-due').expect(200);
+
+    expect(Object.keys(response.body.locales)).toEqual(['pt', 'de-DE']);
+    expect(response.body.defaultLocale).toBe('en');
+    expect(response.body.variables).toEqual(['number', 'total', 'due']);
+  });
+
+  test('should fall back from pt-BR to pt and format for the locale asked for', async () => {
+    const status = await send({ recipient: '+15557793001', locale: 'pt-BR' });
+
+    expect(status.message).toBe('Fatura 7: €\u00a01.234,50 vence em 1 de março de 2026');
+    expect(status.locale).toBe('pt');
+  });
+
+  test('should fall back to the default variant in its own locale', async () => {
+    const status = await send({ recipient: '+15557793002', locale: 'fr-CA' });
+
+    expect(status.message).toBe('Invoice 7: €1,234.50 due March 1, 2026');
+    expect(status.locale).toBe('en');
+
+    const exact = await send({ recipient: '+15557793003', locale: 'de-DE' });
+    expect(exact.message).toBe('Rechnung 7: 1.234,50\u00a0€ fällig am 1. März 2026');
+    expect(exact.locale).toBe('de-DE');
+  });
+
+  test('should inherit the locale stored for the recipient', async () => {
+    const created = await api.put('/api/v1/recipients/+15557793010').send({ locale: 'pt-pt' }).expect(201);
+    expect(created.body).toMatchObject({ recipient: '+15557793010', locale: 'pt-PT' });
+    await api.put('/api/v1/recipients/+15557793010').send({ locale: 'pt-BR' }).expect(200);
+    await api.put('/api/v1/recipients/+15557793010').send({ locale: 'xx_not_a_tag' }).expect(400);
+
+    expect((await send({ recipient: '+15557793010' })).locale).toBe('pt');
+    expect((await send({ recipient: '+15557793010', locale: 'de' })).locale).toBe('en');
+
+    await api.delete('/api/v1/recipients/+15557793010').expect(200);
+    await api.get('/api/v1/recipients/+15557793010').expect(404);
+    expect((await send({ recipient: '+15557793010' })).locale).toBe('en');
+
+    const history = await api.get('/api/v1/notifications/history').query({ filter: 'locale = pt AND templateId = invoice-due' }).expect(200);
+    expect(history.body.notifications.map(notification => notification.recipient)).toEqual(['+15557793010', '+15557793001']);
+  });
+
+  test('should merge locales on update and reject bad formatters and tags', async () => {
+    const updated = await api
+      .patch('/api/v1/templates/invoice-due')
+      .send({ locales: { pt: null, 'pt-BR': { sms: { text: 'Fatura {{ number }}' } } } })
+      .expect(200);
+    expect(Object.keys(updated.body.locales)).toEqual(['de-DE', 'pt-BR']);
+
+    const invalid = await api
+      .post('/api/v1/templates')
+      .send({
+        id: 'bad-locale',
+        channels: { sms: { text: '{{ total | money }}' } },
+        locales: { 'en-': { sms: { text: 'Hi' } } }
+      })
+      .expect(400);
+    expect(invalid.body.details.map(detail => `${detail.code} ${detail.path}`)).toEqual([
+      'INVALID_TEMPLATE channels.sms.text',
+      'INVALID_VALUE locales.en-'
+    ]);
+
+    const notANumber = await api
+      .post('/api/v1/notifications/send')
+      .send({ recipient: '+15557793020', type: 'sms', templateId: 'invoice-due', variables: { number: 1, total: 'lots', due: 'soon' } })
+      .expect(400);
+    expect(notANumber.body.details.map(detail => `${detail.code} ${detail.path}`)).toEqual([
+      'INVALID_VARIABLE variables.total',
+      'INVALID_VARIABLE variables.due'
+    ]);
+  });
+
+  test('should format numbers, percentages and times in the time zone configured', () => {
+    const parts = compileTemplate('{{ n | number:1 }} {{ share | percent }} {{ at | time }}');
+    const { text } = renderParts(parts, { n: 2.25, share: 0.5, at: '2026-03-01T18:30:00Z' }, { locale: 'fr', timeZone: 'Europe/Paris' });
+
+    expect(text).toBe('2,3 50\u00a0% 19:30');
+  });
+});
+
+describe('Preview', () => {
+  const preview = body => api.post('/api/v1/notifications/preview').send(body);
+
+  test('should render email with the provider\'s layout and envelope without sending it', async () => {
+    const response = await preview({
+      recipient: 'preview@example.com',
+      type: 'email',
+      message: 'Your **order** shipped',
+      metadata: { format: 'markdown', subject: 'Shipped', cc: ['ops@example.com'], unsubscribeUrl: 'https://example.com/u' }
+    }).expect(200);
+
+    expect(response.body.type).toBe('email');
+    expect(response.body.output).toMatchObject({
+      to: ['preview@example.com'],
+      cc: ['ops@example.com'],
+      subject: 'Shipped',
+      text: 'Your order shipped\n\nUnsubscribe: https://example.com/u',
+      headers: { 'List-Unsubscribe': '<https://example.com/u>' }
+    });
+    expect(response.body.output.html).toContain('<p>Your <strong>order</strong> shipped</p>');
+    expect(response.body.warnings).toEqual([]);
+
+    const history = await api.get('/api/v1/notifications/history').query({ filter: 'recipient = "preview@example.com"' }).expect(200);
+    expect(history.body.notifications).toHaveLength(0);
+  });
+
+  test('should report SMS segments, truncation and non-ASCII content', async () => {
+    const short = await preview({ recipient: '+15557794001', type: 'sms', message: 'Hi there', metadata: { includeSignature: false } }).expect(200);
+    expect(short.body.output).toMatchObject({ body: 'Hi there', to: '+15557794001', characters: 8, segments: 1, truncated: false });
+    expect(short.body.warnings).toEqual([]);
+
+    const long = await preview({ recipient: '+15557794002', type: 'sms', priority: 'high', message: 'Olá '.repeat(450) }).expect(200);
+    expect(long.body.output).toMatchObject({ characters: 1600, segments: 11, truncated: true });
+    expect(long.body.output.body.endsWith('...')).toBe(true);
+    expect(long.body.warnings).toEqual([
+      'Message exceeds maximum length for concatenated SMS',
+      'Message contains non-ASCII characters that may cause encoding issues',
+      expect.stringMatching(/^The message is cut from \d+ to 1600 characters$/)
+    ]);
+  });
+
+  test('should preview templates for push and webhook', async () => {
+    await api
+      .post('/api/v1/templates')
+      .send({
+        id: 'preview-ready',
+        channels: {
+          push: { title: 'Ready', body: 'Order {{ id }} is ready' },
+          webhook: { event: 'order.ready', message: 'Order {{ id }} ready', payload: { orderId: '{{ id }}' } }
+        },
+        locales: { es: { push: { title: 'Listo', body: 'El pedido {{ id }} está listo' } } }
+      })
+      .expect(201);
+
+    const push = await preview({
+      recipient: 'f'.repeat(64),
+      type: 'push',
+      templateId: 'preview-ready',
+      variables: { id: 9 },
+      locale: 'es-MX'
+    }).expect(200);
+    expect(push.body).toMatchObject({ templateId: 'preview-ready', locale: 'es', warnings: [] });
+    expect(push.body.output).toEqual({
+      notification: { title: 'Listo', body: 'El pedido 9 está listo' },
+      token: 'f'.repeat(64),
+      data: {}
+    });
+
+    const webhook = await preview({
+      recipient: 'https://example.com/hook',
+      type: 'webhook',
+      templateId: 'preview-ready',
+      variables: { id: 9 }
+    }).expect(200);
+    expect(webhook.body.output).toMatchObject({
+      method: 'POST',
+      url: 'https://example.com/hook',
+      headers: { Authorization: 'Bearer <secret>' },
+      body: { event: 'order.ready', message: 'Order 9 ready', type: 'webhook', data: { orderId: 9 } }
+    });
+  });
+
+  test('should validate previews like sends', async () => {
+    const invalid = await preview({ recipient: 'nope', type: 'sms', message: 'Hi' }).expect(400);
+    expect(invalid.body.details[0].code).toBe('INVALID_PHONE_NUMBER');
+
+    const missing = await preview({ recipient: '+15557794003', type: 'sms', templateId: 'preview-ready' }).expect(400);
+    expect(missing.body.details[0].code).toBe('TEMPLATE_CHANNEL_MISSING');
+
+    // The deprecated unversioned path serves it too
+    await api.post('/api/notifications/preview').send({ recipient: '+15557794004', type: 'sms', message: 'Hi' }).expect(200);
+  });
+});
+
+describe('Bulk Jobs', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  test('should queue valid CSV rows and report the rest with their row numbers', async () => {
+    const csv = [
+      'recipient,message,type,priority,metadata.includeSignature',
+      '+15557790001,"Hello, one",sms,high,true',
+      '+15557790002,Hello two,sms,,',
+      'not-a-number,Hello three,sms,,',
+      '+15557790004,"Too, many",sms,,,extra'
+    ].join('\r\n');
+
+    const response = await api
+      .post('/api/v1/jobs')
+      .set('Content-Type', 'text/csv')
+      .send(csv)
+      .expect(202);
+
+    expect(response.headers.location).toBe(`/api/v1/jobs/${response.body.id}`);
+    expect(response.body).toMatchObject({ format: 'csv', status: 'processing' });
+
+    const job = await waitForJob(response.body.id);
+    expect(job).toMatchObject({
+      status: 'completed',
+      totalRows: 4,
+      accepted: 2,
+      rejected: 2,
+      queued: 2
+    });
+    expect(job.errors.map(error => [error.row, error.details[0].code])).toEqual([
+      [3, 'INVALID_PHONE_NUMBER'],
+      [4, 'MALFORMED_ROW']
+    ]);
+
+    const history = await api.get('/api/v1/notifications/history').query({ jobId: response.body.id }).expect(200);
+    const byRecipient = Object.fromEntries(history.body.notifications.map(n => [n.recipient, n]));
+    expect(byRecipient['+15557790001'].message).toBe('Hello, one');
+    expect(byRecipient['+15557790001'].priority).toBe('high');
+    expect(byRecipient['+15557790001'].metadata).toEqual({ includeSignature: true });
+    expect(byRecipient['+15557790002'].jobId).toBe(response.body.id);
+  });
+
+  test('should read NDJSON uploads line by line', async () => {
+    const ndjson = [
+      JSON.stringify({ recipient: '+15557790011', message: 'One', type: 'sms' }),
+      '',
+      '{"recipient": broken',
+      JSON.stringify({ recipient: '+15557790013', message: 'Three', type: 'sms', priority: 'urgent' })
+    ].join('\n');
+
+    const response = await api
+      .post('/api/v1/jobs')
+      .set('Content-Type', 'application/x-ndjson')
+      .send(ndjson)
+      .expect(202);
+
+    expect(await waitForJob(response.body.id)).toMatchObject({ format: 'ndjson', totalRows: 3, accepted: 1, rejected: 2, queued: 1 });
+
+    const job = await api.get(`/api/v1/jobs/${response.body.id}`).query({ errorsLimit: 1 }).expect(200);
+    expect(job.body.errors).toEqual([
+      { row: 2, details: [expect.objectContaining({ code: 'MALFORMED_ROW' })] }
+    ]);
+  });
+
+  test('should fail the job when the upload cannot be read', async () => {
+    const response = await api
+      .post('/api/v1/jobs')
+      .set('Content-Type', 'text/csv')
+      .send('recipient,message,type,colour\n+15557790021,Hi,sms,blue\n')
+      .expect(202);
+
+    const job = await waitForJob(response.body.id);
+    expect(job).toMatchObject({ status: 'failed', totalRows: 0 });
+    expect(job.error).toContain('Unknown columns: colour');
+  });
+
+  test('should answer before the upload has been read', async () => {
+    const { bulkJobService } = app.locals.services;
+    const processRows = bulkJobService.processRows;
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const spy = jest.spyOn(bulkJobService, 'processRows').mockImplementation(async (...args) => {
+      await held;
+      return processRows.apply(bulkJobService, args);
+    });
+
+    try {
+      const response = await api
+        .post('/api/v1/jobs')
+        .set('Content-Type', 'text/csv')
+        .send('recipient,message,type\n+15557790025,Hi,sms\n')
+        .expect(202);
+      expect(response.body).toMatchObject({ status: 'processing', totalRows: 0 });
+
+      release();
+      expect(await waitForJob(response.body.id)).toMatchObject({ status: 'completed', totalRows: 1, queued: 1 });
+    } finally {
+      release();
+      spy.mockRestore();
+    }
+  });
+
+  test('should only take CSV and NDJSON uploads', async () => {
+    const response = await api
+      .post('/api/v1/jobs')
+      .send([{ recipient: '+15557790031', message: 'Hi', type: 'sms' }])
+      .expect(415);
+
+    expect(response.body.message).toContain('text/csv');
+  });
+
+  test('should cancel a job and its scheduled notifications', async () => {
+    const csv = 'recipient,message,type,delayMs\n' +
+      `+15557790041,Later,sms,${HOUR}\n` +
+      `+15557790042,Later,sms,${HOUR}\n`;
+
+    const created = await api
+      .post('/api/v1/jobs')
+      .set('Content-Type', 'text/csv')
+      .send(csv)
+      .expect(202);
+    expect((await waitForJob(created.body.id)).queued).toBe(2);
+
+    const cancelled = await api.delete(`/api/v1/jobs/${created.body.id}`).expect(200);
+    expect(cancelled.body).toMatchObject({ success: true, status: 'cancelled', cancelled: 2 });
+    expect(cancelled.body.cancelledAt).toBeDefined();
+
+    const history = await api
+      .get('/api/v1/notifications/history')
+      .query({ jobId: created.body.id, status: 'cancelled' })
+      .expect(200);
+    expect(history.body.notifications).toHaveLength(2);
+
+    await api.delete(`/api/v1/jobs/${created.body.id}`).expect(409);
+  });
+
+  test('should keep jobs within their tenant', async () => {
+    await api.post('/api/v1/tenants').send({ id: 'jobs-other', name: 'Jobs Other' }).expect(201);
+
+    const created = await api
+      .post('/api/v1/jobs')
+      .set('Content-Type', 'application/x-ndjson')
+      .send(JSON.stringify({ recipient: '+15557790051', message: 'Mine', type: 'sms' }))
+      .expect(202);
+
+    await api.get(`/api/v1/jobs/${created.body.id}`).set('X-Tenant-Id', 'jobs-other').expect(404);
+    await api.delete(`/api/v1/jobs/${created.body.id}`).set('X-Tenant-Id', 'jobs-other').expect(404);
+
+    const listed = await api.get('/api/v1/jobs').set('X-Tenant-Id', 'jobs-other').expect(200);
+    expect(listed.body.jobs).toEqual([]);
+  });
+});
+
+describe('API Versions', () => {
+  test('should serve the API under /api/v1 without deprecation headers', async () => {
+    const response = await api.get('/api/v1/tenant').expect(200);
+
+    expect(response.body.id).toBe('default');
+    expect(response.headers).not.toHaveProperty('deprecation');
+    expect(response.headers).not.toHaveProperty('sunset');
+  });
+
+  test('should keep unversioned paths as deprecated aliases of v1', async () => {
+    const created = await api
+      .post('/api/notifications/send')
+      .send({ recipient: '+15557780001', message: 'Legacy', type: 'sms', delayMs: 60 * 60 * 1000 })
+      .expect(200);
+
+    expect(created.headers.deprecation).toMatch(/^@\d+$/);
+    expect(new Date(created.headers.sunset).getTime()).toBeGreaterThan(Date.now());
+    expect(created.headers.link).toBe('</api/v1/notifications/send>; rel="successor-version"');
+
+    // Both paths reach the same data
+    const status = await api.get(`/api/v1/notifications/${created.body.notificationId}/status`).expect(200);
+    expect(status.body.status).toBe('scheduled');
+  });
+
+  test('should not answer unknown versions with the legacy API', async () => {
+    const response = await api.get('/api/v2/tenant').expect(404);
+
+    expect(response.headers).not.toHaveProperty('deprecation');
+  });
+});
+
+describe('Analytics', () => {
+  const DatabaseService = require('../src/services/DatabaseService');
+  const NotificationService = require('../src/services/NotificationService');
+  const { parseStatsRange, listBuckets, percentile } = require('../src/utils/stats');
+
+  test('should resolve stats ranges and buckets', () => {
+    const now = Date.parse('2024-01-01T12:30:00.000Z');
+
+    expect(parseStatsRange({ timeframe: '1h', bucket: 'minute' }, now)).toEqual({
+      from: '2024-01-01T11:30:00.000Z',
+      to: '2024-01-01T12:30:00.000Z',
+      bucket: 'minute'
+    });
+    expect(parseStatsRange({ from: 'yesterday' }, now)).toHaveProperty('error');
+    expect(parseStatsRange({ from: '2023-01-01T00:00:00Z', bucket: 'minute' }, now)).toHaveProperty('error');
+
+    expect(listBuckets('2024-01-01T10:30:00.000Z', '2024-01-01T12:00:00.000Z', 'hour')).toEqual([
+      '2024-01-01T10:00:00.000Z',
+      '2024-01-01T11:00:00.000Z'
+    ]);
+  });
+
+  test('should compute nearest-rank percentiles', () => {
+    const values = Array.from({ length: 100 }, (_, i) => i + 1);
+
+    expect(percentile(values, 50)).toBe(50);
+    expect(percentile(values, 95)).toBe(95);
+    expect(percentile(values, 99)).toBe(99);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  test('should build per-channel, per-status and per-priority series', async () => {
+    const db = new DatabaseService();
+    await db.ready;
+    const service = new NotificationService(db);
+    clearInterval(service.processorInterval);
+    clearInterval(service.recoveryInterval);
+    clearInterval(service.schedulerInterval);
+    await service.ready;
+
+    const rows = [
+      { id: 'a', type: 'email', priority: 'high', at: '2024-01-01T10:05:00.000Z', latencyMs: 1000 },
+      { id: 'b', type: 'sms', priority: 'normal', at: '2024-01-01T10:40:00.000Z', latencyMs: 3000 },
+      { id: 'c', type: 'sms', priority: 'normal', at: '2024-01-01T12:10:00.000Z' },
+      { id: 'd', type: 'email', priority: 'low', at: '2024-01-02T00:00:00.000Z' }
+    ];
+
+    for (const row of rows) {
+      await db.saveNotification({
+        id: row.id,
+        recipient: 'stats@example.com',
+        message: 'Counted',
+        type: row.type,
+        priority: row.priority,
+        timestamp: row.at
+      });
+
+      if (row.latencyMs) {
+        await db.updateNotification(row.id, {
+          status: 'sent',
+          sentAt: new Date(Date.parse(row.at) + row.latencyMs).toISOString()
+        });
+      }
+    }
+
+    const analytics = await service.getAnalytics({
+      from: '2024-01-01T10:00:00.000Z',
+      to: '2024-01-01T13:00:00.000Z',
+      bucket: 'hour'
+    });
+
+    expect(analytics.buckets).toHaveLength(3);
+    expect(analytics.totals).toEqual({
+      total: 3,
+      byChannel: { email: 1, sms: 2 },
+      byStatus: { sent: 2, pending: 1 },
+      byPriority: { high: 1, normal: 2 }
+    });
+    expect(analytics.series.total).toEqual([2, 0, 1]);
+    expect(analytics.series.byChannel.sms).toEqual([1, 0, 1]);
+    expect(analytics.series.byStatus.sent).toEqual([2, 0, 0]);
+    expect(analytics.latency).toMatchObject({ count: 2, p50Ms: 1000, p99Ms: 3000 });
+    expect(analytics.latency.byChannel.sms).toMatchObject({ count: 1, p50Ms: 3000 });
+
+    await db.close();
+  });
+});
+
+describe('History Search', () => {
+  const DatabaseService = require('../src/services/DatabaseService');
+  const { parseFilter } = require('../src/utils/historyFilter');
+
+  let db;
+
+  beforeEach(async () => {
+    db = new DatabaseService();
+    await db.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  async function find(query) {
+    const { notifications } = await db.getNotifications(query);
+    return notifications.map(notification => notification.id).sort();
+  }
+
+  test('should keep the full-text index in step with updates', async () => {
+    await db.saveNotification({ id: 'fts-a', recipient: 'a@example.com', message: 'Welcome aboard', type: 'email' });
+    expect(await find({ search: '"welcome"' })).toEqual(['fts-a']);
+
+    await db.updateNotification('fts-a', { message: 'Goodbye', metadata: { subject: 'Account closed' } });
+    expect(await find({ search: '"welcome"' })).toEqual([]);
+    expect(await find({ search: '"closed"' })).toEqual(['fts-a']);
+  });
+
+  test('should match error substrings literally', async () => {
+    await db.saveNotification({ id: 'err-a', recipient: 'a@example.com', message: 'Hi', type: 'email' });
+    await db.saveNotification({ id: 'err-b', recipient: 'b@example.com', message: 'Hi', type: 'email' });
+    await db.updateNotification('err-a', { status: 'failed', error: 'SMTP 421: 100% busy' });
+    await db.updateNotification('err-b', { status: 'failed', error: 'Connection timeout' });
+
+    expect(await find({ error: '100%' })).toEqual(['err-a']);
+    expect(await find({ error: '%' })).toEqual(['err-a']);
+    expect(await find({ expression: parseFilter('error ~ timeout OR error ~ "421"').expression })).toEqual(['err-a', 'err-b']);
+    expect(await find({ expression: parseFilter('NOT error ~ busy').expression })).toEqual(['err-b']);
+  });
+});
+
+describe('Cancelling Queued Work', () => {
+  const DatabaseService = require('../src/services/DatabaseService');
+  const NotificationService = require('../src/services/NotificationService');
+
+  let db;
+  let service;
+
+  beforeEach(async () => {
+    db = new DatabaseService();
+    await db.ready;
+    service = new NotificationService(db);
+    clearInterval(service.processorInterval);
+    clearInterval(service.recoveryInterval);
+    clearInterval(service.schedulerInterval);
+    await service.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('should drop cancelled notifications from the queue and count them', async () => {
+    await service.sendNotification({
+      id: 'cancel-queued',
+      recipient: 'cancel@example.com',
+      message: 'Never mind',
+      type: 'email',
+      status: 'pending'
+    });
+    expect(await service.queue.has('cancel-queued')).toBe(true);
+
+    const result = await service.cancelNotification('cancel-queued');
+
+    expect(result.status).toBe('cancelled');
+    expect(await service.queue.has('cancel-queued')).toBe(false);
+    expect(await service.dispatchQueue()).toBe(0);
+    expect((await service.getStatistics()).cancelled).toBe(1);
+  });
+
+  test('should not let a worker claim a cancelled notification', async () => {
+    await db.saveNotification({
+      id: 'cancel-race',
+      recipient: 'race@example.com',
+      message: 'Too slow',
+      type: 'email'
+    });
+
+    await service.cancelNotification('cancel-race');
+
+    const lease = new Date(Date.now() + 60000).toISOString();
+    expect(await db.claimNotification('cancel-race', 'worker-a', lease)).toBe(false);
+    expect((await service.cancelNotification('cancel-race')).status).toBe('conflict');
+  });
+});
+
+describe('Graceful Shutdown', () => {
+  const DatabaseService = require('../src/services/DatabaseService');
+  const NotificationService = require('../src/services/NotificationService');
+
+  let db;
+  let service;
+
+  beforeEach(async () => {
+    db = new DatabaseService();
+    await db.ready;
+    service = new NotificationService(db);
+    clearInterval(service.processorInterval);
+    clearInterval(service.recoveryInterval);
+    clearInterval(service.schedulerInterval);
+    await service.ready;
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  function queueNotification(id) {
+    return service.sendNotification({
+      id,
+      recipient: 'shutdown@example.com',
+      message: 'Finish me',
+      type: 'email',
+      status: 'pending'
+    });
+  }
+
+  test('should let in-flight sends finish before stopping', async () => {
+    service.providers.email = {
+      send: () => new Promise(resolve => setTimeout(() => resolve({ success: true }), 50))
+    };
+    await queueNotification('drain-finish');
+    await service.dispatchQueue();
+
+    const result = await service.stop({ timeoutMs: 2000 });
+
+    expect(result).toEqual({ drained: true, returnedToPending: [] });
+    expect((await db.getNotification('drain-finish')).status).toBe('sent');
+    expect(await service.dispatchQueue()).toBe(0);
+  });
+
+  test('should return sends still running at the deadline to pending', async () => {
+    let finish;
+    service.providers.email = {
+      send: () => new Promise(resolve => { finish = resolve; })
+    };
+    await queueNotification('drain-timeout');
+    await service.dispatchQueue();
+    expect((await db.getNotification('drain-timeout')).status).toBe('processing');
+
+    const result = await service.stop({ timeoutMs: 20 });
+
+    expect(result).toEqual({ drained: false, returnedToPending: ['drain-timeout'] });
+    const stored = await db.getNotification('drain-timeout');
+    expect(stored.status).toBe('pending');
+    expect(stored.workerId).toBeNull();
+
+    // Let the abandoned send settle before the database closes
+    const settled = service.inFlight.get('drain-timeout');
+    finish({ success: true });
+    await settled;
+  });
+});
+
+describe('Scheduler', () => {
+  const DatabaseService = require('../src/services/DatabaseService');
+  const { parseScheduledTime } = require('../src/utils/schedule');
+
+  test('should resolve sendAt and delayMs into a scheduled time', () => {
+    const now = Date.parse('2024-01-01T00:00:00.000Z');
+
+    expect(parseScheduledTime({ delayMs: 60000 }, now))
+      .toEqual({ scheduledAt: '2024-01-01T00:01:00.000Z' });
+    expect(parseScheduledTime({ sendAt: '2023-12-31T00:00:00.000Z' }, now))
+      .toEqual({ scheduledAt: null });
+    expect(parseScheduledTime({ delayMs: -5 }, now)).toHaveProperty('error');
+    expect(parseScheduledTime({ sendAt: '2024-01-02T00:00:00Z', delayMs: 5 }, now)).toHaveProperty('error');
+  });
+
+  test('should release only scheduled notifications that are due', async () => {
+    const db = new DatabaseService();
+    await db.ready;
+
+    await db.saveNotification({
+      id: 'scheduled-due',
+      recipient: 'due@example.com',
+      message: 'Due now',
+      type: 'email',
+      status: 'scheduled',
+      scheduledAt: new Date(Date.now() - 1000).toISOString()
+    });
+    await db.saveNotification({
+      id: 'scheduled-later',
+      recipient: 'later@example.com',
+      message: 'Not yet',
+      type: 'email',
+      status: 'scheduled',
+      scheduledAt: new Date(Date.now() + 60000).toISOString()
+    });
+
+    const released = await db.releaseDueScheduledNotifications();
+
+    expect(released.map(notification => notification.id)).toEqual(['scheduled-due']);
+    expect((await db.getNotification('scheduled-due')).status).toBe('pending');
+    expect((await db.getNotification('scheduled-later')).status).toBe('scheduled');
+
+    await db.close();
+  });
+});
+
+describe('Priority Scheduling', () => {
+  const LaneScheduler = require('../src/queues/LaneScheduler');
+  const MemoryQueue = require('../src/queues/MemoryQueue');
+
+  test('should dispatch lanes in proportion to their weights', () => {
+    const scheduler = new LaneScheduler({ high: 6, normal: 3, low: 1 });
+    const picks = [];
+
+    for (let i = 0; i < 10; i++) {
+      picks.push(scheduler.nextLane(LaneScheduler.LANES));
+    }
+
+    const counts = picks.reduce((acc, lane) => {
+      acc[lane] = (acc[lane] || 0) + 1;
+      return acc;
+    }, {});
+
+    expect(picks[0]).toBe('high');
+    expect(counts).toEqual({ high: 6, normal: 3, low: 1 });
+    expect(scheduler.stats().low).toEqual({ weight: 1, dispatched: 1 });
+  });
+
+  test('should promote entries that have waited past the aging interval', async () => {
+    const queue = new MemoryQueue();
+    await queue.enqueue({ id: 'old-low', type: 'email', priority: 'low' });
+
+    const entry = queue.entries.get('old-low');
+    entry.laneEnteredAt -= 1500;
+    entry.availableAt -= 1500;
+
+    expect(await queue.promoteAged(1000)).toBe(1);
+
+    const { lanes } = await queue.stats();
+    expect(lanes.low.size).toBe(0);
+    expect(lanes.normal.size).toBe(1);
+  });
+
+  test('should leave items that are not yet due queued', async () => {
+    const queue = new MemoryQueue();
+    await queue.enqueue({ id: 'ready', type: 'email', priority: 'normal' });
+    await queue.enqueue({ id: 'waiting', type: 'email', priority: 'high' }, { delayMs: 60000 });
+
+    expect(await queue.readyCounts()).toEqual({ email: { normal: 1 } });
+    expect(await queue.reserve({ channel: 'email', lane: 'high', limit: 10, visibilityTimeoutMs: 1000 }))
+      .toEqual([]);
+    expect(await queue.has('waiting')).toBe(true);
+  });
+});
+
+describe('Provider Limits', () => {
+  const ProviderLimiter = require('../src/services/ProviderLimiter');
+  const LaneScheduler = require('../src/queues/LaneScheduler');
+
+  test('should refill token buckets at the configured rate', () => {
+    let now = 0;
+    const bucket = new ProviderLimiter.TokenBucket(2, 2, () => now);
+
+    expect(bucket.tryRemove()).toBe(true);
+    expect(bucket.tryRemove()).toBe(true);
+    expect(bucket.tryRemove()).toBe(false);
+
+    now = 500;
+    expect(bucket.tryRemove()).toBe(true);
+    expect(bucket.tryRemove()).toBe(false);
+  });
+
+  test('should cap in-flight sends per channel', () => {
+    const limiter = new ProviderLimiter({ concurrency: { sms: 2 }, rates: { sms: 0 } });
+
+    expect(limiter.acquire('sms')).toBe(true);
+    expect(limiter.acquire('sms')).toBe(true);
+    expect(limiter.acquire('sms')).toBe(false);
+
+    limiter.release('sms');
+    expect(limiter.acquire('sms')).toBe(true);
+    expect(limiter.stats().sms).toMatchObject({ active: 2, concurrency: 2 });
+  });
+
+  test('should only plan as much work as the limits allow', () => {
+    let now = 0;
+    const limiter = new ProviderLimiter({
+      concurrency: { sms: 10, email: 10 },
+      rates: { sms: 3, email: 0 },
+      now: () => now
+    });
+    const scheduler = new LaneScheduler();
+    const ready = { sms: { normal: 5 }, email: { normal: 5 } };
+
+    expect(scheduler.plan(ready, 100, limiter)).toEqual(expect.arrayContaining([
+      { channel: 'sms', lane: 'normal', count: 3 },
+      { channel: 'email', lane: 'normal', count: 5 }
+    ]));
+    expect(limiter.stats().sms.active).toBe(3);
+
+    now = 1000;
+    expect(scheduler.plan({ sms: { normal: 2 } }, 100, limiter))
+      .toEqual([{ channel: 'sms', lane: 'normal', count: 2 }]);
+  });
+});
+
+describe('Notification Providers', () => {
+  const EmailProvider = require('../src/providers/EmailProvider');
+  const SMSProvider = require('../src/providers/SMSProvider');
+  const PushProvider = require('../src/providers/PushProvider');
+  const WebhookProvider = require('../src/providers/WebhookProvider');
+
+  describe('EmailProvider', () => {
+    test('should create email provider instance', () => {
+      const provider = new EmailProvider();
+      expect(provider).toBeInstanceOf(EmailProvider);
+    });
+
+    test('should generate email subject', () => {
+      const provider = new EmailProvider();
+      const notification = {
+        priority: 'high',
+        metadata: { subject: 'Custom Subject' }
+      };
+      
+      const subject = provider.generateSubject(notification);
+      expect(subject).toBe('Custom Subject');
+    });
+
+    test('should escape plain text messages and layout fields', () => {
+      const provider = new EmailProvider();
+      const notification = {
+        id: 'n-1',
+        message: 'Use <b>bold</b> & more\n\nBye',
+        metadata: { title: '<script>x</script>', buttonText: 'Go "now"', buttonUrl: 'javascript:alert(1)' }
+      };
+
+      const html = provider.generateEmailBody(notification);
+      expect(html).toContain('<p>Use &lt;b&gt;bold&lt;/b&gt; &amp; more</p><p>Bye</p>');
+      expect(html).toContain('<h1>&lt;script&gt;x&lt;/script&gt;</h1>');
+      expect(html).not.toContain('javascript:');
+      expect(provider.generateTextBody(notification)).toBe('<script>x</script>\n\nUse <b>bold</b> & more\n\nBye');
+    });
+
+    test('should render Markdown into HTML and a matching plaintext part', () => {
+      const provider = new EmailProvider();
+      const notification = {
+        id: 'n-2',
+        message: '## Order **A-17**\n\nTrack it [here](https://example.com/t?id=17&x=1).\n\n- Shoes\n- Socks <img src=x onerror=alert(1)>',
+        metadata: { format: 'markdown', buttonText: 'Open', buttonUrl: 'https://example.com/o', unsubscribeUrl: 'https://example.com/u' }
+      };
+
+      const html = provider.generateEmailBody(notification);
+      expect(html).toContain('<h2>Order <strong>A-17</strong></h2>');
+      expect(html).toContain('<a href="https://example.com/t?id=17&amp;x=1">here</a>');
+      expect(html).toContain('<li>Socks &lt;img src=x onerror=alert(1)&gt;</li>');
+      expect(provider.generateTextBody(notification)).toBe([
+        'Order A-17',
+        'Track it here (https://example.com/t?id=17&x=1).',
+        '- Shoes\n- Socks <img src=x onerror=alert(1)>',
+        'Open: https://example.com/o',
+        'Unsubscribe: https://example.com/u'
+      ].join('\n\n'));
+    });
+
+    test('should keep only allowlisted HTML and safe links', () => {
+      const { renderContent } = require('../src/utils/emailContent');
+      const { html, text, unsafeLinks } = renderContent(
+        '<div onclick="steal()"><p>Hi <a href=" jav&#x09;ascript:alert(1)">there</a>, see ' +
+        '<a href="https://example.com" target="_blank">us</a></p><script>steal()</script>' +
+        '<style>p { color: red }</style><marquee>old</marquee> <img src="cid:logo" alt="Logo"></div>',
+        'html'
+      );
+
+      expect(html).toBe('<div><p>Hi <a>there</a>, see <a href="https://example.com/">us</a></p>old <img src="cid:logo" alt="Logo"></div>');
+      expect(text).toBe('Hi there, see us (https://example.com/)\n\nold Logo');
+      expect(unsafeLinks).toEqual([' jav\tascript:alert(1)']);
+    });
+
+    test('should send the full envelope and record it in the provider response', async () => {
+      const provider = new EmailProvider({ from: 'Acme <mail@acme.test>' });
+      const sendMail = jest.spyOn(provider.transporter, 'sendMail').mockResolvedValue({
+        messageId: '<m-1@acme.test>',
+        response: '250 OK',
+        accepted: ['ana@example.com', 'bo@example.com', 'cy@example.com', 'audit@acme.test'],
+        rejected: []
+      });
+
+      const result = await provider.send({
+        id: 'n-3',
+        recipient: 'ana@example.com',
+        message: 'Your receipt',
+        metadata: {
+          to: ['Bo <bo@example.com>'],
+          cc: ['cy@example.com'],
+          bcc: ['audit@acme.test'],
+          replyTo: 'Support <help@acme.test>',
+          headers: { 'X-Campaign': 'spring' },
+          unsubscribeUrl: 'https://acme.test/u/ana'
+        }
+      });
+
+      const envelope = {
+        from: 'Acme <mail@acme.test>',
+        to: ['ana@example.com', 'Bo <bo@example.com>'],
+        cc: ['cy@example.com'],
+        bcc: ['audit@acme.test'],
+        replyTo: 'Support <help@acme.test>',
+        headers: {
+          'X-Campaign': 'spring',
+          'List-Unsubscribe': '<https://acme.test/u/ana>',
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      };
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining(envelope));
+      expect(result).toMatchObject({ success: true, envelope, rejected: [] });
+
+      // Attachments queued before they were validated still cannot reach the disk or the network
+      const { attachments } = provider.buildMailOptions({
+        recipient: 'ana@example.com',
+        message: 'Files',
+        metadata: { attachments: [{ filename: 'a.txt', content: 'A', path: '/etc/passwd', href: 'http://internal/' }] }
+      });
+      expect(attachments).toEqual([{ filename: 'a.txt', content: 'A' }]);
+
+      const plain = provider.buildEnvelope({
+        recipient: 'ana@example.com',
+        metadata: { from: 'other@acme.test', unsubscribeUrl: 'http://acme.test/u' }
+      });
+      expect(plain).toEqual({
+        from: 'other@acme.test',
+        to: ['ana@example.com'],
+        headers: { 'List-Unsubscribe': '<http://acme.test/u>' }
+      });
+    });
+
+    test('should validate envelope addresses and headers', async () => {
+      const send = metadata => api
+        .post('/api/v1/notifications/send')
+        .send({ recipient: 'ana@example.com', type: 'email', message: 'Hi', metadata })
+        .expect(400);
+
+      const addresses = await send({ cc: ['not-an-address'], replyTo: 'Support <help@>' });
+      expect(addresses.body.details.map(detail => `${detail.code} ${detail.path}`)).toEqual([
+        'INVALID_EMAIL metadata.cc[0]',
+        'INVALID_EMAIL metadata.replyTo'
+      ]);
+
+      const headers = await send({ headers: { 'Content-Type': 'text/plain', 'X-Note': 'a\r\nBcc: evil@example.com' } });
+      expect(headers.body.details.map(detail => `${detail.code} ${detail.path}`)).toEqual([
+        'INVALID_VALUE metadata.headers.Content-Type',
+        'INVALID_VALUE metadata.headers.X-Note'
+      ]);
+
+      const crowded = await send({ bcc: Array.from({ length: 50 }, (_, index) => `user${index}@example.com`) });
+      expect(crowded.body.details).toEqual([expect.objectContaining({ code: 'INVALID_VALUE', path: 'metadata' })]);
+    });
+
+    test('should only let metadata.from use the sender\'s domain', async () => {
+      const { EMAIL_FROM } = require('../src/config/config');
+      const serviceDomain = EMAIL_FROM.split('@').pop();
+      const send = (from, tenantId = 'default') => api
+        .post('/api/v1/notifications/send')
+        .set('X-Tenant-Id', tenantId)
+        .send({ recipient: 'ana@example.com', type: 'email', message: 'Hi', delayMs: 60 * 60 * 1000, metadata: { from } });
+
+      const spoofed = await send('Your Bank <security@bank.example>').expect(400);
+      expect(spoofed.body.details).toEqual([
+        { code: 'SENDER_NOT_ALLOWED', path: 'metadata.from', message: `metadata.from must be an address at ${serviceDomain}` }
+      ]);
+      await send(`Billing <billing@${serviceDomain.toUpperCase()}>`).expect(200);
+
+      // A tenant with its own sender may only use that sender's domain
+      await api.post('/api/v1/tenants').send({ id: 'mail-team', name: 'Mail Team', providers: { email: { from: 'Team <hi@team.test>' } } }).expect(201);
+      await send('support@team.test', 'mail-team').expect(200);
+      await send(`billing@${serviceDomain}`, 'mail-team').expect(400);
+
+      const bulk = await api
+        .post('/api/v1/notifications/bulk-send')
+        .send({ notifications: [{ recipient: 'ana@example.com', type: 'email', message: 'Hi', metadata: { from: 'ceo@bank.example' } }] })
+        .expect(200);
+      expect(bulk.body.results[0].details).toEqual([expect.objectContaining({ code: 'SENDER_NOT_ALLOWED', path: 'notifications[0].metadata.from' })]);
+    });
+
+    test('should render pathological Markdown in linear time', () => {
+      const { renderContent } = require('../src/utils/emailContent');
+      const { MAX_MESSAGE_LENGTH } = require('../src/utils/validation');
+      const inputs = [
+        ' _a'.repeat(MAX_MESSAGE_LENGTH / 3),
+        ' *a'.repeat(MAX_MESSAGE_LENGTH / 3),
+        '**a '.repeat(MAX_MESSAGE_LENGTH / 4),
+        '`a ``b '.repeat(MAX_MESSAGE_LENGTH / 7),
+        '*_'.repeat(MAX_MESSAGE_LENGTH / 4) + 'x' + '_*'.repeat(MAX_MESSAGE_LENGTH / 4)
+      ];
+
+      for (const input of inputs) {
+        const started = Date.now();
+        renderContent(input, 'markdown');
+        expect(Date.now() - started).toBeLessThan(1500);
+      }
+
+      // Emphasis and code spans still close where they did
+      expect(renderContent('**a *b* c** `x` ``y`z`` snake_case_name _d_', 'markdown').html)
+        .toContain('<strong>a <em>b</em> c</strong> <code>x</code> <code>y`z</code> snake_case_name <em>d</em>');
+    });
+
+    test('should reject Markdown and HTML email linking to unsafe schemes', async () => {
+      const response = await api
+        .post('/api/v1/notifications/send')
+        .send({
+          recipient: 'ana@example.com',
+          type: 'email',
+          message: 'Click [me](javascript:alert(document.cookie))',
+          metadata: { format: 'markdown' }
+        })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        expect.objectContaining({ code: 'INVALID_URL', path: 'message' })
+      ]);
+
+      await api
+        .post('/api/v1/notifications/send')
+        .send({ recipient: 'ana@example.com', type: 'email', message: 'Hi', metadata: { format: 'rtf' } })
+        .expect(400);
     });
   });
 
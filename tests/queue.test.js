@@ -0,0 +1,187 @@
+const DatabaseService = require('../src/services/DatabaseService');
+const { createQueue } = require('../src/queues');
+
+const VISIBILITY = 60000;
+
+function notification(id, overrides = {}) {
+  return {
+    id,
+    type: 'email',
+    priority: 'normal',
+    recipient: `${id}@example.com`,
+    message: 'Hello',
+    ...overrides
+  };
+}
+
+// The same contract runs against every backend. Redis needs a server, so it
+// only runs when REDIS_TEST_URL points at one (e.g. redis://localhost:6379/15).
+const backends = [
+  ['memory', async () => ({ queue: createQueue('memory') })],
+  ['sqlite', async () => {
+    const db = new DatabaseService();
+    await db.ready;
+    return { queue: createQueue('sqlite', db), db };
+  }]
+];
+
+if (process.env.REDIS_TEST_URL) {
+  backends.push(['redis', async () => ({
+    queue: createQueue('redis', null, {
+      url: process.env.REDIS_TEST_URL,
+      prefix: `test:queue:${Date.now()}:${Math.random().toString(36).slice(2)}`
+    })
+  })]);
+}
+
+describe.each(backends)('Queue backend: %s', (name, setup) => {
+  let queue;
+  let db;
+
+  beforeEach(async () => {
+    ({ queue, db } = await setup());
+    await queue.init();
+  });
+
+  afterEach(async () => {
+    if (queue.redis) {
+      const keys = await queue.redis.keys(`${queue.prefix}:*`);
+      if (keys.length > 0) {
+        await queue.redis.del(...keys);
+      }
+    }
+    await queue.close();
+    if (db) {
+      await db.close();
+    }
+  });
+
+  test('should reserve ready items by channel and lane', async () => {
+    await queue.enqueue(notification('a'));
+    await queue.enqueue(notification('b', { type: 'sms' }));
+    await queue.enqueue(notification('c', { priority: 'high' }));
+
+    expect(await queue.size()).toBe(3);
+    expect(await queue.readyCounts()).toEqual({
+      email: { normal: 1, high: 1 },
+      sms: { normal: 1 }
+    });
+
+    const reserved = await queue.reserve({ channel: 'email', lane: 'normal', limit: 10, visibilityTimeoutMs: VISIBILITY });
+    expect(reserved).toEqual([notification('a')]);
+
+    // Reserved items stay queued but are hidden from other consumers
+    expect(await queue.has('a')).toBe(true);
+    expect(await queue.reserve({ channel: 'email', lane: 'normal', limit: 10, visibilityTimeoutMs: VISIBILITY }))
+      .toEqual([]);
+    expect((await queue.stats()).reserved).toBe(1);
+  });
+
+  test('should remove acked items', async () => {
+    await queue.enqueue(notification('ack-me'));
+    await queue.reserve({ channel: 'email', lane: 'normal', limit: 1, visibilityTimeoutMs: VISIBILITY });
+
+    await queue.ack('ack-me');
+
+    expect(await queue.has('ack-me')).toBe(false);
+    expect(await queue.size()).toBe(0);
+  });
+
+  test('should return nacked items after their delay with the updated payload', async () => {
+    await queue.enqueue(notification('nack-me'));
+    await queue.reserve({ channel: 'email', lane: 'normal', limit: 1, visibilityTimeoutMs: VISIBILITY });
+
+    await queue.nack('nack-me', { delayMs: 60000, item: notification('nack-me', { retryCount: 1 }) });
+    expect(await queue.readyCounts()).toEqual({});
+
+    await queue.nack('nack-me');
+    const [item] = await queue.reserve({ channel: 'email', lane: 'normal', limit: 1, visibilityTimeoutMs: VISIBILITY });
+    expect(item).toHaveProperty('retryCount', 1);
+  });
+
+  test('should make items visible again once the visibility timeout lapses', async () => {
+    await queue.enqueue(notification('crashed'));
+    await queue.reserve({ channel: 'email', lane: 'normal', limit: 1, visibilityTimeoutMs: 20 });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const reserved = await queue.reserve({ channel: 'email', lane: 'normal', limit: 1, visibilityTimeoutMs: VISIBILITY });
+    expect(reserved.map(item => item.id)).toEqual(['crashed']);
+  });
+
+  test('should hold delayed items until they are due', async () => {
+    await queue.enqueue(notification('later'), { delayMs: 60000 });
+    await queue.enqueue(notification('retrying', { nextAttemptAt: new Date(Date.now() + 60000).toISOString() }));
+    await queue.enqueue(notification('now'));
+
+    expect(await queue.readyCounts()).toEqual({ email: { normal: 1 } });
+
+    expect(await queue.delay('now', 60000)).toBe(true);
+    expect(await queue.delay('missing', 60000)).toBe(false);
+    expect(await queue.readyCounts()).toEqual({});
+    expect((await queue.stats()).lanes.normal).toMatchObject({ size: 3, ready: 0 });
+  });
+
+  test('should extend the visibility timeout of a reserved item on delay', async () => {
+    await queue.enqueue(notification('slow'));
+    await queue.reserve({ channel: 'email', lane: 'normal', limit: 1, visibilityTimeoutMs: 20 });
+
+    await queue.delay('slow', 60000);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(await queue.readyCounts()).toEqual({});
+  });
+
+  test('should remove items in any state', async () => {
+    await queue.enqueue(notification('queued'));
+    await queue.enqueue(notification('reserved'));
+    await queue.reserve({ channel: 'email', lane: 'normal', limit: 1, visibilityTimeoutMs: VISIBILITY });
+
+    expect(await queue.remove('queued')).toMatchObject({ id: 'queued' });
+    expect(await queue.remove('reserved')).toMatchObject({ id: 'reserved' });
+    expect(await queue.remove('missing')).toBeNull();
+    expect(await queue.size()).toBe(0);
+  });
+
+  test('should promote items one lane at a time', async () => {
+    await queue.enqueue(notification('old-low', { priority: 'low' }));
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(await queue.promoteAged(10)).toBe(1);
+    expect(await queue.readyCounts()).toEqual({ email: { normal: 1 } });
+    expect(await queue.promoteAged(10)).toBe(0);
+  });
+
+  test('should only age items while they wait in their lane', async () => {
+    await queue.enqueue(notification('taken', { priority: 'low' }));
+    await queue.reserve({ channel: 'email', lane: 'low', limit: 1, visibilityTimeoutMs: VISIBILITY });
+    await queue.enqueue(notification('waiting', { priority: 'low' }));
+    await queue.enqueue(notification('later', { priority: 'low' }), { delayMs: 60000 });
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(await queue.promoteAged(10)).toBe(1);
+    expect(await queue.readyCounts()).toEqual({ email: { normal: 1 } });
+    expect((await queue.stats()).lanes.low).toMatchObject({ size: 1, ready: 0 });
+  });
+
+  test('should not hand the same item to two consumers', async () => {
+    for (let i = 0; i < 10; i++) {
+      await queue.enqueue(notification(`race-${i}`));
+    }
+
+    const options = { channel: 'email', lane: 'normal', limit: 10, visibilityTimeoutMs: VISIBILITY };
+    const [first, second] = await Promise.all([queue.reserve(options), queue.reserve(options)]);
+    const ids = [...first, ...second].map(item => item.id);
+
+    expect(ids).toHaveLength(10);
+    expect(new Set(ids).size).toBe(10);
+  });
+});
+
+describe('Queue factory', () => {
+  test('should reject unknown backends', () => {
+    expect(() => createQueue('kafka')).toThrow('Unknown queue backend: kafka');
+  });
+});